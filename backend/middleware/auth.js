@@ -1,14 +1,64 @@
 import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+
+/**
+ * Reads the access token of a request into `req.user` (ID) and `req.role`
+ * @param {string} token - Value of the `x-auth-token` header
+ * @param {Object} req - Request
+ * @param {Object} res - Response, answered when the token is rejected
+ * @returns {boolean} False after answering with an error
+ */
+const readToken = (token, req, res) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = decoded.id;
+    req.role = decoded.role;
+    return true;
+  } catch (err) {
+    // 401 tells the client to get a new access token with its refresh token
+    if (err.name === "TokenExpiredError") res.status(401).json({ msg: "Token expired" });
+    else res.status(400).json({ msg: "Invalid token" });
+    return false;
+  }
+};
 
 export default function (req, res, next) {
   const token = req.header("x-auth-token");
   if (!token) return res.status(401).json({ msg: "No token, authorization denied" });
+  if (readToken(token, req, res)) next();
+}
 
+/**
+ * Like the default middleware, but lets anonymous requests through with
+ * `req.user` unset. A token that is present must still be valid.
+ */
+export function optionalAuth(req, res, next) {
+  if (!req.header("x-auth-token")) return next();
+  if (readToken(req.header("x-auth-token"), req, res)) next();
+}
+
+/**
+ * Middleware that only lets users with one of the given roles through.
+ * Must run after `auth`. The role is read from the database rather than
+ * the token, so promoting or demoting a user takes effect at once; the
+ * user is left in `req.actor`.
+ *
+ * @example router.get("/duplicates", auth, requireRole("admin"), handler)
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => async (req, res, next) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.id;
+    const user = await User.findById(req.user).select("role");
+    if (!user) return res.status(401).json({ msg: "Account not found" });
+    if (!roles.includes(user.role)) {
+      return res.status(403).json({ msg: "You do not have permission to do this" });
+    }
+    req.actor = user;
+    req.role = user.role;
     next();
-  } catch {
-    res.status(400).json({ msg: "Invalid token" });
+  } catch (err) {
+    console.error("Role lookup error:", err);
+    res.status(500).json({ msg: "An error occurred while checking your permissions." });
   }
-}
+};
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+/** What an account token proves: a working mailbox, or the right to set a new password */
+export const ACCOUNT_TOKEN_PURPOSES = ["verify_email", "reset_password"];
+
+// A single-use token mailed to a user. Only its SHA-256 hash is stored;
+// `usedAt` is set when it is redeemed, so a link works once.
+const accountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  purpose: { type: String, enum: ACCOUNT_TOKEN_PURPOSES, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// MongoDB deletes tokens once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AccountToken", accountTokenSchema);
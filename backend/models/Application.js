@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+/** Stages of a user's application to a scheme, in board order */
+export const APPLICATION_STATUSES = [
+  "interested", "gathering_documents", "applied", "under_review", "approved", "rejected",
+];
+
+// When the application entered a status
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: APPLICATION_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A user's own record of applying to a scheme
+const applicationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  scheme: { type: mongoose.Schema.Types.ObjectId, ref: "Scheme", required: true },
+  status: {
+    type: String,
+    enum: { values: APPLICATION_STATUSES, message: "Unknown application status: {VALUE}" },
+    required: true,
+  },
+  // Oldest first; the last entry is the current status
+  history: [statusChangeSchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+});
+
+applicationSchema.index({ user: 1, scheme: 1 }, { unique: true });
+
+/**
+ * Moves the application to a status and records when. Does nothing if it
+ * is already in that status.
+ *
+ * @param {string} status - One of APPLICATION_STATUSES
+ * @returns {boolean} True if the status changed
+ */
+applicationSchema.methods.moveTo = function (status) {
+  if (this.status === status) return false;
+  const now = new Date();
+  this.status = status;
+  this.history.push({ status, at: now });
+  this.updatedAt = now;
+  return true;
+};
+
+export default mongoose.model("Application", applicationSchema);
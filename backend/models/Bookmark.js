@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+export const MAX_NOTE_LENGTH = 1000;
+
+// A scheme a user saved, with a note only they can see
+const bookmarkSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  scheme: { type: mongoose.Schema.Types.ObjectId, ref: "Scheme", required: true },
+  note: { type: String, trim: true, maxlength: [MAX_NOTE_LENGTH, `Note must not exceed ${MAX_NOTE_LENGTH} characters`] },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+});
+
+bookmarkSchema.index({ user: 1, scheme: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model("Bookmark", bookmarkSchema);
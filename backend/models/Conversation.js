@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// Slot-filling state for multi-turn flows (see services/dialogue)
+const dialogueSchema = new mongoose.Schema({
+  activeIntent: { type: String, default: null },
+  lastIntent: { type: String, default: null },
+  awaitingSlot: { type: String, default: null },
+  slots: { type: Map, of: String, default: {} },
+}, { _id: false });
+
+export const DEFAULT_TITLE = "New conversation";
+export const MAX_TITLE_LENGTH = 80;
+
+const conversationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  title: { type: String, default: DEFAULT_TITLE, trim: true, maxlength: MAX_TITLE_LENGTH },
+  archived: { type: Boolean, default: false },
+  dialogue: { type: dialogueSchema, default: () => ({}) },
+  // Language of the latest user message; short replies like "12th" keep it
+  language: { type: String, default: "en" },
+  lastMessageAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+conversationSchema.index({ user: 1, archived: 1, lastMessageAt: -1 });
+
+/**
+ * Builds a conversation title from its first message: the first line,
+ * cut at a word boundary to fit MAX_TITLE_LENGTH.
+ *
+ * @param {string} text - First user message
+ * @returns {string} Title
+ */
+conversationSchema.statics.titleFrom = function (text) {
+  const line = text.trim().split("\n")[0].replace(/\s+/g, " ");
+  if (line.length <= MAX_TITLE_LENGTH) return line || DEFAULT_TITLE;
+
+  const cut = line.slice(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+/**
+ * Finds a conversation by ID if it belongs to the user
+ *
+ * @param {string} id - Conversation ID
+ * @param {string} userId - Expected owner
+ * @returns {Promise<mongoose.Document|null>} Conversation, or null if the ID is
+ *   invalid, unknown or owned by someone else
+ */
+conversationSchema.statics.findOwned = async function (id, userId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return this.findOne({ _id: id, user: userId });
+};
+
+/**
+ * Returns the user's most recently active conversation that is not
+ * archived, creating one if there is none.
+ *
+ * @param {string} userId - Owner of the conversation
+ * @returns {Promise<mongoose.Document>} Conversation document
+ */
+conversationSchema.statics.findOrCreateActive = async function (userId) {
+  const existing = await this.findOne({ user: userId, archived: false }).sort({ lastMessageAt: -1 });
+  if (existing) return existing;
+  return this.create({ user: userId });
+};
+
+export default mongoose.model("Conversation", conversationSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one IP address or account (or a count of
+// account email requests), used by the `mongo` login throttle store so
+// several server instances share the counts.
+const loginThrottleSchema = new mongoose.Schema({
+  // "ip:<address>", "account:<email>", "mail:ip:<address>" or "mail:email:<email>"
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  // Attempts being checked right now; each is settled as a failure or refunded
+  pending: { type: Number, default: 0 },
+  lockedUntil: Date,
+  expiresAt: { type: Date, required: true },
+});
+
+// MongoDB deletes counters once they expire
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginThrottle", loginThrottleSchema);
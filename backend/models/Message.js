@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Scheme cited in a bot reply, copied so the reply survives scheme edits
+const sourceSchema = new mongoose.Schema(
+  {
+    scheme: { type: mongoose.Schema.Types.ObjectId, ref: "Scheme" },
+    title: String,
+    category: String,
+    url: String,
+  },
+  { _id: false }
+);
+
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  role: { type: String, enum: ["user", "bot"], required: true },
+  text: { type: String, required: true },
+  language: { type: String, default: "en" }, // BCP 47 code, see services/nlu/language
+  intent: String,
+  confidence: Number,
+  provider: String,
+  sources: [sourceSchema],
+  createdAt: { type: Date, default: Date.now },
+});
+
+// History is paged newest-first by _id, always scoped to one user
+messageSchema.index({ user: 1, _id: -1 });
+messageSchema.index({ conversation: 1, _id: -1 });
+
+export default mongoose.model("Message", messageSchema);
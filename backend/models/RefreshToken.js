@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// One refresh token. Only its SHA-256 hash is stored. Every login starts a
+// family; each refresh marks the presented token used and issues the next one
+// in the same family.
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  family: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  // Set when the token was exchanged for a new one; presenting it again is reuse
+  usedAt: Date,
+  // Set on logout or when reuse was detected in the family
+  revokedAt: Date,
+  userAgent: { type: String, maxlength: 300 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// MongoDB deletes tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
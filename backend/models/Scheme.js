@@ -1,11 +1,249 @@
 import mongoose from "mongoose";
+import { EDUCATION_LABELS, STATES } from "../services/dialogue/slots.js";
+import SchemeRevision from "./SchemeRevision.js";
+import { TRACKED_FIELDS, recordRevision } from "../services/schemeHistory.js";
+
+// Codes shared with the dialogue slots so answers can be matched against schemes
+export const STATE_CODES = Object.keys(STATES);
+export const EDUCATION_LEVELS = Object.keys(EDUCATION_LABELS);
+export const GENDERS = ["female", "male", "transgender"];
+export const SOCIAL_CATEGORIES = ["general", "obc", "sc", "st", "ews", "minority"];
+export const BENEFIT_TYPES = [
+  "scholarship", "cash-transfer", "loan", "subsidy", "insurance", "pension", "training", "employment", "other",
+];
+
+/**
+ * Moderation states. Submissions from regular users start as pending and
+ * only approved schemes are public. Documents saved before moderation
+ * existed have no status and count as approved.
+ */
+export const STATUSES = ["pending", "approved", "rejected", "changes_requested"];
+
+/** Roles allowed to review submissions */
+export const MODERATOR_ROLES = ["moderator", "admin"];
+
+const MAX_AGE = 120;
+
+// Who can apply. Empty lists and missing limits mean "no restriction".
+const eligibilitySchema = new mongoose.Schema({
+  minAge: { type: Number, min: [0, "Minimum age cannot be negative"], max: [MAX_AGE, `Minimum age cannot exceed ${MAX_AGE}`] },
+  maxAge: {
+    type: Number,
+    min: [0, "Maximum age cannot be negative"],
+    max: [MAX_AGE, `Maximum age cannot exceed ${MAX_AGE}`],
+    validate: {
+      validator: function (value) {
+        return value == null || this.minAge == null || value >= this.minAge;
+      },
+      message: "Maximum age must not be below the minimum age",
+    },
+  },
+  // Annual family income ceiling in rupees
+  maxIncome: { type: Number, min: [0, "Income ceiling cannot be negative"] },
+  states: [{ type: String, enum: { values: STATE_CODES, message: "Unknown state: {VALUE}" } }],
+  genders: [{ type: String, enum: { values: GENDERS, message: "Unknown gender: {VALUE}" } }],
+  socialCategories: [{ type: String, enum: { values: SOCIAL_CATEGORIES, message: "Unknown social category: {VALUE}" } }],
+  educationLevels: [{ type: String, enum: { values: EDUCATION_LEVELS, message: "Unknown education level: {VALUE}" } }],
+  occupations: [{ type: String, trim: true, maxlength: [60, "Occupation must not exceed 60 characters"] }],
+}, { _id: false });
+
+const benefitSchema = new mongoose.Schema({
+  type: { type: String, enum: { values: BENEFIT_TYPES, message: "Unknown benefit type: {VALUE}" } },
+  // Rupees; per year, month or one-off as described in `details`
+  amount: { type: Number, min: [0, "Benefit amount cannot be negative"] },
+  details: { type: String, trim: true, maxlength: [300, "Benefit details must not exceed 300 characters"] },
+}, { _id: false });
+
+// Outcome of the last check of `url` by services/linkChecker
+const linkHealthSchema = new mongoose.Schema({
+  status: { type: String, enum: ["ok", "redirected", "broken"] },
+  httpStatus: Number,
+  finalUrl: String,
+  error: String,
+  // Broken checks in a row
+  failures: { type: Number, default: 0 },
+  checkedAt: Date,
+}, { _id: false });
 
 const schemeSchema = new mongoose.Schema({
-  title: { type: String, required: true },
+  title: { type: String, required: true, trim: true },
+  // Stable identifier used by bulk import/export to update instead of duplicating
+  key: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Key may only contain letters, digits and single hyphens"],
+    maxlength: [100, "Key must not exceed 100 characters"],
+  },
   description: String,
   category: String,
   url: String,
+  linkHealth: linkHealthSchema,
+  eligibility: { type: eligibilitySchema, default: () => ({}) },
+  benefit: { type: benefitSchema, default: () => ({}) },
+  documents: [{ type: String, trim: true, maxlength: [120, "Document names must not exceed 120 characters"] }],
+  ministry: { type: String, trim: true, maxlength: [150, "Ministry must not exceed 150 characters"] },
+  applicationOpens: Date,
+  applicationCloses: {
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !value || !this.applicationOpens || value >= this.applicationOpens;
+      },
+      message: "Applications cannot close before they open",
+    },
+  },
+  status: { type: String, enum: STATUSES, default: "approved", index: true },
+  submittedAt: Date,
+  // Set by a moderator; the reason is shown to the submitter when rejecting or requesting changes
+  reviewNote: { type: String, trim: true, maxlength: [1000, "Reason must not exceed 1000 characters"] },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedAt: Date,
+  // Schemes created before ownership was recorded have no creator; only admins can edit those
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Soft delete: deleted schemes are hidden everywhere but can be restored
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Set when an admin merged this scheme into another as a duplicate
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Scheme" },
   createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+});
+
+// Full-text search for GET /api/schemes?q=
+schemeSchema.index({ title: "text", description: "text" }, { name: "scheme_text", weights: { title: 3, description: 1 } });
+schemeSchema.index({ applicationCloses: 1 });
+
+// A new link has not been checked yet
+schemeSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("url")) this.linkHealth = undefined;
+  next();
+});
+schemeSchema.index({ "linkHealth.status": 1 });
+
+/**
+ * Describes the next save for the revision history. Without it a save is
+ * recorded as "create" or "update" by `updatedBy` (or `createdBy`).
+ *
+ * @param {string} action - One of REVISION_ACTIONS
+ * @param {string} [userId] - User making the change
+ * @param {string} [note] - Why, shown in the history
+ * @returns {Object} The scheme, for chaining
+ */
+schemeSchema.methods.recordAs = function (action, userId, note) {
+  this.$locals.revision = { action, by: userId, note };
+  return this;
+};
+
+// Every save that changes a tracked field stores a revision. Schemes saved
+// before history existed first get a "baseline" revision of their stored state.
+schemeSchema.pre("save", async function () {
+  const revision = this.$locals.revision || {};
+  delete this.$locals.revision;
+  if (!this.isNew && !TRACKED_FIELDS.some((field) => this.isModified(field))) return;
+
+  this.$locals.pendingRevision = {
+    action: revision.action || (this.isNew ? "create" : "update"),
+    by: revision.by || this.updatedBy || this.createdBy,
+    note: revision.note,
+  };
+  if (!this.isNew && !(await SchemeRevision.exists({ scheme: this._id }))) {
+    const stored = await this.constructor.findById(this._id).lean();
+    if (stored) await recordRevision(stored, { action: "baseline" });
+  }
 });
+schemeSchema.post("save", async function () {
+  const revision = this.$locals.pendingRevision;
+  if (!revision) return;
+  delete this.$locals.pendingRevision;
+  // The scheme is already stored, so a missing revision is logged rather than failing the request
+  try {
+    await recordRevision(this, revision);
+  } catch (err) {
+    console.error(`Scheme revision error (${this._id}, ${revision.action}):`, err);
+  }
+});
+
+/** Scheme fields shown with a user's bookmarks and applications */
+export const SUMMARY_FIELDS = "title category ministry benefit url applicationOpens applicationCloses status deletedAt mergedInto";
+
+/**
+ * Query filter for schemes anyone may see: approved and not deleted (also
+ * matches documents saved before `deletedAt` and `status` existed)
+ */
+export const PUBLIC_FILTER = { deletedAt: null, status: { $in: ["approved", null] } };
+
+/**
+ * Checks whether a user may edit, delete or restore a scheme
+ *
+ * @param {Object} scheme - Scheme document
+ * @param {Object|null} user - User document (needs `_id` and `role`)
+ * @returns {boolean} True for the scheme's creator and for admins
+ */
+schemeSchema.statics.canModify = function (scheme, user) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  return Boolean(scheme.createdBy) && String(scheme.createdBy) === String(user._id);
+};
+
+/**
+ * Checks whether a user may review submissions
+ *
+ * @param {Object|null} user - User document (needs `role`)
+ * @returns {boolean} True for moderators and admins
+ */
+schemeSchema.statics.canModerate = function (user) {
+  return MODERATOR_ROLES.includes(user?.role);
+};
+
+/**
+ * Checks whether a user may see a scheme that is not public yet
+ *
+ * @param {Object} scheme - Scheme document
+ * @param {Object|null} user - User document (needs `_id` and `role`)
+ * @returns {boolean} True for approved schemes, the submitter and moderators
+ */
+schemeSchema.statics.canView = function (scheme, user) {
+  if (!scheme.status || scheme.status === "approved") return true;
+  if (this.canModerate(user)) return true;
+  return Boolean(user && scheme.createdBy) && String(scheme.createdBy) === String(user._id);
+};
+
+/**
+ * Finds a scheme a user may see: not deleted, and approved unless the user
+ * submitted it or moderates
+ *
+ * @param {string} id - Scheme ID
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<mongoose.Document|null>} Scheme, or null if the ID is
+ *   invalid, unknown, deleted or hidden from the user
+ */
+schemeSchema.statics.findViewable = async function (id, userId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const scheme = await this.findOne({ _id: id, deletedAt: null });
+  if (!scheme) return null;
+  const user = await mongoose.model("User").findById(userId).select("role");
+  return this.canView(scheme, user) ? scheme : null;
+};
+
+/**
+ * Prepares a scheme for a response. Moderators get it as it is; everyone
+ * else sees only whether its link works and when that was checked, not
+ * where the link leads or how it failed.
+ *
+ * @param {Object} scheme - Scheme document or plain object
+ * @param {Object|null} user - User document (needs `role`)
+ * @returns {Object} The scheme, or a plain copy with `linkHealth` trimmed
+ */
+schemeSchema.statics.forViewer = function (scheme, user) {
+  if (this.canModerate(user) || !scheme.linkHealth) return scheme;
+  const data = typeof scheme.toJSON === "function" ? scheme.toJSON() : { ...scheme };
+  const { status, checkedAt } = data.linkHealth;
+  data.linkHealth = { status, checkedAt };
+  return data;
+};
 
 export default mongoose.model("Scheme", schemeSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// What kind of write produced a revision
+export const REVISION_ACTIONS = [
+  "baseline", // State before the first tracked write, for schemes older than history
+  "create", "update", "import", "rollback", "merge",
+  "delete", "restore",
+  "approve", "reject", "request_changes",
+];
+
+// Longest note kept; as long as a moderator's reason (Scheme `reviewNote`)
+export const NOTE_MAX_LENGTH = 1000;
+
+// Snapshot of a scheme after one write. Revisions are never changed or removed.
+const schemeRevisionSchema = new mongoose.Schema({
+  scheme: { type: mongoose.Schema.Types.ObjectId, ref: "Scheme", required: true, immutable: true },
+  // 1, 2, 3 ... per scheme
+  number: { type: Number, required: true, min: 1, immutable: true },
+  action: { type: String, enum: REVISION_ACTIONS, required: true, immutable: true },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", immutable: true },
+  note: { type: String, maxlength: NOTE_MAX_LENGTH, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+schemeRevisionSchema.index({ scheme: 1, number: -1 }, { unique: true });
+
+const refuseChange = () => {
+  throw new Error("Scheme revisions cannot be changed or deleted");
+};
+
+schemeRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) refuseChange();
+  next();
+});
+schemeRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+    "deleteOne", "deleteMany", "findOneAndDelete"],
+  refuseChange,
+);
+schemeRevisionSchema.pre("deleteOne", { document: true, query: false }, refuseChange);
+
+export default mongoose.model("SchemeRevision", schemeRevisionSchema);
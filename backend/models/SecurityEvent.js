@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+/** Kinds of security event; admins review them on the Admin page */
+export const SECURITY_EVENT_TYPES = ["login_lockout"];
+
+const securityEventSchema = new mongoose.Schema({
+  type: { type: String, enum: SECURITY_EVENT_TYPES, required: true },
+  ip: String,
+  // Email as typed at login; `user` is set when it belongs to an account
+  email: String,
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Type-specific facts, e.g. `scope`, `failures` and `lockedForMs` of a lockout
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Events are kept for 90 days
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("SecurityEvent", securityEventSchema);
@@ -1,10 +1,39 @@
 import mongoose from "mongoose";
+import { STATE_CODES, EDUCATION_LEVELS, GENDERS, SOCIAL_CATEGORIES } from "./Scheme.js";
+
+// Answers from the eligibility questionnaire, reused as the default profile
+const profileSchema = new mongoose.Schema({
+  age: { type: Number, min: 0, max: 120 },
+  // When set, `age` is worked out from it at every check
+  dateOfBirth: Date,
+  state: { type: String, enum: STATE_CODES },
+  // Annual family income in rupees
+  income: { type: Number, min: 0 },
+  gender: { type: String, enum: GENDERS },
+  socialCategory: { type: String, enum: SOCIAL_CATEGORIES },
+  education: { type: String, enum: EDUCATION_LEVELS },
+  occupation: { type: String, trim: true, maxlength: 60 },
+  updatedAt: Date,
+}, { _id: false });
+
+/** Roles in increasing order of power; new accounts are users */
+export const ROLES = ["user", "moderator", "admin"];
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   interests: [{ type: String }],
+  role: { type: String, enum: ROLES, default: "user" },
+  // False until the address is confirmed. Unset on accounts created before
+  // verification existed, which count as verified.
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  profile: { type: profileSchema, default: undefined },
 });
 
+/** Matches emails regardless of case, for sign-in and account emails */
+export const EMAIL_COLLATION = { locale: "en", strength: 2 };
+userSchema.index({ email: 1 }, { name: "email_case_insensitive", collation: EMAIL_COLLATION });
+
 export default mongoose.model("User", userSchema);
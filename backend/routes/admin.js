@@ -0,0 +1,36 @@
+import express from "express";
+import auth, { requireRole } from "../middleware/auth.js";
+import { SECURITY_EVENT_TYPES } from "../models/SecurityEvent.js";
+import { listSecurityEvents } from "../services/securityEvents.js";
+
+const router = express.Router();
+
+const MAX_EVENTS = 200;
+
+/**
+ * GET /api/admin/security-events
+ * Recent security events (such as login lockouts), newest first
+ * Requires admin role
+ *
+ * @route GET /api/admin/security-events
+ * @access Private (admin)
+ * @param {string} [type] - Only events of this type
+ * @param {number} [limit=100] - Most events to return (up to 200)
+ * @returns {Object} `events`
+ */
+router.get("/security-events", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !SECURITY_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ msg: `Type must be one of ${SECURITY_EVENT_TYPES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_EVENTS);
+
+    res.json({ events: await listSecurityEvents({ type, limit }) });
+  } catch (err) {
+    console.error("Security events error:", err);
+    res.status(500).json({ msg: "An error occurred while fetching security events." });
+  }
+});
+
+export default router;
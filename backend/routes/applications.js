@@ -0,0 +1,124 @@
+/**
+ * Application Routes
+ *
+ * The signed-in user's application tracker: which schemes they are
+ * applying to, the stage each application is at, and when it reached every
+ * stage. Nothing is sent to the scheme's office; this is the user's own record.
+ *
+ * @module routes/applications
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import auth from "../middleware/auth.js";
+import Application, { APPLICATION_STATUSES } from "../models/Application.js";
+import Scheme, { SUMMARY_FIELDS } from "../models/Scheme.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/applications
+ * List the user's tracked applications, most recently moved first
+ * Protected route - requires authentication
+ *
+ * @route GET /api/applications
+ * @access Private
+ * @returns {Array} Applications with `scheme`, `status` and `history`
+ *   (`{ status, at }` oldest first)
+ */
+router.get("/", auth, async (req, res) => {
+  try {
+    const applications = await Application.find({ user: req.user })
+      .sort({ updatedAt: -1 })
+      .populate("scheme", SUMMARY_FIELDS)
+      .lean();
+    res.json(applications.filter((application) => application.scheme));
+  } catch (err) {
+    console.error("Application list error:", err);
+    res.status(500).json({ msg: "An error occurred while loading your applications." });
+  }
+});
+
+/**
+ * GET /api/applications/:schemeId
+ * Show the user's application to one scheme
+ * Protected route - requires authentication
+ *
+ * @route GET /api/applications/:schemeId
+ * @access Private
+ * @returns {Object} Application, or 404 when the scheme is not tracked
+ */
+router.get("/:schemeId", auth, async (req, res) => {
+  try {
+    const application = mongoose.Types.ObjectId.isValid(req.params.schemeId)
+      ? await Application.findOne({ user: req.user, scheme: req.params.schemeId }).lean()
+      : null;
+    if (!application) return res.status(404).json({ msg: "You are not tracking this scheme" });
+    res.json(application);
+  } catch (err) {
+    console.error("Application lookup error:", err);
+    res.status(500).json({ msg: "An error occurred while loading the application." });
+  }
+});
+
+/**
+ * PUT /api/applications/:schemeId
+ * Start tracking an application or move it to another status. Each change
+ * is added to `history` with its time.
+ * Protected route - requires authentication
+ *
+ * @route PUT /api/applications/:schemeId
+ * @access Private
+ * @param {string} status - interested, gathering_documents, applied, under_review, approved or rejected
+ * @returns {Object} Application with its `scheme`
+ */
+router.put("/:schemeId", auth, async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ msg: `Status must be one of ${APPLICATION_STATUSES.join(", ")}` });
+    }
+
+    let application = mongoose.Types.ObjectId.isValid(req.params.schemeId)
+      ? await Application.findOne({ user: req.user, scheme: req.params.schemeId })
+      : null;
+    // A scheme deleted after tracking started can still be moved along
+    if (!application) {
+      const scheme = await Scheme.findViewable(req.params.schemeId, req.user);
+      if (!scheme) return res.status(404).json({ msg: "Scheme not found" });
+      application = new Application({ user: req.user, scheme: scheme._id });
+    }
+
+    if (application.moveTo(status)) await application.save();
+    await application.populate("scheme", SUMMARY_FIELDS);
+    res.json(application);
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ msg: "You are already tracking this scheme" });
+    console.error("Application update error:", err);
+    res.status(500).json({ msg: "An error occurred while updating the application." });
+  }
+});
+
+/**
+ * DELETE /api/applications/:schemeId
+ * Stop tracking an application and forget its history
+ * Protected route - requires authentication
+ *
+ * @route DELETE /api/applications/:schemeId
+ * @access Private
+ * @returns {Object} `msg`
+ */
+router.delete("/:schemeId", auth, async (req, res) => {
+  try {
+    const { deletedCount } = mongoose.Types.ObjectId.isValid(req.params.schemeId)
+      ? await Application.deleteOne({ user: req.user, scheme: req.params.schemeId })
+      : { deletedCount: 0 };
+    if (!deletedCount) return res.status(404).json({ msg: "You are not tracking this scheme" });
+    res.json({ msg: "Application removed" });
+  } catch (err) {
+    console.error("Application delete error:", err);
+    res.status(500).json({ msg: "An error occurred while removing the application." });
+  }
+});
+
+export default router;
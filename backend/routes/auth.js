@@ -1,10 +1,157 @@
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import User from "../models/User.js";
+import User, { EMAIL_COLLATION } from "../models/User.js";
+import Bookmark from "../models/Bookmark.js";
+import Application from "../models/Application.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import RefreshToken from "../models/RefreshToken.js";
+import AccountToken from "../models/AccountToken.js";
+import auth from "../middleware/auth.js";
+import { normaliseProfile } from "../services/eligibility.js";
+import {
+  reserveLogin, releaseLogin, recordFailure, recordSuccess, checkMailRequest,
+} from "../services/loginThrottle/index.js";
+import { recordSecurityEvent } from "../services/securityEvents.js";
+import {
+  REFRESH_COOKIE, signAccessToken, issueRefreshToken, rotateRefreshToken, revokeSession,
+  revokeUserSessions, readCookie, refreshCookieOptions,
+} from "../services/authTokens.js";
+import { redeemAccountToken, sendVerificationEmail, sendPasswordResetEmail } from "../services/accountTokens.js";
 
 const router = express.Router();
 
+/** Same limits as the registration form */
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 50;
+const NAME_MIN_LENGTH = 2;
+const NAME_MAX_LENGTH = 50;
+const MAX_INTERESTS = 20;
+const INTEREST_MAX_LENGTH = 50;
+
+/** The only answer to a failed login, so it does not tell whether the email has an account */
+const INVALID_LOGIN_MSG = "Invalid email or password";
+
+/** Compared against when the email has no account, so both failures take as long */
+const DUMMY_PASSWORD_HASH = "$2b$10$ot2.bThY417ibQBHotQEMej/SuKTuKUtYacYud2yDgRVNMiFTvfrO";
+
+/** Answer to resend and forgot-password requests, whether or not the account exists */
+const MAIL_SENT_MSG = "If an account exists for that email, we have sent it a link.";
+
+/**
+ * Shapes a user for auth responses
+ * @param {Object} user - User document
+ * @returns {Object} Public user fields
+ */
+const toAuthUser = (user) => ({ id: user._id, name: user.name, email: user.email, role: user.role });
+
+/**
+ * Normalises an email from a request body
+ * @param {*} email - Raw value
+ * @returns {string} Trimmed and lowercased email, or "" when not a string
+ */
+const normaliseEmail = (email) => (typeof email === "string" ? email.trim().toLowerCase() : "");
+
+/**
+ * Finds the account for a normalised email; case is ignored so accounts
+ * registered with capitals still match
+ * @param {string} email - Result of normaliseEmail()
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserByEmail = (email) => User.findOne({ email }).collation(EMAIL_COLLATION);
+
+/**
+ * Sets the refresh token cookie
+ * @param {Object} res - Response
+ * @param {{token: string, expiresAt: Date}} refresh - Token from issueRefreshToken()
+ */
+const setRefreshCookie = (res, { token, expiresAt }) => {
+  res.cookie(REFRESH_COOKIE, token, refreshCookieOptions(expiresAt));
+};
+
+/**
+ * Formats a wait for the lockout message
+ * @param {number} ms - Wait
+ * @returns {string} E.g. "45 seconds" or "2 minutes"
+ */
+const describeWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+/**
+ * Answers a login attempt made during a lockout
+ * @param {Object} res - Response
+ * @param {number} retryAfterMs - Remaining lockout
+ * @returns {Object} Response
+ */
+const tooManyAttempts = (res, retryAfterMs, what = "failed login attempts") => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    msg: `Too many ${what}. Try again in ${describeWait(retryAfterMs)}.`,
+    retryAfter,
+  });
+};
+
+/**
+ * Checks a new password against the registration form's rules
+ * @param {*} password - Submitted password
+ * @returns {string|null} Error message, or null if acceptable
+ */
+const passwordError = (password) => {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) return `Password must not exceed ${PASSWORD_MAX_LENGTH} characters`;
+  return null;
+};
+
+/**
+ * Shapes the signed-in user's account for the Profile page
+ * @param {Object} user - User document
+ * @returns {Object} Account fields; `profile` has `age` worked out from `dateOfBirth`
+ */
+const toAccount = (user) => ({
+  ...toAuthUser(user),
+  interests: user.interests,
+  emailVerified: user.emailVerified !== false,
+  profile: user.profile ? normaliseProfile(user.profile.toObject()).profile : {},
+});
+
+/**
+ * Validates a list of interests: strings, trimmed, without duplicates
+ * @param {*} interests - Submitted value
+ * @returns {{interests?: string[], error?: string}} Clean list or the problem
+ */
+const normaliseInterests = (interests) => {
+  if (!Array.isArray(interests) || interests.some((interest) => typeof interest !== "string")) {
+    return { error: "Interests must be a list of strings" };
+  }
+  const clean = [...new Set(interests.map((interest) => interest.trim()).filter(Boolean))];
+  if (clean.length > MAX_INTERESTS) return { error: `You can list up to ${MAX_INTERESTS} interests` };
+  if (clean.some((interest) => interest.length > INTEREST_MAX_LENGTH)) {
+    return { error: `Each interest must not exceed ${INTEREST_MAX_LENGTH} characters` };
+  }
+  return { interests: clean };
+};
+
+/**
+ * Mails a link without failing the request; the user can ask again
+ * @param {Function} send - sendVerificationEmail or sendPasswordResetEmail
+ * @param {Object} user - Recipient
+ * @returns {Promise<void>}
+ */
+const mailQuietly = async (send, user) => {
+  try {
+    await send(user);
+  } catch (err) {
+    console.error("Mail delivery error:", err);
+  }
+};
+
 // REGISTER
 router.post("/register", async (req, res) => {
   try {
@@ -15,28 +162,379 @@ router.post("/register", async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const hash = await bcrypt.hash(password, salt);
 
-    const user = await User.create({ name, email, password: hash, interests });
-    res.json({ msg: "User registered successfully" });
+    const user = await User.create({ name, email, password: hash, interests, emailVerified: false });
+    await mailQuietly(sendVerificationEmail, user);
+    res.json({ msg: "User registered successfully. Check your email for a link to verify your address." });
   } catch (err) {
     res.status(500).json({ msg: err.message });
   }
 });
 
-// LOGIN
+/**
+ * POST /api/auth/login
+ * Sign in with email and password. Failures are counted per IP address
+ * and per account; past the limits the client is locked out for a growing
+ * time (429 with `retryAfter` seconds) and a security event is recorded.
+ * Public endpoint - no authentication required
+ *
+ * @route POST /api/auth/login
+ * @access Public
+ * @returns {Object} `token` (access token) and `user`; sets the refresh token cookie
+ */
 router.post("/login", async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ msg: "User not found" });
+    const { password } = req.body || {};
+    // One normalised email for the throttle, the lookup and the security record
+    const attempt = { ip: req.ip, email: normaliseEmail(req.body?.email) };
+
+    // Counted before the password check, so parallel guesses cannot all get through
+    const { retryAfterMs } = await reserveLogin(attempt);
+    if (retryAfterMs > 0) return tooManyAttempts(res, retryAfterMs);
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ msg: "Invalid credentials" });
+    let user;
+    let isMatch;
+    try {
+      user = attempt.email ? await findUserByEmail(attempt.email) : null;
+      isMatch = await bcrypt.compare(typeof password === "string" ? password : "", user?.password ?? DUMMY_PASSWORD_HASH);
+    } catch (err) {
+      await releaseLogin(attempt);
+      throw err;
+    }
+    if (!user || !isMatch) {
+      const failure = await recordFailure(attempt);
+      for (const lockout of failure.lockouts) {
+        await recordSecurityEvent({ type: "login_lockout", ip: req.ip, email: attempt.email, user: user?._id, details: lockout });
+      }
+      if (failure.retryAfterMs > 0) return tooManyAttempts(res, failure.retryAfterMs);
+      return res.status(400).json({ msg: INVALID_LOGIN_MSG });
+    }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email } });
+    await recordSuccess(attempt);
+    if (user.emailVerified === false) {
+      return res.status(403).json({ msg: "Please verify your email address before logging in", emailNotVerified: true });
+    }
+
+    setRefreshCookie(res, await issueRefreshToken(user._id, { userAgent: req.get("user-agent") }));
+    res.json({ token: signAccessToken(user), user: toAuthUser(user) });
   } catch (err) {
     res.status(500).json({ msg: err.message });
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange the refresh token cookie for a new access token and a new
+ * refresh token. Presenting a token that was already exchanged ends the
+ * session it belongs to.
+ * Public endpoint - authenticated by the httpOnly refresh token cookie
+ *
+ * @route POST /api/auth/refresh
+ * @access Public
+ * @returns {Object} `token` (access token) and `user`; 401 when the session is over
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(readCookie(req, REFRESH_COOKIE), { userAgent: req.get("user-agent") });
+    const user = result.userId ? await User.findById(result.userId).select("name email role") : null;
+    if (!user) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+      if (result.error === "reused") console.warn("Refresh token reuse detected; session revoked");
+      return res.status(401).json({ msg: "Session expired, please log in again" });
+    }
+
+    setRefreshCookie(res, result);
+    res.json({ token: signAccessToken(user), user: toAuthUser(user) });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ msg: "An error occurred while refreshing the session." });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session of the refresh token cookie and clear the cookie.
+ * Access tokens already issued stay valid until they expire (minutes).
+ * Public endpoint - succeeds even without a session
+ *
+ * @route POST /api/auth/logout
+ * @access Public
+ * @returns {Object} `msg`
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSession(readCookie(req, REFRESH_COOKIE));
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+    res.json({ msg: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ msg: "An error occurred while logging out." });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Confirm an email address with the token from the verification email.
+ * Public endpoint - the token is the proof
+ *
+ * @route POST /api/auth/verify
+ * @access Public
+ * @param {string} req.body.token - Token from the link
+ * @returns {Object} `msg`; 400 if the link is invalid, used or expired
+ */
+router.post("/verify", async (req, res) => {
+  try {
+    const record = await redeemAccountToken(req.body?.token, "verify_email");
+    if (!record) return res.status(400).json({ msg: "This verification link is invalid or has expired" });
+
+    await User.updateOne({ _id: record.user }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } });
+    res.json({ msg: "Email verified. You can now log in." });
+  } catch (err) {
+    console.error("Email verification error:", err);
+    res.status(500).json({ msg: "An error occurred while verifying your email." });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Mail a new verification link to an unverified account. The answer is
+ * the same whether or not the account exists.
+ * Requests are limited per IP address and per email (429 with `retryAfter`
+ * seconds past the limit), counted the same way for unknown emails.
+ * Public endpoint - no authentication required
+ *
+ * @route POST /api/auth/resend-verification
+ * @access Public
+ * @param {string} req.body.email - Account email
+ * @returns {Object} `msg`; 429 with `retryAfter` when too many emails were asked for
+ */
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const email = normaliseEmail(req.body?.email);
+    if (!email) return res.status(400).json({ msg: "Email is required" });
+    const { retryAfterMs } = await checkMailRequest({ ip: req.ip, email });
+    if (retryAfterMs > 0) return tooManyAttempts(res, retryAfterMs, "email requests");
+
+    const user = await findUserByEmail(email);
+    if (user && user.emailVerified === false) await mailQuietly(sendVerificationEmail, user);
+    res.json({ msg: MAIL_SENT_MSG });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ msg: "An error occurred while sending the email." });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Mail a password reset link. The answer is the same whether or not the
+ * account exists.
+ * Requests are limited per IP address and per email (429 with `retryAfter`
+ * seconds past the limit), counted the same way for unknown emails.
+ * Public endpoint - no authentication required
+ *
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ * @param {string} req.body.email - Account email
+ * @returns {Object} `msg`; 429 with `retryAfter` when too many emails were asked for
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const email = normaliseEmail(req.body?.email);
+    if (!email) return res.status(400).json({ msg: "Email is required" });
+    const { retryAfterMs } = await checkMailRequest({ ip: req.ip, email });
+    if (retryAfterMs > 0) return tooManyAttempts(res, retryAfterMs, "email requests");
+
+    const user = await findUserByEmail(email);
+    if (user) await mailQuietly(sendPasswordResetEmail, user);
+    res.json({ msg: MAIL_SENT_MSG });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ msg: "An error occurred while sending the email." });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from the reset email. Signs the
+ * account out everywhere, and counts as proof of the email address.
+ * Public endpoint - the token is the proof
+ *
+ * @route POST /api/auth/reset-password
+ * @access Public
+ * @param {string} req.body.token - Token from the link
+ * @param {string} req.body.password - New password
+ * @returns {Object} `msg`; 400 if the password is unacceptable or the link invalid, used or expired
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    // Checked first so a rejected password does not use up the link
+    const invalid = passwordError(password);
+    if (invalid) return res.status(400).json({ msg: invalid });
+
+    const record = await redeemAccountToken(token, "reset_password");
+    if (!record) return res.status(400).json({ msg: "This reset link is invalid or has expired" });
+
+    const hash = await bcrypt.hash(password, await bcrypt.genSalt(10));
+    const user = await User.findById(record.user);
+    if (!user) return res.status(400).json({ msg: "This reset link is invalid or has expired" });
+
+    user.password = hash;
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeUserSessions(user._id);
+    res.json({ msg: "Password changed. You can now log in with your new password." });
+  } catch (err) {
+    console.error("Password reset error:", err);
+    res.status(500).json({ msg: "An error occurred while resetting your password." });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user's account and saved profile
+ * Requires authentication
+ *
+ * @route GET /api/auth/me
+ * @access Private
+ * @returns {Object} `id`, `name`, `email`, `role`, `interests`, `emailVerified` and `profile`
+ */
+router.get("/me", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user).select("-password");
+    if (!user) return res.status(404).json({ msg: "Account not found" });
+    res.json(toAccount(user));
+  } catch (err) {
+    console.error("Fetch account error:", err);
+    res.status(500).json({ msg: "An error occurred while fetching your account." });
+  }
+});
+
+/**
+ * PATCH /api/auth/me
+ * Update the signed-in user's name, interests or profile. Fields left out
+ * are unchanged; a `profile` replaces the saved one (the same profile the
+ * eligibility checker uses).
+ * Requires authentication
+ *
+ * @route PATCH /api/auth/me
+ * @access Private
+ * @param {string} [req.body.name] - Full name
+ * @param {string[]} [req.body.interests] - Interests
+ * @param {Object} [req.body.profile] - `dateOfBirth` or `age`, `state`, `income`, `gender`,
+ *   `socialCategory`, `education`, `occupation`
+ * @returns {Object} Updated account, as from GET /me
+ */
+router.patch("/me", auth, async (req, res) => {
+  try {
+    const { name, interests, profile } = req.body || {};
+    const update = {};
+
+    if (name !== undefined) {
+      const trimmed = typeof name === "string" ? name.trim() : "";
+      if (trimmed.length < NAME_MIN_LENGTH || trimmed.length > NAME_MAX_LENGTH) {
+        return res.status(400).json({ msg: `Name must be ${NAME_MIN_LENGTH} to ${NAME_MAX_LENGTH} characters` });
+      }
+      update.name = trimmed;
+    }
+    if (interests !== undefined) {
+      const result = normaliseInterests(interests);
+      if (result.error) return res.status(400).json({ msg: result.error });
+      update.interests = result.interests;
+    }
+    if (profile !== undefined) {
+      const result = normaliseProfile(profile ?? {});
+      if (result.error) return res.status(400).json({ msg: result.error });
+      update.profile = { ...result.profile, updatedAt: new Date() };
+    }
+
+    const user = await User.findByIdAndUpdate(req.user, { $set: update }, { new: true, runValidators: true })
+      .select("-password");
+    if (!user) return res.status(404).json({ msg: "Account not found" });
+    res.json(toAccount(user));
+  } catch (err) {
+    console.error("Update account error:", err);
+    res.status(500).json({ msg: "An error occurred while updating your account." });
+  }
+});
+
+/**
+ * POST /api/auth/me/password
+ * Change the signed-in user's password. Every other session is signed
+ * out; this one gets a new refresh token.
+ * Requires authentication
+ *
+ * @route POST /api/auth/me/password
+ * @access Private
+ * @param {string} req.body.currentPassword - Password now
+ * @param {string} req.body.newPassword - Password to set
+ * @returns {Object} `msg`; 400 if the current password is wrong or the new one unacceptable
+ */
+router.post("/me/password", auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const invalid = passwordError(newPassword);
+    if (invalid) return res.status(400).json({ msg: invalid });
+
+    const user = await User.findById(req.user);
+    if (!user) return res.status(404).json({ msg: "Account not found" });
+    if (typeof currentPassword !== "string" || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ msg: "Current password is incorrect" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+    await user.save();
+    await revokeUserSessions(user._id);
+    setRefreshCookie(res, await issueRefreshToken(user._id, { userAgent: req.get("user-agent") }));
+    res.json({ msg: "Password changed. Other devices have been signed out." });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ msg: "An error occurred while changing your password." });
+  }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Delete the signed-in user's account with their bookmarks, application
+ * tracker, chat history and sessions. Schemes they added stay listed.
+ * The last admin cannot delete their account.
+ * Requires authentication
+ *
+ * @route DELETE /api/auth/me
+ * @access Private
+ * @param {string} req.body.password - Current password, as confirmation
+ * @returns {Object} `msg`
+ */
+router.delete("/me", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user);
+    if (!user) return res.status(404).json({ msg: "Account not found" });
+    const { password } = req.body || {};
+    if (typeof password !== "string" || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ msg: "Password is incorrect" });
+    }
+    if (user.role === "admin" && (await User.countDocuments({ role: "admin" })) <= 1) {
+      return res.status(400).json({ msg: "You are the only admin. Make another user an admin first." });
+    }
+
+    await Promise.all([
+      Bookmark.deleteMany({ user: user._id }),
+      Application.deleteMany({ user: user._id }),
+      Message.deleteMany({ user: user._id }),
+      Conversation.deleteMany({ user: user._id }),
+      RefreshToken.deleteMany({ user: user._id }),
+      AccountToken.deleteMany({ user: user._id }),
+    ]);
+    await user.deleteOne();
+
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+    res.json({ msg: "Your account has been deleted" });
+  } catch (err) {
+    console.error("Delete account error:", err);
+    res.status(500).json({ msg: "An error occurred while deleting your account." });
+  }
+});
+
 export default router;
@@ -0,0 +1,130 @@
+/**
+ * Bookmark Routes
+ *
+ * Schemes the signed-in user saved, each with an optional private note.
+ * A scheme is bookmarked at most once per user; saving it again updates
+ * the note.
+ *
+ * @module routes/bookmarks
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import auth from "../middleware/auth.js";
+import Bookmark, { MAX_NOTE_LENGTH } from "../models/Bookmark.js";
+import Scheme, { SUMMARY_FIELDS } from "../models/Scheme.js";
+import { validationMessage } from "../services/schemeValidation.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/bookmarks
+ * List the user's bookmarks, newest first
+ * Protected route - requires authentication
+ *
+ * @route GET /api/bookmarks
+ * @access Private
+ * @returns {Array} Bookmarks with `scheme` (title, category, benefit, dates, link;
+ *   `deletedAt` is set when the scheme was deleted since), `note`, `createdAt`, `updatedAt`
+ */
+router.get("/", auth, async (req, res) => {
+  try {
+    const bookmarks = await Bookmark.find({ user: req.user })
+      .sort({ createdAt: -1 })
+      .populate("scheme", SUMMARY_FIELDS)
+      .lean();
+    res.json(bookmarks.filter((bookmark) => bookmark.scheme));
+  } catch (err) {
+    console.error("Bookmark list error:", err);
+    res.status(500).json({ msg: "An error occurred while loading your saved schemes." });
+  }
+});
+
+/**
+ * GET /api/bookmarks/:schemeId
+ * Show the user's bookmark of one scheme
+ * Protected route - requires authentication
+ *
+ * @route GET /api/bookmarks/:schemeId
+ * @access Private
+ * @returns {Object} Bookmark, or 404 when the scheme is not bookmarked
+ */
+router.get("/:schemeId", auth, async (req, res) => {
+  try {
+    const bookmark = mongoose.Types.ObjectId.isValid(req.params.schemeId)
+      ? await Bookmark.findOne({ user: req.user, scheme: req.params.schemeId }).lean()
+      : null;
+    if (!bookmark) return res.status(404).json({ msg: "Scheme is not bookmarked" });
+    res.json(bookmark);
+  } catch (err) {
+    console.error("Bookmark lookup error:", err);
+    res.status(500).json({ msg: "An error occurred while loading the bookmark." });
+  }
+});
+
+/**
+ * PUT /api/bookmarks/:schemeId
+ * Bookmark a scheme, or change the note of an existing bookmark
+ * Protected route - requires authentication
+ *
+ * @route PUT /api/bookmarks/:schemeId
+ * @access Private
+ * @param {string} [note] - Private note; an empty string removes it, leaving it out keeps it
+ * @returns {Object} Bookmark with its `scheme`
+ */
+router.put("/:schemeId", auth, async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    if (note !== undefined && typeof note !== "string") {
+      return res.status(400).json({ msg: "Note must be a string" });
+    }
+    if (note !== undefined && note.trim().length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ msg: `Note must not exceed ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    const scheme = await Scheme.findViewable(req.params.schemeId, req.user);
+    if (!scheme) return res.status(404).json({ msg: "Scheme not found" });
+
+    const update = { $setOnInsert: { createdAt: new Date() } };
+    if (note !== undefined) {
+      update.$set = { updatedAt: new Date() };
+      if (note.trim()) update.$set.note = note.trim();
+      else update.$unset = { note: 1 };
+    }
+    const bookmark = await Bookmark.findOneAndUpdate({ user: req.user, scheme: scheme._id }, update, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+    }).populate("scheme", SUMMARY_FIELDS);
+    res.json(bookmark);
+  } catch (err) {
+    const message = validationMessage(err);
+    if (message) return res.status(400).json({ msg: message });
+    console.error("Bookmark save error:", err);
+    res.status(500).json({ msg: "An error occurred while saving the bookmark." });
+  }
+});
+
+/**
+ * DELETE /api/bookmarks/:schemeId
+ * Remove a bookmark and its note
+ * Protected route - requires authentication
+ *
+ * @route DELETE /api/bookmarks/:schemeId
+ * @access Private
+ * @returns {Object} `msg`
+ */
+router.delete("/:schemeId", auth, async (req, res) => {
+  try {
+    const { deletedCount } = mongoose.Types.ObjectId.isValid(req.params.schemeId)
+      ? await Bookmark.deleteOne({ user: req.user, scheme: req.params.schemeId })
+      : { deletedCount: 0 };
+    if (!deletedCount) return res.status(404).json({ msg: "Scheme is not bookmarked" });
+    res.json({ msg: "Bookmark removed" });
+  } catch (err) {
+    console.error("Bookmark delete error:", err);
+    res.status(500).json({ msg: "An error occurred while removing the bookmark." });
+  }
+});
+
+export default router;
@@ -9,10 +9,153 @@
  */
 
 import express from "express";
+import mongoose from "mongoose";
 import auth from "../middleware/auth.js";
+import Conversation, { DEFAULT_TITLE } from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import { generateReply, streamReply } from "../services/chatEngine.js";
+import { detectLanguage } from "../services/nlu/language.js";
+import {
+  EXPORT_FORMATS,
+  buildTranscript,
+  isValidTimeZone,
+  toJSON,
+  toMarkdown,
+  transcriptFileName,
+  writePdf,
+} from "../services/transcript.js";
 
 const router = express.Router();
 
+const MAX_HISTORY_LIMIT = 100;
+
+// Earlier turns passed to the LLM provider as context
+const CONTEXT_TURNS = 6;
+
+/**
+ * Validates the message in a chat request body
+ * @param {*} message - Value of req.body.message
+ * @returns {boolean} True if the message is a non-empty string
+ */
+const isValidMessage = (message) =>
+  typeof message === "string" && message.trim().length > 0;
+
+/**
+ * Finds the conversation a message is sent to: the requested one, or the
+ * user's most recently active conversation when none is given
+ *
+ * @param {string} userId - Authenticated user ID
+ * @param {string} [conversationId] - Requested conversation
+ * @returns {Promise<Object|null>} Conversation document, or null if the
+ *   requested conversation does not exist or belongs to someone else
+ */
+const resolveConversation = (userId, conversationId) =>
+  conversationId
+    ? Conversation.findOwned(conversationId, userId)
+    : Conversation.findOrCreateActive(userId);
+
+/**
+ * Stores the user's turn and loads the context the engine needs. The first
+ * message names an untitled conversation, writing to an archived
+ * conversation brings it back to the active list, and the message's
+ * language becomes the conversation's reply language.
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {string} userId - Authenticated user ID
+ * @param {string} text - Trimmed user message
+ * @returns {Promise<{history: Array<Object>, userMessage: Object, language: string}>}
+ *   Earlier turns (oldest first), the saved message and its language
+ */
+const startTurn = async (conversation, userId, text) => {
+  const history = await Message.find({ conversation: conversation._id })
+    .sort({ _id: -1 })
+    .limit(CONTEXT_TURNS)
+    .lean();
+
+  const { language } = detectLanguage(text, conversation.language);
+  const userMessage = await Message.create({
+    conversation: conversation._id,
+    user: userId,
+    role: "user",
+    text: text,
+    language,
+  });
+
+  if (history.length === 0 && conversation.title === DEFAULT_TITLE) {
+    conversation.title = Conversation.titleFrom(text);
+  }
+  conversation.archived = false;
+  conversation.language = language;
+  if (conversation.isModified()) await conversation.save();
+
+  return { history: history.reverse(), userMessage, language };
+};
+
+/**
+ * Reads the stored dialogue state of a conversation as a plain object
+ * @param {Object} conversation - Conversation document
+ * @returns {Object} Dialogue state for the chat engine
+ */
+const dialogueState = (conversation) =>
+  conversation.dialogue?.toObject({ flattenMaps: true }) || {};
+
+/**
+ * Stores the bot's turn, the updated dialogue state and the conversation's
+ * activity time
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} reply - Result of generateReply() / streamReply()
+ * @returns {Promise<Object>} Saved bot message
+ */
+const saveBotTurn = async (conversation, userId, reply) => {
+  const botMessage = await Message.create({
+    conversation: conversation._id,
+    user: userId,
+    role: "bot",
+    text: reply.text,
+    language: reply.language,
+    intent: reply.intent,
+    confidence: reply.confidence,
+    provider: reply.provider,
+    sources: reply.sources.map((source) => ({
+      scheme: source.id,
+      title: source.title,
+      category: source.category,
+      url: source.url,
+    })),
+  });
+  conversation.dialogue = reply.dialogue;
+  conversation.lastMessageAt = botMessage.createdAt;
+  await conversation.save();
+  return botMessage;
+};
+
+/**
+ * Reply metadata shared by the JSON and streaming endpoints
+ * @param {Object} reply - Result of generateReply() / streamReply()
+ * @returns {Object} Reply language, intent, sources, dialogue state and provider details
+ */
+const replyMetadata = (reply) => ({
+  language: reply.language,
+  intent: reply.intent,
+  confidence: Number(reply.confidence.toFixed(3)),
+  alternatives: reply.alternatives.map((alt) => ({
+    intent: alt.intent,
+    confidence: Number(alt.confidence.toFixed(3)),
+  })),
+  sources: reply.sources.map(({ id, title, category, url }) => ({ id, title, category, url })),
+  dialogue: {
+    activeIntent: reply.dialogue.activeIntent,
+    awaitingSlot: reply.dialogue.awaitingSlot,
+    slots: reply.dialogue.slots,
+  },
+  provider: reply.provider,
+  fallback: reply.fallback,
+  timing: reply.timing,
+});
+
 /**
  * POST /api/chat
  * Send a message to the chatbot
@@ -21,88 +164,51 @@ const router = express.Router();
  * @route POST /api/chat
  * @access Private
  * @param {string} message - User's message/query
+ * @param {string} [conversationId] - Conversation to post to; defaults to the most recent one
  * @param {string} [userId] - Optional user ID for personalization
- * @returns {Object} Chatbot response
+ * @returns {Object} Chatbot response with the reply `language`, the detected
+ *   intent, confidence, matching schemes as `sources`, the slot-filling
+ *   `dialogue` state and the provider that wrote the reply
  */
 router.post("/", auth, async (req, res) => {
   try {
-    const { message, userId } = req.body;
+    const { message, userId, conversationId } = req.body;
 
     // Validate input
-    if (!message || typeof message !== "string" || message.trim().length === 0) {
+    if (!isValidMessage(message)) {
       return res.status(400).json({ 
         msg: "Message is required and must be a non-empty string" 
       });
     }
 
-    const userMessage = message.trim().toLowerCase();
+    const userMessage = message.trim();
     const user = userId || req.user;
 
-    // Basic keyword-based response system
-    // In production, this would be replaced with an actual NLP/AI service
-    let response = "";
-
-    // Government schemes queries
-    if (
-      userMessage.includes("scheme") ||
-      userMessage.includes("government") ||
-      userMessage.includes("schemes")
-    ) {
-      response = "I can help you find information about government schemes! You can browse all available schemes on the Schemes page. Would you like to search for a specific type of scheme? I can provide information about financial aid, health schemes, educational schemes, and more.";
-    }
-    // Scholarship queries
-    else if (
-      userMessage.includes("scholarship") ||
-      userMessage.includes("scholarships") ||
-      userMessage.includes("financial aid")
-    ) {
-      response = "I can help you find scholarship opportunities! VoxAi provides information about various scholarships available for students. Would you like information about merit-based scholarships, need-based scholarships, or scholarships for specific fields of study?";
-    }
-    // Job queries
-    else if (
-      userMessage.includes("job") ||
-      userMessage.includes("jobs") ||
-      userMessage.includes("career") ||
-      userMessage.includes("employment")
-    ) {
-      response = "I can assist you with job opportunities and career guidance! Would you like information about government job openings, private sector opportunities, or career development resources?";
-    }
-    // Education/course queries
-    else if (
-      userMessage.includes("course") ||
-      userMessage.includes("education") ||
-      userMessage.includes("learn") ||
-      userMessage.includes("skill")
-    ) {
-      response = "I can help you find educational resources and skill development courses! Would you like information about online courses, certification programs, or skill development initiatives?";
-    }
-    // Greeting queries
-    else if (
-      userMessage.includes("hello") ||
-      userMessage.includes("hi") ||
-      userMessage.includes("hey") ||
-      userMessage.startsWith("hii")
-    ) {
-      response = "Hello! I'm VoxAi, your AI-powered assistant. I can help you find information about government schemes, scholarships, job opportunities, and educational resources. How can I assist you today?";
-    }
-    // Help queries
-    else if (
-      userMessage.includes("help") ||
-      userMessage.includes("what can you do") ||
-      userMessage.includes("capabilities")
-    ) {
-      response = "I'm VoxAi, an AI-powered information assistant. I can help you with:\n\n• Information about government schemes and programs\n• Scholarship opportunities and financial aid\n• Job openings and career guidance\n• Educational resources and skill development courses\n• Personalized recommendations based on your interests\n\nWhat would you like to know more about?";
-    }
-    // Default response
-    else {
-      response = "Thank you for your query! I'm here to help you with information about government schemes, scholarships, job opportunities, and educational resources. Could you please provide more details about what you're looking for? For example, you can ask about:\n\n• 'Show me government schemes'\n• 'Find scholarships for students'\n• 'Job opportunities in [field]'\n• 'Educational courses for [subject]'";
+    const conversation = await resolveConversation(req.user, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ msg: "Conversation not found" });
     }
 
+    const { history, userMessage: savedUserMessage, language } = await startTurn(conversation, req.user, userMessage);
+
+    // Intent classification, scheme retrieval and LLM/rule reply (see services/chatEngine)
+    const reply = await generateReply({
+      message: userMessage,
+      history,
+      dialogue: dialogueState(conversation),
+      language,
+    });
+    const savedBotMessage = await saveBotTurn(conversation, req.user, reply);
+
     // Return response
     res.json({
-      message: response,
-      timestamp: new Date().toISOString(),
+      message: reply.text,
+      timestamp: savedBotMessage.createdAt.toISOString(),
       user: user,
+      conversationId: conversation._id,
+      userMessageId: savedUserMessage._id,
+      messageId: savedBotMessage._id,
+      ...replyMetadata(reply),
     });
   } catch (err) {
     console.error("Chat error:", err);
@@ -112,26 +218,158 @@ router.post("/", auth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/chat/stream
+ * Send a message to the chatbot and stream the reply as Server-Sent Events
+ * Protected route - requires authentication
+ * 
+ * Events:
+ * - `start`: `{ conversationId, userMessageId, language }` once the user turn is saved
+ * - `chunk`: `{ text }` for each piece of the reply
+ * - `done`: `{ messageId, timestamp, language, intent, confidence, alternatives,
+ *   sources, dialogue, provider, fallback, timing, incomplete? }` after the reply is saved
+ * - `error`: `{ msg }` if the reply could not be produced
+ * 
+ * Closing the connection cancels generation; any partial reply is still saved.
+ * 
+ * @route POST /api/chat/stream
+ * @access Private
+ * @param {string} message - User's message/query
+ * @param {string} [conversationId] - Conversation to post to; defaults to the most recent one
+ */
+router.post("/stream", auth, async (req, res) => {
+  const { message, conversationId } = req.body;
+
+  if (!isValidMessage(message)) {
+    return res.status(400).json({ 
+      msg: "Message is required and must be a non-empty string" 
+    });
+  }
+
+  let conversation;
+  try {
+    conversation = await resolveConversation(req.user, conversationId);
+  } catch (err) {
+    console.error("Chat stream error:", err);
+    return res.status(500).json({ 
+      msg: "An error occurred while processing your message. Please try again." 
+    });
+  }
+  if (!conversation) {
+    return res.status(404).json({ msg: "Conversation not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop generating as soon as the client goes away (e.g. the stop button)
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const userMessage = message.trim();
+    const { history, userMessage: savedUserMessage, language } = await startTurn(conversation, req.user, userMessage);
+    send("start", { conversationId: conversation._id, userMessageId: savedUserMessage._id, language });
+
+    const reply = await streamReply({
+      message: userMessage,
+      history,
+      dialogue: dialogueState(conversation),
+      language,
+      signal: controller.signal,
+      onChunk: (text) => send("chunk", { text }),
+    });
+
+    if (!reply.text) {
+      // Cancelled before any text was produced: nothing worth storing
+      return res.end();
+    }
+
+    const savedBotMessage = await saveBotTurn(conversation, req.user, reply);
+    send("done", {
+      messageId: savedBotMessage._id,
+      timestamp: savedBotMessage.createdAt.toISOString(),
+      ...replyMetadata(reply),
+      ...(reply.incomplete && { incomplete: true }),
+    });
+    res.end();
+  } catch (err) {
+    console.error("Chat stream error:", err);
+    send("error", { msg: "An error occurred while processing your message. Please try again." });
+    res.end();
+  }
+});
+
 /**
  * GET /api/chat/history
- * Get chat history for the authenticated user
+ * Get chat history for the authenticated user, across all conversations
+ * or for a single one
  * Protected route - requires authentication
  * 
+ * Messages are paged newest-first using the `before` cursor and returned
+ * in chronological order so the client can prepend a page as-is.
+ * 
  * @route GET /api/chat/history
  * @access Private
- * @param {number} [limit=50] - Maximum number of messages to retrieve
- * @returns {Array} Array of chat messages
+ * @param {number} [limit=50] - Maximum number of messages to retrieve (max 100)
+ * @param {string} [before] - Cursor: only return messages older than this message ID
+ * @param {string} [conversationId] - Only return messages of this conversation
+ * @returns {Object} Messages page with `nextCursor` and `hasMore`
  */
 router.get("/history", auth, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    
-    // In production, this would fetch from a database
-    // For now, return empty array as history is not persisted
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_HISTORY_LIMIT);
+    const { before, conversationId } = req.query;
+
+    const filter = { user: req.user };
+    if (conversationId) {
+      const conversation = await Conversation.findOwned(conversationId, req.user);
+      if (!conversation) {
+        return res.status(404).json({ msg: "Conversation not found" });
+      }
+      filter.conversation = conversation._id;
+    }
+    if (before) {
+      if (!mongoose.Types.ObjectId.isValid(before)) {
+        return res.status(400).json({ msg: "Invalid history cursor" });
+      }
+      filter._id = { $lt: before };
+    }
+
+    // Fetch one extra document to know whether an older page exists
+    const docs = await Message.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+    const hasMore = docs.length > limit;
+    const page = docs.slice(0, limit).reverse();
+
     res.json({
-      messages: [],
+      messages: page.map((doc) => ({
+        id: doc._id,
+        conversationId: doc.conversation,
+        role: doc.role,
+        text: doc.text,
+        language: doc.language || "en",
+        sources: (doc.sources || []).map((source) => ({
+          id: source.scheme,
+          title: source.title,
+          category: source.category,
+          url: source.url,
+        })),
+        timestamp: doc.createdAt,
+      })),
       limit: limit,
-      message: "Chat history feature coming soon. Messages are currently not persisted."
+      hasMore: hasMore,
+      nextCursor: hasMore ? page[0]._id : null,
     });
   } catch (err) {
     console.error("Chat history error:", err);
@@ -141,5 +379,101 @@ router.get("/history", auth, async (req, res) => {
   }
 });
 
-export default router;
+/**
+ * GET /api/chat/export
+ * Download a conversation transcript with timestamps and cited scheme links
+ * Protected route - requires authentication
+ * 
+ * @route GET /api/chat/export
+ * @access Private
+ * @param {string} conversationId - Conversation to export
+ * @param {string} [format=markdown] - `markdown`, `json` or `pdf`
+ * @param {string} [timeZone=UTC] - IANA time zone for displayed times, e.g. Asia/Kolkata
+ * @returns {File} Transcript as an attachment
+ */
+router.get("/export", auth, async (req, res) => {
+  try {
+    const { conversationId, format = "markdown", timeZone = "UTC" } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ 
+        msg: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` 
+      });
+    }
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ msg: "Invalid time zone" });
+    }
+    if (!conversationId) {
+      return res.status(400).json({ msg: "conversationId is required" });
+    }
+
+    const conversation = await Conversation.findOwned(conversationId, req.user);
+    if (!conversation) {
+      return res.status(404).json({ msg: "Conversation not found" });
+    }
+
+    const [messages, user] = await Promise.all([
+      Message.find({ conversation: conversation._id }).sort({ _id: 1 }).lean(),
+      User.findById(req.user).select("name").lean(),
+    ]);
+    const transcript = buildTranscript(conversation, messages, { userName: user?.name, timeZone });
 
+    res.attachment(transcriptFileName(conversation, format));
+    res.set("Access-Control-Expose-Headers", "Content-Disposition");
+    res.type(EXPORT_FORMATS[format].contentType);
+
+    if (format === "pdf") {
+      writePdf(transcript, res);
+    } else {
+      res.send(format === "json" ? toJSON(transcript) : toMarkdown(transcript));
+    }
+  } catch (err) {
+    console.error("Chat export error:", err);
+    res.status(500).json({ 
+      msg: "An error occurred while exporting the conversation." 
+    });
+  }
+});
+
+/**
+ * DELETE /api/chat/history
+ * Permanently delete the authenticated user's stored chat history
+ * Protected route - requires authentication
+ * 
+ * With `conversationId` only that conversation's messages are deleted and
+ * the conversation itself is kept, with its dialogue state reset.
+ * 
+ * @route DELETE /api/chat/history
+ * @access Private
+ * @param {string} [conversationId] - Only clear this conversation
+ * @returns {Object} Number of deleted messages
+ */
+router.delete("/history", auth, async (req, res) => {
+  try {
+    const { conversationId } = req.query;
+
+    if (conversationId) {
+      const conversation = await Conversation.findOwned(conversationId, req.user);
+      if (!conversation) {
+        return res.status(404).json({ msg: "Conversation not found" });
+      }
+
+      const { deletedCount } = await Message.deleteMany({ conversation: conversation._id });
+      conversation.dialogue = {};
+      await conversation.save();
+      return res.json({ msg: "Conversation cleared", deleted: deletedCount });
+    }
+
+    const { deletedCount } = await Message.deleteMany({ user: req.user });
+    await Conversation.deleteMany({ user: req.user });
+
+    res.json({ msg: "Chat history cleared", deleted: deletedCount });
+  } catch (err) {
+    console.error("Chat history delete error:", err);
+    res.status(500).json({ 
+      msg: "An error occurred while clearing chat history." 
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,175 @@
+/**
+ * Conversation Routes
+ *
+ * Manages the user's chat threads: create, list, rename, archive and delete.
+ * Messages themselves are sent and read through the chat routes.
+ *
+ * @module routes/conversations
+ */
+
+import express from "express";
+import auth from "../middleware/auth.js";
+import Conversation, { MAX_TITLE_LENGTH } from "../models/Conversation.js";
+import Message from "../models/Message.js";
+
+const router = express.Router();
+
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Shapes a conversation document for API responses
+ * @param {Object} conversation - Conversation document
+ * @returns {Object} Public conversation fields
+ */
+const toConversation = (conversation) => ({
+  id: conversation._id,
+  title: conversation.title,
+  archived: conversation.archived,
+  lastMessageAt: conversation.lastMessageAt,
+  createdAt: conversation.createdAt,
+});
+
+/**
+ * Validates an optional title from a request body
+ * @param {*} title - Value of req.body.title
+ * @returns {string|null} Error message, or null if the title is acceptable
+ */
+const validateTitle = (title) => {
+  if (typeof title !== "string" || !title.trim()) {
+    return "Title must be a non-empty string";
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return `Title must not exceed ${MAX_TITLE_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * GET /api/conversations
+ * List the authenticated user's conversations, most recently active first
+ * Protected route - requires authentication
+ *
+ * @route GET /api/conversations
+ * @access Private
+ * @param {boolean} [archived=false] - List archived conversations instead of active ones
+ * @param {number} [limit=50] - Maximum number of conversations (max 100)
+ * @returns {Object} `conversations` array
+ */
+router.get("/", auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_LIST_LIMIT);
+    const archived = req.query.archived === "true";
+
+    const conversations = await Conversation.find({ user: req.user, archived })
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ conversations: conversations.map(toConversation) });
+  } catch (err) {
+    console.error("Conversation list error:", err);
+    res.status(500).json({ msg: "An error occurred while retrieving conversations." });
+  }
+});
+
+/**
+ * POST /api/conversations
+ * Start a new conversation
+ * Protected route - requires authentication
+ *
+ * Without a title the conversation is named after its first message.
+ *
+ * @route POST /api/conversations
+ * @access Private
+ * @param {string} [title] - Conversation title
+ * @returns {Object} Created conversation
+ */
+router.post("/", auth, async (req, res) => {
+  try {
+    const { title } = req.body;
+    if (title !== undefined) {
+      const error = validateTitle(title);
+      if (error) return res.status(400).json({ msg: error });
+    }
+
+    const conversation = await Conversation.create({
+      user: req.user,
+      ...(title !== undefined && { title: title.trim() }),
+    });
+
+    res.status(201).json(toConversation(conversation));
+  } catch (err) {
+    console.error("Conversation create error:", err);
+    res.status(500).json({ msg: "An error occurred while creating the conversation." });
+  }
+});
+
+/**
+ * PATCH /api/conversations/:id
+ * Rename, archive or unarchive a conversation
+ * Protected route - requires authentication
+ *
+ * @route PATCH /api/conversations/:id
+ * @access Private
+ * @param {string} [title] - New title
+ * @param {boolean} [archived] - Archive state
+ * @returns {Object} Updated conversation
+ */
+router.patch("/:id", auth, async (req, res) => {
+  try {
+    const { title, archived } = req.body;
+
+    if (title === undefined && archived === undefined) {
+      return res.status(400).json({ msg: "Nothing to update: provide a title or archived flag" });
+    }
+    if (title !== undefined) {
+      const error = validateTitle(title);
+      if (error) return res.status(400).json({ msg: error });
+    }
+    if (archived !== undefined && typeof archived !== "boolean") {
+      return res.status(400).json({ msg: "Archived must be true or false" });
+    }
+
+    const conversation = await Conversation.findOwned(req.params.id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ msg: "Conversation not found" });
+    }
+
+    if (title !== undefined) conversation.title = title.trim();
+    if (archived !== undefined) conversation.archived = archived;
+    await conversation.save();
+
+    res.json(toConversation(conversation));
+  } catch (err) {
+    console.error("Conversation update error:", err);
+    res.status(500).json({ msg: "An error occurred while updating the conversation." });
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Permanently delete a conversation and its messages
+ * Protected route - requires authentication
+ *
+ * @route DELETE /api/conversations/:id
+ * @access Private
+ * @returns {Object} Number of deleted messages
+ */
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOwned(req.params.id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ msg: "Conversation not found" });
+    }
+
+    const { deletedCount } = await Message.deleteMany({ conversation: conversation._id });
+    await conversation.deleteOne();
+
+    res.json({ msg: "Conversation deleted", deleted: deletedCount });
+  } catch (err) {
+    console.error("Conversation delete error:", err);
+    res.status(500).json({ msg: "An error occurred while deleting the conversation." });
+  }
+});
+
+export default router;
@@ -1,27 +1,842 @@
+/**
+ * Scheme Routes
+ *
+ * Public listing and lookup of government schemes, plus create, edit,
+ * delete and restore for signed-in users. A scheme can only be changed by
+ * the user who added it or by an admin. Deleting is a soft delete: the
+ * scheme disappears from listings and chat answers until it is restored.
+ *
+ * Schemes submitted by regular users start as `pending` and stay out of
+ * public listings until a moderator approves them. Moderators can also
+ * reject a submission or send it back for changes, with a reason the
+ * submitter sees; editing a submission sends it back to the queue.
+ *
+ * New schemes are checked against existing ones for likely duplicates;
+ * admins can merge duplicates into the scheme they keep.
+ *
+ * Every change to a scheme is stored as a revision. The creator, admins and
+ * moderators can list revisions, compare two of them field by field and
+ * roll back to an earlier one.
+ *
+ * @module routes/schemes
+ */
+
 import express from "express";
-import Scheme from "../models/Scheme.js";
-import auth from "../middleware/auth.js";
+import mongoose from "mongoose";
+import Scheme, { PUBLIC_FILTER, STATUSES, MODERATOR_ROLES } from "../models/Scheme.js";
+import User from "../models/User.js";
+import auth, { optionalAuth, requireRole } from "../middleware/auth.js";
+import { normaliseProfile, checkEligibility, ageOn } from "../services/eligibility.js";
+import { parseSearchQuery, searchSchemes } from "../services/schemeSearch.js";
+import { pickFields, validateFields, validationMessage } from "../services/schemeValidation.js";
+import { FORMATS, readRecords, importSchemes, exportSchemes } from "../services/schemeTransfer.js";
+import {
+  loadDuplicateIndex, findDuplicates, findDuplicatePairs, mergeSchemes,
+} from "../services/schemeDuplicates.js";
+import { checkUrl } from "../services/linkChecker.js";
+import SchemeRevision from "../models/SchemeRevision.js";
+import { listRevisions, diffSnapshots, rollbackFields } from "../services/schemeHistory.js";
 
 const router = express.Router();
 
-// Public: get all schemes
+const adminOnly = requireRole("admin");
+const moderatorOnly = requireRole(...MODERATOR_ROLES);
+
+/**
+ * Marks a scheme as waiting for review, clearing any earlier decision
+ * @param {Object} scheme - Scheme document
+ */
+const submitForReview = (scheme) => {
+  scheme.status = "pending";
+  scheme.submittedAt = new Date();
+  scheme.reviewNote = undefined;
+  scheme.reviewedBy = undefined;
+  scheme.reviewedAt = undefined;
+};
+
+/**
+ * Middleware that loads the scheme in `:id` into `req.scheme` and checks
+ * that the signed-in user may change it. Must run after `auth`.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.deleted=false] - Expect a deleted scheme (restore)
+ * @returns {Function} Express middleware
+ */
+const loadModifiableScheme = ({ deleted = false } = {}) => async (req, res, next) => {
+  try {
+    const scheme = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Scheme.findById(req.params.id)
+      : null;
+    if (!scheme || Boolean(scheme.deletedAt) !== deleted) {
+      return res.status(404).json({ msg: "Scheme not found" });
+    }
+
+    const user = await User.findById(req.user).select("role");
+    if (!Scheme.canModify(scheme, user)) {
+      return res.status(403).json({ msg: "You can only change schemes you added" });
+    }
+
+    req.scheme = scheme;
+    req.actor = user;
+    next();
+  } catch (err) {
+    console.error("Scheme lookup error:", err);
+    res.status(500).json({ msg: "An error occurred while loading the scheme." });
+  }
+};
+
+/**
+ * Middleware that loads the scheme in `:id` (deleted or not) into
+ * `req.scheme` and checks that the signed-in user may see its history.
+ * Must run after `auth`.
+ *
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Function} next - Next middleware
+ */
+const loadSchemeHistory = async (req, res, next) => {
+  try {
+    const scheme = mongoose.Types.ObjectId.isValid(req.params.id) ? await Scheme.findById(req.params.id) : null;
+    if (!scheme) return res.status(404).json({ msg: "Scheme not found" });
+
+    const user = await User.findById(req.user).select("role");
+    if (!Scheme.canModify(scheme, user) && !Scheme.canModerate(user)) {
+      return res.status(403).json({ msg: "You can only see the history of schemes you added" });
+    }
+    req.scheme = scheme;
+    next();
+  } catch (err) {
+    console.error("Scheme lookup error:", err);
+    res.status(500).json({ msg: "An error occurred while loading the scheme." });
+  }
+};
+
+/**
+ * Loads revision `number` of `req.scheme`
+ * @param {Object} req - Request with `req.scheme`
+ * @param {*} number - Revision number from the request
+ * @returns {Promise<Object|null>} Lean revision, or null when it does not exist
+ */
+const findRevision = (req, number) => {
+  const value = Number(number);
+  if (!Number.isInteger(value) || value < 1) return null;
+  return SchemeRevision.findOne({ scheme: req.scheme._id, number: value })
+    .populate("changedBy", "name")
+    .lean();
+};
+
+/**
+ * Handler for PUT and PATCH: validates the body, applies it to `req.scheme`
+ * and saves. PATCH keeps fields missing from the body; PUT clears them.
+ * Nested objects (`eligibility`, `benefit`) are always replaced as a whole.
+ * Edits by anyone but a moderator send the scheme back for review.
+ *
+ * @param {Object} req - Request with `req.scheme`
+ * @param {Object} res - Response
+ */
+const updateScheme = async (req, res) => {
+  const partial = req.method === "PATCH";
+  try {
+    const fields = pickFields(req.body, partial);
+    const error = validateFields(fields, partial);
+    if (error) return res.status(400).json({ msg: error });
+
+    req.scheme.set(fields);
+    req.scheme.updatedBy = req.user;
+    req.scheme.updatedAt = new Date();
+    if (!Scheme.canModerate(req.actor)) submitForReview(req.scheme);
+    await req.scheme.recordAs("update", req.user).save();
+    res.json(Scheme.forViewer(req.scheme, req.actor));
+  } catch (err) {
+    const message = validationMessage(err);
+    if (message) return res.status(400).json({ msg: message });
+    console.error("Scheme update error:", err);
+    res.status(500).json({ msg: "An error occurred while updating the scheme." });
+  }
+};
+
+/**
+ * Builds the handler for a moderation decision on `:id`
+ *
+ * @param {string} status - Status the scheme moves to
+ * @param {Object} options
+ * @param {string} options.action - Revision action recorded for the decision
+ * @param {boolean} options.reasonRequired - A `reason` must be given
+ * @param {string} options.message - Message returned on success
+ * @returns {Function} Express handler
+ */
+const reviewScheme = (status, { action, reasonRequired, message }) => async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+    if (reasonRequired && !reason) return res.status(400).json({ msg: "A reason is required" });
+
+    const scheme = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Scheme.findOne({ _id: req.params.id, deletedAt: null })
+      : null;
+    if (!scheme) return res.status(404).json({ msg: "Scheme not found" });
+
+    scheme.status = status;
+    scheme.reviewNote = reason || undefined;
+    scheme.reviewedBy = req.user;
+    scheme.reviewedAt = new Date();
+    await scheme.recordAs(action, req.user, reason || undefined).save();
+    res.json({ msg: message, scheme });
+  } catch (err) {
+    const validation = validationMessage(err);
+    if (validation) return res.status(400).json({ msg: validation });
+    console.error("Scheme review error:", err);
+    res.status(500).json({ msg: "An error occurred while reviewing the scheme." });
+  }
+};
+
+/**
+ * GET /api/schemes
+ * Search, filter, sort and page through schemes
+ * Public endpoint - deleted schemes are never listed
+ *
+ * @route GET /api/schemes
+ * @access Public
+ * @param {string} [q] - Full-text search over title and description
+ * @param {string} [category] - Category, repeated or comma-separated for several
+ * @param {string} [state] - State code; schemes open to that state or to all states
+ * @param {string} [deadlineFrom] - Applications close on or after this date
+ * @param {string} [deadlineTo] - Applications close on or before this date
+ * @param {string} [sort] - `newest` (default), `oldest`, `title`, `deadline`, or `relevance` (default with `q`)
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=20] - Page size, at most 100
+ * @returns {Object} `schemes` (`linkHealth` trimmed to `status` and `checkedAt`), `total`,
+ *   `page`, `limit`, `totalPages`, `hasMore`
+ */
 router.get("/", async (req, res) => {
   try {
-    const schemes = await Scheme.find().sort({ createdAt: -1 });
-    res.json(schemes);
+    const { error, search } = parseSearchQuery(req.query);
+    if (error) return res.status(400).json({ msg: error });
+
+    const result = await searchSchemes(search);
+    res.json({ ...result, schemes: result.schemes.map((scheme) => Scheme.forViewer(scheme, null)) });
+  } catch (err) {
+    console.error("Scheme search error:", err);
+    res.status(500).json({ msg: "An error occurred while searching schemes." });
+  }
+});
+
+/**
+ * GET /api/schemes/categories
+ * List the categories in use, for filter chips
+ * Public endpoint
+ *
+ * @route GET /api/schemes/categories
+ * @access Public
+ * @returns {Array<{category: string, count: number}>} Categories, most used first
+ */
+router.get("/categories", async (req, res) => {
+  try {
+    const categories = await Scheme.aggregate([
+      { $match: { ...PUBLIC_FILTER, category: { $nin: [null, ""] } } },
+      { $group: { _id: { $toLower: "$category" }, category: { $first: "$category" }, count: { $sum: 1 } } },
+      { $sort: { count: -1, category: 1 } },
+      { $project: { _id: 0, category: 1, count: 1 } },
+    ]);
+    res.json(categories);
   } catch (err) {
-    res.status(500).json({ msg: err.message });
+    console.error("Scheme categories error:", err);
+    res.status(500).json({ msg: "An error occurred while retrieving categories." });
   }
 });
 
-// Protected: add new scheme
+/**
+ * POST /api/schemes
+ * Add a scheme. Schemes from moderators go live at once; everyone else's
+ * wait in the moderation queue as `pending`.
+ * Protected route - requires authentication
+ *
+ * If the scheme looks like one that already exists, nothing is saved and
+ * the response is a 409 listing the likely duplicates. Send the request
+ * again with `allowDuplicate: true` to save it anyway.
+ *
+ * @route POST /api/schemes
+ * @access Private
+ * @param {boolean} [allowDuplicate] - Save even when likely duplicates exist
+ * @returns {Object} Created scheme, including its `status`; or on 409 `msg` and
+ *   `duplicates`, each `{ scheme, score, matches }` with scores from 0 to 1
+ */
 router.post("/", auth, async (req, res) => {
   try {
-    const scheme = await Scheme.create(req.body);
+    const fields = pickFields(req.body, false);
+    const error = validateFields(fields, false);
+    if (error) return res.status(400).json({ msg: error });
+
+    const user = await User.findById(req.user).select("role");
+    if (req.body?.allowDuplicate !== true) {
+      // Only compare against schemes this user may see, so pending submissions stay private
+      const duplicates = findDuplicates(fields, await loadDuplicateIndex({ user, candidate: fields }));
+      if (duplicates.length) {
+        return res.status(409).json({ msg: `This looks like "${duplicates[0].scheme.title}"`, duplicates });
+      }
+    }
+
+    const scheme = new Scheme({ ...fields, createdBy: req.user });
+    if (!Scheme.canModerate(user)) submitForReview(scheme);
+    await scheme.recordAs("create", req.user).save();
     res.json(scheme);
   } catch (err) {
+    const message = validationMessage(err);
+    if (message) return res.status(400).json({ msg: message });
     res.status(500).json({ msg: err.message });
   }
 });
 
+/**
+ * POST /api/schemes/eligibility
+ * Check which schemes a profile qualifies for, with a reason for every
+ * criterion that is not met or could not be checked
+ * Public endpoint - signed-in users may omit `profile` to use their saved one
+ *
+ * @route POST /api/schemes/eligibility
+ * @access Public
+ * @param {Object} [profile] - `age` or `dateOfBirth`, `state`, `income` (annual family income in rupees),
+ *   `gender`, `socialCategory`, `education`, `occupation`; all optional
+ * @param {boolean} [save] - Store the profile on the signed-in user
+ * @returns {Object} `profile` used, `saved`, and `eligible`, `partial` and `ineligible`
+ *   lists of `{ scheme, met, unmet, unknown }`
+ */
+router.post("/eligibility", optionalAuth, async (req, res) => {
+  try {
+    const user = req.user ? await User.findById(req.user).select("profile") : null;
+    const input = req.body?.profile ?? user?.profile?.toObject();
+    if (!input) {
+      return res.status(400).json({ msg: "Provide a profile, or sign in with a saved profile" });
+    }
+
+    const { profile, error } = normaliseProfile(input);
+    if (error) return res.status(400).json({ msg: error });
+
+    let saved = false;
+    if (req.body?.save && req.body.profile) {
+      if (!user) return res.status(401).json({ msg: "Sign in to save your profile" });
+      const stored = { ...profile, updatedAt: new Date() };
+      // The questionnaire asks for an age; keep a saved date of birth that still agrees with it
+      const dateOfBirth = user.profile?.dateOfBirth;
+      if (!stored.dateOfBirth && dateOfBirth && ageOn(dateOfBirth) === stored.age) stored.dateOfBirth = dateOfBirth;
+      await User.updateOne({ _id: user._id }, { profile: stored }, { runValidators: true });
+      saved = true;
+    }
+
+    const schemes = await Scheme.find(PUBLIC_FILTER).sort({ createdAt: -1 });
+    res.json({ profile, saved, ...checkEligibility(schemes.map((scheme) => Scheme.forViewer(scheme, null)), profile) });
+  } catch (err) {
+    console.error("Eligibility check error:", err);
+    res.status(500).json({ msg: "An error occurred while checking eligibility." });
+  }
+});
+
+/**
+ * POST /api/schemes/import
+ * Bulk import schemes from CSV or JSON, upserting by `key`
+ * Protected route - admin only
+ *
+ * Send the file as the request body with `Content-Type: text/csv` or
+ * `application/json`. Invalid rows are reported and skipped; valid rows
+ * are saved unless `dryRun` is set.
+ *
+ * @route POST /api/schemes/import
+ * @access Private (admin)
+ * @param {string} [format] - Query: `csv` or `json`; defaults from the content type
+ * @param {string} [dryRun] - Query: `true` to validate without saving
+ * @returns {Object} `dryRun`, `warnings`, `summary` counts and one report entry per row
+ */
+router.post("/import", auth, adminOnly, async (req, res) => {
+  try {
+    const format = req.query.format || (req.is("application/json") ? "json" : "csv");
+    if (req.body === undefined || req.body === "") {
+      return res.status(400).json({ msg: "Send the CSV or JSON file as the request body" });
+    }
+
+    const { records, warnings, error } = readRecords(req.body, format);
+    if (error) return res.status(400).json({ msg: error });
+
+    const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1";
+    const report = await importSchemes(records, { dryRun, userId: req.user });
+    res.json({ ...report, warnings });
+  } catch (err) {
+    console.error("Scheme import error:", err);
+    res.status(500).json({ msg: "An error occurred while importing schemes." });
+  }
+});
+
+/**
+ * GET /api/schemes/export
+ * Download the catalogue in a format the import endpoint reads back
+ * Protected route - admin only
+ *
+ * @route GET /api/schemes/export
+ * @access Private (admin)
+ * @param {string} [format=csv] - Query: `csv` or `json`
+ * @returns {string} File download of all schemes that are not deleted
+ */
+router.get("/export", auth, adminOnly, async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ msg: `Format must be one of ${FORMATS.join(", ")}` });
+    }
+
+    const schemes = await Scheme.find(PUBLIC_FILTER).sort({ createdAt: 1 });
+    const filename = `schemes-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Type", format === "json" ? "application/json; charset=utf-8" : "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(exportSchemes(schemes, format));
+  } catch (err) {
+    console.error("Scheme export error:", err);
+    res.status(500).json({ msg: "An error occurred while exporting schemes." });
+  }
+});
+
+/**
+ * GET /api/schemes/mine
+ * List the schemes the user submitted, with their moderation status
+ * Protected route - requires authentication
+ *
+ * @route GET /api/schemes/mine
+ * @access Private
+ * @returns {Array<Object>} The user's schemes that are not deleted, newest first
+ */
+router.get("/mine", auth, async (req, res) => {
+  try {
+    const [schemes, user] = await Promise.all([
+      Scheme.find({ createdBy: req.user, deletedAt: null }).sort({ createdAt: -1 }),
+      User.findById(req.user).select("role"),
+    ]);
+    res.json(schemes.map((scheme) => Scheme.forViewer(scheme, user)));
+  } catch (err) {
+    console.error("My schemes error:", err);
+    res.status(500).json({ msg: "An error occurred while retrieving your schemes." });
+  }
+});
+
+/**
+ * GET /api/schemes/moderation
+ * List submissions in one moderation status, oldest submission first
+ * Protected route - moderators and admins only
+ *
+ * @route GET /api/schemes/moderation
+ * @access Private (moderator)
+ * @param {string} [status=pending] - `pending`, `changes_requested`, `rejected` or `approved`
+ * @returns {Object} `schemes` with the submitter's name and email, and `counts` per status
+ */
+router.get("/moderation", auth, moderatorOnly, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ msg: `Unknown status: ${status}. Use one of ${STATUSES.join(", ")}` });
+    }
+
+    const [schemes, totals] = await Promise.all([
+      Scheme.find({ status, deletedAt: null })
+        .sort({ submittedAt: 1, createdAt: 1 })
+        .populate("createdBy", "name email")
+        .populate("reviewedBy", "name"),
+      Scheme.aggregate([
+        { $match: { deletedAt: null, status: { $in: STATUSES } } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const counts = Object.fromEntries(STATUSES.map((name) => [name, 0]));
+    for (const { _id, count } of totals) counts[_id] = count;
+
+    res.json({ schemes, counts });
+  } catch (err) {
+    console.error("Moderation queue error:", err);
+    res.status(500).json({ msg: "An error occurred while retrieving the moderation queue." });
+  }
+});
+
+/**
+ * GET /api/schemes/duplicates
+ * List pairs of existing schemes that are likely duplicates
+ * Protected route - admin only
+ *
+ * @route GET /api/schemes/duplicates
+ * @access Private (admin)
+ * @returns {Array<Object>} Up to 100 `{ schemes: [a, b], score, matches }`, most similar first
+ */
+router.get("/duplicates", auth, adminOnly, async (req, res) => {
+  try {
+    res.json(findDuplicatePairs(await loadDuplicateIndex()));
+  } catch (err) {
+    console.error("Duplicate report error:", err);
+    res.status(500).json({ msg: "An error occurred while looking for duplicates." });
+  }
+});
+
+/**
+ * GET /api/schemes/link-report
+ * List schemes whose official link failed (or now redirects) at the last check
+ * Protected route - admin only
+ *
+ * @route GET /api/schemes/link-report
+ * @access Private (admin)
+ * @param {string} [status=broken] - `broken` or `redirected`
+ * @returns {Object} `schemes` (most failed checks in a row first) and `counts` of
+ *   `ok`, `redirected`, `broken` and `unchecked` links
+ */
+router.get("/link-report", auth, adminOnly, async (req, res) => {
+  try {
+    const status = req.query.status || "broken";
+    if (!["broken", "redirected"].includes(status)) {
+      return res.status(400).json({ msg: "status must be broken or redirected" });
+    }
+
+    const withUrl = { deletedAt: null, url: { $nin: [null, ""] } };
+    const [schemes, totals] = await Promise.all([
+      Scheme.find({ ...withUrl, "linkHealth.status": status })
+        .select("title url category status linkHealth")
+        .sort({ "linkHealth.failures": -1, "linkHealth.checkedAt": -1 }),
+      Scheme.aggregate([
+        { $match: withUrl },
+        { $group: { _id: { $ifNull: ["$linkHealth.status", "unchecked"] }, count: { $sum: 1 } } },
+      ]),
+    ]);
+    const counts = { ok: 0, redirected: 0, broken: 0, unchecked: 0 };
+    for (const { _id, count } of totals) counts[_id] = count;
+
+    res.json({ schemes, counts });
+  } catch (err) {
+    console.error("Link report error:", err);
+    res.status(500).json({ msg: "An error occurred while building the link report." });
+  }
+});
+
+/**
+ * GET /api/schemes/deleted
+ * List deleted schemes the user can restore: their own, or all for admins
+ * Protected route - requires authentication
+ *
+ * @route GET /api/schemes/deleted
+ * @access Private
+ * @returns {Array<Object>} Deleted schemes, most recently deleted first
+ */
+router.get("/deleted", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user).select("role");
+    const filter = { deletedAt: { $ne: null } };
+    if (user?.role !== "admin") filter.createdBy = req.user;
+
+    const schemes = await Scheme.find(filter).sort({ deletedAt: -1 });
+    res.json(schemes.map((scheme) => Scheme.forViewer(scheme, user)));
+  } catch (err) {
+    console.error("Deleted schemes error:", err);
+    res.status(500).json({ msg: "An error occurred while retrieving deleted schemes." });
+  }
+});
+
+/**
+ * GET /api/schemes/:id
+ * Get one scheme. For a scheme merged into another, the kept scheme is
+ * returned instead (check its `_id`).
+ * Public endpoint - deleted schemes are not found; schemes awaiting review
+ *   are only found by their submitter and moderators
+ *
+ * @route GET /api/schemes/:id
+ * @access Public
+ * @returns {Object} Scheme; unless the viewer moderates, `linkHealth` has only `status` and `checkedAt`
+ */
+router.get("/:id", optionalAuth, async (req, res) => {
+  try {
+    let scheme = mongoose.Types.ObjectId.isValid(req.params.id) ? await Scheme.findById(req.params.id) : null;
+    // Links to a merged duplicate lead to the scheme it was merged into
+    if (scheme?.deletedAt && scheme.mergedInto) scheme = await Scheme.findById(scheme.mergedInto);
+    if (scheme?.deletedAt) scheme = null;
+    const viewer = scheme && req.user ? await User.findById(req.user).select("role") : null;
+    if (!scheme || !Scheme.canView(scheme, viewer)) return res.status(404).json({ msg: "Scheme not found" });
+    res.json(Scheme.forViewer(scheme, viewer));
+  } catch (err) {
+    console.error("Scheme lookup error:", err);
+    res.status(500).json({ msg: "An error occurred while loading the scheme." });
+  }
+});
+
+/**
+ * PUT /api/schemes/:id
+ * Replace a scheme's details; optional fields left out are cleared
+ * Protected route - creator or admin only
+ *
+ * @route PUT /api/schemes/:id
+ * @access Private
+ * @param {string} title - Scheme title (at least 3 characters)
+ * @param {string} [description] - Scheme description
+ * @param {string} [category] - Scheme category
+ * @param {string} [url] - Official link (http or https)
+ * @param {Object} [eligibility] - `minAge`, `maxAge`, `maxIncome`, `states`, `genders`,
+ *   `socialCategories`, `educationLevels`, `occupations`
+ * @param {Object} [benefit] - `type`, `amount` (rupees), `details`
+ * @param {string[]} [documents] - Documents needed to apply
+ * @param {string} [ministry] - Implementing ministry or department
+ * @param {string} [applicationOpens] - ISO date applications open
+ * @param {string} [applicationCloses] - ISO date applications close
+ * @returns {Object} Updated scheme
+ */
+router.put("/:id", auth, loadModifiableScheme(), updateScheme);
+
+/**
+ * PATCH /api/schemes/:id
+ * Change some of a scheme's details; fields left out are kept
+ * Protected route - creator or admin only
+ *
+ * @route PATCH /api/schemes/:id
+ * @access Private
+ * @returns {Object} Updated scheme
+ */
+router.patch("/:id", auth, loadModifiableScheme(), updateScheme);
+
+/**
+ * DELETE /api/schemes/:id
+ * Soft-delete a scheme. It can be brought back with the restore endpoint.
+ * Protected route - creator or admin only
+ *
+ * @route DELETE /api/schemes/:id
+ * @access Private
+ * @returns {Object} `msg` and the deleted `scheme`
+ */
+router.delete("/:id", auth, loadModifiableScheme(), async (req, res) => {
+  try {
+    req.scheme.deletedAt = new Date();
+    req.scheme.deletedBy = req.user;
+    await req.scheme.recordAs("delete", req.user).save();
+    res.json({ msg: "Scheme deleted", scheme: Scheme.forViewer(req.scheme, req.actor) });
+  } catch (err) {
+    console.error("Scheme delete error:", err);
+    res.status(500).json({ msg: "An error occurred while deleting the scheme." });
+  }
+});
+
+/**
+ * POST /api/schemes/:id/restore
+ * Restore a soft-deleted scheme
+ * Protected route - creator or admin only
+ *
+ * @route POST /api/schemes/:id/restore
+ * @access Private
+ * @returns {Object} `msg` and the restored `scheme`
+ */
+router.post("/:id/restore", auth, loadModifiableScheme({ deleted: true }), async (req, res) => {
+  try {
+    req.scheme.deletedAt = null;
+    req.scheme.deletedBy = undefined;
+    req.scheme.mergedInto = undefined;
+    await req.scheme.recordAs("restore", req.user).save();
+    res.json({ msg: "Scheme restored", scheme: Scheme.forViewer(req.scheme, req.actor) });
+  } catch (err) {
+    console.error("Scheme restore error:", err);
+    res.status(500).json({ msg: "An error occurred while restoring the scheme." });
+  }
+});
+
+/**
+ * POST /api/schemes/:id/merge
+ * Merge duplicates into this scheme. Details this scheme lacks are copied
+ * from the duplicates, chat messages, bookmarks and applications for them
+ * are pointed here, and the duplicates are soft-deleted with links to them
+ * leading here. A user's bookmark or application for both is kept as one.
+ * Protected route - admin only
+ *
+ * @route POST /api/schemes/:id/merge
+ * @access Private (admin)
+ * @param {string[]} duplicateIds - Schemes to merge into this one
+ * @returns {Object} `msg`, the kept `scheme`, `merged` IDs and the number of updated chat `references`,
+ *   `bookmarks` and `applications`
+ */
+router.post("/:id/merge", auth, adminOnly, async (req, res) => {
+  try {
+    const ids = [...new Set(Array.isArray(req.body?.duplicateIds) ? req.body.duplicateIds.map(String) : [])];
+    if (!ids.length) return res.status(400).json({ msg: "duplicateIds must list at least one scheme" });
+    if (ids.includes(req.params.id)) return res.status(400).json({ msg: "A scheme cannot be merged into itself" });
+    if (![req.params.id, ...ids].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(404).json({ msg: "Scheme not found" });
+    }
+
+    const target = await Scheme.findOne({ _id: req.params.id, deletedAt: null });
+    if (!target) return res.status(404).json({ msg: "Scheme not found" });
+    const duplicates = await Scheme.find({ _id: { $in: ids }, deletedAt: null });
+    if (duplicates.length !== ids.length) {
+      return res.status(404).json({ msg: "Some duplicates were not found or are already deleted" });
+    }
+
+    const result = await mergeSchemes(target, duplicates, req.user);
+    res.json({ msg: `Merged ${result.merged.length} ${result.merged.length === 1 ? "scheme" : "schemes"}`, ...result });
+  } catch (err) {
+    const message = validationMessage(err);
+    if (message) return res.status(400).json({ msg: message });
+    console.error("Scheme merge error:", err);
+    res.status(500).json({ msg: "An error occurred while merging schemes." });
+  }
+});
+
+/**
+ * POST /api/schemes/:id/check-link
+ * Check one scheme's official link now, e.g. after fixing it
+ * Protected route - admin only
+ *
+ * @route POST /api/schemes/:id/check-link
+ * @access Private (admin)
+ * @returns {Object} The scheme with its updated `linkHealth`
+ */
+router.post("/:id/check-link", auth, adminOnly, async (req, res) => {
+  try {
+    const scheme = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Scheme.findOne({ _id: req.params.id, deletedAt: null })
+      : null;
+    if (!scheme) return res.status(404).json({ msg: "Scheme not found" });
+    if (!scheme.url) return res.status(400).json({ msg: "This scheme has no link" });
+
+    const result = await checkUrl(scheme.url);
+    const failures = result.status === "broken" ? (scheme.linkHealth?.failures || 0) + 1 : 0;
+    scheme.linkHealth = { ...result, failures, checkedAt: new Date() };
+    await Scheme.updateOne({ _id: scheme._id }, { $set: { linkHealth: scheme.linkHealth } });
+    res.json(scheme);
+  } catch (err) {
+    console.error("Link check error:", err);
+    res.status(500).json({ msg: "An error occurred while checking the link." });
+  }
+});
+
+/**
+ * GET /api/schemes/:id/revisions
+ * List a scheme's revisions, newest first, with the fields each one changed
+ * Protected route - creator, moderators and admins only
+ *
+ * @route GET /api/schemes/:id/revisions
+ * @access Private
+ * @returns {Array} Revisions with `number`, `action`, `note`, `changedBy` (name),
+ *   `createdAt` and `changedFields` (dotted paths, e.g. `benefit.amount`)
+ */
+router.get("/:id/revisions", auth, loadSchemeHistory, async (req, res) => {
+  try {
+    res.json(await listRevisions(req.scheme._id));
+  } catch (err) {
+    console.error("Revision list error:", err);
+    res.status(500).json({ msg: "An error occurred while loading the history." });
+  }
+});
+
+/**
+ * GET /api/schemes/:id/revisions/diff
+ * Compare two revisions field by field
+ * Protected route - creator, moderators and admins only
+ *
+ * @route GET /api/schemes/:id/revisions/diff
+ * @access Private
+ * @param {number} [to] - Newer revision (default: the latest)
+ * @param {number} [from] - Older revision (default: the one before `to`)
+ * @returns {Object} `from` and `to` revisions (without snapshots) and `changes`,
+ *   each `{ field, before, after }`
+ */
+router.get("/:id/revisions/diff", auth, loadSchemeHistory, async (req, res) => {
+  try {
+    const latest = await SchemeRevision.findOne({ scheme: req.scheme._id }).sort({ number: -1 }).select("number").lean();
+    if (!latest) return res.status(404).json({ msg: "This scheme has no revisions yet" });
+
+    const to = await findRevision(req, req.query.to ?? latest.number);
+    if (!to) return res.status(404).json({ msg: "Revision not found" });
+    const from = req.query.from !== undefined ? await findRevision(req, req.query.from) : await findRevision(req, to.number - 1);
+    if (!from && req.query.from !== undefined) return res.status(404).json({ msg: "Revision not found" });
+
+    const { snapshot: before = {}, ...fromRest } = from || {};
+    const { snapshot: after, ...toRest } = to;
+    res.json({ from: from ? fromRest : null, to: toRest, changes: diffSnapshots(before, after) });
+  } catch (err) {
+    console.error("Revision diff error:", err);
+    res.status(500).json({ msg: "An error occurred while comparing revisions." });
+  }
+});
+
+/**
+ * GET /api/schemes/:id/revisions/:number
+ * Show one revision with the full snapshot of the scheme
+ * Protected route - creator, moderators and admins only
+ *
+ * @route GET /api/schemes/:id/revisions/:number
+ * @access Private
+ * @returns {Object} Revision with `snapshot`
+ */
+router.get("/:id/revisions/:number", auth, loadSchemeHistory, async (req, res) => {
+  try {
+    const revision = await findRevision(req, req.params.number);
+    if (!revision) return res.status(404).json({ msg: "Revision not found" });
+    res.json(revision);
+  } catch (err) {
+    console.error("Revision lookup error:", err);
+    res.status(500).json({ msg: "An error occurred while loading the revision." });
+  }
+});
+
+/**
+ * POST /api/schemes/:id/revisions/:number/rollback
+ * Restore a scheme's details to an earlier revision. The rollback is
+ * stored as a new revision; moderation and deletion state are kept, except
+ * that a rollback by anyone but a moderator sends the scheme back for review.
+ * Protected route - creator or admin only
+ *
+ * @route POST /api/schemes/:id/revisions/:number/rollback
+ * @access Private
+ * @returns {Object} `msg` and the updated `scheme`
+ */
+router.post("/:id/revisions/:number/rollback", auth, loadModifiableScheme(), async (req, res) => {
+  try {
+    const revision = await findRevision(req, req.params.number);
+    if (!revision) return res.status(404).json({ msg: "Revision not found" });
+
+    req.scheme.set(rollbackFields(revision.snapshot));
+    req.scheme.updatedBy = req.user;
+    req.scheme.updatedAt = new Date();
+    if (!Scheme.canModerate(req.actor)) submitForReview(req.scheme);
+    await req.scheme.recordAs("rollback", req.user, `Rolled back to revision ${revision.number}`).save();
+    res.json({ msg: `Rolled back to revision ${revision.number}`, scheme: Scheme.forViewer(req.scheme, req.actor) });
+  } catch (err) {
+    const message = validationMessage(err);
+    if (message) return res.status(400).json({ msg: message });
+    console.error("Scheme rollback error:", err);
+    res.status(500).json({ msg: "An error occurred while rolling back the scheme." });
+  }
+});
+
+/**
+ * POST /api/schemes/:id/approve
+ * Approve a submission so it appears in public listings
+ * Protected route - moderators and admins only
+ *
+ * @route POST /api/schemes/:id/approve
+ * @access Private (moderator)
+ * @param {string} [reason] - Optional note for the submitter
+ * @returns {Object} `msg` and the approved `scheme`
+ */
+router.post("/:id/approve", auth, moderatorOnly,
+  reviewScheme("approved", { action: "approve", reasonRequired: false, message: "Scheme approved" }));
+
+/**
+ * POST /api/schemes/:id/reject
+ * Reject a submission; it stays hidden from public listings
+ * Protected route - moderators and admins only
+ *
+ * @route POST /api/schemes/:id/reject
+ * @access Private (moderator)
+ * @param {string} reason - Why the scheme was rejected, shown to the submitter
+ * @returns {Object} `msg` and the rejected `scheme`
+ */
+router.post("/:id/reject", auth, moderatorOnly,
+  reviewScheme("rejected", { action: "reject", reasonRequired: true, message: "Scheme rejected" }));
+
+/**
+ * POST /api/schemes/:id/request-changes
+ * Send a submission back to its submitter. Editing it puts it back in the queue.
+ * Protected route - moderators and admins only
+ *
+ * @route POST /api/schemes/:id/request-changes
+ * @access Private (moderator)
+ * @param {string} reason - What needs to change, shown to the submitter
+ * @returns {Object} `msg` and the updated `scheme`
+ */
+router.post("/:id/request-changes", auth, moderatorOnly,
+  reviewScheme("changes_requested", { action: "request_changes", reasonRequired: true, message: "Changes requested" }));
+
 export default router;
@@ -11,27 +11,62 @@ import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
 import connectDB from "./config/db.js";
+import { scheduleLinkChecks } from "./services/linkChecker.js";
 
 import authRoutes from "./routes/auth.js";
 import schemeRoutes from "./routes/schemes.js";
 import chatRoutes from "./routes/chat.js";
+import conversationRoutes from "./routes/conversations.js";
+import bookmarkRoutes from "./routes/bookmarks.js";
+import applicationRoutes from "./routes/applications.js";
+import adminRoutes from "./routes/admin.js";
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the
+// client's address, which login throttling counts failures against
+if (process.env.TRUST_PROXY) {
+  const setting = process.env.TRUST_PROXY;
+  app.set("trust proxy", setting === "true" ? true : Number.isInteger(Number(setting)) ? Number(setting) : setting);
+}
+
 // Middleware
-app.use(cors()); // Enable CORS for frontend communication
+// Enable CORS for frontend communication. Credentials carry the refresh token
+// cookie, so only the sites in CLIENT_ORIGIN (comma-separated) may send them:
+// the Vite dev server when unset, and it must be set in production.
+if (!process.env.CLIENT_ORIGIN && process.env.NODE_ENV === "production") {
+  console.error("❌ CLIENT_ORIGIN must be set in production (the frontend's address)");
+  process.exit(1);
+}
+const clientOrigins = (process.env.CLIENT_ORIGIN || "http://localhost:5173")
+  .split(",").map((origin) => origin.trim()).filter(Boolean);
+app.use(cors({ origin: clientOrigins, credentials: true }));
+// Bulk scheme imports are much larger than ordinary requests; parse them first
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || "5mb";
+app.use(
+  "/api/schemes/import",
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ["text/csv", "text/plain"], limit: IMPORT_BODY_LIMIT }),
+);
 app.use(express.json()); // Parse JSON request bodies
 
 // Database Connection
 connectDB();
 
+// Background jobs
+scheduleLinkChecks(); // Re-checks scheme URLs, see services/linkChecker.js
+
 // API Routes
 app.use("/api/auth", authRoutes); // Authentication routes
 app.use("/api/schemes", schemeRoutes); // Government schemes routes
 app.use("/api/chat", chatRoutes); // Chatbot routes
+app.use("/api/conversations", conversationRoutes); // Chat thread management
+app.use("/api/bookmarks", bookmarkRoutes); // Saved schemes with private notes
+app.use("/api/applications", applicationRoutes); // Personal application tracker
+app.use("/api/admin", adminRoutes); // Security events for admins
 
 // Root endpoint - Health check
 app.get("/", (req, res) => {
@@ -0,0 +1,135 @@
+/**
+ * Account Tokens
+ *
+ * Single-use, expiring tokens mailed to users to verify their email address
+ * or reset a forgotten password. Issuing a token cancels earlier unused
+ * tokens for the same purpose, so only the newest link works.
+ *
+ * Configuration (environment):
+ *
+ * - `APP_URL`: frontend address used in the links (default: first `CLIENT_ORIGIN`, else http://localhost:5173)
+ * - `VERIFY_TOKEN_TTL_HOURS`: lifetime of verification links (default 48)
+ * - `RESET_TOKEN_TTL_MINUTES`: lifetime of password reset links (default 60)
+ *
+ * @module services/accountTokens
+ */
+
+import crypto from "crypto";
+import AccountToken from "../models/AccountToken.js";
+import { hashToken } from "./authTokens.js";
+import { sendMail } from "./mail/index.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} value - Raw setting
+ * @param {number} fallback - Default
+ * @returns {number} Setting or default
+ */
+const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+/**
+ * Token lifetimes per purpose
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{verify_email: number, reset_password: number}} Lifetimes in milliseconds
+ */
+export const accountTokenTtls = (env = process.env) => ({
+  verify_email: positive(env.VERIFY_TOKEN_TTL_HOURS, 48) * 60 * MINUTE_MS,
+  reset_password: positive(env.RESET_TOKEN_TTL_MINUTES, 60) * MINUTE_MS,
+});
+
+/**
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {string} Frontend base URL without a trailing slash
+ */
+const appUrl = (env = process.env) =>
+  (env.APP_URL || env.CLIENT_ORIGIN?.split(",")[0].trim() || "http://localhost:5173").replace(/\/+$/, "");
+
+/**
+ * Issues a token, cancelling the user's earlier unused ones for the purpose
+ *
+ * @param {string} userId - Owner
+ * @param {"verify_email"|"reset_password"} purpose - What the token is for
+ * @returns {Promise<{token: string, expiresAt: Date}>} Raw token for the link and its expiry
+ */
+export const issueAccountToken = async (userId, purpose) => {
+  await AccountToken.updateMany({ user: userId, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + accountTokenTtls()[purpose]);
+  await AccountToken.create({ user: userId, purpose, tokenHash: hashToken(token), expiresAt });
+  return { token, expiresAt };
+};
+
+/**
+ * Redeems a token. Marking it used in the same query means it can only be
+ * redeemed once, even by parallel requests.
+ *
+ * @param {string} token - Raw token from the link
+ * @param {"verify_email"|"reset_password"} purpose - Expected purpose
+ * @returns {Promise<Object|null>} The token record (with `user`), or null if invalid, used or expired
+ */
+export const redeemAccountToken = async (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+  );
+};
+
+/**
+ * Formats a lifetime for an email
+ * @param {number} ms - Lifetime
+ * @returns {string} E.g. "48 hours" or "60 minutes"
+ */
+const describeTtl = (ms) => {
+  const hours = ms / (60 * MINUTE_MS);
+  return Number.isInteger(hours) && hours > 1 ? `${hours} hours` : `${Math.round(ms / MINUTE_MS)} minutes`;
+};
+
+/**
+ * Mails a new email verification link
+ * @param {Object} user - User document (`_id`, `name`, `email`)
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+  const { token } = await issueAccountToken(user._id, "verify_email");
+  await sendMail({
+    to: user.email,
+    subject: "Verify your VoxAi email address",
+    text: [
+      `Hello ${user.name},`,
+      "",
+      "Please confirm your email address to finish setting up your VoxAi account:",
+      "",
+      `${appUrl()}/verify-email?token=${token}`,
+      "",
+      `The link works once and expires in ${describeTtl(accountTokenTtls().verify_email)}.`,
+      "If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+/**
+ * Mails a password reset link
+ * @param {Object} user - User document (`_id`, `name`, `email`)
+ * @returns {Promise<void>}
+ */
+export const sendPasswordResetEmail = async (user) => {
+  const { token } = await issueAccountToken(user._id, "reset_password");
+  await sendMail({
+    to: user.email,
+    subject: "Reset your VoxAi password",
+    text: [
+      `Hello ${user.name},`,
+      "",
+      "Someone asked to reset the password of your VoxAi account. To choose a new password, open:",
+      "",
+      `${appUrl()}/reset-password?token=${token}`,
+      "",
+      `The link works once and expires in ${describeTtl(accountTokenTtls().reset_password)}.`,
+      "If you did not ask for this, you can ignore this email; your password stays the same.",
+    ].join("\n"),
+  });
+};
@@ -0,0 +1,186 @@
+/**
+ * Auth Tokens
+ *
+ * Short-lived access tokens (JWTs sent in `x-auth-token`) and rotating
+ * refresh tokens (random strings kept in an httpOnly cookie and stored
+ * hashed). A refresh token can be exchanged once: the exchange marks it
+ * used and issues the next token of the same family. Presenting a used
+ * token again means it was copied, so the whole family is revoked and
+ * the user has to sign in again. The exception is a token exchanged only
+ * moments ago: two tabs refreshing at once send the same cookie, so the
+ * later one gets its own token in the family instead.
+ *
+ * Configuration (environment):
+ *
+ * - `ACCESS_TOKEN_TTL`: lifetime of access tokens, in jsonwebtoken notation (default "15m")
+ * - `REFRESH_TOKEN_TTL_DAYS`: lifetime of a session without activity (default 30)
+ * - `REFRESH_REUSE_GRACE_SECONDS`: how long a used token may still be exchanged (default 10, 0 turns it off)
+ *
+ * @module services/authTokens
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Name of the refresh token cookie */
+export const REFRESH_COOKIE = "refreshToken";
+
+/**
+ * Reads the token lifetimes
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{accessTtl: string, refreshTtlMs: number, reuseGraceMs: number}} Settings
+ */
+export const tokenConfig = (env = process.env) => {
+  const graceSeconds = Number(env.REFRESH_REUSE_GRACE_SECONDS);
+  return {
+    accessTtl: env.ACCESS_TOKEN_TTL || "15m",
+    refreshTtlMs: (Number(env.REFRESH_TOKEN_TTL_DAYS) > 0 ? Number(env.REFRESH_TOKEN_TTL_DAYS) : 30) * DAY_MS,
+    reuseGraceMs: (env.REFRESH_REUSE_GRACE_SECONDS && graceSeconds >= 0 ? graceSeconds : 10) * 1000,
+  };
+};
+
+/**
+ * Signs an access token
+ * @param {Object} user - User document (needs `_id` and `role`)
+ * @returns {string} JWT with the user's `id` and `role`
+ */
+export const signAccessToken = (user) =>
+  jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: tokenConfig().accessTtl });
+
+/**
+ * Hashes a random token for storage; also used for account tokens
+ * @param {string} token - Raw token
+ * @returns {string} Hex SHA-256 hash, as stored
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issues a refresh token
+ *
+ * @param {string} userId - Owner
+ * @param {Object} [options]
+ * @param {string} [options.family] - Family to continue; a new one (new session) if omitted
+ * @param {string} [options.userAgent] - Client, for the record
+ * @returns {Promise<{token: string, expiresAt: Date}>} Raw token for the cookie and its expiry
+ */
+export const issueRefreshToken = async (userId, { family = crypto.randomUUID(), userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const expiresAt = new Date(Date.now() + tokenConfig().refreshTtlMs);
+  await RefreshToken.create({
+    user: userId,
+    family,
+    tokenHash: hashToken(token),
+    expiresAt,
+    userAgent: userAgent?.slice(0, 300),
+  });
+  return { token, expiresAt };
+};
+
+/**
+ * Revokes every token of a family that is not revoked yet
+ * @param {string} family - Family ID
+ * @returns {Promise<void>}
+ */
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+/**
+ * Exchanges a refresh token for the next one of its family. A token used
+ * again within `REFRESH_REUSE_GRACE_SECONDS` gets another token of the
+ * family; later it counts as reuse.
+ *
+ * @param {string} token - Raw token from the cookie
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - Client, for the record
+ * @returns {Promise<{userId: string, token: string, expiresAt: Date}|{error: "invalid"|"reused"}>}
+ *   The user and new token, or why the exchange was refused
+ */
+export const rotateRefreshToken = async (token, { userAgent } = {}) => {
+  if (!token) return { error: "invalid" };
+  const tokenHash = hashToken(token);
+
+  // Marking the token used in the same query means two parallel exchanges cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+  );
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    const now = Date.now();
+    // Exchanged moments ago, most likely by another tab refreshing at the same time
+    if (known?.usedAt && !known.revokedAt && known.expiresAt > now
+      && now - known.usedAt.getTime() <= tokenConfig().reuseGraceMs) {
+      const sibling = await issueRefreshToken(known.user, { family: known.family, userAgent });
+      return { userId: String(known.user), ...sibling };
+    }
+    // A token that was already exchanged must be a copy; a revoked one is just a logged-out session
+    if (known?.usedAt) {
+      await revokeFamily(known.family);
+      return { error: "reused" };
+    }
+    return { error: "invalid" };
+  }
+
+  const next = await issueRefreshToken(current.user, { family: current.family, userAgent });
+  return { userId: String(current.user), ...next };
+};
+
+/**
+ * Ends the session a refresh token belongs to
+ * @param {string} token - Raw token from the cookie
+ * @returns {Promise<boolean>} True if a session was found
+ */
+export const revokeSession = async (token) => {
+  if (!token) return false;
+  const known = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!known) return false;
+  await revokeFamily(known.family);
+  return true;
+};
+
+/**
+ * Ends every session of a user, e.g. after a password change
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const revokeUserSessions = (userId) =>
+  RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+/**
+ * Reads one cookie from a request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Decoded value
+ */
+export const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Cookie options for the refresh token. Sent only to the auth routes and
+ * only from the app's own site; `secure` outside development unless
+ * `COOKIE_SECURE=false`.
+ *
+ * @param {Date} [expires] - Expiry; omit when clearing
+ * @returns {Object} Options for res.cookie() and res.clearCookie()
+ */
+export const refreshCookieOptions = (expires) => ({
+  httpOnly: true,
+  secure: process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === "true" : process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/api/auth",
+  ...(expires && { expires }),
+});
@@ -0,0 +1,317 @@
+/**
+ * Chat Engine
+ *
+ * Produces the bot's reply for a user message. Every message is classified
+ * and grounded in matching Scheme records; the reply text then comes from
+ * the configured LLM provider, or from the rule engine (intent templates)
+ * when no provider is configured or the provider fails or runs out of time.
+ * Turns that belong to a slot-filling flow (see services/dialogue) are
+ * answered by the dialogue manager instead. Replies are written in the
+ * language the user wrote in (English, Hindi, Gujarati or Hinglish).
+ *
+ * @module services/chatEngine
+ */
+
+import { classifyIntent } from "./nlu/index.js";
+import { detectLanguage, normaliseText, toEnglish } from "./nlu/language.js";
+import { getResponse, formatSchemeMatches } from "./nlu/responses.js";
+import { searchSchemes } from "./schemeRetrieval.js";
+import { getProvider } from "./llm/index.js";
+import { buildMessages } from "./llm/prompt.js";
+import { handleDialogue } from "./dialogue/index.js";
+
+/**
+ * Total time a reply may take. Mirrors PERFORMANCE_THRESHOLDS.CHATBOT_RESPONSE
+ * on the frontend.
+ */
+export const RESPONSE_BUDGET_MS = parseInt(process.env.CHAT_RESPONSE_BUDGET_MS) || 2000;
+
+/** Upper bound on a streamed reply once its first token has arrived */
+export const STREAM_MAX_MS = parseInt(process.env.CHAT_STREAM_MAX_MS) || 30000;
+
+/** Time kept back from the provider for saving and sending the reply */
+const RESPONSE_MARGIN_MS = 150;
+
+/** Below this there is no point in calling the provider at all */
+const MIN_PROVIDER_TIME_MS = 200;
+
+/** Intents whose answers are looked up in the Scheme collection */
+const RETRIEVAL_INTENTS = new Set(["schemes", "scholarships"]);
+
+/**
+ * Rule engine reply: retrieved schemes for scheme intents, else the intent template
+ *
+ * @param {string} intent - Detected intent
+ * @param {Array<Object>} sources - Retrieved schemes
+ * @param {string} [language] - Reply language
+ * @returns {string} Reply text
+ */
+export const ruleBasedReply = (intent, sources, language) =>
+  RETRIEVAL_INTENTS.has(intent) && sources.length > 0
+    ? formatSchemeMatches(sources, language)
+    : getResponse(intent, language);
+
+/**
+ * Runs a provider call under a hard deadline. The abort signal is passed to
+ * the provider, and the race guarantees we stop waiting even if it ignores it.
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Array<Object>} messages - Prompt messages
+ * @param {number} timeoutMs - Deadline
+ * @returns {Promise<string>} Reply text
+ */
+const generateWithDeadline = (provider, messages, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${provider.name} provider exceeded ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  return Promise.race([
+    provider.generate({ messages, timeoutMs, signal: controller.signal }),
+    deadline,
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Classifies a message, runs the dialogue manager and retrieves the schemes
+ * that ground the reply
+ *
+ * Regional-language messages are glossed into English keywords for scheme
+ * search and slot filling, since Scheme records and slot vocabularies are
+ * in English.
+ *
+ * @param {string} message - User message
+ * @param {string} language - Language from detectLanguage()
+ * @param {Object|null} provider - LLM provider, if any
+ * @param {Object} [dialogue] - Stored dialogue state
+ * @returns {Promise<Object>} `intent`, `confidence`, `alternatives`, `sources`,
+ *   `dialogue` (updated state), `retrievalMs`, and `scripted` (reply text) when
+ *   the dialogue manager handled the turn
+ */
+const analyse = async (message, language, provider, dialogue) => {
+  const startedAt = Date.now();
+  const { intent, confidence, alternatives } = classifyIntent(message, language);
+  const keywords = toEnglish(normaliseText(message, language), language);
+
+  const turn = await handleDialogue({ message: keywords, intent, state: dialogue, language });
+  if (turn.handled) {
+    return {
+      intent: turn.state.activeIntent || turn.state.lastIntent || intent,
+      confidence,
+      alternatives,
+      sources: turn.sources,
+      dialogue: turn.state,
+      scripted: turn.text,
+      retrievalMs: Date.now() - startedAt,
+    };
+  }
+
+  // Scheme intents always get matches; other intents only when an LLM can use them
+  let sources = [];
+  if (RETRIEVAL_INTENTS.has(intent)) {
+    sources = await searchSchemes(keywords);
+  } else if (provider) {
+    sources = await searchSchemes(keywords, { recentIfNoKeywords: false });
+  }
+
+  return {
+    intent,
+    confidence,
+    alternatives,
+    sources,
+    dialogue: turn.state,
+    retrievalMs: Date.now() - startedAt,
+  };
+};
+
+/**
+ * Rule engine result for an analysed message
+ *
+ * @param {Object} analysis - Result of analyse(), plus the reply `language`
+ * @param {string} [scripted] - Dialogue manager reply, used as-is when present
+ * @returns {{text: string, sources: Array<Object>}} Reply text and the sources it cites
+ */
+const ruleBasedResult = ({ intent, sources, language }, scripted) =>
+  scripted
+    ? { text: scripted, sources }
+    : {
+        text: ruleBasedReply(intent, sources, language),
+        sources: RETRIEVAL_INTENTS.has(intent) ? sources : [],
+      };
+
+/**
+ * Splits reply text into word-sized chunks for streaming
+ * @param {string} text - Reply text
+ * @returns {string[]} Chunks that concatenate back to `text`
+ */
+const splitIntoChunks = (text) => text.match(/\s*\S+\s*/g) || [text];
+
+/**
+ * Generates the bot reply for a message
+ *
+ * @param {Object} params
+ * @param {string} params.message - User message
+ * @param {Array<{role: string, text: string}>} [params.history=[]] - Earlier turns, oldest first
+ * @param {Object} [params.dialogue] - Stored dialogue state of the conversation
+ * @param {string} [params.language] - Reply language; detected from the message when omitted
+ * @param {Object|null} [params.provider] - LLM provider; defaults to the configured one
+ * @param {number} [params.budgetMs=RESPONSE_BUDGET_MS] - Total time allowed
+ * @returns {Promise<Object>} Reply with `text`, `intent`, `confidence`, `alternatives`,
+ *   `sources`, `dialogue` (state to store), `language` (of the reply),
+ *   `provider` (name used, or "rules"),
+ *   `fallback` (true when a provider was configured but the rule engine
+ *   answered) and `timing`
+ */
+export const generateReply = async ({
+  message,
+  history = [],
+  dialogue,
+  language = detectLanguage(message).language,
+  provider = getProvider(),
+  budgetMs = RESPONSE_BUDGET_MS,
+}) => {
+  const startedAt = Date.now();
+  const { retrievalMs, scripted, ...analysis } = await analyse(message, language, provider, dialogue);
+  const result = { ...analysis, language };
+
+  if (provider && !scripted) {
+    const timeoutMs = budgetMs - retrievalMs - RESPONSE_MARGIN_MS;
+    if (timeoutMs >= MIN_PROVIDER_TIME_MS) {
+      try {
+        const text = await generateWithDeadline(
+          provider,
+          buildMessages({ message, schemes: result.sources, history, language }),
+          timeoutMs
+        );
+        return {
+          ...result,
+          text,
+          provider: provider.name,
+          fallback: false,
+          timing: { retrievalMs, totalMs: Date.now() - startedAt },
+        };
+      } catch (err) {
+        console.warn(`LLM provider "${provider.name}" failed, using rule engine: ${err.message}`);
+      }
+    }
+  }
+
+  return {
+    ...result,
+    ...ruleBasedResult(result, scripted),
+    provider: "rules",
+    fallback: Boolean(provider) && !scripted,
+    timing: { retrievalMs, totalMs: Date.now() - startedAt },
+  };
+};
+
+/**
+ * Streams the bot reply for a message chunk by chunk
+ *
+ * The reply budget applies to the first token: a provider that has not
+ * started answering by then is abandoned for the rule engine. Once tokens
+ * flow, the stream may run for up to STREAM_MAX_MS.
+ *
+ * @param {Object} params
+ * @param {string} params.message - User message
+ * @param {Array<{role: string, text: string}>} [params.history=[]] - Earlier turns, oldest first
+ * @param {Object} [params.dialogue] - Stored dialogue state of the conversation
+ * @param {string} [params.language] - Reply language; detected from the message when omitted
+ * @param {Object|null} [params.provider] - LLM provider; defaults to the configured one
+ * @param {number} [params.budgetMs=RESPONSE_BUDGET_MS] - Time allowed until the first token
+ * @param {(text: string) => void} params.onChunk - Receives each piece of reply text
+ * @param {AbortSignal} [params.signal] - Aborts generation, e.g. when the client disconnects
+ * @returns {Promise<Object>} Same shape as generateReply(), plus `cancelled` when the
+ *   signal aborted the stream and `incomplete` when the provider failed mid-reply
+ */
+export const streamReply = async ({
+  message,
+  history = [],
+  dialogue,
+  language = detectLanguage(message).language,
+  provider = getProvider(),
+  budgetMs = RESPONSE_BUDGET_MS,
+  onChunk,
+  signal,
+}) => {
+  const startedAt = Date.now();
+  const { retrievalMs, scripted, ...analysis } = await analyse(message, language, provider, dialogue);
+  const result = { ...analysis, language };
+
+  let text = "";
+  let firstChunkMs = null;
+  const emit = (delta) => {
+    if (firstChunkMs === null) firstChunkMs = Date.now() - startedAt;
+    text += delta;
+    onChunk(delta);
+  };
+  const timing = () => ({ retrievalMs, firstChunkMs, totalMs: Date.now() - startedAt });
+
+  const timeoutMs = budgetMs - retrievalMs - RESPONSE_MARGIN_MS;
+  if (provider && !scripted && timeoutMs >= MIN_PROVIDER_TIME_MS && !signal?.aborted) {
+    const messages = buildMessages({ message, schemes: result.sources, history, language });
+
+    if (!provider.stream) {
+      // Provider cannot stream: send its whole reply as one chunk
+      try {
+        emit(await generateWithDeadline(provider, messages, timeoutMs));
+        return { ...result, text, provider: provider.name, fallback: false, timing: timing() };
+      } catch (err) {
+        console.warn(`LLM provider "${provider.name}" failed, using rule engine: ${err.message}`);
+      }
+    } else {
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      signal?.addEventListener("abort", abort, { once: true });
+      let timer = setTimeout(abort, timeoutMs);
+
+      try {
+        await provider.stream({
+          messages,
+          signal: controller.signal,
+          onToken: (delta) => {
+            if (firstChunkMs === null) {
+              clearTimeout(timer);
+              timer = setTimeout(abort, STREAM_MAX_MS);
+            }
+            emit(delta);
+          },
+        });
+        return { ...result, text, provider: provider.name, fallback: false, timing: timing() };
+      } catch (err) {
+        if (signal?.aborted) {
+          return { ...result, text, provider: provider.name, fallback: false, cancelled: true, timing: timing() };
+        }
+        if (text) {
+          console.warn(`LLM provider "${provider.name}" failed mid-stream: ${err.message}`);
+          return { ...result, text, provider: provider.name, fallback: false, incomplete: true, timing: timing() };
+        }
+        console.warn(`LLM provider "${provider.name}" failed, using rule engine: ${err.message}`);
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", abort);
+      }
+    }
+  }
+
+  const rules = ruleBasedResult(result, scripted);
+  for (const chunk of splitIntoChunks(rules.text)) {
+    if (signal?.aborted) break;
+    emit(chunk);
+  }
+
+  return {
+    ...result,
+    ...rules,
+    text,
+    provider: "rules",
+    fallback: Boolean(provider) && !scripted,
+    ...(signal?.aborted && { cancelled: true }),
+    timing: timing(),
+  };
+};
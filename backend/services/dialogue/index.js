@@ -0,0 +1,221 @@
+/**
+ * Dialogue Manager
+ *
+ * Multi-turn slot filling for scholarship and job queries. The state lives
+ * on the Conversation document and is passed in and returned on every turn:
+ *
+ * - `activeIntent`: flow currently collecting slots, or null
+ * - `awaitingSlot`: slot the last bot message asked for
+ * - `slots`: collected values, kept after a flow finishes so the next flow
+ *   and later corrections can reuse them
+ * - `lastIntent`: most recently completed flow, re-answered on corrections
+ *
+ * @module services/dialogue
+ */
+
+import { FALLBACK_INTENT } from "../nlu/corpus.js";
+import { searchSchemesByTerms } from "../schemeRetrieval.js";
+import { SLOTS, ANY, displaySlot, slotSearchTerms } from "./slots.js";
+import { messagesFor } from "./messages.js";
+
+/** Flows keyed by the intent that starts them; their wording is in messages.js */
+export const FLOWS = {
+  scholarships: {
+    slots: ["educationLevel", "state", "incomeBracket", "fieldOfStudy"],
+    topics: ["scholarship", "fellowship", "stipend", "fee waiver", "financial assistance"],
+  },
+  jobs: {
+    slots: ["educationLevel", "state", "jobSector"],
+    topics: ["job", "employment", "recruitment", "career", "vacancy", "skill", "apprentice"],
+  },
+};
+
+/** Intents that keep an active flow going even when no slot was recognised */
+const CONTINUE_INTENTS = new Set([FALLBACK_INTENT, "help", ...Object.keys(FLOWS)]);
+
+const RESET_PATTERN = /\b(start over|start again|reset|restart|never ?mind|forget it|clear my details)\b/i;
+const SKIP_PATTERN = /^(skip|any|anything|no preference|doesn'?t matter|not sure|don'?t know|pass)\b/i;
+
+/**
+ * Returns a fresh dialogue state
+ * @returns {Object} Empty state
+ */
+export const emptyState = () => ({
+  activeIntent: null,
+  lastIntent: null,
+  awaitingSlot: null,
+  slots: {},
+});
+
+/**
+ * Pulls slot values for a flow out of a message
+ *
+ * @param {string} message - User message
+ * @param {string[]} slotNames - Slots the flow uses
+ * @param {string|null} awaitingSlot - Slot the bot just asked for
+ * @returns {Object<string, string>} Extracted values keyed by slot
+ */
+const extractSlots = (message, slotNames, awaitingSlot) => {
+  const values = {};
+  for (const name of slotNames) {
+    const value = SLOTS[name].extract(message, name === awaitingSlot);
+    if (value) values[name] = value;
+  }
+  if (awaitingSlot && !values[awaitingSlot] && SKIP_PATTERN.test(message.trim())) {
+    values[awaitingSlot] = ANY;
+  }
+  return values;
+};
+
+/**
+ * Displays a slot value, translating "any" for skipped slots
+ * @param {Object} text - Messages from messagesFor()
+ * @param {string} name - Slot name
+ * @param {string} value - Stored value code
+ * @returns {string} Display text
+ */
+const display = (text, name, value) => (value === ANY ? text.any : displaySlot(name, value));
+
+/**
+ * Describes what changed in this turn
+ *
+ * @param {Object} text - Messages from messagesFor()
+ * @param {Object} previous - Slots before the turn
+ * @param {Object} extracted - Values found in the message
+ * @returns {string} Acknowledgement sentence(s), or "" when nothing changed
+ */
+const acknowledge = (text, previous, extracted) =>
+  Object.entries(extracted)
+    .filter(([name, value]) => previous[name] !== value)
+    .map(([name, value]) =>
+      previous[name]
+        ? text.updated(text.labels[name], display(text, name, value))
+        : text.gotIt(text.labels[name], display(text, name, value))
+    )
+    .join(" ");
+
+/**
+ * Builds the final answer for a completed flow
+ *
+ * @param {Object} text - Messages from messagesFor()
+ * @param {string} flowName - Completed flow
+ * @param {Object} slots - Collected slot values
+ * @returns {Promise<{text: string, sources: Array<Object>}>} Reply and matching schemes
+ */
+const answerFlow = async (text, flowName, slots) => {
+  const flow = FLOWS[flowName];
+  const noun = text.nouns[flowName];
+  const summary = flow.slots
+    .map((name) => `• ${text.labels[name]}: ${display(text, name, slots[name])}`)
+    .join("\n");
+
+  const sources = await searchSchemesByTerms({
+    topics: flow.topics,
+    details: flow.slots.flatMap((name) => slotSearchTerms(name, slots[name])),
+  });
+
+  const results = sources.length > 0
+    ? `${text.results(noun)}\n\n${sources.map((s) => `• ${s.title}`).join("\n")}`
+    : text.noResults(noun);
+
+  return {
+    text: `${text.summary}\n${summary}\n\n${results}\n\n${text.followUp}`,
+    sources,
+  };
+};
+
+/**
+ * Runs one dialogue turn
+ *
+ * Returns `handled: false` when the message is not part of a flow, in which
+ * case the caller answers normally (the returned state may still differ,
+ * e.g. when the user changed topic and the active flow was dropped).
+ *
+ * @param {Object} params
+ * @param {string} params.message - User message, glossed into English keywords
+ *   (see toEnglish() in services/nlu/language) so slot vocabularies match
+ * @param {string} params.intent - Intent from the classifier
+ * @param {Object} [params.state] - Stored dialogue state
+ * @param {string} [params.language="en"] - Language to reply in
+ * @returns {Promise<{handled: boolean, state: Object, text?: string, sources?: Array<Object>}>}
+ */
+export const handleDialogue = async ({ message, intent, state, language }) => {
+  const text = messagesFor(language);
+  const current = { ...emptyState(), ...state, slots: { ...(state?.slots || {}) } };
+  const hasContext = current.activeIntent || current.lastIntent || Object.keys(current.slots).length > 0;
+
+  if (RESET_PATTERN.test(message)) {
+    if (!hasContext) return { handled: false, state: current };
+    return {
+      handled: true,
+      state: emptyState(),
+      text: text.reset,
+      sources: [],
+    };
+  }
+
+  // Decide which flow (if any) this message belongs to
+  let flowName = null;
+  let starting = false;
+  if (FLOWS[intent] && intent !== current.activeIntent) {
+    flowName = intent;
+    starting = true;
+  } else if (current.activeIntent && CONTINUE_INTENTS.has(intent)) {
+    // Unclear reply to a question: ask it again
+    flowName = current.activeIntent;
+  } else if (current.activeIntent) {
+    flowName = Object.keys(extractSlots(message, FLOWS[current.activeIntent].slots, current.awaitingSlot)).length > 0
+      ? current.activeIntent
+      : null;
+  } else if (current.lastIntent && intent === FALLBACK_INTENT) {
+    // Correction after a finished flow: re-answer it with the new details
+    flowName = current.lastIntent;
+  }
+
+  const flow = FLOWS[flowName];
+  const updates = flow ? extractSlots(message, flow.slots, starting ? null : current.awaitingSlot) : {};
+
+  if (!flow || (flowName === current.lastIntent && !current.activeIntent && !starting && Object.keys(updates).length === 0)) {
+    // Not part of a flow: the user changed topic, so drop any half-finished flow
+    return {
+      handled: false,
+      state: { ...current, activeIntent: null, awaitingSlot: null },
+    };
+  }
+
+  const ack = acknowledge(text, current.slots, updates);
+  const slots = { ...current.slots, ...updates };
+  const missing = flow.slots.find((name) => !slots[name]);
+  const misunderstood = !starting && Object.keys(updates).length === 0;
+
+  if (missing) {
+    const remembered = starting
+      ? flow.slots.filter((name) => current.slots[name] && !updates[name])
+      : [];
+    const recall = remembered.length > 0
+      ? text.recall(remembered.map((name) => `${text.labels[name].toLowerCase()}: ${display(text, name, slots[name])}`).join(", "))
+      : "";
+
+    return {
+      handled: true,
+      state: { ...current, activeIntent: flowName, awaitingSlot: missing, slots },
+      text: [
+        starting && text.intros[flowName],
+        misunderstood && text.notUnderstood,
+        ack,
+        recall,
+        text.prompts[missing],
+        starting && text.hint,
+      ].filter(Boolean).join(" "),
+      sources: [],
+    };
+  }
+
+  const answer = await answerFlow(text, flowName, slots);
+  return {
+    handled: true,
+    state: { activeIntent: null, lastIntent: flowName, awaitingSlot: null, slots },
+    text: ack ? `${ack} ${answer.text}` : answer.text,
+    sources: answer.sources,
+  };
+};
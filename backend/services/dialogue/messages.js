@@ -0,0 +1,161 @@
+/**
+ * Dialogue Messages
+ *
+ * Everything the dialogue manager says, per reply language. Slot values
+ * (states, education levels, income brackets) are displayed as in
+ * slots.js; only the surrounding sentences are translated.
+ *
+ * @module services/dialogue/messages
+ */
+
+import { DEFAULT_LANGUAGE } from "../nlu/language.js";
+
+const MESSAGES = {
+  en: {
+    intros: {
+      scholarships: "Let's find scholarships that fit you.",
+      jobs: "Let's narrow down job opportunities for you.",
+    },
+    nouns: {
+      scholarships: "scholarships",
+      jobs: "job and career schemes",
+    },
+    labels: {
+      educationLevel: "Education level",
+      state: "State",
+      incomeBracket: "Annual family income",
+      fieldOfStudy: "Field of study",
+      jobSector: "Job sector",
+    },
+    prompts: {
+      educationLevel: "What is your current education level? (e.g. 10th, 12th, diploma, undergraduate, postgraduate, PhD)",
+      state: "Which state or union territory do you live in?",
+      incomeBracket: "What is your annual family income? (e.g. below 1 lakh, 2.5 lakh, above 8 lakh)",
+      fieldOfStudy: "What field are you studying or planning to study? (e.g. engineering, medical, science, commerce, arts)",
+      jobSector: "Which sector are you interested in? (e.g. government, IT, banking, railways, teaching)",
+    },
+    any: "Any",
+    hint: 'You can say "skip" to any question, or "start over" to reset.',
+    notUnderstood: "Sorry, I didn't catch that.",
+    reset: "Okay, I've cleared your details. What would you like to look for: scholarships, jobs, or government schemes?",
+    updated: (label, value) => `Updated your ${label.toLowerCase()} to ${value}.`,
+    gotIt: (label, value) => `Got it: ${label.toLowerCase()} ${value}.`,
+    recall: (details) => `I'll use what you told me earlier (${details}).`,
+    summary: "Based on your details:",
+    results: (noun) => `Here are ${noun} that match best:`,
+    noResults: (noun) => `I couldn't find ${noun} matching these details yet. New schemes are added regularly, so please check back.`,
+    followUp: 'Tell me if anything changed (e.g. "actually I\'m in Gujarat"), or say "start over" to reset.',
+  },
+  hi: {
+    intros: {
+      scholarships: "आइए आपके लिए सही छात्रवृत्तियां ढूंढते हैं।",
+      jobs: "आइए आपके लिए नौकरी के अवसर ढूंढते हैं।",
+    },
+    nouns: {
+      scholarships: "छात्रवृत्तियां",
+      jobs: "नौकरी और करियर योजनाएं",
+    },
+    labels: {
+      educationLevel: "शिक्षा स्तर",
+      state: "राज्य",
+      incomeBracket: "वार्षिक पारिवारिक आय",
+      fieldOfStudy: "पढ़ाई का क्षेत्र",
+      jobSector: "नौकरी का क्षेत्र",
+    },
+    prompts: {
+      educationLevel: "आपका वर्तमान शिक्षा स्तर क्या है? (जैसे 10वीं, 12वीं, डिप्लोमा, स्नातक, स्नातकोत्तर, पीएचडी)",
+      state: "आप किस राज्य या केंद्र शासित प्रदेश में रहते हैं?",
+      incomeBracket: "आपकी वार्षिक पारिवारिक आय कितनी है? (जैसे 1 लाख से कम, 2.5 लाख, 8 लाख से अधिक)",
+      fieldOfStudy: "आप किस क्षेत्र में पढ़ रहे हैं या पढ़ना चाहते हैं? (जैसे इंजीनियरिंग, मेडिकल, विज्ञान, वाणिज्य, कला)",
+      jobSector: "आपकी किस क्षेत्र में रुचि है? (जैसे सरकारी, आईटी, बैंक, रेलवे, शिक्षण)",
+    },
+    any: "कोई भी",
+    hint: 'किसी भी सवाल को छोड़ने के लिए "छोड़ो" कहें, या दोबारा शुरू करने के लिए "फिर से शुरू" कहें।',
+    notUnderstood: "माफ़ कीजिए, मैं समझ नहीं पाया।",
+    reset: "ठीक है, मैंने आपकी जानकारी हटा दी है। आप क्या ढूंढना चाहते हैं: छात्रवृत्ति, नौकरी या सरकारी योजनाएं?",
+    updated: (label, value) => `आपका ${label} बदलकर ${value} कर दिया गया है।`,
+    gotIt: (label, value) => `समझ गया: ${label} ${value}।`,
+    recall: (details) => `मैं आपकी पहले दी गई जानकारी का उपयोग करूंगा (${details})।`,
+    summary: "आपकी जानकारी के आधार पर:",
+    results: (noun) => `ये ${noun} आपके लिए सबसे उपयुक्त हैं:`,
+    noResults: (noun) => `इन विवरणों से मेल खाती ${noun} अभी नहीं मिलीं। नई योजनाएं लगातार जोड़ी जाती हैं, कृपया बाद में फिर देखें।`,
+    followUp: 'कुछ बदला हो तो बताइए (जैसे "मैं गुजरात में हूं"), या दोबारा शुरू करने के लिए "फिर से शुरू" कहें।',
+  },
+  gu: {
+    intros: {
+      scholarships: "ચાલો તમારા માટે યોગ્ય શિષ્યવૃત્તિઓ શોધીએ.",
+      jobs: "ચાલો તમારા માટે નોકરીની તકો શોધીએ.",
+    },
+    nouns: {
+      scholarships: "શિષ્યવૃત્તિઓ",
+      jobs: "નોકરી અને કારકિર્દી યોજનાઓ",
+    },
+    labels: {
+      educationLevel: "શિક્ષણ સ્તર",
+      state: "રાજ્ય",
+      incomeBracket: "વાર્ષિક કૌટુંબિક આવક",
+      fieldOfStudy: "અભ્યાસનું ક્ષેત્ર",
+      jobSector: "નોકરીનું ક્ષેત્ર",
+    },
+    prompts: {
+      educationLevel: "તમારું હાલનું શિક્ષણ સ્તર શું છે? (જેમ કે ધોરણ 10, ધોરણ 12, ડિપ્લોમા, સ્નાતક, અનુસ્નાતક, પીએચડી)",
+      state: "તમે કયા રાજ્ય અથવા કેન્દ્રશાસિત પ્રદેશમાં રહો છો?",
+      incomeBracket: "તમારી વાર્ષિક કૌટુંબિક આવક કેટલી છે? (જેમ કે 1 લાખથી ઓછી, 2.5 લાખ, 8 લાખથી વધુ)",
+      fieldOfStudy: "તમે કયા ક્ષેત્રમાં અભ્યાસ કરો છો અથવા કરવા માંગો છો? (જેમ કે એન્જિનિયરિંગ, મેડિકલ, વિજ્ઞાન, કોમર્સ, આર્ટ્સ)",
+      jobSector: "તમને કયા ક્ષેત્રમાં રસ છે? (જેમ કે સરકારી, આઈટી, બેંક, રેલવે, શિક્ષણ)",
+    },
+    any: "કોઈ પણ",
+    hint: 'કોઈ પણ પ્રશ્ન છોડવા માટે "છોડો" કહો, અથવા ફરી શરૂ કરવા માટે "ફરીથી શરૂ" કહો.',
+    notUnderstood: "માફ કરશો, હું સમજી શક્યો નહીં.",
+    reset: "ઠીક છે, મેં તમારી માહિતી કાઢી નાખી છે. તમે શું શોધવા માંગો છો: શિષ્યવૃત્તિ, નોકરી કે સરકારી યોજનાઓ?",
+    updated: (label, value) => `તમારું ${label} બદલીને ${value} કર્યું છે.`,
+    gotIt: (label, value) => `સમજાયું: ${label} ${value}.`,
+    recall: (details) => `હું તમે પહેલાં આપેલી માહિતીનો ઉપયોગ કરીશ (${details}).`,
+    summary: "તમારી માહિતીના આધારે:",
+    results: (noun) => `આ ${noun} તમારા માટે સૌથી યોગ્ય છે:`,
+    noResults: (noun) => `આ માહિતી સાથે મેળ ખાતી ${noun} હજી મળી નથી. નવી યોજનાઓ નિયમિત ઉમેરાય છે, કૃપા કરીને પછી ફરી જુઓ.`,
+    followUp: 'કંઈ બદલાયું હોય તો જણાવો (જેમ કે "હું ગુજરાતમાં છું"), અથવા ફરી શરૂ કરવા માટે "ફરીથી શરૂ" કહો.',
+  },
+  "hi-Latn": {
+    intros: {
+      scholarships: "Chaliye aapke liye sahi scholarships dhundhte hain.",
+      jobs: "Chaliye aapke liye naukri ke avsar dhundhte hain.",
+    },
+    nouns: {
+      scholarships: "scholarships",
+      jobs: "naukri aur career yojanayen",
+    },
+    labels: {
+      educationLevel: "Padhai ka level",
+      state: "Rajya",
+      incomeBracket: "Saalana parivarik aay",
+      fieldOfStudy: "Padhai ka field",
+      jobSector: "Naukri ka sector",
+    },
+    prompts: {
+      educationLevel: "Aapki abhi ki padhai kis level par hai? (jaise 10th, 12th, diploma, graduation, post graduation, PhD)",
+      state: "Aap kis rajya ya union territory mein rehte hain?",
+      incomeBracket: "Aapke parivar ki saalana aay kitni hai? (jaise 1 lakh se kam, 2.5 lakh, 8 lakh se zyada)",
+      fieldOfStudy: "Aap kis field mein padh rahe hain ya padhna chahte hain? (jaise engineering, medical, science, commerce, arts)",
+      jobSector: "Aapko kis sector mein dilchaspi hai? (jaise government, IT, banking, railways, teaching)",
+    },
+    any: "koi bhi",
+    hint: 'Kisi bhi sawaal ko chhodne ke liye "skip" kahiye, ya dobara shuru karne ke liye "start over" kahiye.',
+    notUnderstood: "Maaf kijiye, main samajh nahi paaya.",
+    reset: "Theek hai, maine aapki jankari hata di hai. Aap kya dhundhna chahte hain: scholarship, naukri ya sarkari yojanayen?",
+    updated: (label, value) => `Aapka ${label.toLowerCase()} badalkar ${value} kar diya hai.`,
+    gotIt: (label, value) => `Samajh gaya: ${label.toLowerCase()} ${value}.`,
+    recall: (details) => `Main aapki pehle di hui jankari use karunga (${details}).`,
+    summary: "Aapki jankari ke hisaab se:",
+    results: (noun) => `Ye ${noun} aapke liye sabse sahi hain:`,
+    noResults: (noun) => `In details se milti ${noun} abhi nahi mili. Nayi yojanayen lagatar judti rehti hain, kripya baad mein dekhiye.`,
+    followUp: 'Kuch badla ho to bataiye (jaise "main Gujarat mein hoon"), ya reset karne ke liye "start over" kahiye.',
+  },
+};
+
+/**
+ * Returns the dialogue messages for a reply language
+ * @param {string} [language] - Language code from detectLanguage()
+ * @returns {Object} Message table, English when the language is unsupported
+ */
+export const messagesFor = (language) => MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
@@ -0,0 +1,256 @@
+/**
+ * Dialogue Slots
+ *
+ * Slot definitions for multi-turn flows. Each slot knows how to pull a
+ * value out of free text and how to display a value; the questions that ask
+ * for them live in messages.js.
+ * Values are stored as stable codes ("undergraduate", "gujarat", "2.5l-5l").
+ *
+ * @module services/dialogue/slots
+ */
+
+/** Stored when the user skips a question */
+export const ANY = "any";
+
+/**
+ * Builds a matcher from code -> phrase list. Phrases are matched as whole
+ * words, longest first, so "post graduate" wins over "graduate".
+ *
+ * @param {Object<string, string[]>} dictionary - Phrases keyed by value code
+ * @returns {(text: string) => string|null} Extractor returning a value code
+ */
+const phraseMatcher = (dictionary) => {
+  const entries = Object.entries(dictionary)
+    .flatMap(([code, phrases]) => phrases.map((phrase) => ({ code, phrase })))
+    .sort((a, b) => b.phrase.length - a.phrase.length)
+    .map(({ code, phrase }) => ({
+      code,
+      pattern: new RegExp(`(^|[^a-z0-9])${phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^a-z0-9])`, "i"),
+    }));
+
+  return (text) => entries.find(({ pattern }) => pattern.test(text))?.code || null;
+};
+
+const EDUCATION_LEVELS = {
+  "10th": ["10th", "class 10", "class x", "ssc", "matric", "matriculation", "high school"],
+  "12th": ["12th", "class 12", "class xii", "hsc", "intermediate", "higher secondary", "senior secondary", "puc"],
+  diploma: ["diploma", "polytechnic", "iti"],
+  undergraduate: [
+    "undergraduate", "under graduate", "ug", "graduate", "graduation", "bachelor", "bachelors",
+    "btech", "b.tech", "b.e.", "bsc", "b.sc", "bcom", "b.com", "b.a.", "bba", "bca", "mbbs", "college",
+  ],
+  postgraduate: [
+    "postgraduate", "post graduate", "pg", "master", "masters", "mtech", "m.tech", "msc", "m.sc",
+    "mcom", "m.com", "m.a.", "mba", "mca",
+  ],
+  phd: ["phd", "ph.d", "doctorate", "doctoral", "research scholar"],
+};
+
+export const EDUCATION_LABELS = {
+  "10th": "Class 10",
+  "12th": "Class 12",
+  diploma: "Diploma / ITI",
+  undergraduate: "Undergraduate",
+  postgraduate: "Postgraduate",
+  phd: "PhD",
+};
+
+/** States and union territories with common alternate spellings */
+export const STATES = {
+  "andhra-pradesh": ["andhra pradesh", "andhra"],
+  "arunachal-pradesh": ["arunachal pradesh", "arunachal"],
+  assam: ["assam"],
+  bihar: ["bihar"],
+  chhattisgarh: ["chhattisgarh", "chattisgarh"],
+  goa: ["goa"],
+  gujarat: ["gujarat", "gujrat"],
+  haryana: ["haryana"],
+  "himachal-pradesh": ["himachal pradesh", "himachal"],
+  jharkhand: ["jharkhand"],
+  karnataka: ["karnataka"],
+  kerala: ["kerala"],
+  "madhya-pradesh": ["madhya pradesh", "mp"],
+  maharashtra: ["maharashtra"],
+  manipur: ["manipur"],
+  meghalaya: ["meghalaya"],
+  mizoram: ["mizoram"],
+  nagaland: ["nagaland"],
+  odisha: ["odisha", "orissa"],
+  punjab: ["punjab"],
+  rajasthan: ["rajasthan"],
+  sikkim: ["sikkim"],
+  "tamil-nadu": ["tamil nadu", "tamilnadu", "tn"],
+  telangana: ["telangana"],
+  tripura: ["tripura"],
+  "uttar-pradesh": ["uttar pradesh"],
+  uttarakhand: ["uttarakhand", "uttaranchal"],
+  "west-bengal": ["west bengal", "bengal"],
+  "andaman-nicobar": ["andaman and nicobar", "andaman"],
+  chandigarh: ["chandigarh"],
+  "dadra-nagar-haveli-daman-diu": ["dadra and nagar haveli", "daman and diu", "daman", "diu"],
+  delhi: ["delhi", "new delhi", "ncr"],
+  "jammu-kashmir": ["jammu and kashmir", "jammu & kashmir", "j&k", "jammu", "kashmir"],
+  ladakh: ["ladakh"],
+  lakshadweep: ["lakshadweep"],
+  puducherry: ["puducherry", "pondicherry"],
+};
+
+/**
+ * Turns a state code into its display name
+ * @param {string} code - State code, e.g. "tamil-nadu"
+ * @returns {string} Display name, e.g. "Tamil Nadu"
+ */
+export const stateName = (code) =>
+  (STATES[code]?.[0] || code)
+    .split(" ")
+    .map((word) => (word === "and" ? word : word[0].toUpperCase() + word.slice(1)))
+    .join(" ");
+
+/** Annual family income brackets, upper bound in rupees */
+export const INCOME_BRACKETS = [
+  { code: "below-1l", max: 100000, label: "Below ₹1 lakh" },
+  { code: "1l-2.5l", max: 250000, label: "₹1 – 2.5 lakh" },
+  { code: "2.5l-5l", max: 500000, label: "₹2.5 – 5 lakh" },
+  { code: "5l-8l", max: 800000, label: "₹5 – 8 lakh" },
+  { code: "above-8l", max: Infinity, label: "Above ₹8 lakh" },
+];
+
+/**
+ * Pulls an annual income bracket out of text like "2.5 lakh", "₹300000",
+ * "below 1 lac" or "BPL". Bare numbers only count when `expecting` is true,
+ * so "12th" or "2 kids" are not read as income.
+ *
+ * @param {string} text - User message
+ * @param {boolean} expecting - True when the bot just asked for income
+ * @returns {string|null} Bracket code
+ */
+const extractIncome = (text, expecting) => {
+  const lower = text.toLowerCase();
+  if (/\bbpl\b|below poverty line/.test(lower)) return "below-1l";
+
+  let amount = null;
+  const lakh = lower.match(/(\d+(?:\.\d+)?)\s*(?:lakhs?|lacs?|lpa|l\b)/);
+  const thousand = lower.match(/(\d+(?:\.\d+)?)\s*(?:k|thousand)\b/);
+  const rupees = lower.match(/(?:₹|rs\.?|inr)\s*(\d[\d,]*)/) || (expecting && lower.match(/\b(\d[\d,]{3,})\b/));
+
+  if (lakh) amount = parseFloat(lakh[1]) * 100000;
+  else if (thousand) amount = parseFloat(thousand[1]) * 1000;
+  else if (rupees) amount = parseInt(rupees[1].replace(/,/g, ""), 10);
+  if (amount === null || Number.isNaN(amount)) return null;
+
+  // "above 8 lakh" / "more than 5 lakh" sit just over the stated amount
+  if (/\b(above|over|more than|greater than)\b/.test(lower)) amount += 1;
+  return INCOME_BRACKETS.find((bracket) => amount <= bracket.max).code;
+};
+
+const FIELDS_OF_STUDY = {
+  engineering: ["engineering", "engineer", "btech", "b.tech", "mtech", "m.tech", "b.e.", "polytechnic"],
+  "computer-science": ["computer science", "computers", "bca", "mca", "information technology", "software"],
+  medical: ["medical", "medicine", "mbbs", "nursing", "pharmacy", "dental", "bds", "ayush"],
+  science: ["science", "bsc", "b.sc", "msc", "m.sc", "physics", "chemistry", "biology", "mathematics", "maths"],
+  commerce: ["commerce", "bcom", "b.com", "mcom", "m.com", "accounting", "chartered accountancy"],
+  arts: ["arts", "humanities", "b.a.", "m.a.", "history", "literature", "fine arts"],
+  law: ["law", "llb", "llm", "legal"],
+  management: ["management", "mba", "bba", "business"],
+  agriculture: ["agriculture", "farming", "horticulture", "veterinary"],
+  teaching: ["b.ed", "teacher training", "teaching"],
+};
+
+const FIELD_LABELS = {
+  engineering: "Engineering",
+  "computer-science": "Computer science / IT",
+  medical: "Medical",
+  science: "Science",
+  commerce: "Commerce",
+  arts: "Arts / Humanities",
+  law: "Law",
+  management: "Management",
+  agriculture: "Agriculture",
+  teaching: "Teaching / Education",
+};
+
+const JOB_SECTORS = {
+  government: ["government", "govt", "sarkari", "public sector", "psu", "upsc", "ssc", "psc"],
+  private: ["private", "private sector", "corporate"],
+  it: ["it sector", "it job", "it jobs", "it company", "software", "tech", "information technology", "developer", "programming"],
+  banking: ["bank", "banking", "ibps", "finance"],
+  railways: ["railway", "railways", "rrb"],
+  defence: ["defence", "defense", "army", "navy", "air force", "police", "paramilitary"],
+  teaching: ["teaching", "teacher", "professor", "lecturer", "tet"],
+  healthcare: ["healthcare", "health", "hospital", "nurse", "nursing", "doctor"],
+};
+
+const SECTOR_LABELS = {
+  government: "Government",
+  private: "Private sector",
+  it: "IT / Software",
+  banking: "Banking",
+  railways: "Railways",
+  defence: "Defence / Police",
+  teaching: "Teaching",
+  healthcare: "Healthcare",
+};
+
+/** Search keywords for each value, used to filter schemes once slots are filled */
+const SEARCH_TERMS = {
+  "10th": ["class 10", "matric", "pre-matric", "school"],
+  "12th": ["class 12", "post-matric", "higher secondary"],
+  diploma: ["diploma", "polytechnic", "iti"],
+  undergraduate: ["undergraduate", "graduate", "degree", "college"],
+  postgraduate: ["postgraduate", "post graduate", "master"],
+  phd: ["phd", "doctoral", "research", "fellowship"],
+  "below-1l": ["bpl", "economically weaker", "low income"],
+  "1l-2.5l": ["economically weaker", "low income", "2.5 lakh"],
+  "2.5l-5l": ["middle income", "5 lakh"],
+  "5l-8l": ["8 lakh"],
+};
+
+/**
+ * Slot definitions keyed by slot name
+ * `extract(text, expecting)` returns a value code or null.
+ */
+export const SLOTS = {
+  educationLevel: {
+    extract: phraseMatcher(EDUCATION_LEVELS),
+    display: (value) => EDUCATION_LABELS[value] || value,
+  },
+  state: {
+    extract: phraseMatcher(STATES),
+    display: stateName,
+  },
+  incomeBracket: {
+    extract: extractIncome,
+    display: (value) => INCOME_BRACKETS.find((bracket) => bracket.code === value)?.label || value,
+  },
+  fieldOfStudy: {
+    extract: phraseMatcher(FIELDS_OF_STUDY),
+    display: (value) => FIELD_LABELS[value] || value,
+  },
+  jobSector: {
+    extract: phraseMatcher(JOB_SECTORS),
+    display: (value) => SECTOR_LABELS[value] || value,
+  },
+};
+
+/**
+ * Displays a stored slot value
+ * @param {string} slot - Slot name
+ * @param {string} value - Stored value code
+ * @returns {string} Display text
+ */
+export const displaySlot = (slot, value) =>
+  value === ANY ? "Any" : SLOTS[slot].display(value);
+
+/**
+ * Search keywords for a stored slot value
+ * @param {string} slot - Slot name
+ * @param {string} value - Stored value code
+ * @returns {string[]} Keywords (empty for skipped slots)
+ */
+export const slotSearchTerms = (slot, value) => {
+  if (!value || value === ANY) return [];
+  if (slot === "state") return [stateName(value)];
+  if (slot === "fieldOfStudy") return FIELDS_OF_STUDY[value].slice(0, 2);
+  if (slot === "jobSector") return JOB_SECTORS[value].slice(0, 2);
+  return SEARCH_TERMS[value] || [];
+};
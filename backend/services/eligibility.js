@@ -0,0 +1,273 @@
+/**
+ * Eligibility Checker
+ *
+ * Compares a user's profile with each scheme's structured eligibility
+ * rules and explains the outcome. Every restriction a scheme sets becomes
+ * one criterion that is met, unmet, or unknown (the profile lacks the
+ * value needed to check it). A scheme is:
+ *
+ * - eligible: every criterion is met
+ * - partial: nothing is unmet, but some criteria could not be checked
+ * - ineligible: at least one criterion is unmet
+ *
+ * @module services/eligibility
+ */
+
+import { EDUCATION_LABELS, stateName } from "./dialogue/slots.js";
+import { STATE_CODES, EDUCATION_LEVELS, GENDERS, SOCIAL_CATEGORIES } from "../models/Scheme.js";
+
+const MAX_AGE = 120;
+
+/** Profile fields the checker understands */
+export const PROFILE_FIELDS = ["age", "dateOfBirth", "state", "income", "gender", "socialCategory", "education", "occupation"];
+
+const CATEGORY_LABELS = {
+  general: "General",
+  obc: "OBC",
+  sc: "SC",
+  st: "ST",
+  ews: "EWS",
+  minority: "Minority",
+};
+
+/**
+ * Formats rupees the Indian way, e.g. 250000 -> "₹2,50,000"
+ * @param {number} amount - Amount in rupees
+ * @returns {string} Formatted amount
+ */
+const rupees = (amount) => `₹${amount.toLocaleString("en-IN")}`;
+
+/**
+ * Joins display names into a readable list: "A", "A or B", "A, B or C"
+ * @param {string[]} items - Display names
+ * @returns {string} Joined list
+ */
+const orList = (items) =>
+  items.length > 1 ? `${items.slice(0, -1).join(", ")} or ${items[items.length - 1]}` : items[0];
+
+/**
+ * Age in whole years on a given day
+ * @param {Date|string} dateOfBirth - Date of birth
+ * @param {Date} [now=new Date()] - Day to measure on
+ * @returns {number} Age
+ */
+export const ageOn = (dateOfBirth, now = new Date()) => {
+  const born = new Date(dateOfBirth);
+  const age = now.getUTCFullYear() - born.getUTCFullYear();
+  const hadBirthday = now.getUTCMonth() > born.getUTCMonth()
+    || (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() >= born.getUTCDate());
+  return hadBirthday ? age : age - 1;
+};
+
+/**
+ * Validates and normalises a profile from a request body or the User document.
+ * Empty values are dropped so they count as "unknown" rather than failing.
+ * A date of birth takes precedence over `age`, which is derived from it.
+ *
+ * @param {Object} input - Raw profile
+ * @returns {{profile: Object, error: string|null}} Clean profile, or the first problem found
+ */
+export const normaliseProfile = (input = {}) => {
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { profile: {}, error: "Profile must be an object" };
+  }
+
+  const profile = {};
+  const isEmpty = (value) => value === undefined || value === null || value === "";
+
+  for (const field of ["age", "income"]) {
+    if (isEmpty(input[field])) continue;
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { profile, error: `${field === "age" ? "Age" : "Income"} must be a non-negative number` };
+    }
+    if (field === "age" && value > MAX_AGE) return { profile, error: `Age cannot exceed ${MAX_AGE}` };
+    profile[field] = field === "age" ? Math.floor(value) : value;
+  }
+
+  if (!isEmpty(input.dateOfBirth)) {
+    const born = new Date(input.dateOfBirth);
+    if (Number.isNaN(born.getTime())) return { profile, error: "Date of birth must be a valid date" };
+    const age = ageOn(born);
+    if (age < 0) return { profile, error: "Date of birth cannot be in the future" };
+    if (age > MAX_AGE) return { profile, error: `Age cannot exceed ${MAX_AGE}` };
+    profile.dateOfBirth = born;
+    profile.age = age;
+  }
+
+  const choices = [
+    ["state", STATE_CODES, "state"],
+    ["gender", GENDERS, "gender"],
+    ["socialCategory", SOCIAL_CATEGORIES, "social category"],
+    ["education", EDUCATION_LEVELS, "education level"],
+  ];
+  for (const [field, allowed, name] of choices) {
+    if (isEmpty(input[field])) continue;
+    const value = String(input[field]).trim().toLowerCase();
+    if (!allowed.includes(value)) return { profile, error: `Unknown ${name}: ${input[field]}` };
+    profile[field] = value;
+  }
+
+  if (!isEmpty(input.occupation)) {
+    if (typeof input.occupation !== "string") return { profile, error: "Occupation must be a string" };
+    const occupation = input.occupation.trim().slice(0, 60);
+    if (occupation) profile.occupation = occupation;
+  }
+
+  return { profile, error: null };
+};
+
+/**
+ * Builds the criteria a scheme sets. Each one knows the profile field it
+ * needs, how to test it, and how to explain a failure.
+ *
+ * @param {Object} eligibility - Scheme eligibility rules
+ * @returns {Array<Object>} Criteria: `{ criterion, field, requirement, test, unmet }`
+ */
+const criteriaFor = (eligibility = {}) => {
+  const criteria = [];
+  const { minAge, maxAge, maxIncome } = eligibility;
+
+  if (minAge != null || maxAge != null) {
+    const requirement = minAge != null && maxAge != null
+      ? `Age ${minAge}–${maxAge}`
+      : minAge != null ? `Age ${minAge} or older` : `Age ${maxAge} or younger`;
+    criteria.push({
+      criterion: "age",
+      field: "age",
+      requirement,
+      test: (age) => (minAge == null || age >= minAge) && (maxAge == null || age <= maxAge),
+      unmet: (age) => (minAge != null && age < minAge
+        ? `You must be at least ${minAge}; you are ${age}`
+        : `You must be ${maxAge} or younger; you are ${age}`),
+    });
+  }
+
+  if (maxIncome != null) {
+    criteria.push({
+      criterion: "income",
+      field: "income",
+      requirement: `Family income up to ${rupees(maxIncome)} a year`,
+      test: (income) => income <= maxIncome,
+      unmet: (income) => `Family income must be at most ${rupees(maxIncome)}; yours is ${rupees(income)}`,
+    });
+  }
+
+  const lists = [
+    {
+      criterion: "state",
+      field: "state",
+      values: eligibility.states,
+      label: stateName,
+      requirement: (names) => `Residents of ${names}`,
+      unmet: (names, value) => `Only for residents of ${names}; you live in ${stateName(value)}`,
+    },
+    {
+      criterion: "gender",
+      field: "gender",
+      values: eligibility.genders,
+      label: (value) => value,
+      requirement: (names) => `Open to ${names} applicants`,
+      unmet: (names) => `Only for ${names} applicants`,
+    },
+    {
+      criterion: "socialCategory",
+      field: "socialCategory",
+      values: eligibility.socialCategories,
+      label: (value) => CATEGORY_LABELS[value] || value,
+      requirement: (names) => `${names} category`,
+      unmet: (names, value) => `Only for the ${names} category; yours is ${CATEGORY_LABELS[value] || value}`,
+    },
+    {
+      criterion: "education",
+      field: "education",
+      values: eligibility.educationLevels,
+      label: (value) => EDUCATION_LABELS[value] || value,
+      requirement: (names) => `Studying at: ${names}`,
+      unmet: (names, value) => `Only for students at ${names} level; you are at ${EDUCATION_LABELS[value] || value}`,
+    },
+    {
+      criterion: "occupation",
+      field: "occupation",
+      values: eligibility.occupations,
+      label: (value) => value,
+      requirement: (names) => `Occupation: ${names}`,
+      unmet: (names, value) => `Only for ${names}; your occupation is ${value}`,
+    },
+  ];
+
+  for (const list of lists) {
+    if (!list.values?.length) continue;
+    const names = orList(list.values.map(list.label));
+    const allowed = list.values.map((value) => value.toLowerCase());
+    criteria.push({
+      criterion: list.criterion,
+      field: list.field,
+      requirement: list.requirement(names),
+      test: (value) => allowed.includes(value.toLowerCase()),
+      unmet: (value) => list.unmet(names, value),
+    });
+  }
+
+  return criteria;
+};
+
+/** Words used to ask for a missing profile value */
+const FIELD_NAMES = {
+  age: "your age",
+  income: "your family income",
+  state: "your state",
+  gender: "your gender",
+  socialCategory: "your social category",
+  education: "your education level",
+  occupation: "your occupation",
+};
+
+/**
+ * Checks one scheme against a profile
+ *
+ * @param {Object} scheme - Scheme document
+ * @param {Object} profile - Result of normaliseProfile()
+ * @returns {{status: "eligible"|"partial"|"ineligible", met: Array<Object>, unmet: Array<Object>, unknown: Array<Object>}}
+ *   Outcome; every entry is `{ criterion, requirement, reason }`
+ */
+export const evaluateScheme = (scheme, profile) => {
+  const result = { met: [], unmet: [], unknown: [] };
+
+  for (const { criterion, field, requirement, test, unmet } of criteriaFor(scheme.eligibility)) {
+    const value = profile[field];
+    if (value === undefined) {
+      result.unknown.push({ criterion, requirement, reason: `Add ${FIELD_NAMES[field]} to check: ${requirement}` });
+    } else if (test(value)) {
+      result.met.push({ criterion, requirement, reason: requirement });
+    } else {
+      result.unmet.push({ criterion, requirement, reason: unmet(value) });
+    }
+  }
+
+  const status = result.unmet.length ? "ineligible" : result.unknown.length ? "partial" : "eligible";
+  return { status, ...result };
+};
+
+/**
+ * Sorts schemes into eligible, partially eligible and ineligible lists.
+ * Partial matches with fewer unknowns and near misses with fewer unmet
+ * criteria come first.
+ *
+ * @param {Array<Object>} schemes - Scheme documents
+ * @param {Object} profile - Result of normaliseProfile()
+ * @returns {{eligible: Array<Object>, partial: Array<Object>, ineligible: Array<Object>}}
+ *   Lists of `{ scheme, met, unmet, unknown }`
+ */
+export const checkEligibility = (schemes, profile) => {
+  const lists = { eligible: [], partial: [], ineligible: [] };
+
+  for (const scheme of schemes) {
+    const { status, ...outcome } = evaluateScheme(scheme, profile);
+    lists[status].push({ scheme, ...outcome });
+  }
+
+  lists.partial.sort((a, b) => a.unknown.length - b.unknown.length);
+  lists.ineligible.sort((a, b) => a.unmet.length - b.unmet.length);
+  return lists;
+};
@@ -0,0 +1,331 @@
+/**
+ * Link Checker
+ *
+ * Checks that the official links on schemes still work. Each URL gets a
+ * HEAD request (GET when the server refuses HEAD), redirects are followed
+ * one hop at a time, and the outcome is stored on the scheme as
+ * `linkHealth`. Requests run a few at a time overall but one at a time per
+ * host, with a pause between requests to the same host, so a portal
+ * hosting many schemes is not hammered.
+ *
+ * Only public schemes are checked, and every hop's host is resolved first:
+ * links or redirects to loopback, private or link-local addresses are
+ * reported as broken without being requested, so a scheme link cannot be
+ * used to reach the server's own network.
+ *
+ * Configuration (environment):
+ *
+ * - `LINK_CHECK_CONCURRENCY`: hosts checked at the same time (default 4)
+ * - `LINK_CHECK_HOST_DELAY_MS`: pause between requests to one host (default 1000)
+ * - `LINK_CHECK_TIMEOUT_MS`: deadline per request (default 10000)
+ * - `LINK_CHECK_MAX_REDIRECTS`: redirects followed before giving up (default 5)
+ * - `LINK_CHECK_INTERVAL_HOURS`: how often the server runs the check (default 24, 0 turns it off)
+ *
+ * @module services/linkChecker
+ */
+
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import axios from "axios";
+import Scheme, { PUBLIC_FILTER } from "../models/Scheme.js";
+
+const USER_AGENT = "VoxAi-LinkChecker/1.0 (+scheme link health)";
+
+// Answers to HEAD that mean "try GET instead" rather than "broken"
+const HEAD_UNSUPPORTED = [403, 405, 501];
+
+/**
+ * Reads a whole-number setting, keeping 0 (unlike `parseInt(value) || fallback`)
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when missing or not a number
+ * @returns {number} Setting
+ */
+const intSetting = (value, fallback) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+/**
+ * Reads the link checker settings
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{concurrency: number, hostDelayMs: number, timeoutMs: number, maxRedirects: number}} Settings
+ */
+export const linkCheckConfig = (env = process.env) => ({
+  concurrency: Math.max(1, intSetting(env.LINK_CHECK_CONCURRENCY, 4)),
+  hostDelayMs: Math.max(0, intSetting(env.LINK_CHECK_HOST_DELAY_MS, 1000)),
+  timeoutMs: Math.max(1, intSetting(env.LINK_CHECK_TIMEOUT_MS, 10000)),
+  maxRedirects: Math.max(0, intSetting(env.LINK_CHECK_MAX_REDIRECTS, 5)),
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Addresses links must not lead to: this host, private networks, link-local (cloud metadata) and the like
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when links must not be followed to it
+ */
+export const isPrivateAddress = (address) => {
+  // The IPv4 rules also cover IPv4 written as IPv6, e.g. ::ffff:127.0.0.1
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Error for a link that leads to an address it must not
+ * @param {string} host - Host or address refused
+ * @returns {Error} Error with code `EADDRBLOCKED`
+ */
+const blockedError = (host) => Object.assign(new Error(`Refused to connect to ${host}`), { code: "EADDRBLOCKED" });
+
+/**
+ * Builds a DNS lookup for sockets that fails when a host resolves to a
+ * private address. The check happens when connecting, on the address
+ * actually used, so a host cannot pass with one answer and connect with another.
+ *
+ * @param {Function} resolve - `(hostname) => Promise<Array<{address, family}>>`
+ * @returns {Function} Lookup with the signature of dns.lookup()
+ */
+const guardedLookup = (resolve) => (hostname, options, callback) => {
+  resolve(hostname)
+    .then((addresses) => {
+      if (!addresses.length) throw Object.assign(new Error(`No address for ${hostname}`), { code: "ENOTFOUND" });
+      if (addresses.some(({ address }) => isPrivateAddress(address))) throw blockedError(hostname);
+      if (options.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    })
+    .catch((err) => callback(err));
+};
+
+const resolveHost = (hostname) => dns.promises.lookup(hostname, { all: true });
+
+/**
+ * Builds the HTTP agents one check connects through
+ * @param {Object} options
+ * @param {boolean} options.allowPrivateAddresses - Skip the address check (tests against a local stub)
+ * @param {Function} options.resolve - Host resolver for the address check
+ * @returns {{httpAgent: http.Agent, httpsAgent: https.Agent}} Agents
+ */
+const agentsFor = ({ allowPrivateAddresses, resolve }) => {
+  const options = allowPrivateAddresses ? {} : { lookup: guardedLookup(resolve) };
+  return { httpAgent: new http.Agent(options), httpsAgent: new https.Agent(options) };
+};
+
+/**
+ * Refuses a URL before any connection when it is not http(s) or names a
+ * private address directly (sockets only look up names, not IP addresses)
+ * @param {string} url - Absolute URL
+ * @param {boolean} allowPrivateAddresses - Skip the address check
+ * @returns {string|null} Reason the URL is refused, or null
+ */
+const refuseUrl = (url, allowPrivateAddresses) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") return "Not an http(s) link";
+  const address = hostname.replace(/^\[|\]$/g, "");
+  if (!allowPrivateAddresses && net.isIP(address) && isPrivateAddress(address)) return "Address not allowed";
+  return null;
+};
+
+/**
+ * Sends one request without following redirects. GET bodies are not read.
+ * @param {string} method - HEAD or GET
+ * @param {string} url - Absolute URL
+ * @param {number} timeoutMs - Deadline
+ * @param {Object} agents - Result of agentsFor()
+ * @returns {Promise<{status: number, location?: string}>} Status code and redirect target
+ */
+const request = async (method, url, timeoutMs, agents) => {
+  const response = await axios.request({
+    method,
+    url,
+    maxRedirects: 0,
+    ...agents,
+    proxy: false,
+    signal: AbortSignal.timeout(timeoutMs),
+    responseType: "stream",
+    validateStatus: () => true,
+    headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml,*/*;q=0.8" },
+  });
+  response.data?.destroy?.();
+  return { status: response.status, location: response.headers.location };
+};
+
+/**
+ * Describes a network error for the report
+ * @param {Error} err - Error thrown by axios
+ * @returns {string} Short reason
+ */
+const describeError = (err) => {
+  if (err.code === "ETIMEDOUT" || err.name === "CanceledError" || err.name === "AbortError") {
+    return "Timed out";
+  }
+  if (err.code === "ENOTFOUND" || err.code === "EAI_AGAIN") return "Host not found";
+  if (err.code === "EADDRBLOCKED") return "Address not allowed";
+  if (err.code === "ECONNREFUSED") return "Connection refused";
+  if (err.code === "ECONNRESET") return "Connection reset";
+  if (err.code?.startsWith("ERR_TLS") || /certificate/i.test(err.message)) return "TLS certificate problem";
+  return err.message || "Request failed";
+};
+
+/**
+ * Checks one URL
+ *
+ * @param {string} url - Link to check
+ * @param {Object} [options] - Settings from linkCheckConfig()
+ * @param {number} [options.timeoutMs] - Deadline per request
+ * @param {number} [options.maxRedirects] - Redirects followed before giving up
+ * @param {boolean} [options.allowPrivateAddresses=false] - Also request private and loopback
+ *   addresses; only for tests against a local stub
+ * @param {Function} [options.resolve] - `(hostname) => Promise<Array<{address, family}>>`,
+ *   dns.lookup() by default
+ * @returns {Promise<{status: "ok"|"redirected"|"broken", httpStatus?: number, finalUrl: string, error?: string}>}
+ *   `redirected` means the link works but ends up at another address
+ */
+export const checkUrl = async (url, {
+  timeoutMs, maxRedirects, allowPrivateAddresses = false, resolve = resolveHost,
+} = linkCheckConfig()) => {
+  const agents = agentsFor({ allowPrivateAddresses, resolve });
+  let current = url;
+  for (let hops = 0; hops <= maxRedirects; hops += 1) {
+    let response;
+    try {
+      const refused = refuseUrl(current, allowPrivateAddresses);
+      if (refused) return { status: "broken", finalUrl: current, error: refused };
+      response = await request("HEAD", current, timeoutMs, agents);
+      if (HEAD_UNSUPPORTED.includes(response.status)) response = await request("GET", current, timeoutMs, agents);
+    } catch (err) {
+      return { status: "broken", finalUrl: current, error: describeError(err) };
+    }
+
+    const { status, location } = response;
+    if (status >= 300 && status < 400 && location) {
+      try {
+        current = new URL(location, current).toString();
+      } catch {
+        return { status: "broken", httpStatus: status, finalUrl: current, error: "Invalid redirect" };
+      }
+      continue;
+    }
+    if (status >= 200 && status < 400) {
+      return { status: current === url ? "ok" : "redirected", httpStatus: status, finalUrl: current };
+    }
+    return { status: "broken", httpStatus: status, finalUrl: current, error: `HTTP ${status}` };
+  }
+  return { status: "broken", finalUrl: current, error: `More than ${maxRedirects} redirects` };
+};
+
+/**
+ * Host a URL belongs to, for politeness grouping
+ * @param {string} url - Absolute URL
+ * @returns {string} Lowercase host, or the URL itself when it cannot be parsed
+ */
+const hostOf = (url) => {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Checks many URLs: up to `concurrency` hosts at once, one request at a
+ * time per host with `hostDelayMs` between them. Repeated URLs are checked once.
+ *
+ * @param {string[]} urls - Links to check
+ * @param {Object} [options] - Settings from linkCheckConfig()
+ * @returns {Promise<Map<string, Object>>} checkUrl() result per URL
+ */
+export const checkUrls = async (urls, options = linkCheckConfig()) => {
+  const byHost = new Map();
+  for (const url of new Set(urls)) {
+    const host = hostOf(url);
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(url);
+  }
+
+  const results = new Map();
+  const hosts = [...byHost.values()];
+  const worker = async () => {
+    while (hosts.length) {
+      const queue = hosts.shift();
+      for (let i = 0; i < queue.length; i += 1) {
+        if (i > 0 && options.hostDelayMs) await sleep(options.hostDelayMs);
+        results.set(queue[i], await checkUrl(queue[i], options));
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, hosts.length) }, worker));
+  return results;
+};
+
+/**
+ * Checks the links of every public scheme and stores the outcome in
+ * `linkHealth`. `failures` counts broken checks in a row. Submissions are
+ * left alone until a moderator approves them.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Extra conditions on which schemes to check
+ * @param {Object} [options.config] - Settings, linkCheckConfig() by default
+ * @returns {Promise<{checked: number, ok: number, redirected: number, broken: number}>} Counts per outcome
+ */
+export const runLinkCheck = async ({ filter = {}, config = linkCheckConfig() } = {}) => {
+  const schemes = await Scheme.find({ ...filter, ...PUBLIC_FILTER, url: { $nin: [null, ""] } })
+    .select("url linkHealth")
+    .lean();
+  const results = await checkUrls(schemes.map((scheme) => scheme.url), config);
+
+  const summary = { checked: schemes.length, ok: 0, redirected: 0, broken: 0 };
+  const checkedAt = new Date();
+  for (const scheme of schemes) {
+    const result = results.get(scheme.url);
+    summary[result.status] += 1;
+    const failures = result.status === "broken" ? (scheme.linkHealth?.failures || 0) + 1 : 0;
+    // Only the health fields change, so `updatedAt` is left alone. A URL edited
+    // during the run no longer matches and keeps its fresh state.
+    await Scheme.updateOne(
+      { _id: scheme._id, url: scheme.url },
+      { $set: { linkHealth: { ...result, failures, checkedAt } } },
+    );
+  }
+  return summary;
+};
+
+/**
+ * Runs the link check on a timer while the server is up. The first run
+ * starts one interval after boot. Runs never overlap.
+ *
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {NodeJS.Timeout|null} Timer, or null when turned off
+ */
+export const scheduleLinkChecks = (env = process.env) => {
+  const hours = Number(env.LINK_CHECK_INTERVAL_HOURS ?? 24);
+  if (!(hours > 0)) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { checked, broken } = await runLinkCheck({ config: linkCheckConfig(env) });
+      console.log(`🔗 Link check: ${checked} schemes checked, ${broken} broken`);
+    } catch (err) {
+      console.error("Link check error:", err);
+    } finally {
+      running = false;
+    }
+  }, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
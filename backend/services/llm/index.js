@@ -0,0 +1,61 @@
+/**
+ * LLM Provider Registry
+ *
+ * Selects the LLM provider from environment configuration:
+ *
+ * - `LLM_PROVIDER`: `none` (default, rule engine only), `openai`, `ollama` or `mock`
+ * - `LLM_BASE_URL`, `LLM_API_KEY` (falls back to `OPENAI_API_KEY`), `LLM_MODEL`
+ * - `LLM_MOCK_DELAY_MS`, `LLM_MOCK_FAIL` for the mock provider
+ *
+ * @module services/llm
+ */
+
+import createOpenAIProvider from "./openaiProvider.js";
+import createOllamaProvider from "./ollamaProvider.js";
+import createMockProvider from "./mockProvider.js";
+
+const factories = {
+  openai: (env) =>
+    createOpenAIProvider({
+      baseUrl: env.LLM_BASE_URL || "https://api.openai.com/v1",
+      apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+      model: env.LLM_MODEL || "gpt-4o-mini",
+    }),
+  ollama: (env) =>
+    createOllamaProvider({
+      baseUrl: env.LLM_BASE_URL,
+      model: env.LLM_MODEL || "llama3.2",
+    }),
+  mock: (env) =>
+    createMockProvider({
+      delayMs: parseInt(env.LLM_MOCK_DELAY_MS) || 0,
+      fail: env.LLM_MOCK_FAIL === "true",
+    }),
+};
+
+let cached;
+
+/**
+ * Returns the configured provider, or null when LLM replies are disabled
+ *
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{name: string, generate: Function}|null} Provider
+ */
+export const getProvider = (env = process.env) => {
+  if (cached !== undefined && env === process.env) return cached;
+
+  const name = (env.LLM_PROVIDER || "none").toLowerCase();
+  let provider = null;
+
+  if (name !== "none") {
+    const factory = factories[name];
+    if (factory) {
+      provider = factory(env);
+    } else {
+      console.error(`Unknown LLM_PROVIDER "${name}", using rule-based replies only`);
+    }
+  }
+
+  if (env === process.env) cached = provider;
+  return provider;
+};
@@ -0,0 +1,95 @@
+/**
+ * Mock LLM Provider
+ *
+ * Offline provider for development and testing. It echoes the schemes it
+ * was given in the system prompt, and can be told to be slow or to fail so
+ * the timeout and fallback paths can be exercised without a network.
+ *
+ * @module services/llm/mockProvider
+ */
+
+/**
+ * Waits for `ms` milliseconds unless the signal aborts first
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Mock provider aborted"));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new Error("Mock provider aborted"));
+    }, { once: true });
+  });
+
+/**
+ * Creates a mock provider
+ *
+ * @param {Object} [config]
+ * @param {number} [config.delayMs=0] - Artificial latency per reply
+ * @param {boolean} [config.fail=false] - Always throw, to test fallback
+ * @returns {{name: string, generate: Function, stream: Function}} Provider
+ */
+export default function createMockProvider({ delayMs = 0, fail = false } = {}) {
+  /**
+   * Builds the canned reply from the prompt
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @returns {string} Reply text
+   */
+  const compose = (messages) => {
+    const question = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+    const schemeTitles = (messages[0]?.content || "")
+      .split("\n")
+      .filter((line) => line.startsWith("- Title: "))
+      .map((line) => line.slice("- Title: ".length));
+
+    return schemeTitles.length > 0
+      ? `[mock] You asked: "${question}". Relevant schemes: ${schemeTitles.join(", ")}.`
+      : `[mock] You asked: "${question}". I don't have a matching scheme on record.`;
+  };
+
+  return {
+    name: "mock",
+
+    /**
+     * @param {Object} request
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages, system prompt first
+     * @param {number} request.timeoutMs - Deadline; exceeding it throws like a real timeout
+     * @param {AbortSignal} [request.signal] - Cancels the call early
+     * @returns {Promise<string>} Generated reply text
+     */
+    async generate({ messages, timeoutMs, signal }) {
+      if (delayMs > timeoutMs) {
+        await sleep(timeoutMs, signal);
+        throw new Error(`Mock provider timed out after ${timeoutMs}ms`);
+      }
+      if (delayMs > 0) await sleep(delayMs, signal);
+      if (fail) throw new Error("Mock provider configured to fail");
+
+      return compose(messages);
+    },
+
+    /**
+     * Streams the canned reply word by word, `delayMs` before the first word
+     *
+     * @param {Object} request
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages, system prompt first
+     * @param {AbortSignal} [request.signal] - Cancels the stream
+     * @param {(text: string) => void} request.onToken - Called with each text delta
+     * @returns {Promise<string>} Full reply text
+     */
+    async stream({ messages, signal, onToken }) {
+      if (delayMs > 0) await sleep(delayMs, signal);
+      if (fail) throw new Error("Mock provider configured to fail");
+
+      const text = compose(messages);
+      for (const word of text.match(/\S+\s*/g)) {
+        await sleep(20, signal);
+        onToken(word);
+      }
+      return text;
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Ollama LLM Provider
+ *
+ * Talks to a local Ollama-style server through its `/api/chat` endpoint.
+ *
+ * @module services/llm/ollamaProvider
+ */
+
+import axios from "axios";
+import readLines from "./readLines.js";
+
+/**
+ * Creates an Ollama provider
+ *
+ * @param {Object} config
+ * @param {string} [config.baseUrl=http://127.0.0.1:11434] - Server URL
+ * @param {string} config.model - Model name, e.g. llama3.2
+ * @param {number} [config.temperature=0.3] - Sampling temperature
+ * @returns {{name: string, generate: Function, stream: Function}} Provider
+ */
+export default function createOllamaProvider({ baseUrl = "http://127.0.0.1:11434", model, temperature = 0.3 }) {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ""),
+    headers: { "Content-Type": "application/json" },
+  });
+
+  return {
+    name: "ollama",
+
+    /**
+     * @param {Object} request
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages, system prompt first
+     * @param {number} request.timeoutMs - Hard deadline for the HTTP call
+     * @param {AbortSignal} [request.signal] - Cancels the call early
+     * @returns {Promise<string>} Generated reply text
+     */
+    async generate({ messages, timeoutMs, signal }) {
+      const { data } = await client.post(
+        "/api/chat",
+        { model, messages, stream: false, options: { temperature } },
+        { timeout: timeoutMs, signal }
+      );
+
+      const text = data?.message?.content;
+      if (!text || !text.trim()) {
+        throw new Error("Ollama provider returned an empty reply");
+      }
+      return text.trim();
+    },
+
+    /**
+     * Streams a reply from the newline-delimited JSON response
+     *
+     * @param {Object} request
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages, system prompt first
+     * @param {AbortSignal} [request.signal] - Cancels the stream
+     * @param {(text: string) => void} request.onToken - Called with each text delta
+     * @returns {Promise<string>} Full reply text
+     */
+    async stream({ messages, signal, onToken }) {
+      const response = await client.post(
+        "/api/chat",
+        { model, messages, stream: true, options: { temperature } },
+        { responseType: "stream", signal }
+      );
+
+      let text = "";
+      await readLines(response.data, (line) => {
+        const event = JSON.parse(line);
+        if (event.error) throw new Error(`Ollama error: ${event.error}`);
+
+        const delta = event.message?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      });
+
+      if (!text.trim()) {
+        throw new Error("Ollama provider returned an empty reply");
+      }
+      return text;
+    },
+  };
+}
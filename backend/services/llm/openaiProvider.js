@@ -0,0 +1,91 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ *
+ * Talks to any server exposing the OpenAI `/chat/completions` API
+ * (OpenAI itself, Azure-style gateways, vLLM, LM Studio, etc.).
+ *
+ * @module services/llm/openaiProvider
+ */
+
+import axios from "axios";
+import readLines from "./readLines.js";
+
+/**
+ * Creates an OpenAI-compatible provider
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - API base URL, e.g. https://api.openai.com/v1
+ * @param {string} [config.apiKey] - Bearer token
+ * @param {string} config.model - Model name
+ * @param {number} [config.temperature=0.3] - Sampling temperature
+ * @returns {{name: string, generate: Function, stream: Function}} Provider
+ */
+export default function createOpenAIProvider({ baseUrl, apiKey, model, temperature = 0.3 }) {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ""),
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+    },
+  });
+
+  return {
+    name: "openai",
+
+    /**
+     * @param {Object} request
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages, system prompt first
+     * @param {number} request.timeoutMs - Hard deadline for the HTTP call
+     * @param {AbortSignal} [request.signal] - Cancels the call early
+     * @returns {Promise<string>} Generated reply text
+     */
+    async generate({ messages, timeoutMs, signal }) {
+      const { data } = await client.post(
+        "/chat/completions",
+        { model, messages, temperature, stream: false },
+        { timeout: timeoutMs, signal }
+      );
+
+      const text = data?.choices?.[0]?.message?.content;
+      if (!text || !text.trim()) {
+        throw new Error("OpenAI-compatible provider returned an empty reply");
+      }
+      return text.trim();
+    },
+
+    /**
+     * Streams a reply using server-sent events
+     *
+     * @param {Object} request
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages, system prompt first
+     * @param {AbortSignal} [request.signal] - Cancels the stream
+     * @param {(text: string) => void} request.onToken - Called with each text delta
+     * @returns {Promise<string>} Full reply text
+     */
+    async stream({ messages, signal, onToken }) {
+      const response = await client.post(
+        "/chat/completions",
+        { model, messages, temperature, stream: true },
+        { responseType: "stream", signal }
+      );
+
+      let text = "";
+      await readLines(response.data, (line) => {
+        if (!line.startsWith("data:")) return;
+        const payload = line.slice("data:".length).trim();
+        if (payload === "[DONE]") return;
+
+        const delta = JSON.parse(payload)?.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      });
+
+      if (!text.trim()) {
+        throw new Error("OpenAI-compatible provider returned an empty reply");
+      }
+      return text;
+    },
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * LLM Prompt Builder
+ *
+ * Builds the message list sent to LLM providers, including a system prompt
+ * that grounds the model in the Scheme records retrieved for the question.
+ *
+ * @module services/llm/prompt
+ */
+
+import { DEFAULT_LANGUAGE, LANGUAGES } from "../nlu/language.js";
+
+const BASE_PROMPT = `You are VoxAi, an assistant that helps students, job seekers and lifelong learners in India find government schemes, scholarships, jobs and educational resources.
+Answer in at most 120 words. Only describe schemes listed under "Relevant schemes"; if none fit, say so and suggest what detail the user could add. Never invent eligibility rules, amounts or URLs.`;
+
+/** Longest scheme description copied into the prompt */
+const MAX_DESCRIPTION_LENGTH = 400;
+
+/**
+ * Renders scheme records as a plain-text block for the system prompt
+ *
+ * @param {Array<Object>} schemes - Lean Scheme documents
+ * @returns {string} Prompt section
+ */
+export const formatSchemes = (schemes) => {
+  if (schemes.length === 0) return "Relevant schemes: none found.";
+
+  const blocks = schemes.map((scheme) =>
+    [
+      `- Title: ${scheme.title}`,
+      scheme.category && `  Category: ${scheme.category}`,
+      scheme.description && `  Description: ${scheme.description.slice(0, MAX_DESCRIPTION_LENGTH)}`,
+      scheme.url && `  URL: ${scheme.url}`,
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return `Relevant schemes:\n${blocks.join("\n")}`;
+};
+
+/**
+ * Builds the chat messages for a provider call
+ *
+ * @param {Object} params
+ * @param {string} params.message - Current user message
+ * @param {Array<Object>} params.schemes - Scheme records to ground the answer in
+ * @param {Array<{role: string, text: string}>} [params.history=[]] - Earlier turns, oldest first
+ * @param {string} [params.language="en"] - Language the reply must be written in
+ * @returns {Array<{role: string, content: string}>} OpenAI-style message list
+ */
+export const buildMessages = ({ message, schemes, history = [], language = DEFAULT_LANGUAGE }) => [
+  {
+    role: "system",
+    content: [
+      BASE_PROMPT,
+      language !== DEFAULT_LANGUAGE &&
+        `Reply in ${LANGUAGES[language].name}. Keep scheme titles and URLs exactly as written.`,
+      formatSchemes(schemes),
+    ].filter(Boolean).join("\n\n"),
+  },
+  ...history.map((turn) => ({
+    role: turn.role === "user" ? "user" : "assistant",
+    content: turn.text,
+  })),
+  { role: "user", content: message },
+];
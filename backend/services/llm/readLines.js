@@ -0,0 +1,31 @@
+/**
+ * Line Reader
+ *
+ * Splits a streamed HTTP body into lines for the streaming providers
+ * (SSE for OpenAI-compatible servers, NDJSON for Ollama).
+ *
+ * @module services/llm/readLines
+ */
+
+/**
+ * Calls `onLine` for every complete, non-empty line of a readable stream
+ *
+ * @param {import("stream").Readable} stream - Response body
+ * @param {(line: string) => void} onLine - Line handler; may throw to stop reading
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export default async function readLines(stream, onLine) {
+  let buffer = "";
+  // Decode as text so multi-byte characters split across chunks survive
+  stream.setEncoding("utf8");
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) onLine(line);
+    }
+  }
+  if (buffer.trim()) onLine(buffer.trim());
+}
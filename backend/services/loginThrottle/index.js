@@ -0,0 +1,226 @@
+/**
+ * Login Throttle
+ *
+ * Counts failed logins per IP address and per account and locks them out
+ * after too many. Each failure past the limit doubles the lockout, up to a
+ * maximum, so guessing gets slower and slower. Counters are forgotten after
+ * a quiet window without failures; a successful login clears the account's.
+ *
+ * An attempt is reserved on its counters before the password is checked and
+ * settled afterwards, as a failure or refunded. Attempts in flight count
+ * towards the limits, so a burst of parallel guesses cannot all pass.
+ *
+ * Configuration (environment):
+ *
+ * - `LOGIN_THROTTLE_STORE`: `memory` (default, one server) or `mongo` (shared by several)
+ * - `LOGIN_MAX_FAILURES_PER_ACCOUNT`: failures before an account is locked (default 5)
+ * - `LOGIN_MAX_FAILURES_PER_IP`: failures before an IP address is locked (default 20)
+ * - `LOGIN_LOCKOUT_BASE_SECONDS`: first lockout (default 30)
+ * - `LOGIN_LOCKOUT_MAX_MINUTES`: longest lockout (default 60)
+ * - `LOGIN_FAILURE_WINDOW_MINUTES`: quiet time after which failures are forgotten (default 15)
+ * - `MAIL_REQUESTS_PER_EMAIL`: verification and reset emails one address may be sent per window (default 3)
+ * - `MAIL_REQUESTS_PER_IP`: such emails one IP address may ask for per window (default 10)
+ * - `MAIL_REQUEST_WINDOW_MINUTES`: quiet time after which mail requests are forgotten (default 60)
+ *
+ * The same store limits requests for account emails (verification and
+ * password reset), so nobody can have the server mail an address over and over.
+ *
+ * A store is an object with a `name` and async `get`, `increment`,
+ * `reserve`, `settle`, `lock` and `reset`, each an atomic change; another
+ * backend (e.g. Redis) is added as an entry in `factories`.
+ *
+ * @module services/loginThrottle
+ */
+
+import createMemoryStore from "./memoryStore.js";
+import createMongoStore from "./mongoStore.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const factories = {
+  memory: () => createMemoryStore(),
+  mongo: () => createMongoStore(),
+};
+
+let cachedStore;
+
+/**
+ * Returns the configured store
+ *
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{name: string, get: Function, increment: Function, reserve: Function, settle: Function,
+ *   lock: Function, reset: Function}} Store
+ */
+export const getStore = (env = process.env) => {
+  if (cachedStore && env === process.env) return cachedStore;
+
+  const name = (env.LOGIN_THROTTLE_STORE || "memory").toLowerCase();
+  let factory = factories[name];
+  if (!factory) {
+    console.error(`Unknown LOGIN_THROTTLE_STORE "${name}", keeping login counters in memory`);
+    factory = factories.memory;
+  }
+
+  const store = factory(env);
+  if (env === process.env) cachedStore = store;
+  return store;
+};
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} value - Raw setting
+ * @param {number} fallback - Default
+ * @returns {number} Setting or default
+ */
+const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+/**
+ * Reads the throttle settings
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{accountLimit: number, ipLimit: number, baseLockMs: number, maxLockMs: number, windowMs: number}}
+ */
+export const throttleConfig = (env = process.env) => ({
+  accountLimit: positive(env.LOGIN_MAX_FAILURES_PER_ACCOUNT, 5),
+  ipLimit: positive(env.LOGIN_MAX_FAILURES_PER_IP, 20),
+  baseLockMs: positive(env.LOGIN_LOCKOUT_BASE_SECONDS, 30) * 1000,
+  maxLockMs: positive(env.LOGIN_LOCKOUT_MAX_MINUTES, 60) * MINUTE_MS,
+  windowMs: positive(env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * MINUTE_MS,
+});
+
+/**
+ * Lockout after a number of failures: none below the limit, then the base
+ * lockout doubling with every further failure, capped at the maximum
+ *
+ * @param {number} failures - Failures so far
+ * @param {number} limit - Failures allowed
+ * @param {Object} [config=throttleConfig()] - Settings
+ * @returns {number} Lockout in milliseconds
+ */
+export const lockoutDuration = (failures, limit, config = throttleConfig()) =>
+  failures < limit ? 0 : Math.min(config.baseLockMs * 2 ** (failures - limit), config.maxLockMs);
+
+/**
+ * Counters a login attempt is checked against
+ * @param {{ip: string, email: string}} attempt - Login attempt
+ * @param {Object} config - Settings
+ * @returns {Array<{scope: string, key: string, limit: number}>} Counters
+ */
+const countersFor = ({ ip, email }, config) => {
+  const counters = [{ scope: "ip", key: `ip:${ip}`, limit: config.ipLimit }];
+  const account = typeof email === "string" ? email.trim().toLowerCase() : "";
+  if (account) counters.push({ scope: "account", key: `account:${account}`, limit: config.accountLimit });
+  return counters;
+};
+
+/**
+ * Reserves a login attempt on its counters, or refuses it. An attempt is
+ * refused while a counter is locked, and when the attempts already in
+ * flight would use up what is left of the limit (past the limit, one at a
+ * time). A refused attempt is not counted.
+ *
+ * @param {{ip: string, email: string}} attempt - Login attempt
+ * @returns {Promise<{retryAfterMs: number}>} Wait before trying again; 0 if the attempt may go ahead
+ *   and must then be settled with recordFailure(), recordSuccess() or releaseLogin()
+ */
+export const reserveLogin = async (attempt) => {
+  const store = getStore();
+  const config = throttleConfig();
+  const counters = countersFor(attempt, config);
+  const records = await Promise.all(counters.map(({ key }) => store.reserve(key, config.windowMs)));
+
+  const now = Date.now();
+  const waits = records.map((record, i) => {
+    const { limit } = counters[i];
+    const lockedForMs = (record.lockedUntil?.getTime() ?? 0) - now;
+    // Lockout the attempts ahead of this one would earn if they all fail
+    const crowded = record.pending > Math.max(limit - record.failures, 1)
+      ? lockoutDuration(Math.max(record.failures + record.pending - 1, limit), limit, config)
+      : 0;
+    return Math.max(0, lockedForMs, crowded);
+  });
+  const retryAfterMs = Math.max(0, ...waits);
+  if (retryAfterMs > 0) await releaseLogin(attempt);
+  return { retryAfterMs };
+};
+
+/**
+ * Gives back a reserved attempt without counting it, e.g. when the check failed with an error
+ * @param {{ip: string, email: string}} attempt - Login attempt
+ * @returns {Promise<void>}
+ */
+export const releaseLogin = async (attempt) => {
+  const store = getStore();
+  const config = throttleConfig();
+  await Promise.all(countersFor(attempt, config).map(({ key }) => store.settle(key, { failed: false }, config.windowMs)));
+};
+
+/**
+ * Settles a reserved attempt as a failed login and applies any lockout it earns
+ *
+ * @param {{ip: string, email: string}} attempt - Login attempt
+ * @returns {Promise<{retryAfterMs: number, lockouts: Array<{scope: string, failures: number, lockedForMs: number}>}>}
+ *   Wait before trying again (0 if not locked) and the lockouts applied now
+ */
+export const recordFailure = async (attempt) => {
+  const store = getStore();
+  const config = throttleConfig();
+  const lockouts = [];
+
+  for (const { scope, key, limit } of countersFor(attempt, config)) {
+    const { failures } = await store.settle(key, { failed: true }, config.windowMs);
+    const lockedForMs = lockoutDuration(failures, limit, config);
+    if (lockedForMs > 0) {
+      await store.lock(key, new Date(Date.now() + lockedForMs), config.windowMs + lockedForMs);
+      lockouts.push({ scope, failures, lockedForMs });
+    }
+  }
+
+  return { retryAfterMs: Math.max(0, ...lockouts.map((lockout) => lockout.lockedForMs)), lockouts };
+};
+
+/**
+ * Settles a reserved attempt as a successful login: the account's failures
+ * are cleared. The IP address only gets its reservation back and keeps its
+ * count, so one valid account does not reset guessing at others.
+ *
+ * @param {{ip: string, email: string}} attempt - Login attempt
+ * @returns {Promise<void>}
+ */
+export const recordSuccess = async (attempt) => {
+  const store = getStore();
+  const config = throttleConfig();
+  for (const { scope, key } of countersFor(attempt, config)) {
+    if (scope === "account") await store.reset(key);
+    else await store.settle(key, { failed: false }, config.windowMs);
+  }
+};
+
+/**
+ * Reads the account email limits
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{emailLimit: number, ipLimit: number, windowMs: number}} Settings
+ */
+export const mailRequestConfig = (env = process.env) => ({
+  emailLimit: positive(env.MAIL_REQUESTS_PER_EMAIL, 3),
+  ipLimit: positive(env.MAIL_REQUESTS_PER_IP, 10),
+  windowMs: positive(env.MAIL_REQUEST_WINDOW_MINUTES, 60) * MINUTE_MS,
+});
+
+/**
+ * Counts a request for a verification or password reset email and checks
+ * it against the limits per IP address and per email. Requests count
+ * whether or not the email has an account, so the answer reveals nothing.
+ *
+ * @param {{ip: string, email: string}} request - Client address and normalised email
+ * @returns {Promise<{retryAfterMs: number}>} Wait before asking again; 0 if the email may be sent
+ */
+export const checkMailRequest = async ({ ip, email }) => {
+  const store = getStore();
+  const config = mailRequestConfig();
+  const counters = [{ key: `mail:ip:${ip}`, limit: config.ipLimit }];
+  if (email) counters.push({ key: `mail:email:${email}`, limit: config.emailLimit });
+
+  const records = await Promise.all(counters.map(({ key }) => store.increment(key, config.windowMs)));
+  const over = records.some((record, i) => record.failures > counters[i].limit);
+  return { retryAfterMs: over ? config.windowMs : 0 };
+};
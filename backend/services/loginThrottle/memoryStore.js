@@ -0,0 +1,103 @@
+/**
+ * Memory Login Throttle Store
+ *
+ * Keeps failed login counters in the server process. Counters are lost on
+ * restart and not shared between instances; use the `mongo` store when
+ * running several.
+ *
+ * @module services/loginThrottle/memoryStore
+ */
+
+// Expired counters are swept after this many writes
+const SWEEP_EVERY = 1000;
+
+/**
+ * Creates a memory store
+ *
+ * @param {Object} [config]
+ * @param {Function} [config.now=Date.now] - Clock, in milliseconds
+ * @returns {{name: string, get: Function, increment: Function, reserve: Function, settle: Function,
+ *   lock: Function, reset: Function}} Store
+ */
+export default function createMemoryStore({ now = Date.now } = {}) {
+  // key -> { failures, pending, lockedUntil (ms or null), expiresAt (ms) }
+  const entries = new Map();
+  let writes = 0;
+
+  /**
+   * @param {string} key - Counter key
+   * @returns {Object|null} Live entry, dropping an expired one
+   */
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  /**
+   * Live entry for a write, created if missing and kept for at least `ttlMs`
+   * @param {string} key - Counter key
+   * @param {number} ttlMs - Time to keep the counter
+   * @returns {Object} Entry
+   */
+  const touch = (key, ttlMs) => {
+    if (++writes % SWEEP_EVERY === 0) {
+      for (const [entryKey, entry] of entries) if (entry.expiresAt <= now()) entries.delete(entryKey);
+    }
+    const entry = live(key) || { failures: 0, pending: 0, lockedUntil: null, expiresAt: 0 };
+    entry.expiresAt = Math.max(entry.expiresAt, now() + ttlMs);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  /**
+   * @param {Object|null} entry - Entry
+   * @returns {{failures: number, pending: number, lockedUntil: Date|null}|null} Public view
+   */
+  const view = (entry) => entry && {
+    failures: entry.failures,
+    pending: entry.pending,
+    lockedUntil: entry.lockedUntil ? new Date(entry.lockedUntil) : null,
+  };
+
+  // Each method changes its entry before yielding, so parallel requests cannot interleave
+  return {
+    name: "memory",
+
+    get: async (key) => view(live(key)),
+
+    increment: async (key, ttlMs) => {
+      const entry = touch(key, ttlMs);
+      entry.failures += 1;
+      return view(entry);
+    },
+
+    reserve: async (key, ttlMs) => {
+      const entry = touch(key, ttlMs);
+      entry.pending += 1;
+      return view(entry);
+    },
+
+    settle: async (key, { failed }, ttlMs) => {
+      const entry = failed ? touch(key, ttlMs) : live(key);
+      if (!entry) return null;
+      entry.pending = Math.max(0, entry.pending - 1);
+      if (failed) entry.failures += 1;
+      return view(entry);
+    },
+
+    lock: async (key, until, ttlMs) => {
+      const entry = live(key);
+      if (!entry) return;
+      entry.lockedUntil = until.getTime();
+      entry.expiresAt = Math.max(entry.expiresAt, now() + ttlMs);
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+}
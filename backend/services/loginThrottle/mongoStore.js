@@ -0,0 +1,87 @@
+/**
+ * Mongo Login Throttle Store
+ *
+ * Keeps failed login counters in MongoDB (the LoginThrottle collection), so
+ * every server instance sees the same counts. A TTL index removes counters
+ * once they expire.
+ *
+ * @module services/loginThrottle/mongoStore
+ */
+
+import LoginThrottle from "../../models/LoginThrottle.js";
+
+/**
+ * Creates a Mongo store. Every change is a single atomic update, so parallel
+ * requests on several servers cannot both slip under a limit.
+ *
+ * @returns {{name: string, get: Function, increment: Function, reserve: Function, settle: Function,
+ *   lock: Function, reset: Function}} Store
+ */
+export default function createMongoStore() {
+  /**
+   * @param {Object|null} doc - Counter document
+   * @returns {{failures: number, pending: number, lockedUntil: Date|null}|null} Public view
+   */
+  const view = (doc) => doc && { failures: doc.failures, pending: doc.pending || 0, lockedUntil: doc.lockedUntil || null };
+
+  /**
+   * Adds to a counter, starting over if it expired but is not deleted yet
+   * @param {string} key - Counter key
+   * @param {Object} inc - Amounts to add, e.g. `{ failures: 1 }`
+   * @param {number} ttlMs - Time to keep the counter at least
+   * @returns {Promise<Object>} Updated counter
+   */
+  const add = async (key, inc, ttlMs) => {
+    const update = async () => {
+      const now = new Date();
+      await LoginThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+      return LoginThrottle.findOneAndUpdate(
+        { key },
+        { $inc: inc, $max: { expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true, new: true },
+      ).lean();
+    };
+    try {
+      return await update();
+    } catch (err) {
+      // Two first writes raced to create the counter; the loser updates it
+      if (err.code !== 11000) throw err;
+      return update();
+    }
+  };
+
+  return {
+    name: "mongo",
+
+    get: async (key) => view(await LoginThrottle.findOne({ key, expiresAt: { $gt: new Date() } }).lean()),
+
+    increment: async (key, ttlMs) => view(await add(key, { failures: 1 }, ttlMs)),
+
+    reserve: async (key, ttlMs) => view(await add(key, { pending: 1 }, ttlMs)),
+
+    settle: async (key, { failed }, ttlMs) => {
+      const settled = await LoginThrottle.findOneAndUpdate(
+        { key, pending: { $gt: 0 } },
+        {
+          $inc: { pending: -1, ...(failed && { failures: 1 }) },
+          ...(failed && { $max: { expiresAt: new Date(Date.now() + ttlMs) } }),
+        },
+        { new: true },
+      ).lean();
+      // The counter was reset or expired meanwhile; a failure still counts
+      if (!settled && failed) return view(await add(key, { failures: 1 }, ttlMs));
+      return view(settled);
+    },
+
+    lock: async (key, until, ttlMs) => {
+      await LoginThrottle.updateOne(
+        { key },
+        { $set: { lockedUntil: until }, $max: { expiresAt: new Date(Date.now() + ttlMs) } },
+      );
+    },
+
+    reset: async (key) => {
+      await LoginThrottle.deleteOne({ key });
+    },
+  };
+}
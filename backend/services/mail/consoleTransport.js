@@ -0,0 +1,31 @@
+/**
+ * Console Mail Transport
+ *
+ * Development transport that prints each message to the server log instead
+ * of sending it, so verification and reset links can be copied from there.
+ *
+ * @module services/mail/consoleTransport
+ */
+
+/**
+ * Creates a console transport
+ *
+ * @param {Object} [config]
+ * @param {{log: Function}} [config.logger=console] - Where messages are written
+ * @returns {{name: string, send: Function}} Transport
+ */
+export default function createConsoleTransport({ logger = console } = {}) {
+  return {
+    name: "console",
+
+    /**
+     * Writes one message to the log
+     * @param {{from: string, to: string, subject: string, text: string}} message - Message
+     * @returns {Promise<{id: null}>}
+     */
+    send: async ({ from, to, subject, text }) => {
+      logger.log(["📧 ---- mail ----", `From: ${from}`, `To: ${to}`, `Subject: ${subject}`, "", text, "📧 --------------"].join("\n"));
+      return { id: null };
+    },
+  };
+}
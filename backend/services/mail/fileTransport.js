@@ -0,0 +1,49 @@
+/**
+ * File Mail Transport
+ *
+ * Development transport that writes each message to its own `.eml` file,
+ * which most mail clients can open. Nothing leaves the machine.
+ *
+ * @module services/mail/fileTransport
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Creates a file transport
+ *
+ * @param {Object} config
+ * @param {string} config.dir - Directory for the messages; created when missing
+ * @returns {{name: string, send: Function}} Transport
+ */
+export default function createFileTransport({ dir }) {
+  return {
+    name: "file",
+
+    /**
+     * Writes one message to `<dir>/<timestamp>-<id>.eml`
+     * @param {{from: string, to: string, subject: string, text: string}} message - Message
+     * @returns {Promise<{id: string, path: string}>} File written
+     */
+    send: async ({ from, to, subject, text }) => {
+      const id = crypto.randomUUID();
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}-${id}.eml`);
+      const eml = [
+        `Message-ID: <${id}@voxai.local>`,
+        `Date: ${new Date().toUTCString()}`,
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text,
+      ].join("\r\n");
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, eml);
+      return { id, path: file };
+    },
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Mail Transport Registry
+ *
+ * Selects how outgoing mail is delivered from environment configuration:
+ *
+ * - `MAIL_TRANSPORT`: `console` (default, print to the server log) or `file`
+ * - `MAIL_DIR`: folder for the `file` transport (default `backend/mail-outbox`)
+ * - `MAIL_FROM`: sender address (default "VoxAi <no-reply@voxai.local>")
+ *
+ * A transport is an object with a `name` and an async `send(message)`; a
+ * real provider (SMTP, an email API) is added as another entry in
+ * `factories`.
+ *
+ * @module services/mail
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import createConsoleTransport from "./consoleTransport.js";
+import createFileTransport from "./fileTransport.js";
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "mail-outbox");
+
+const factories = {
+  console: () => createConsoleTransport(),
+  file: (env) => createFileTransport({ dir: env.MAIL_DIR || DEFAULT_DIR }),
+};
+
+let cached;
+
+/**
+ * Returns the configured transport
+ *
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {{name: string, send: Function}} Transport
+ */
+export const getTransport = (env = process.env) => {
+  if (cached && env === process.env) return cached;
+
+  const name = (env.MAIL_TRANSPORT || "console").toLowerCase();
+  let factory = factories[name];
+  if (!factory) {
+    console.error(`Unknown MAIL_TRANSPORT "${name}", printing mail to the console`);
+    factory = factories.console;
+  }
+
+  const transport = factory(env);
+  if (env === process.env) cached = transport;
+  return transport;
+};
+
+/**
+ * Sends a plain-text message through the configured transport
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Body
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendMail = ({ to, subject, text }, env = process.env) =>
+  getTransport(env).send({ from: env.MAIL_FROM || "VoxAi <no-reply@voxai.local>", to, subject, text });
@@ -0,0 +1,202 @@
+/**
+ * Intent Classifier
+ *
+ * Multinomial naive Bayes over TF-IDF weighted unigrams and bigrams.
+ * Models are plain JSON objects so they can be written to disk by the
+ * training script and loaded back without retraining.
+ *
+ * @module services/nlu/classifier
+ */
+
+import crypto from "crypto";
+
+/** Format of trained models; models of another version are retrained */
+export const MODEL_VERSION = 2;
+
+/** Laplace smoothing applied to every term count */
+const SMOOTHING = 0.5;
+
+/**
+ * Function words that carry no intent on their own. They are dropped as
+ * unigrams and only survive inside a bigram with a content word.
+ */
+export const STOPWORDS = new Set([
+  "a", "an", "the", "is", "are", "am", "be", "i", "me", "my", "you", "your",
+  "it", "this", "that", "there", "to", "of", "in", "on", "for", "and", "or",
+  "any", "some", "about", "with", "which", "please", "tell", "want", "need",
+]);
+
+/**
+ * Reduces a word to a crude stem so "schemes" and "scheme" share a feature
+ * @param {string} word - Lower-cased word
+ * @returns {string} Stemmed word
+ */
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Splits text into stemmed words
+ * Matching whole tokens means "hi" no longer fires inside "this".
+ *
+ * @param {string} text - Raw user text
+ * @returns {string[]} Words in order
+ */
+const words = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFKC")
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean)
+    .map((word) => (STOPWORDS.has(word) ? word : stem(word)));
+
+/**
+ * Extracts classifier features: content-word unigrams plus bigrams that
+ * contain at least one content word
+ *
+ * @param {string} text - Raw user text
+ * @returns {string[]} Feature list (may contain duplicates)
+ */
+export const tokenize = (text) => {
+  const tokens = words(text);
+  const features = tokens.filter((word) => !STOPWORDS.has(word));
+  for (let i = 0; i < tokens.length - 1; i++) {
+    if (!STOPWORDS.has(tokens[i]) || !STOPWORDS.has(tokens[i + 1])) {
+      features.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+  }
+  return features;
+};
+
+/**
+ * Counts feature occurrences
+ * @param {string[]} tokens - Features from tokenize()
+ * @returns {Map<string, number>} Term frequencies
+ */
+const termFrequencies = (tokens) => {
+  const tf = new Map();
+  for (const token of tokens) {
+    tf.set(token, (tf.get(token) || 0) + 1);
+  }
+  return tf;
+};
+
+/**
+ * Fingerprints a corpus, so a saved model can tell whether it was trained on it
+ * @param {Object<string, string[]>} corpus - Example utterances keyed by intent
+ * @returns {string} Hex SHA-256 of the examples
+ */
+export const corpusHash = (corpus) => crypto.createHash("sha256").update(JSON.stringify(corpus)).digest("hex");
+
+/**
+ * Trains a classifier from labelled examples
+ *
+ * @param {Object<string, string[]>} corpus - Example utterances keyed by intent
+ * @returns {Object} Serialisable model
+ */
+export const train = (corpus) => {
+  const documents = [];
+  for (const [intent, examples] of Object.entries(corpus)) {
+    for (const example of examples) {
+      documents.push({ intent, tf: termFrequencies(tokenize(example)) });
+    }
+  }
+
+  if (documents.length === 0) {
+    throw new Error("Cannot train intent classifier on an empty corpus");
+  }
+
+  // Document frequency -> smoothed inverse document frequency
+  const df = {};
+  for (const { tf } of documents) {
+    for (const term of tf.keys()) df[term] = (df[term] || 0) + 1;
+  }
+  const idf = {};
+  for (const [term, count] of Object.entries(df)) {
+    idf[term] = Math.log((1 + documents.length) / (1 + count)) + 1;
+  }
+  const vocabularySize = Object.keys(idf).length;
+
+  // Accumulate TF-IDF mass per intent
+  const weights = {};
+  const docCounts = {};
+  for (const { intent, tf } of documents) {
+    weights[intent] ||= {};
+    docCounts[intent] = (docCounts[intent] || 0) + 1;
+    for (const [term, count] of tf) {
+      weights[intent][term] = (weights[intent][term] || 0) + count * idf[term];
+    }
+  }
+
+  const intents = {};
+  for (const [intent, termWeights] of Object.entries(weights)) {
+    const total = Object.values(termWeights).reduce((sum, w) => sum + w, 0);
+    const denominator = total + SMOOTHING * vocabularySize;
+    const logLikelihood = {};
+    for (const [term, weight] of Object.entries(termWeights)) {
+      logLikelihood[term] = Math.log((weight + SMOOTHING) / denominator);
+    }
+    intents[intent] = {
+      logPrior: Math.log(docCounts[intent] / documents.length),
+      logLikelihood,
+      logUnseen: Math.log(SMOOTHING / denominator),
+    };
+  }
+
+  return {
+    version: MODEL_VERSION,
+    corpusHash: corpusHash(corpus),
+    trainedAt: new Date().toISOString(),
+    examples: documents.length,
+    idf,
+    intents,
+  };
+};
+
+/**
+ * Scores every intent for a piece of text
+ *
+ * Confidence is the naive Bayes posterior scaled down by how much of the
+ * message the model has actually seen, so a single familiar word inside an
+ * otherwise unknown sentence does not produce a confident match.
+ *
+ * @param {Object} model - Model returned by train()
+ * @param {string} text - Raw user text
+ * @returns {Array<{intent: string, confidence: number}>} Intents, most likely first.
+ *   Empty when the text shares no features with the training corpus.
+ */
+export const predict = (model, text) => {
+  const tf = termFrequencies(tokenize(text));
+  const known = [...tf].filter(([term]) => model.idf[term] !== undefined);
+  if (known.length === 0) return [];
+
+  const contentWords = words(text).filter((word) => !STOPWORDS.has(word));
+  const coverage = contentWords.length === 0
+    ? 1
+    : contentWords.filter((word) => model.idf[word] !== undefined).length / contentWords.length;
+
+  // L2-normalised TF-IDF weights keep long messages from producing
+  // overconfident scores just by having more features
+  const weighted = known.map(([term, count]) => [term, count * model.idf[term]]);
+  const norm = Math.sqrt(weighted.reduce((sum, [, w]) => sum + w * w, 0));
+
+  const scores = Object.entries(model.intents).map(([intent, params]) => {
+    let score = params.logPrior;
+    for (const [term, weight] of weighted) {
+      const logP = params.logLikelihood[term] ?? params.logUnseen;
+      score += (weight / norm) * logP;
+    }
+    return { intent, score };
+  });
+
+  // Softmax over log scores gives a normalised confidence
+  const max = Math.max(...scores.map((s) => s.score));
+  const exps = scores.map((s) => Math.exp(s.score - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+
+  return scores
+    .map((s, i) => ({ intent: s.intent, confidence: (exps[i] / sum) * Math.sqrt(coverage) }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
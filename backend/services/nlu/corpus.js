@@ -0,0 +1,277 @@
+/**
+ * Intent Training Corpus
+ *
+ * Labelled example utterances for each chatbot intent.
+ * Add new phrasings here and re-run `npm run train:nlu` when a message is
+ * routed to the wrong intent.
+ *
+ * @module services/nlu/corpus
+ */
+
+/**
+ * Intent returned when no intent clears the confidence threshold.
+ * It has no training examples of its own.
+ */
+export const FALLBACK_INTENT = "fallback";
+
+/**
+ * Example utterances keyed by intent name
+ * @type {Object<string, string[]>}
+ */
+const corpus = {
+  greeting: [
+    "hi",
+    "hii",
+    "hello",
+    "hey",
+    "hey there",
+    "hello voxai",
+    "hi voxai",
+    "good morning",
+    "good afternoon",
+    "good evening",
+    "namaste",
+    "hello, how are you",
+    "hi there, anyone here?",
+    "yo",
+    "greetings",
+    "hey, what's up",
+    "hello again",
+  ],
+  help: [
+    "help",
+    "i need help",
+    "can you help me",
+    "what can you do",
+    "what are your capabilities",
+    "how do i use this",
+    "how does this work",
+    "what do you know",
+    "what can i ask you",
+    "show me what you can do",
+    "what kind of questions can you answer",
+    "i am confused, please assist",
+  ],
+  schemes: [
+    "show me government schemes",
+    "government schemes",
+    "list all schemes",
+    "which schemes are available",
+    "what government programs can i apply for",
+    "schemes for farmers",
+    "schemes for women",
+    "any startup funding schemes",
+    "is there a government yojana for me",
+    "health schemes from the government",
+    "pradhan mantri yojana details",
+    "central government welfare programs",
+    "state government schemes for small business",
+    "subsidy schemes for housing",
+    "tell me about startup india",
+    "which scheme is best for me",
+  ],
+  scholarships: [
+    "find scholarships for students",
+    "scholarship",
+    "scholarships",
+    "financial aid for college",
+    "merit based scholarship",
+    "need based scholarship",
+    "scholarship for engineering students",
+    "how to apply for a scholarship",
+    "scholarships for girls",
+    "post matric scholarship",
+    "fee waiver for students",
+    "financial assistance for my studies",
+    "education loan or scholarship options",
+    "stipend for phd students",
+  ],
+  jobs: [
+    "job",
+    "jobs",
+    "job opportunities",
+    "find me a job",
+    "government job openings",
+    "private sector jobs",
+    "career guidance",
+    "employment opportunities",
+    "are there any vacancies",
+    "recruitment for graduates",
+    "i am looking for work",
+    "internships for freshers",
+    "railway recruitment",
+    "how to prepare for a career in it",
+    "job opportunities in banking",
+    "show me government jobs",
+    "jobs for women",
+    "sarkari naukri",
+  ],
+  education: [
+    "course",
+    "courses",
+    "online courses",
+    "educational courses for programming",
+    "i want to learn python",
+    "skill development programs",
+    "certification programs",
+    "where can i learn data science",
+    "free courses for students",
+    "skill india training",
+    "vocational training near me",
+    "improve my english skills",
+    "learn digital marketing",
+    "study material for exams",
+  ],
+};
+
+/**
+ * Hindi (Devanagari), Gujarati and romanised Hindi examples. Hinglish is
+ * written in the canonical spellings produced by normaliseText() in
+ * language.js ("naukri", "chahiye", "yojana").
+ * @type {Object<string, string[]>}
+ */
+const regionalCorpus = {
+  greeting: [
+    "नमस्ते",
+    "नमस्कार",
+    "हेलो",
+    "नमस्ते, आप कैसे हैं",
+    "નમસ્તે",
+    "કેમ છો",
+    "હેલો",
+    "kem cho",
+    "namaskar",
+    "aap kaise ho",
+  ],
+  help: [
+    "मदद चाहिए",
+    "आप क्या कर सकते हैं",
+    "मेरी मदद करो",
+    "यह कैसे काम करता है",
+    "मुझे मदद चाहिए",
+    "મદદ જોઈએ છે",
+    "તમે શું કરી શકો છો",
+    "મારી મદદ કરો",
+    "મને મદદ જોઈએ છે",
+    "mujhe madad chahiye",
+    "aap kya kar sakte ho",
+    "meri help karo",
+    "ye kaise kaam karta hai",
+  ],
+  schemes: [
+    "सरकारी योजनाएं दिखाओ",
+    "सरकारी योजनाओं की जानकारी",
+    "कौन सी योजनाएं हैं",
+    "मेरे लिए कौन सी योजना है",
+    "किसानों के लिए योजना",
+    "महिलाओं के लिए सरकारी योजना",
+    "प्रधानमंत्री योजना की जानकारी",
+    "આવાસ યોજના વિશે માહિતી",
+    "સરકારી યોજનાઓ બતાવો",
+    "ખેડૂતો માટે યોજના",
+    "મહિલાઓ માટે યોજના",
+    "મારા માટે કઈ યોજના છે",
+    "સરકારી યોજનાઓની માહિતી",
+    "કઈ યોજનાઓ છે",
+    "sarkari yojana batao",
+    "kisan ke liye yojana",
+    "mahila yojana ki jankari",
+    "mere liye kaun si yojana hai",
+    "pradhan mantri yojana batao",
+  ],
+  scholarships: [
+    "छात्रवृत्ति चाहिए",
+    "छात्रों के लिए छात्रवृत्ति",
+    "स्कॉलरशिप कैसे मिलेगी",
+    "इंजीनियरिंग के लिए छात्रवृत्ति",
+    "लड़कियों के लिए स्कॉलरशिप",
+    "छात्रवृत्ति की जानकारी",
+    "स्कॉलरशिप के लिए आवेदन",
+    "स्कॉलरशिप चाहिए",
+    "શિષ્યવૃત્તિ જોઈએ છે",
+    "વિદ્યાર્થીઓ માટે શિષ્યવૃત્તિ",
+    "સ્કોલરશિપ કેવી રીતે મળે",
+    "છોકરીઓ માટે સ્કોલરશિપ",
+    "શિષ્યવૃત્તિ માટે અરજી",
+    "સ્કોલરશિપની માહિતી",
+    "સ્કોલરશિપ જોઈએ છે",
+    "mujhe scholarship chahiye",
+    "chhatravritti ke liye apply kaise kare",
+    "padhai ke liye paise chahiye",
+    "ladkiyon ke liye scholarship",
+    "engineering ke liye scholarship batao",
+    "chhatravritti chahiye",
+  ],
+  jobs: [
+    "नौकरी चाहिए",
+    "सरकारी नौकरी",
+    "रोजगार के अवसर",
+    "रेलवे में नौकरी",
+    "मुझे काम चाहिए",
+    "नौकरी की जानकारी",
+    "सरकारी नौकरी के अवसर",
+    "रोजगार चाहिए",
+    "रोजगार कैसे मिलेगा",
+    "नौकरी ढूंढ रहा हूं",
+    "काम की तलाश है",
+    "बैंक में नौकरी",
+    "નોકરી જોઈએ છે",
+    "સરકારી નોકરી",
+    "રોજગારની તકો",
+    "મને કામ જોઈએ છે",
+    "નોકરીની માહિતી",
+    "સરકારી નોકરીની તકો",
+    "રોજગાર જોઈએ છે",
+    "નોકરી કેવી રીતે મળે",
+    "નોકરી શોધું છું",
+    "કામ શોધું છું",
+    "બેંકમાં નોકરી",
+    "mujhe naukri chahiye",
+    "sarkari naukri batao",
+    "rozgar ke avsar",
+    "railway mein naukri",
+    "kaam dhundh raha hoon",
+    "naukri ki jankari",
+    "rozgar chahiye",
+    "naukri ke avsar",
+    "naukri dhundh raha hoon",
+    "mujhe kaam chahiye",
+  ],
+  education: [
+    "कोर्स सीखना है",
+    "ऑनलाइन कोर्स",
+    "कौशल विकास प्रशिक्षण",
+    "मुफ्त कोर्स",
+    "कोर्स करना है",
+    "प्रशिक्षण चाहिए",
+    "कौशल प्रशिक्षण कोर्स",
+    "मुफ्त प्रशिक्षण",
+    "कंप्यूटर सीखना है",
+    "कौशल विकास कोर्स",
+    "कुछ नया सीखना है",
+    "કોર્સ શીખવો છે",
+    "ઓનલાઇન કોર્સ",
+    "કૌશલ્ય વિકાસ તાલીમ",
+    "કોર્સ કરવો છે",
+    "તાલીમ જોઈએ છે",
+    "કૌશલ્ય તાલીમ કોર્સ",
+    "મફત તાલીમ",
+    "કમ્પ્યુટર શીખવું છે",
+    "કૌશલ્ય વિકાસ કોર્સ",
+    "કંઈક નવું શીખવું છે",
+    "mujhe course karna hai",
+    "online course batao",
+    "skill training chahiye",
+    "computer sikhna hai",
+    "skill development course",
+    "prashikshan chahiye",
+    "kuch naya sikhna hai",
+    "free course batao",
+  ],
+};
+
+for (const [intent, examples] of Object.entries(regionalCorpus)) {
+  corpus[intent] = [...corpus[intent], ...examples];
+}
+
+export default corpus;
@@ -0,0 +1,89 @@
+/**
+ * Natural Language Understanding
+ *
+ * Entry point used by the chat route to turn a user message into an intent.
+ * Loads the trained model written by `npm run train:nlu`, or trains one in
+ * memory from the bundled corpus when no model file exists yet or the file
+ * was trained on a different corpus (examples were added since).
+ *
+ * @module services/nlu
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import corpus, { FALLBACK_INTENT } from "./corpus.js";
+import { train, predict, corpusHash, MODEL_VERSION } from "./classifier.js";
+import { DEFAULT_LANGUAGE, normaliseText, toEnglish } from "./language.js";
+
+export { FALLBACK_INTENT };
+
+/** Default location of the serialised model */
+export const MODEL_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "model.json");
+
+/** Minimum confidence an intent needs before we act on it */
+export const CONFIDENCE_THRESHOLD = parseFloat(process.env.NLU_CONFIDENCE_THRESHOLD) || 0.5;
+
+let model = null;
+
+/**
+ * Returns the active model, loading or training it on first use
+ * @returns {Object} Trained model
+ */
+const getModel = () => {
+  if (model) return model;
+
+  const modelPath = process.env.NLU_MODEL_PATH || MODEL_PATH;
+  if (fs.existsSync(modelPath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(modelPath, "utf8"));
+      if (saved.version === MODEL_VERSION && saved.corpusHash === corpusHash(corpus)) {
+        model = saved;
+        return model;
+      }
+      console.warn(`Intent model in ${modelPath} is out of date with the corpus; training from the corpus (run npm run train:nlu to update it)`);
+    } catch (err) {
+      console.error(`Could not load intent model from ${modelPath}: ${err.message}`);
+    }
+  }
+
+  model = train(corpus);
+  return model;
+};
+
+/**
+ * Classifies a user message
+ *
+ * The corpus has examples in every supported language, so the normalised
+ * message is classified as written. Regional-language messages are also
+ * classified through their English gloss, which benefits from the larger
+ * English corpus; the more confident of the two wins.
+ *
+ * @param {string} text - Raw user message
+ * @param {string} [language="en"] - Language from detectLanguage()
+ * @returns {{intent: string, confidence: number, alternatives: Array<{intent: string, confidence: number}>}}
+ *   Detected intent, or FALLBACK_INTENT when nothing clears the threshold.
+ *   `alternatives` lists the next best guesses for debugging misroutes.
+ */
+export const classifyIntent = (text, language = DEFAULT_LANGUAGE) => {
+  const normalised = normaliseText(text, language);
+  let ranked = predict(getModel(), normalised);
+
+  if (language !== DEFAULT_LANGUAGE) {
+    const glossed = predict(getModel(), toEnglish(normalised, language));
+    if ((glossed[0]?.confidence || 0) > (ranked[0]?.confidence || 0)) ranked = glossed;
+  }
+
+  const [best, ...rest] = ranked;
+  const alternatives = rest.slice(0, 2);
+
+  if (!best || best.confidence < CONFIDENCE_THRESHOLD) {
+    return {
+      intent: FALLBACK_INTENT,
+      confidence: best ? best.confidence : 0,
+      alternatives: ranked.slice(0, 3),
+    };
+  }
+
+  return { intent: best.intent, confidence: best.confidence, alternatives };
+};
@@ -0,0 +1,267 @@
+/**
+ * Language Detection and Normalisation
+ *
+ * Detects whether a message is English, Hindi (Devanagari), Gujarati or
+ * romanised Hindi ("Hinglish"), normalises common transliteration variants,
+ * and glosses regional words into English keywords for scheme search and
+ * slot filling, which match against English scheme records.
+ *
+ * Language codes are BCP 47 tags: "en", "hi", "gu" and "hi-Latn".
+ *
+ * @module services/nlu/language
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+/** Supported reply languages */
+export const LANGUAGES = {
+  en: { name: "English", script: "latin" },
+  hi: { name: "Hindi", script: "devanagari" },
+  gu: { name: "Gujarati", script: "gujarati" },
+  "hi-Latn": { name: "Hinglish (Hindi written in English letters)", script: "latin" },
+};
+
+const DEVANAGARI = /[\u0900-\u097F]/gu;
+const GUJARATI = /[\u0A80-\u0AFF]/gu;
+const LATIN = /[a-z]/giu;
+
+/** Zero-width joiners and similar marks that vary between keyboards */
+const INVISIBLE = /[\u200B-\u200D\uFEFF]/gu;
+
+/**
+ * Common spelling variants in romanised Hindi, mapped to one canonical form
+ * so "naukari", "nokri" and "naukri" become the same word
+ */
+const HINGLISH_VARIANTS = {
+  muje: "mujhe", mujhko: "mujhe", mujhey: "mujhe",
+  chahie: "chahiye", chaiye: "chahiye", chahiya: "chahiye", chaahiye: "chahiye",
+  kyaa: "kya", kia: "kya",
+  hain: "hai", hei: "hai",
+  naukari: "naukri", nokri: "naukri", nokari: "naukri", noukri: "naukri",
+  yojna: "yojana", yojnaa: "yojana", yojanaa: "yojana", yojnayen: "yojanayen", yojnaen: "yojanayen",
+  chatravriti: "chhatravritti", chhatravriti: "chhatravritti", chatravritti: "chhatravritti",
+  chhatrvritti: "chhatravritti", chhatrvrutti: "chhatravritti", scolarship: "scholarship",
+  scholership: "scholarship", scholorship: "scholarship",
+  padai: "padhai", padhaai: "padhai", padhayi: "padhai",
+  sarkaari: "sarkari", sarkar: "sarkari",
+  btao: "batao", bataao: "batao", bataiye: "batao", bataye: "batao",
+  dikhao: "dikhao", dikhaiye: "dikhao", dikhaao: "dikhao",
+  kese: "kaise", kaisey: "kaise",
+  liya: "liye", lie: "liye",
+  rozgaar: "rozgar", rojgar: "rozgar", rojgaar: "rozgar",
+  shiksha: "shiksha", siksha: "shiksha",
+  madat: "madad",
+  kripaya: "kripya", krupya: "kripya",
+  nahin: "nahi", nai: "nahi",
+  dhanyawad: "dhanyavaad", dhanyavad: "dhanyavaad",
+};
+
+/** Words that mark a Latin-script message as romanised Hindi */
+const HINGLISH_MARKERS = new Set([
+  "mujhe", "chahiye", "kya", "hai", "hoon", "hu", "ke", "liye", "mein", "karna", "karo",
+  "kaise", "batao", "dikhao", "sarkari", "naukri", "yojana", "yojanayen", "chhatravritti",
+  "padhai", "nahi", "aap", "kripya", "mera", "meri", "mere", "koi", "kuch", "ka", "ki", "ko",
+  "se", "aur", "bhi", "wala", "wali", "milegi", "milega", "chahta", "chahti", "kaun", "kaunsi",
+  "kitna", "kab", "kahan", "kyun", "accha", "theek", "haan", "dhanyavaad", "shukriya",
+  "rozgar", "berozgar", "kisan", "mahila", "ladki", "ladkiyon", "vidyarthi", "chhatra",
+  "shiksha", "sahayata", "madad", "jankari", "hum", "humein", "kar", "sakta", "sakti",
+  "sakte", "karta", "ho", "ye", "raha", "rahi",
+]);
+
+/** Words with no search value in each regional language */
+const REGIONAL_STOPWORDS = new Set([
+  // Hindi
+  "मुझे", "मेरे", "मेरा", "मेरी", "के", "का", "की", "को", "में", "से", "है", "हैं", "हूँ", "हूं",
+  "लिए", "और", "या", "क्या", "कोई", "कुछ", "चाहिए", "बताओ", "बताइए", "बताएं", "दिखाओ", "दिखाइए",
+  "कृपया", "आप", "मैं", "एक", "पर", "भी", "कैसे", "करें", "करना", "कौन", "सी", "सा", "वाली", "वाले",
+  "जानकारी", "चाहता", "चाहती", "ढूंढो", "खोजें", "हम", "हमें", "बारे", "कितनी", "कितना", "अभी",
+  "कर", "सकते", "सकता", "करता", "यह", "हो",
+  // Gujarati
+  "મને", "મારે", "મારા", "મારી", "માટે", "છે", "છું", "અને", "કે", "નો", "ની", "નું", "ના", "માં",
+  "થી", "શું", "કોઈ", "કંઈ", "જોઈએ", "બતાવો", "કૃપા", "કરીને", "તમે", "હું", "એક", "પણ", "કેવી",
+  "રીતે", "કઈ", "કયી", "વિશે", "માહિતી", "અમને", "અમે", "હવે", "કરી", "શકો", "શકું",
+  // Hinglish
+  ...HINGLISH_MARKERS,
+].map((word) => word.normalize("NFC")));
+
+/**
+ * Regional words and phrases glossed to English keywords. Phrases are
+ * replaced longest first, so "स्नातकोत्तर" is not read as "स्नातक".
+ */
+const GLOSSARY = {
+  // Topics
+  scheme: ["योजना", "योजनाएं", "योजनाएँ", "योजनाओं", "યોજના", "યોજનાઓ", "yojana", "yojanayen"],
+  scholarship: ["छात्रवृत्ति", "स्कॉलरशिप", "वजीफा", "શિષ્યવૃત્તિ", "સ્કોલરશિપ", "chhatravritti", "vazifa"],
+  job: ["नौकरी", "नौकरियां", "नौकरियाँ", "रोजगार", "रोज़गार", "નોકરી", "નોકરીઓ", "રોજગાર", "naukri", "rozgar"],
+  government: ["सरकारी", "सरकार", "સરકારી", "સરકાર", "sarkari"],
+  education: ["शिक्षा", "पढ़ाई", "શિક્ષણ", "અભ્યાસ", "shiksha", "padhai"],
+  course: ["कोर्स", "पाठ्यक्रम", "કોર્સ", "અભ્યાસક્રમ"],
+  training: ["प्रशिक्षण", "તાલીમ", "prashikshan"],
+  farmer: ["किसान", "किसानों", "ખેડૂત", "ખેડૂતો", "kisan", "kisanon"],
+  women: ["महिला", "महिलाओं", "મહિલા", "મહિલાઓ", "mahila", "mahilaon"],
+  girl: ["लड़की", "लड़कियों", "છોકરી", "છોકરીઓ", "ladki", "ladkiyon"],
+  student: ["छात्र", "छात्रों", "विद्यार्थी", "વિદ્યાર્થી", "વિદ્યાર્થીઓ", "chhatra", "vidyarthi"],
+  health: ["स्वास्थ्य", "આરોગ્ય", "swasthya"],
+  housing: ["आवास", "मकान", "આવાસ", "awas"],
+  loan: ["ऋण", "लोन", "લોન", "loan"],
+  business: ["व्यवसाय", "व्यापार", "વ્યવસાય", "વેપાર", "vyapar", "vyavsay"],
+  help: ["मदद", "सहायता", "મદદ", "સહાય", "madad", "sahayata"],
+  hello: ["नमस्ते", "नमस्कार", "हेलो", "નમસ્તે", "નમસ્કાર", "હેલો", "કેમ છો", "kem cho"],
+  "what can you do": ["आप क्या कर सकते हैं", "તમે શું કરી શકો છો", "aap kya kar sakte ho"],
+  "how are you": ["आप कैसे हैं", "कैसे हो", "aap kaise ho", "kaise ho"],
+  work: ["काम", "કામ", "kaam"],
+  // Dialogue controls
+  "start over": ["फिर से शुरू", "शुरू से", "ફરીથી શરૂ", "શરૂઆતથી", "phir se shuru", "shuru se"],
+  skip: ["छोड़ो", "छोड़ें", "पता नहीं", "છોડો", "ખબર નથી", "chhodo", "pata nahi"],
+  any: ["कोई भी", "કોઈ પણ", "કોઈપણ", "koi bhi"],
+  // Education levels and fields
+  "10th": ["दसवीं", "10वीं", "ધોરણ 10", "dasvi", "dasvin"],
+  "12th": ["बारहवीं", "12वीं", "ધોરણ 12", "barahvi", "barvi"],
+  diploma: ["डिप्लोमा", "ડિપ્લોમા"],
+  postgraduate: ["स्नातकोत्तर", "અનુસ્નાતક"],
+  undergraduate: ["स्नातक", "ग्रेजुएशन", "સ્નાતક", "ગ્રેજ્યુએશન"],
+  phd: ["पीएचडी", "પીએચડી"],
+  engineering: ["इंजीनियरिंग", "એન્જિનિયરિંગ"],
+  medical: ["मेडिकल", "चिकित्सा", "મેડિકલ"],
+  // Income
+  income: ["आय", "आमदनी", "कमाई", "આવક", "aay", "aamdani"],
+  lakh: ["लाख", "લાખ"],
+  thousand: ["हज़ार", "हजार", "હજાર", "hazar", "hazaar"],
+  // Job sectors
+  railways: ["रेलवे", "રેલવે"],
+  bank: ["बैंक", "બેંક"],
+  police: ["पुलिस", "પોલીસ"],
+  army: ["सेना", "ફોજ", "સેના"],
+  teacher: ["शिक्षक", "અધ્યાપક", "શિક્ષક"],
+  software: ["सॉफ्टवेयर", "સોફ્ટવેર"],
+  // States and union territories
+  gujarat: ["गुजरात", "ગુજરાત"],
+  maharashtra: ["महाराष्ट्र", "મહારાષ્ટ્ર"],
+  rajasthan: ["राजस्थान", "રાજસ્થાન"],
+  delhi: ["दिल्ली", "દિલ્હી"],
+  "uttar pradesh": ["उत्तर प्रदेश", "ઉત્તર પ્રદેશ"],
+  "madhya pradesh": ["मध्य प्रदेश", "મધ્ય પ્રદેશ"],
+  "andhra pradesh": ["आंध्र प्रदेश"],
+  "himachal pradesh": ["हिमाचल प्रदेश"],
+  "west bengal": ["पश्चिम बंगाल"],
+  "tamil nadu": ["तमिलनाडु", "તમિલનાડુ"],
+  "jammu and kashmir": ["जम्मू और कश्मीर", "जम्मू कश्मीर"],
+  bihar: ["बिहार", "બિહાર"],
+  punjab: ["पंजाब", "પંજાબ"],
+  haryana: ["हरियाणा"],
+  karnataka: ["कर्नाटक", "કર્ણાટક"],
+  kerala: ["केरल"],
+  odisha: ["ओडिशा"],
+  jharkhand: ["झारखंड"],
+  chhattisgarh: ["छत्तीसगढ़"],
+  uttarakhand: ["उत्तराखंड"],
+  assam: ["असम"],
+  telangana: ["तेलंगाना"],
+  goa: ["गोवा", "ગોવા"],
+};
+
+/** Letters, marks and digits in any script: used as word boundaries */
+const WORD_CHAR = "\\p{L}\\p{M}\\p{N}";
+
+const GLOSSARY_PATTERNS = Object.entries(GLOSSARY)
+  .flatMap(([english, phrases]) => phrases.map((phrase) => ({ english, phrase: phrase.normalize("NFC") })))
+  .sort((a, b) => b.phrase.length - a.phrase.length)
+  .map(({ english, phrase }) => ({
+    english,
+    pattern: new RegExp(`(^|[^${WORD_CHAR}])${phrase}(?=$|[^${WORD_CHAR}])`, "giu"),
+  }));
+
+/**
+ * Converts Devanagari and Gujarati digits to ASCII
+ * @param {string} text - Text
+ * @returns {string} Text with ASCII digits
+ */
+const toAsciiDigits = (text) =>
+  text
+    .replace(/[\u0966-\u096F]/gu, (digit) => String(digit.charCodeAt(0) - 0x0966))
+    .replace(/[\u0AE6-\u0AEF]/gu, (digit) => String(digit.charCodeAt(0) - 0x0AE6));
+
+/**
+ * Canonicalises one romanised Hindi word: stretched letters are squeezed
+ * ("kyaaa" -> "kya") and known spelling variants are unified
+ *
+ * @param {string} word - Lower-cased word
+ * @returns {string} Canonical spelling
+ */
+const canonicalHinglish = (word) => {
+  const squeezed = word.replace(/([a-z])\1{2,}/g, "$1");
+  return HINGLISH_VARIANTS[squeezed] || squeezed;
+};
+
+/**
+ * Normalises a message before classification: NFC, ASCII digits, no
+ * zero-width characters, and canonical Hinglish spellings
+ *
+ * @param {string} text - Raw user message
+ * @param {string} language - Detected language
+ * @returns {string} Normalised text
+ */
+export const normaliseText = (text, language) => {
+  const cleaned = toAsciiDigits(String(text || "").normalize("NFC").replace(INVISIBLE, ""));
+  if (language !== "hi-Latn") return cleaned;
+  return cleaned.replace(/[a-z]+/gi, (word) => canonicalHinglish(word.toLowerCase()));
+};
+
+/**
+ * Detects the language and script of a message
+ *
+ * Short or ambiguous messages ("12th", "ok", "Gujarat") keep the
+ * conversation's previous language so replies don't flip mid-dialogue.
+ *
+ * @param {string} text - Raw user message
+ * @param {string} [previous=DEFAULT_LANGUAGE] - Language of the conversation so far
+ * @returns {{language: string, script: string}} Language code and script
+ */
+export const detectLanguage = (text, previous = DEFAULT_LANGUAGE) => {
+  const value = String(text || "");
+  const devanagari = (value.match(DEVANAGARI) || []).length;
+  const gujarati = (value.match(GUJARATI) || []).length;
+  const latin = (value.match(LATIN) || []).length;
+
+  if (devanagari > 0 && devanagari >= gujarati && devanagari >= latin) {
+    return { language: "hi", script: "devanagari" };
+  }
+  if (gujarati > 0 && gujarati >= latin) {
+    return { language: "gu", script: "gujarati" };
+  }
+
+  const fallback = LANGUAGES[previous] ? previous : DEFAULT_LANGUAGE;
+  if (latin === 0) return { language: fallback, script: LANGUAGES[fallback].script };
+
+  const words = value.toLowerCase().match(/[a-z]+/g) || [];
+  const markers = words.filter((word) => HINGLISH_MARKERS.has(canonicalHinglish(word))).length;
+
+  if (markers >= 2 || (markers === 1 && (words.length <= 3 || fallback === "hi-Latn"))) {
+    return { language: "hi-Latn", script: "latin" };
+  }
+  // A longer Latin message without Hindi words is English; a short one could be either
+  return { language: words.length >= 3 ? "en" : fallback, script: "latin" };
+};
+
+/**
+ * Glosses a regional-language message into English keywords so it can be
+ * matched against English scheme records and slot vocabularies. Words
+ * without a gloss are kept unless they are function words.
+ *
+ * @param {string} text - Message after normaliseText()
+ * @param {string} language - Detected language
+ * @returns {string} English keyword text (unchanged for English messages)
+ */
+export const toEnglish = (text, language) => {
+  if (language === DEFAULT_LANGUAGE) return text;
+
+  let glossed = text.toLowerCase();
+  for (const { english, pattern } of GLOSSARY_PATTERNS) {
+    glossed = glossed.replace(pattern, `$1${english}`);
+  }
+
+  return glossed
+    .split(/\s+/)
+    .filter((word) => word && !REGIONAL_STOPWORDS.has(word.replace(new RegExp(`[^${WORD_CHAR}]`, "gu"), "")))
+    .join(" ");
+};
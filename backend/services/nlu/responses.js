@@ -0,0 +1,105 @@
+/**
+ * Intent Responses
+ *
+ * Canned chatbot replies for each intent produced by the classifier, in
+ * every supported reply language (see services/nlu/language).
+ *
+ * @module services/nlu/responses
+ */
+
+import { FALLBACK_INTENT } from "./corpus.js";
+import { DEFAULT_LANGUAGE } from "./language.js";
+
+const responses = {
+  schemes: "I can help you find information about government schemes! You can browse all available schemes on the Schemes page. Would you like to search for a specific type of scheme? I can provide information about financial aid, health schemes, educational schemes, and more.",
+  scholarships: "I can help you find scholarship opportunities! VoxAi provides information about various scholarships available for students. Would you like information about merit-based scholarships, need-based scholarships, or scholarships for specific fields of study?",
+  jobs: "I can assist you with job opportunities and career guidance! Would you like information about government job openings, private sector opportunities, or career development resources?",
+  education: "I can help you find educational resources and skill development courses! Would you like information about online courses, certification programs, or skill development initiatives?",
+  greeting: "Hello! I'm VoxAi, your AI-powered assistant. I can help you find information about government schemes, scholarships, job opportunities, and educational resources. How can I assist you today?",
+  help: "I'm VoxAi, an AI-powered information assistant. I can help you with:\n\n• Information about government schemes and programs\n• Scholarship opportunities and financial aid\n• Job openings and career guidance\n• Educational resources and skill development courses\n• Personalized recommendations based on your interests\n\nWhat would you like to know more about?",
+  [FALLBACK_INTENT]: "Thank you for your query! I'm here to help you with information about government schemes, scholarships, job opportunities, and educational resources. Could you please provide more details about what you're looking for? For example, you can ask about:\n\n• 'Show me government schemes'\n• 'Find scholarships for students'\n• 'Job opportunities in [field]'\n• 'Educational courses for [subject]'",
+};
+
+/** Replies in other languages, keyed by language code */
+const translations = {
+  hi: {
+    schemes: "मैं आपको सरकारी योजनाओं की जानकारी ढूंढने में मदद कर सकता हूं! सभी योजनाएं योजना पेज पर देखी जा सकती हैं। क्या आप किसी खास तरह की योजना ढूंढ रहे हैं? मैं आर्थिक सहायता, स्वास्थ्य, शिक्षा और अन्य योजनाओं के बारे में बता सकता हूं।",
+    scholarships: "मैं आपको छात्रवृत्ति के अवसर ढूंढने में मदद कर सकता हूं! VoxAi पर छात्रों के लिए कई छात्रवृत्तियों की जानकारी है। क्या आप मेरिट आधारित, ज़रूरत आधारित या किसी खास विषय की छात्रवृत्ति के बारे में जानना चाहते हैं?",
+    jobs: "मैं नौकरी के अवसरों और करियर मार्गदर्शन में आपकी मदद कर सकता हूं! क्या आप सरकारी नौकरियों, निजी क्षेत्र के अवसरों या करियर विकास के संसाधनों के बारे में जानना चाहते हैं?",
+    education: "मैं आपको शैक्षिक संसाधन और कौशल विकास कोर्स ढूंढने में मदद कर सकता हूं! क्या आप ऑनलाइन कोर्स, सर्टिफिकेशन प्रोग्राम या कौशल विकास योजनाओं के बारे में जानना चाहते हैं?",
+    greeting: "नमस्ते! मैं VoxAi हूं, आपका AI सहायक। मैं सरकारी योजनाओं, छात्रवृत्तियों, नौकरी के अवसरों और शैक्षिक संसाधनों की जानकारी ढूंढने में मदद कर सकता हूं। आज मैं आपकी क्या मदद करूं?",
+    help: "मैं VoxAi हूं, एक AI सूचना सहायक। मैं इनमें आपकी मदद कर सकता हूं:\n\n• सरकारी योजनाओं और कार्यक्रमों की जानकारी\n• छात्रवृत्ति और आर्थिक सहायता\n• नौकरी के अवसर और करियर मार्गदर्शन\n• शैक्षिक संसाधन और कौशल विकास कोर्स\n• आपकी रुचि के अनुसार सुझाव\n\nआप किस बारे में जानना चाहते हैं?",
+    [FALLBACK_INTENT]: "आपके सवाल के लिए धन्यवाद! मैं सरकारी योजनाओं, छात्रवृत्तियों, नौकरी के अवसरों और शैक्षिक संसाधनों की जानकारी देने के लिए हूं। कृपया थोड़ा और बताइए कि आप क्या ढूंढ रहे हैं। उदाहरण के लिए आप पूछ सकते हैं:\n\n• 'सरकारी योजनाएं दिखाओ'\n• 'छात्रों के लिए छात्रवृत्ति'\n• 'रेलवे में नौकरी'\n• 'कंप्यूटर का कोर्स'",
+  },
+  gu: {
+    schemes: "હું તમને સરકારી યોજનાઓની માહિતી શોધવામાં મદદ કરી શકું છું! બધી યોજનાઓ યોજનાઓના પેજ પર જોઈ શકાય છે. શું તમે કોઈ ખાસ પ્રકારની યોજના શોધો છો? હું આર્થિક સહાય, આરોગ્ય, શિક્ષણ અને અન્ય યોજનાઓ વિશે જણાવી શકું છું.",
+    scholarships: "હું તમને શિષ્યવૃત્તિની તકો શોધવામાં મદદ કરી શકું છું! VoxAi પર વિદ્યાર્થીઓ માટે ઘણી શિષ્યવૃત્તિઓની માહિતી છે. શું તમે મેરિટ આધારિત, જરૂરિયાત આધારિત કે કોઈ ખાસ વિષયની શિષ્યવૃત્તિ વિશે જાણવા માંગો છો?",
+    jobs: "હું નોકરીની તકો અને કારકિર્દી માર્ગદર્શનમાં તમારી મદદ કરી શકું છું! શું તમે સરકારી નોકરીઓ, ખાનગી ક્ષેત્રની તકો કે કારકિર્દી વિકાસના સંસાધનો વિશે જાણવા માંગો છો?",
+    education: "હું તમને શૈક્ષણિક સંસાધનો અને કૌશલ્ય વિકાસ કોર્સ શોધવામાં મદદ કરી શકું છું! શું તમે ઓનલાઇન કોર્સ, સર્ટિફિકેશન પ્રોગ્રામ કે કૌશલ્ય વિકાસ યોજનાઓ વિશે જાણવા માંગો છો?",
+    greeting: "નમસ્તે! હું VoxAi છું, તમારો AI સહાયક. હું સરકારી યોજનાઓ, શિષ્યવૃત્તિઓ, નોકરીની તકો અને શૈક્ષણિક સંસાધનોની માહિતી શોધવામાં મદદ કરી શકું છું. આજે હું તમારી શું મદદ કરું?",
+    help: "હું VoxAi છું, એક AI માહિતી સહાયક. હું આમાં તમારી મદદ કરી શકું છું:\n\n• સરકારી યોજનાઓ અને કાર્યક્રમોની માહિતી\n• શિષ્યવૃત્તિ અને આર્થિક સહાય\n• નોકરીની તકો અને કારકિર્દી માર્ગદર્શન\n• શૈક્ષણિક સંસાધનો અને કૌશલ્ય વિકાસ કોર્સ\n• તમારી રુચિ મુજબ સૂચનો\n\nતમે શેના વિશે જાણવા માંગો છો?",
+    [FALLBACK_INTENT]: "તમારા પ્રશ્ન બદલ આભાર! હું સરકારી યોજનાઓ, શિષ્યવૃત્તિઓ, નોકરીની તકો અને શૈક્ષણિક સંસાધનોની માહિતી આપવા માટે છું. કૃપા કરીને થોડું વધુ જણાવો કે તમે શું શોધો છો. ઉદાહરણ તરીકે તમે પૂછી શકો:\n\n• 'સરકારી યોજનાઓ બતાવો'\n• 'વિદ્યાર્થીઓ માટે શિષ્યવૃત્તિ'\n• 'રેલવેમાં નોકરી'\n• 'કમ્પ્યુટરનો કોર્સ'",
+  },
+  "hi-Latn": {
+    schemes: "Main aapko sarkari yojanaon ki jankari dhundhne mein madad kar sakta hoon! Saari yojanayen Schemes page par dekh sakte hain. Kya aap kisi khaas tarah ki yojana dhundh rahe hain? Main financial aid, health, education aur dusri yojanaon ke baare mein bata sakta hoon.",
+    scholarships: "Main aapko scholarship ke avsar dhundhne mein madad kar sakta hoon! VoxAi par students ke liye kai scholarships ki jankari hai. Kya aap merit-based, need-based ya kisi khaas field ki scholarship ke baare mein jaanna chahte hain?",
+    jobs: "Main naukri ke avsar aur career guidance mein aapki madad kar sakta hoon! Kya aap sarkari naukri, private sector ke avsar ya career development ke baare mein jaanna chahte hain?",
+    education: "Main aapko educational resources aur skill development courses dhundhne mein madad kar sakta hoon! Kya aap online courses, certification programs ya skill development yojanaon ke baare mein jaanna chahte hain?",
+    greeting: "Namaste! Main VoxAi hoon, aapka AI assistant. Main sarkari yojanaon, scholarships, naukri ke avsar aur padhai ke resources dhundhne mein madad kar sakta hoon. Aaj main aapki kya madad karoon?",
+    help: "Main VoxAi hoon, ek AI information assistant. Main in cheezon mein madad kar sakta hoon:\n\n• Sarkari yojanaon aur programs ki jankari\n• Scholarship aur financial aid\n• Naukri ke avsar aur career guidance\n• Padhai ke resources aur skill development courses\n• Aapki pasand ke hisaab se suggestions\n\nAap kis baare mein jaanna chahte hain?",
+    [FALLBACK_INTENT]: "Aapke sawaal ke liye dhanyavaad! Main sarkari yojanaon, scholarships, naukri ke avsar aur padhai ke resources ki jankari dene ke liye hoon. Kripya thoda aur bataiye ki aap kya dhundh rahe hain. Jaise aap pooch sakte hain:\n\n• 'Sarkari yojanayen dikhao'\n• 'Students ke liye scholarship'\n• 'Railway mein naukri'\n• 'Computer ka course'",
+  },
+};
+
+/** Wording around retrieved scheme lists, keyed by language code */
+const matchTemplates = {
+  en: {
+    one: "I found a scheme that may help:",
+    many: (count) => `I found ${count} schemes that may help:`,
+    outro: "Open a card below for details, or tell me more so I can narrow it down.",
+  },
+  hi: {
+    one: "मुझे एक योजना मिली जो मदद कर सकती है:",
+    many: (count) => `मुझे ${count} योजनाएं मिलीं जो मदद कर सकती हैं:`,
+    outro: "जानकारी के लिए नीचे कोई कार्ड खोलें, या और बताइए ताकि मैं खोज को सीमित कर सकूं।",
+  },
+  gu: {
+    one: "મને એક યોજના મળી જે મદદરૂપ થઈ શકે:",
+    many: (count) => `મને ${count} યોજનાઓ મળી જે મદદરૂપ થઈ શકે:`,
+    outro: "વિગતો માટે નીચે કોઈ કાર્ડ ખોલો, અથવા વધુ જણાવો જેથી હું શોધ સીમિત કરી શકું.",
+  },
+  "hi-Latn": {
+    one: "Mujhe ek yojana mili jo madad kar sakti hai:",
+    many: (count) => `Mujhe ${count} yojanayen mili jo madad kar sakti hain:`,
+    outro: "Details ke liye neeche koi card kholiye, ya aur bataiye taaki main search ko narrow kar sakoon.",
+  },
+};
+
+/**
+ * Returns the reply text for an intent
+ * @param {string} intent - Intent name from classifyIntent()
+ * @param {string} [language="en"] - Reply language
+ * @returns {string} Reply text, falling back to the generic prompt and to English
+ */
+export const getResponse = (intent, language = DEFAULT_LANGUAGE) => {
+  const table = translations[language] || responses;
+  return table[intent] || table[FALLBACK_INTENT];
+};
+
+/**
+ * Builds a reply that introduces retrieved schemes
+ *
+ * @param {Array<{title: string, category: string}>} sources - Ranked scheme matches
+ * @param {string} [language="en"] - Reply language
+ * @returns {string} Reply text listing the matches
+ */
+export const formatSchemeMatches = (sources, language = DEFAULT_LANGUAGE) => {
+  const template = matchTemplates[language] || matchTemplates[DEFAULT_LANGUAGE];
+  const lines = sources.map((source) =>
+    `• ${source.title}${source.category ? ` (${source.category})` : ""}`
+  );
+  const intro = sources.length === 1 ? template.one : template.many(sources.length);
+  return `${intro}\n\n${lines.join("\n")}\n\n${template.outro}`;
+};
+
+export default responses;
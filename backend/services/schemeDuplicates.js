@@ -0,0 +1,467 @@
+/**
+ * Scheme Duplicates
+ *
+ * Fuzzy matching that spots the same scheme entered twice: titles are
+ * compared after normalising case, accents, punctuation and filler words,
+ * official links by host and path, and descriptions by shared words. Also
+ * merges a duplicate into the scheme that is kept, moving references to it.
+ *
+ * @module services/schemeDuplicates
+ */
+
+import Scheme, { PUBLIC_FILTER } from "../models/Scheme.js";
+import Message from "../models/Message.js";
+import Bookmark, { MAX_NOTE_LENGTH } from "../models/Bookmark.js";
+import Application from "../models/Application.js";
+import { STATES } from "./dialogue/slots.js";
+
+/** Score from which two schemes are reported as likely duplicates */
+export const DUPLICATE_THRESHOLD = 0.6;
+
+/** Most duplicates reported for one scheme */
+export const MAX_DUPLICATES = 5;
+
+// Share of each signal in the score; signals missing on either side are left out
+const WEIGHTS = { title: 0.6, url: 0.25, description: 0.15 };
+
+// Words that say nothing about which scheme is meant
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it", "of", "on", "or",
+  "the", "their", "this", "to", "under", "with", "who", "will", "scheme", "schemes", "yojana", "programme",
+  "program", "govt", "government", "india", "indian",
+]);
+
+// Spellings that mean the same thing in scheme titles; an empty list drops the word
+const SYNONYMS = { pm: ["pradhan", "mantri"], cm: ["chief", "minister"], yojna: [], scholarships: ["scholarship"] };
+
+// Title words this similar count as the same word (typos, plurals)
+const WORD_MATCH = 0.7;
+
+// Descriptions shorter than this are not compared
+const MIN_DESCRIPTION_WORDS = 5;
+
+// Who a scheme is for; titles naming different groups are different schemes
+const AUDIENCES = {
+  sc: ["sc", "scheduled caste", "scheduled castes"],
+  st: ["st", "scheduled tribe", "scheduled tribes"],
+  obc: ["obc", "other backward class", "other backward classes"],
+  ews: ["ews", "economically weaker section", "economically weaker sections"],
+  minority: ["minority", "minorities"],
+};
+
+// Highest score for titles naming different social categories or states
+const AUDIENCE_MISMATCH_SCORE = 0.4;
+
+/**
+ * Lowercases text and strips accents and punctuation
+ * @param {string} [text] - Raw text
+ * @returns {string[]} Words
+ */
+const words = (text) =>
+  (text || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ").trim().split(" ").filter(Boolean);
+
+/**
+ * Words that identify a scheme, with synonyms folded and filler words dropped
+ * @param {string} [text] - Raw text
+ * @returns {string[]} Significant words
+ */
+const significantWords = (text) =>
+  words(text).flatMap((word) => SYNONYMS[word] || [word]).filter((word) => !STOPWORDS.has(word));
+
+/**
+ * Builds a finder for every code whose phrases appear in a text as whole words
+ * @param {Object<string, string[]>} dictionary - Phrases keyed by code
+ * @returns {(text: string) => Set<string>} Finder returning the codes found
+ */
+const phraseFinder = (dictionary) => {
+  const entries = Object.entries(dictionary)
+    .flatMap(([code, phrases]) => phrases.map((phrase) => ({ code, phrase: ` ${words(phrase).join(" ")} ` })));
+  return (text) => {
+    const padded = ` ${words(text).join(" ")} `;
+    return new Set(entries.filter(({ phrase }) => padded.includes(phrase)).map(({ code }) => code));
+  };
+};
+
+const findAudiences = phraseFinder(AUDIENCES);
+const findStates = phraseFinder(STATES);
+
+/**
+ * Whether two titles both name a social category, or both a state, and the names differ
+ * @param {Object} a - schemeFeatures() of the first scheme
+ * @param {Object} b - schemeFeatures() of the second scheme
+ * @returns {boolean} True when the titles point at different groups
+ */
+const audiencesDiffer = (a, b) => {
+  const differ = (x, y) => x.size > 0 && y.size > 0 && (x.size !== y.size || [...x].some((code) => !y.has(code)));
+  return differ(a.audiences, b.audiences) || differ(a.states, b.states);
+};
+
+/**
+ * Character trigrams of a word, padded so short words still count
+ * @param {string} word - Normalised word
+ * @returns {Set<string>} Trigrams
+ */
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i += 1) grams.add(padded.slice(i, i + 3));
+  return grams;
+};
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} 0 to 1
+ */
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared += 1;
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Dice coefficient of two sets; kinder than Jaccard to small spelling changes
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} 0 to 1
+ */
+const dice = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared += 1;
+  return (2 * shared) / (a.size + b.size);
+};
+
+/**
+ * Jaccard similarity of two titles where near-identical words count as
+ * shared, so "Kissan" matches "Kisan" but "SC" does not match "ST"
+ * @param {Array<{word: string, grams: Set<string>}>} a - First title's words
+ * @param {Array<{word: string, grams: Set<string>}>} b - Second title's words
+ * @returns {number} 0 to 1
+ */
+const titleSimilarity = (a, b) => {
+  if (!a.length || !b.length) return 0;
+  const unused = new Set(b);
+  let shared = 0;
+  for (const { word, grams } of a) {
+    let best = null;
+    let bestScore = WORD_MATCH;
+    for (const other of unused) {
+      const similarity = other.word === word ? 1 : dice(grams, other.grams);
+      if (similarity >= bestScore) {
+        best = other;
+        bestScore = similarity;
+      }
+    }
+    if (best) {
+      unused.delete(best);
+      shared += 1;
+    }
+  }
+  return shared / (a.length + b.length - shared);
+};
+
+/**
+ * Normalises a link to host and path: no scheme, `www.`, query, fragment or trailing slash
+ * @param {string} [url] - Raw URL
+ * @returns {{host: string, path: string}|null} Parts, or null when missing or invalid
+ */
+export const normaliseUrl = (url) => {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.toLowerCase().replace(/\/(index\.(html?|php|aspx?))?$/, "").replace(/\/+$/, "");
+    return { host: parsed.hostname.toLowerCase().replace(/^www\./, ""), path };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Precomputes what matching needs from a scheme
+ * @param {Object} scheme - Scheme document, plain object or request fields
+ * @returns {Object} Features used by compareFeatures()
+ */
+export const schemeFeatures = (scheme) => {
+  const titleWords = [...new Set(significantWords(scheme.title))];
+  const descriptionWords = significantWords(scheme.description);
+  return {
+    scheme,
+    titleWords: titleWords.map((word) => ({ word, grams: trigrams(word) })),
+    audiences: findAudiences(scheme.title),
+    states: findStates(scheme.title),
+    url: normaliseUrl(scheme.url),
+    descriptionWords: descriptionWords.length >= MIN_DESCRIPTION_WORDS ? new Set(descriptionWords) : null,
+  };
+};
+
+/**
+ * Scores how likely two schemes are the same
+ *
+ * @param {Object} a - schemeFeatures() of the first scheme
+ * @param {Object} b - schemeFeatures() of the second scheme
+ * @returns {{score: number, matches: {title: number, url?: number, description?: number}}}
+ *   Overall score and the similarity of each signal compared, all 0 to 1
+ */
+export const compareFeatures = (a, b) => {
+  const matches = { title: titleSimilarity(a.titleWords, b.titleWords) };
+  if (a.url && b.url) {
+    matches.url = a.url.host !== b.url.host ? 0
+      : a.url.path === b.url.path ? 1
+        // One link is a page inside the other, e.g. a scheme's apply page
+        : a.url.path && b.url.path && (a.url.path.startsWith(`${b.url.path}/`) || b.url.path.startsWith(`${a.url.path}/`)) ? 0.7
+          : 0;
+  }
+  if (a.descriptionWords && b.descriptionWords) {
+    matches.description = jaccard(a.descriptionWords, b.descriptionWords);
+  }
+
+  let weighted = 0;
+  let total = 0;
+  for (const [signal, similarity] of Object.entries(matches)) {
+    weighted += WEIGHTS[signal] * similarity;
+    total += WEIGHTS[signal];
+  }
+  let score = weighted / total;
+  // A near-identical title, or the same page below a portal's home page, is enough on its own
+  if (matches.title >= 0.9) score = Math.max(score, matches.title);
+  if (matches.url === 1 && a.url.path) score = Math.max(score, 0.75);
+  // "… for SC" and "… for ST", or one state's version of a central scheme, are separate schemes
+  if (audiencesDiffer(a, b)) score = Math.min(score, AUDIENCE_MISMATCH_SCORE);
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    score: round(score),
+    matches: Object.fromEntries(Object.entries(matches).map(([signal, value]) => [signal, round(value)])),
+  };
+};
+
+// Fields matching and duplicate reports need
+const INDEX_FIELDS = "title url description category key status";
+
+/**
+ * Narrows the index to schemes that could match a candidate: those sharing
+ * the start of a title word, or its link's host. Scores need one of the two
+ * to reach the threshold.
+ * @param {Object} candidate - Scheme fields (title, url)
+ * @returns {Object|null} Query conditions, or null when the candidate gives nothing to narrow by
+ */
+const candidateFilter = (candidate) => {
+  const prefixes = new Set(
+    [...words(candidate.title), ...significantWords(candidate.title)]
+      .filter((word) => word.length >= 3 && !STOPWORDS.has(word))
+      .map((word) => word.slice(0, 4)),
+  );
+  const conditions = [...prefixes].map((prefix) => ({ title: { $regex: prefix, $options: "i" } }));
+  const url = normaliseUrl(candidate.url);
+  if (url) conditions.push({ url: { $regex: url.host.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" } });
+  return conditions.length ? { $or: conditions } : null;
+};
+
+/**
+ * Loads the schemes submissions are compared against: everything not
+ * deleted, or for a user who does not moderate only what they may see
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.user] - User submitting (needs `_id` and `role`); omit for admin tools
+ * @param {Object} [options.candidate] - Scheme fields; only schemes that could match it are loaded
+ * @returns {Promise<Array<Object>>} schemeFeatures() of each scheme
+ */
+export const loadDuplicateIndex = async ({ user, candidate } = {}) => {
+  const conditions = [
+    user && !Scheme.canModerate(user)
+      ? { $or: [PUBLIC_FILTER, { deletedAt: null, createdBy: user._id }] }
+      : { deletedAt: null },
+  ];
+  const near = candidate && candidateFilter(candidate);
+  if (near) conditions.push(near);
+  const schemes = await Scheme.find(conditions.length > 1 ? { $and: conditions } : conditions[0])
+    .select(INDEX_FIELDS)
+    .lean();
+  return schemes.map(schemeFeatures);
+};
+
+/**
+ * Summarises a scheme for a duplicate report
+ * @param {Object} scheme - Scheme document or plain object
+ * @returns {Object} `_id`, `key`, `title`, `category`, `url`, `status`
+ */
+const summarise = (scheme) => ({
+  _id: scheme._id,
+  key: scheme.key,
+  title: scheme.title,
+  category: scheme.category,
+  url: scheme.url,
+  status: scheme.status,
+});
+
+/**
+ * Finds likely duplicates of a scheme
+ *
+ * @param {Object} candidate - Scheme fields (title, url, description)
+ * @param {Array<Object>} index - Result of loadDuplicateIndex()
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Scheme to leave out (the one being edited)
+ * @param {number} [options.threshold=DUPLICATE_THRESHOLD] - Lowest score reported
+ * @param {number} [options.limit=MAX_DUPLICATES] - Most duplicates returned
+ * @returns {Array<{scheme: Object, score: number, matches: Object}>} Best matches first
+ */
+export const findDuplicates = (candidate, index, {
+  excludeId, threshold = DUPLICATE_THRESHOLD, limit = MAX_DUPLICATES,
+} = {}) => {
+  const features = schemeFeatures(candidate);
+  return index
+    .filter((other) => !excludeId || String(other.scheme._id) !== String(excludeId))
+    .map((other) => ({ scheme: summarise(other.scheme), ...compareFeatures(features, other) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Finds pairs of likely duplicates among existing schemes, for the admin report.
+ * Only pairs sharing an exact title word or a link are scored.
+ *
+ * @param {Array<Object>} index - Result of loadDuplicateIndex()
+ * @param {Object} [options]
+ * @param {number} [options.threshold=DUPLICATE_THRESHOLD] - Lowest score reported
+ * @param {number} [options.limit=100] - Most pairs returned
+ * @returns {Array<{schemes: Array<Object>, score: number, matches: Object}>} Best matches first
+ */
+export const findDuplicatePairs = (index, { threshold = DUPLICATE_THRESHOLD, limit = 100 } = {}) => {
+  const buckets = new Map();
+  index.forEach((features, position) => {
+    const tokens = features.titleWords.map(({ word }) => word);
+    if (features.url) tokens.push(`url:${features.url.host}${features.url.path}`);
+    for (const token of tokens) {
+      if (!buckets.has(token)) buckets.set(token, []);
+      buckets.get(token).push(position);
+    }
+  });
+
+  const pairs = [];
+  const seen = new Set();
+  for (const positions of buckets.values()) {
+    for (let i = 0; i < positions.length; i += 1) {
+      for (let j = i + 1; j < positions.length; j += 1) {
+        const id = `${positions[i]}:${positions[j]}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+
+        const [a, b] = [index[positions[i]], index[positions[j]]];
+        const result = compareFeatures(a, b);
+        if (result.score >= threshold) pairs.push({ schemes: [summarise(a.scheme), summarise(b.scheme)], ...result });
+      }
+    }
+  }
+  return pairs.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+// Fields copied from a duplicate when the kept scheme has no value for them
+const FILLABLE_FIELDS = ["description", "category", "url", "ministry", "applicationOpens", "applicationCloses"];
+
+/**
+ * Folds a duplicate's bookmark into the user's bookmark of the kept scheme:
+ * both notes are kept, and the earlier save date
+ * @param {Object} kept - Bookmark document of the kept scheme
+ * @param {Object} duplicate - Bookmark document of the duplicate
+ */
+const foldBookmark = (kept, duplicate) => {
+  const notes = [...new Set([kept.note, duplicate.note].filter(Boolean))];
+  kept.note = notes.length ? notes.join("\n\n").slice(0, MAX_NOTE_LENGTH) : undefined;
+  if (duplicate.createdAt < kept.createdAt) kept.createdAt = duplicate.createdAt;
+  kept.updatedAt = new Date();
+};
+
+/**
+ * Folds a duplicate's application into the user's application for the
+ * kept scheme: the status histories are combined and the most recent
+ * status change decides the status
+ * @param {Object} kept - Application document of the kept scheme
+ * @param {Object} duplicate - Application document of the duplicate
+ */
+const foldApplication = (kept, duplicate) => {
+  const history = [...kept.history, ...duplicate.history].map(({ status, at }) => ({ status, at }))
+    .sort((a, b) => a.at - b.at);
+  kept.history = history;
+  kept.status = history.length ? history[history.length - 1].status : kept.status;
+  if (duplicate.createdAt < kept.createdAt) kept.createdAt = duplicate.createdAt;
+  kept.updatedAt = new Date();
+};
+
+/**
+ * Points users' records (bookmarks or applications) for the duplicates at
+ * the kept scheme. A user has at most one per scheme, so a record meeting
+ * one the user already has for the kept scheme is folded into it and removed.
+ *
+ * @param {mongoose.Model} Model - Bookmark or Application
+ * @param {Object} targetId - Kept scheme
+ * @param {Array<Object>} ids - Merged schemes
+ * @param {Function} fold - `(kept, duplicate)`, copies the duplicate's details into the kept record
+ * @returns {Promise<number>} Records moved or folded
+ */
+const repointUserRecords = async (Model, targetId, ids, fold) => {
+  const records = await Model.find({ scheme: { $in: ids } });
+  for (const record of records) {
+    const kept = await Model.findOne({ user: record.user, scheme: targetId });
+    if (kept) {
+      fold(kept, record);
+      await kept.save();
+      await record.deleteOne();
+    } else {
+      record.scheme = targetId;
+      await record.save();
+    }
+  }
+  return records.length;
+};
+
+/**
+ * Merges duplicates into the scheme that is kept. Details the kept scheme
+ * lacks are copied over, chat messages, bookmarks and applications for a
+ * duplicate are pointed at the kept scheme, and each duplicate is
+ * soft-deleted with `mergedInto` set so links to it lead to the kept scheme.
+ *
+ * @param {Object} target - Scheme document that is kept
+ * @param {Array<Object>} duplicates - Scheme documents merged into it
+ * @param {string} userId - Admin doing the merge
+ * @returns {Promise<{scheme: Object, merged: string[], references: number, bookmarks: number, applications: number}>}
+ *   Kept scheme, merged IDs, and the number of chat messages, bookmarks and applications moved
+ */
+export const mergeSchemes = async (target, duplicates, userId) => {
+  for (const duplicate of duplicates) {
+    for (const field of FILLABLE_FIELDS) {
+      if ((target[field] == null || target[field] === "") && duplicate[field] != null && duplicate[field] !== "") {
+        target[field] = duplicate[field];
+      }
+    }
+    const documents = new Set([...(target.documents || []), ...(duplicate.documents || [])]);
+    target.documents = [...documents];
+  }
+  target.updatedBy = userId;
+  target.updatedAt = new Date();
+  const titles = duplicates.map((duplicate) => `"${duplicate.title}"`).join(", ");
+  await target.recordAs("merge", userId, `Merged ${titles}`).save();
+
+  const ids = duplicates.map((duplicate) => duplicate._id);
+  const { modifiedCount } = await Message.updateMany(
+    { "sources.scheme": { $in: ids } },
+    { $set: { "sources.$[source].scheme": target._id } },
+    { arrayFilters: [{ "source.scheme": { $in: ids } }] },
+  );
+  const bookmarks = await repointUserRecords(Bookmark, target._id, ids, foldBookmark);
+  const applications = await repointUserRecords(Application, target._id, ids, foldApplication);
+
+  const now = new Date();
+  for (const duplicate of duplicates) {
+    duplicate.deletedAt = now;
+    duplicate.deletedBy = userId;
+    duplicate.mergedInto = target._id;
+    await duplicate.recordAs("delete", userId, `Merged into "${target.title}"`).save();
+  }
+
+  return { scheme: target, merged: ids.map(String), references: modifiedCount, bookmarks, applications };
+};
@@ -0,0 +1,153 @@
+/**
+ * Scheme History
+ *
+ * Revision snapshots of schemes: what a scheme looked like after each
+ * write, who made it and why, field-level diffs between two revisions,
+ * and the fields to restore when rolling back. The Scheme model records a
+ * revision on every save that changes a tracked field; link-check results
+ * are not tracked.
+ *
+ * @module services/schemeHistory
+ */
+
+import SchemeRevision, { NOTE_MAX_LENGTH } from "../models/SchemeRevision.js";
+import { EDITABLE_FIELDS } from "./schemeValidation.js";
+
+/** Fields stored in each revision */
+export const TRACKED_FIELDS = [...EDITABLE_FIELDS, "key", "status", "reviewNote", "deletedAt", "mergedInto"];
+
+
+/**
+ * Copies the tracked fields of a scheme
+ * @param {Object} scheme - Scheme document or plain object
+ * @returns {Object} Snapshot; missing fields are left out
+ */
+export const snapshotScheme = (scheme) => {
+  const data = typeof scheme.toObject === "function" ? scheme.toObject({ depopulate: true }) : scheme;
+  return Object.fromEntries(
+    TRACKED_FIELDS.filter((field) => data[field] !== undefined && data[field] !== null).map((field) => [field, data[field]]),
+  );
+};
+
+/**
+ * Saves a revision with the next number for the scheme. Retries when
+ * another write took the number first.
+ *
+ * @param {Object} scheme - Scheme document or plain object
+ * @param {Object} revision
+ * @param {string} revision.action - One of REVISION_ACTIONS
+ * @param {string} [revision.by] - User who made the change
+ * @param {string} [revision.note] - Why, e.g. "Rolled back to revision 3"; cut to NOTE_MAX_LENGTH
+ * @returns {Promise<Object>} Saved revision
+ */
+export const recordRevision = async (scheme, { action, by, note }) => {
+  for (let attempt = 0; ; attempt += 1) {
+    const last = await SchemeRevision.findOne({ scheme: scheme._id }).sort({ number: -1 }).select("number").lean();
+    try {
+      return await SchemeRevision.create({
+        scheme: scheme._id,
+        number: (last?.number || 0) + 1,
+        action,
+        snapshot: snapshotScheme(scheme),
+        changedBy: by,
+        note: note?.slice(0, NOTE_MAX_LENGTH),
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) throw err;
+    }
+  }
+};
+
+/**
+ * Flattens nested objects into dotted paths; arrays and dates are single values
+ * @param {Object} value - Snapshot or nested object
+ * @param {string} [prefix] - Path so far
+ * @param {Object} [out] - Accumulator
+ * @returns {Object} Values keyed by path, e.g. `{ "benefit.amount": 5000 }`
+ */
+const flatten = (value, prefix = "", out = {}) => {
+  for (const [key, item] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isPlainObject = item && typeof item === "object" && !Array.isArray(item)
+      && !(item instanceof Date) && !item._bsontype;
+    if (isPlainObject) flatten(item, path, out);
+    else out[path] = item;
+  }
+  return out;
+};
+
+/**
+ * Compares values the way they are stored, so equal dates and IDs match
+ * @param {*} value - Field value
+ * @returns {string} Comparable form
+ */
+const comparable = (value) => JSON.stringify(value ?? null);
+
+/**
+ * Lists the fields that differ between two snapshots
+ *
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<{field: string, before: *, after: *}>} One entry per changed field,
+ *   nested fields as dotted paths (e.g. `eligibility.maxAge`); missing values are null
+ */
+export const diffSnapshots = (before, after) => {
+  const a = flatten(before);
+  const b = flatten(after);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  return fields
+    .filter((field) => comparable(a[field]) !== comparable(b[field]))
+    // Empty lists and missing values mean the same thing
+    .filter((field) => !(isEmpty(a[field]) && isEmpty(b[field])))
+    .sort((x, y) => fieldOrder(x) - fieldOrder(y) || x.localeCompare(y))
+    .map((field) => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+};
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, undefined, "" and []
+ */
+const isEmpty = (value) => value == null || value === "" || (Array.isArray(value) && !value.length);
+
+/**
+ * Position of a field in TRACKED_FIELDS, so diffs list fields in form order
+ * @param {string} path - Dotted field path
+ * @returns {number} Index
+ */
+const fieldOrder = (path) => {
+  const index = TRACKED_FIELDS.indexOf(path.split(".")[0]);
+  return index === -1 ? TRACKED_FIELDS.length : index;
+};
+
+/**
+ * Lists a scheme's revisions, newest first, with the fields each one changed
+ *
+ * @param {string} schemeId - Scheme ID
+ * @returns {Promise<Array<Object>>} `_id`, `number`, `action`, `note`, `changedBy`
+ *   (name), `createdAt` and `changedFields`
+ */
+export const listRevisions = async (schemeId) => {
+  const revisions = await SchemeRevision.find({ scheme: schemeId })
+    .sort({ number: 1 })
+    .populate("changedBy", "name")
+    .lean();
+
+  return revisions
+    .map((revision, index) => {
+      const { snapshot, ...rest } = revision;
+      const previous = index > 0 ? revisions[index - 1].snapshot : {};
+      return { ...rest, changedFields: [...new Set(diffSnapshots(previous, snapshot).map(({ field }) => field))] };
+    })
+    .reverse();
+};
+
+/**
+ * Field values that restore a snapshot on a scheme: the editable fields
+ * only, so the key and the moderation and deletion state stay as they
+ * are. Fields missing from the snapshot are cleared.
+ *
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {Object} Values for `scheme.set()`
+ */
+export const rollbackFields = (snapshot) =>
+  Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, snapshot[field] ?? undefined]));
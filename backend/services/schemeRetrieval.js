@@ -0,0 +1,168 @@
+/**
+ * Scheme Retrieval
+ *
+ * Finds Scheme documents relevant to a chat message so the bot can answer
+ * with real records instead of pointing users at the Schemes page.
+ *
+ * @module services/schemeRetrieval
+ */
+
+import Scheme, { PUBLIC_FILTER } from "../models/Scheme.js";
+import { STOPWORDS } from "./nlu/classifier.js";
+
+/** Words that say "I want a scheme" without narrowing down which one */
+const GENERIC_TERMS = new Set([
+  "scheme", "schemes", "government", "govt", "yojana", "program", "programs",
+  "programme", "programmes", "available", "show", "find", "list", "all", "get",
+  "give", "what", "know", "help", "apply", "us", "could", "would", "does", "we",
+  "from", "do",
+]);
+
+/** Number of candidate documents pulled from Mongo before ranking */
+const CANDIDATE_LIMIT = 50;
+
+/** Field weights used when ranking candidates */
+const FIELD_WEIGHTS = { title: 3, category: 2, description: 1 };
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Extracts search keywords from a chat message
+ *
+ * @param {string} text - Raw user message
+ * @returns {string[]} Unique, lower-cased keywords
+ */
+export const extractKeywords = (text) => {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word) && !GENERIC_TERMS.has(word))
+    // Plurals match their singular as a prefix ("startups" -> "startup")
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+
+  return [...new Set(words)];
+};
+
+/**
+ * Scores a scheme against the keywords
+ *
+ * @param {Object} scheme - Lean Scheme document
+ * @param {RegExp[]} patterns - One pattern per keyword
+ * @returns {number} Relevance score (0 when nothing matches)
+ */
+const scoreScheme = (scheme, patterns) => {
+  let score = 0;
+  for (const pattern of patterns) {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      if (scheme[field] && pattern.test(scheme[field])) score += weight;
+    }
+  }
+  return score;
+};
+
+/**
+ * Shapes a scheme for the chat payload
+ * @param {Object} scheme - Lean Scheme document
+ * @returns {{id: string, title: string, category: string, url: string}} Source item
+ */
+export const toSource = (scheme) => ({
+  id: scheme._id,
+  title: scheme.title,
+  category: scheme.category || null,
+  url: scheme.url || null,
+});
+
+/**
+ * Shapes a ranked match; the description is kept for LLM prompts
+ * @param {Object} scheme - Lean Scheme document
+ * @param {number} score - Relevance score
+ * @returns {Object} Search result
+ */
+const toResult = (scheme, score) => ({
+  ...toSource(scheme),
+  description: scheme.description || null,
+  score,
+});
+
+/**
+ * Builds a case-insensitive pattern for a keyword or phrase
+ * @param {string} term - Keyword or phrase
+ * @returns {RegExp} Pattern
+ */
+const toPattern = (term) =>
+  // \b only understands ASCII word characters, so other scripts match anywhere
+  new RegExp(`${/^\w/.test(term) ? "\\b" : ""}${escapeRegex(term)}`, "i");
+
+/**
+ * Fetches schemes matching any `required` pattern and ranks them, counting
+ * `preferred` matches double
+ *
+ * @param {RegExp[]} required - A scheme must match at least one of these
+ * @param {RegExp[]} preferred - Matches that boost the score
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array<Object>>} Ranked results, best first
+ */
+const rankSchemes = async (required, preferred, limit) => {
+  const candidates = await Scheme.find({
+    ...PUBLIC_FILTER,
+    $or: required.flatMap((pattern) =>
+      Object.keys(FIELD_WEIGHTS).map((field) => ({ [field]: pattern }))
+    ),
+  })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return candidates
+    .map((scheme) => ({
+      scheme,
+      score: scoreScheme(scheme, required) + 2 * scoreScheme(scheme, preferred),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.scheme.createdAt - a.scheme.createdAt)
+    .slice(0, limit)
+    .map(({ scheme, score }) => toResult(scheme, score));
+};
+
+/**
+ * Searches schemes by title, description and category
+ *
+ * When the message names no specific topic ("show me government schemes")
+ * the most recently added schemes are returned instead, unless
+ * `recentIfNoKeywords` is false.
+ *
+ * @param {string} text - Raw user message
+ * @param {Object} [options]
+ * @param {number} [options.limit=3] - Maximum number of results
+ * @param {boolean} [options.recentIfNoKeywords=true] - Return recent schemes for topic-less messages
+ * @returns {Promise<Array<{id: string, title: string, category: string, url: string, description: string, score: number}>>}
+ *   Ranked matches, best first
+ */
+export const searchSchemes = async (text, { limit = 3, recentIfNoKeywords = true } = {}) => {
+  const keywords = extractKeywords(text);
+
+  if (keywords.length === 0) {
+    if (!recentIfNoKeywords) return [];
+    const recent = await Scheme.find(PUBLIC_FILTER).sort({ createdAt: -1 }).limit(limit).lean();
+    return recent.map((scheme) => toResult(scheme, 0));
+  }
+
+  return rankSchemes(keywords.map(toPattern), [], limit);
+};
+
+/**
+ * Searches schemes for a topic, preferring those that mention the given
+ * details. Used once a dialogue has collected the user's details.
+ *
+ * @param {Object} params
+ * @param {string[]} params.topics - Terms of which a scheme must mention at least one
+ * @param {string[]} [params.details=[]] - Terms that rank a scheme higher
+ * @param {number} [params.limit=5] - Maximum number of results
+ * @returns {Promise<Array<Object>>} Ranked results, best first
+ */
+export const searchSchemesByTerms = async ({ topics, details = [], limit = 5 }) =>
+  rankSchemes(topics.map(toPattern), details.map(toPattern), limit);
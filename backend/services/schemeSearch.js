@@ -0,0 +1,168 @@
+/**
+ * Scheme Search
+ *
+ * Turns the query string of `GET /api/schemes` into a Mongo query:
+ * full-text search over title and description, category, state and
+ * deadline filters, a sort order, and page-based pagination with totals.
+ *
+ * @module services/schemeSearch
+ */
+
+import Scheme, { PUBLIC_FILTER, STATE_CODES } from "../models/Scheme.js";
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+/**
+ * Sort orders by name. `relevance` needs a search term; `deadline` lists
+ * schemes with a closing date first, soonest first.
+ */
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  title: { title: 1, _id: 1 },
+  deadline: { noDeadline: 1, applicationCloses: 1, _id: 1 },
+  relevance: { score: -1, createdAt: -1, _id: -1 },
+};
+
+export const SORT_OPTIONS = Object.keys(SORTS);
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Reads a query parameter that may be repeated or comma-separated
+ * @param {string|string[]|undefined} value - Raw parameter
+ * @returns {string[]} Trimmed, non-empty values
+ */
+const listParam = (value) =>
+  [value].flat().filter((item) => typeof item === "string")
+    .flatMap((item) => item.split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Reads a date parameter
+ * @param {string|undefined} value - Raw parameter, e.g. "2025-03-31"
+ * @returns {Date|null|undefined} Date, null when missing, undefined when invalid
+ */
+const dateParam = (value) => {
+  if (value === undefined || value === "") return null;
+  const date = new Date(value);
+  return typeof value === "string" && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+/**
+ * Reads a positive whole-number parameter
+ * @param {string|undefined} value - Raw parameter
+ * @param {number} fallback - Value used when missing
+ * @returns {number|undefined} Number, or undefined when invalid
+ */
+const positiveIntParam = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+/**
+ * Validates the query string and builds the search
+ *
+ * @param {Object} query - `req.query`
+ * @param {string} [query.q] - Search text, matched against title and description
+ * @param {string|string[]} [query.category] - Categories (any of, case-insensitive)
+ * @param {string} [query.state] - State code; matches schemes open to that state or to all
+ * @param {string} [query.deadlineFrom] - Applications close on or after this date
+ * @param {string} [query.deadlineTo] - Applications close on or before this date
+ * @param {string} [query.sort] - One of SORT_OPTIONS; `relevance` by default when searching, else `newest`
+ * @param {string} [query.page=1] - Page number, from 1
+ * @param {string} [query.limit=20] - Page size, up to MAX_LIMIT
+ * @returns {{error: string|null, search?: Object}} Search options, or the first problem found
+ */
+export const parseSearchQuery = (query = {}) => {
+  const filter = { ...PUBLIC_FILTER };
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q) filter.$text = { $search: q };
+
+  const categories = listParam(query.category);
+  if (categories.length) {
+    filter.category = { $in: categories.map((category) => new RegExp(`^${escapeRegex(category)}$`, "i")) };
+  }
+
+  if (query.state !== undefined && query.state !== "") {
+    const state = String(query.state).toLowerCase();
+    if (!STATE_CODES.includes(state)) return { error: `Unknown state: ${query.state}` };
+    // Schemes without a state list are open to every state
+    filter.$and = [{
+      $or: [{ "eligibility.states": state }, { "eligibility.states": { $size: 0 } }, { "eligibility.states": { $exists: false } }],
+    }];
+  }
+
+  const deadlineFrom = dateParam(query.deadlineFrom);
+  const deadlineTo = dateParam(query.deadlineTo);
+  if (deadlineFrom === undefined) return { error: "deadlineFrom must be a date" };
+  if (deadlineTo === undefined) return { error: "deadlineTo must be a date" };
+  if (deadlineFrom && deadlineTo && deadlineTo < deadlineFrom) {
+    return { error: "deadlineTo must not be before deadlineFrom" };
+  }
+  if (deadlineFrom || deadlineTo) {
+    filter.applicationCloses = {
+      ...(deadlineFrom && { $gte: deadlineFrom }),
+      // A date-only upper bound includes the whole day
+      ...(deadlineTo && { $lte: /^\d{4}-\d{2}-\d{2}$/.test(query.deadlineTo)
+        ? new Date(deadlineTo.getTime() + 24 * 60 * 60 * 1000 - 1)
+        : deadlineTo }),
+    };
+  }
+
+  const sort = query.sort || (q ? "relevance" : "newest");
+  if (!SORTS[sort]) return { error: `Unknown sort: ${sort}. Use one of ${SORT_OPTIONS.join(", ")}` };
+  if (sort === "relevance" && !q) return { error: "Sorting by relevance needs a search term (q)" };
+
+  const page = positiveIntParam(query.page, 1);
+  const limit = positiveIntParam(query.limit, DEFAULT_LIMIT);
+  if (page === undefined) return { error: "page must be a positive whole number" };
+  if (limit === undefined) return { error: "limit must be a positive whole number" };
+
+  return { error: null, search: { filter, sort, page, limit: Math.min(limit, MAX_LIMIT) } };
+};
+
+/**
+ * Runs a search built by parseSearchQuery()
+ *
+ * @param {Object} search - `search` from parseSearchQuery()
+ * @returns {Promise<{schemes: Array<Object>, total: number, page: number, limit: number,
+ *   totalPages: number, hasMore: boolean}>} One page of schemes plus totals
+ */
+export const searchSchemes = async ({ filter, sort, page, limit }) => {
+  // Sort keys computed per document, removed again before returning
+  const sortFields = {};
+  if (sort === "relevance") sortFields.score = { $meta: "textScore" };
+  if (sort === "deadline") sortFields.noDeadline = { $cond: [{ $ifNull: ["$applicationCloses", false] }, 0, 1] };
+
+  const pipeline = [{ $match: filter }];
+  if (Object.keys(sortFields).length) pipeline.push({ $addFields: sortFields });
+  pipeline.push({ $sort: SORTS[sort] });
+  if (Object.keys(sortFields).length) pipeline.push({ $unset: Object.keys(sortFields) });
+  pipeline.push({
+    $facet: {
+      schemes: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+      total: [{ $count: "count" }],
+    },
+  });
+
+  const [result] = await Scheme.aggregate(pipeline);
+  const total = result.total[0]?.count || 0;
+  return {
+    schemes: result.schemes.map((doc) => Scheme.hydrate(doc)),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    hasMore: page * limit < total,
+  };
+};
@@ -0,0 +1,395 @@
+/**
+ * Scheme Import and Export
+ *
+ * Bulk loading of the scheme catalogue from CSV or JSON, and the matching
+ * export. Every row is checked with the same rules as the scheme API and
+ * the Mongoose schema, then upserted by its `key` (a slug of the title when
+ * the file has none), so importing the same file twice changes nothing.
+ * Rows are processed independently: valid rows are saved, invalid rows are
+ * reported, and a dry run reports what would happen without writing.
+ * New schemes that look like existing ones (or like earlier rows) are
+ * still created, but the row lists the likely duplicates.
+ *
+ * CSV files have one scheme per line with the columns in CSV_COLUMNS.
+ * Lists (states, documents, ...) are separated by ";" inside a cell.
+ * Exported text that a spreadsheet would run as a formula (starting with
+ * =, +, -, @) gets a leading "'", which import removes again.
+ * JSON files hold an array of schemes shaped like the API (or an object
+ * with a `schemes` array).
+ *
+ * @module services/schemeTransfer
+ */
+
+import Scheme from "../models/Scheme.js";
+import { EDITABLE_FIELDS, pickFields, validateFields, validationMessages } from "./schemeValidation.js";
+import { loadDuplicateIndex, findDuplicates, schemeFeatures } from "./schemeDuplicates.js";
+
+export const FORMATS = ["csv", "json"];
+
+/** Largest number of rows accepted in one import */
+export const MAX_IMPORT_ROWS = 5000;
+
+/** Separator for list values inside a CSV cell */
+const LIST_SEPARATOR = ";";
+
+/** CSV columns, in export order */
+export const CSV_COLUMNS = [
+  "key", "title", "description", "category", "url", "ministry",
+  "minAge", "maxAge", "maxIncome", "states", "genders", "socialCategories", "educationLevels", "occupations",
+  "benefitType", "benefitAmount", "benefitDetails", "documents", "applicationOpens", "applicationCloses",
+];
+
+const NUMBER_COLUMNS = { minAge: "eligibility", maxAge: "eligibility", maxIncome: "eligibility", benefitAmount: "benefit" };
+const LIST_COLUMNS = { states: "eligibility", genders: "eligibility", socialCategories: "eligibility", educationLevels: "eligibility", occupations: "eligibility", documents: null };
+const DATE_COLUMNS = ["applicationOpens", "applicationCloses"];
+
+/**
+ * Turns a title into a key, e.g. "PM Kisan Samman Nidhi" -> "pm-kisan-samman-nidhi"
+ * @param {string} title - Scheme title
+ * @returns {string} Key
+ */
+export const slugify = (title) =>
+  title.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 100).replace(/-+$/, "");
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, line breaks in quotes)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cells, blank lines dropped
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+/** Text a spreadsheet treats as a formula when it starts a cell */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Neutralises text that a spreadsheet would run as a formula
+ * @param {string} text - Cell text
+ * @returns {string} Text, prefixed with "'" if it starts like a formula
+ */
+export const escapeFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+
+/**
+ * Reverses escapeFormula() for an imported cell
+ * @param {string} text - Cell text
+ * @returns {string} Original text
+ */
+const unescapeFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * Formats rows as CSV, quoting cells that need it. Text cells that start
+ * like a formula are escaped; numbers (e.g. negative amounts) are not.
+ * @param {Array<Array<string|number>>} rows - Rows of cells
+ * @returns {string} CSV content
+ */
+const toCsv = (rows) =>
+  `${rows.map((cells) => cells.map((value) => {
+    const text = value === undefined || value === null ? "" : typeof value === "string" ? escapeFormula(value) : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(",")).join("\r\n")}\r\n`;
+
+/**
+ * Converts one CSV record (column -> cell) to an API-shaped scheme body
+ * @param {Object<string, string>} record - Cells keyed by column name
+ * @returns {{body: Object, errors: string[]}} Scheme body and any cell errors
+ */
+const csvRecordToBody = (record) => {
+  const body = { eligibility: {}, benefit: {} };
+  const errors = [];
+
+  for (const field of ["title", "description", "category", "url", "ministry"]) body[field] = record[field];
+  body.benefit.type = record.benefitType?.trim() || undefined;
+  body.benefit.details = record.benefitDetails?.trim() || undefined;
+
+  for (const [column, group] of Object.entries(NUMBER_COLUMNS)) {
+    const text = record[column]?.trim();
+    if (!text) continue;
+    const value = Number(text.replace(/,/g, ""));
+    if (Number.isNaN(value)) errors.push(`${column} must be a number`);
+    else body[group][column === "benefitAmount" ? "amount" : column] = value;
+  }
+
+  for (const [column, group] of Object.entries(LIST_COLUMNS)) {
+    const values = (record[column] || "").split(LIST_SEPARATOR).map((value) => value.trim()).filter(Boolean);
+    if (group) body[group][column] = values;
+    else body[column] = values;
+  }
+
+  for (const column of DATE_COLUMNS) {
+    const text = record[column]?.trim();
+    if (!text) continue;
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) errors.push(`${column} must be a date (YYYY-MM-DD)`);
+    else body[column] = date;
+  }
+
+  return { body, errors };
+};
+
+/**
+ * Reads the rows of an import file
+ *
+ * @param {string|Object|Array} content - CSV text, JSON text, or already parsed JSON
+ * @param {string} format - "csv" or "json"
+ * @returns {{records: Array<{row: number, key?: string, body: Object, errors: string[]}>,
+ *   warnings: string[], error: string|null}} Rows, file-level warnings, or a file-level error
+ */
+export const readRecords = (content, format) => {
+  const warnings = [];
+  if (!FORMATS.includes(format)) return { records: [], warnings, error: `Format must be one of ${FORMATS.join(", ")}` };
+
+  let records;
+  if (format === "csv") {
+    if (typeof content !== "string") return { records: [], warnings, error: "CSV content must be text" };
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map((name) => name.trim());
+    if (!columns.includes("title")) return { records: [], warnings, error: "CSV header must include a title column" };
+
+    const unknown = columns.filter((name) => name && !CSV_COLUMNS.includes(name));
+    if (unknown.length) warnings.push(`Ignored unknown columns: ${unknown.join(", ")}`);
+
+    records = rows.map((cells, index) => {
+      const record = Object.fromEntries(columns.map((name, i) => [name, unescapeFormula(cells[i] ?? "")]));
+      // Rows are numbered as in a spreadsheet: the header is row 1
+      return { row: index + 2, key: record.key?.trim() || undefined, ...csvRecordToBody(record) };
+    });
+  } else {
+    let data = content;
+    if (typeof content === "string") {
+      try {
+        data = JSON.parse(content.replace(/^\uFEFF/, ""));
+      } catch (err) {
+        return { records: [], warnings, error: `Invalid JSON: ${err.message}` };
+      }
+    }
+    const items = Array.isArray(data) ? data : data?.schemes;
+    if (!Array.isArray(items)) return { records: [], warnings, error: "JSON must be an array of schemes or { \"schemes\": [...] }" };
+
+    records = items.map((item, index) => (item && typeof item === "object" && !Array.isArray(item)
+      ? { row: index + 1, key: typeof item.key === "string" ? item.key.trim() || undefined : undefined, body: item, errors: [] }
+      : { row: index + 1, body: {}, errors: ["Each scheme must be an object"] }));
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { records: [], warnings, error: `Too many rows: ${records.length} (at most ${MAX_IMPORT_ROWS} per import)` };
+  }
+  return { records, warnings, error: null };
+};
+
+/**
+ * Serialises the fields import and export care about, to tell whether a row changes anything
+ * @param {Object} scheme - Scheme document
+ * @returns {string} Comparable snapshot
+ */
+const snapshot = (scheme) => {
+  const data = scheme.toObject({ depopulate: true });
+  return JSON.stringify(["key", ...EDITABLE_FIELDS].map((field) => data[field] ?? null));
+};
+
+/**
+ * Validates and upserts import rows one by one
+ *
+ * @param {Array<Object>} records - `records` from readRecords()
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Validate and report without saving
+ * @param {string} [options.userId] - User recorded as creator/editor
+ * @returns {Promise<{dryRun: boolean, summary: Object, rows: Array<Object>}>} Report with one entry per row:
+ *   `{ row, key, title, status: "created"|"updated"|"unchanged"|"error", errors, id }`, plus
+ *   `duplicates` (see findDuplicates()) on created rows that look like another scheme
+ */
+export const importSchemes = async (records, { dryRun = false, userId } = {}) => {
+  const rows = [];
+  const seenKeys = new Map();
+  const claimedIds = new Set();
+  const duplicateIndex = await loadDuplicateIndex();
+
+  for (const record of records) {
+    const title = typeof record.body.title === "string" ? record.body.title.trim() : undefined;
+    const entry = { row: record.row, key: record.key, title, status: "error", errors: [...record.errors] };
+    rows.push(entry);
+
+    const fields = pickFields(record.body, false);
+    const fieldError = validateFields(fields, false);
+    if (fieldError) entry.errors.push(fieldError);
+    if (entry.errors.length) continue;
+
+    entry.key = (record.key || slugify(fields.title)).toLowerCase();
+    if (!entry.key) {
+      entry.errors.push("Key is required when the title has no letters or digits");
+      continue;
+    }
+    if (seenKeys.has(entry.key)) {
+      entry.errors.push(`Duplicate key "${entry.key}" (also on row ${seenKeys.get(entry.key)})`);
+      continue;
+    }
+    seenKeys.set(entry.key, record.row);
+
+    try {
+      // Schemes added before keys existed are matched once by title, then keep the key
+      let scheme = await Scheme.findOne({ key: entry.key });
+      if (!scheme) {
+        scheme = await Scheme.findOne({
+          key: null,
+          title: new RegExp(`^${escapeRegex(fields.title)}$`, "i"),
+          _id: { $nin: [...claimedIds] },
+        });
+      }
+      if (scheme?.deletedAt && scheme.mergedInto) {
+        entry.errors.push(`Scheme "${entry.key}" was merged into another scheme; import that one instead`);
+        continue;
+      }
+      if (scheme?.deletedAt) {
+        entry.errors.push(`Scheme "${entry.key}" is deleted; restore it before importing`);
+        continue;
+      }
+
+      const before = scheme ? snapshot(scheme) : null;
+      if (!scheme) scheme = new Scheme({ createdBy: userId });
+      scheme.set({ ...fields, key: entry.key });
+
+      try {
+        await scheme.validate();
+      } catch (err) {
+        const messages = validationMessages(err);
+        if (!messages.length) throw err;
+        entry.errors.push(...messages);
+        continue;
+      }
+
+      entry.id = String(scheme._id);
+      if (before !== null) claimedIds.add(scheme._id);
+      if (before !== null && before === snapshot(scheme)) {
+        entry.status = "unchanged";
+        continue;
+      }
+
+      entry.status = before === null ? "created" : "updated";
+      if (before === null) {
+        const duplicates = findDuplicates(fields, duplicateIndex);
+        if (duplicates.length) entry.duplicates = duplicates;
+        // Later rows are compared with this one too
+        duplicateIndex.push(schemeFeatures({ ...fields, _id: scheme._id, key: entry.key }));
+      }
+      if (!dryRun) {
+        if (before !== null) {
+          scheme.updatedBy = userId;
+          scheme.updatedAt = new Date();
+        }
+        await scheme.recordAs("import", userId).save();
+      }
+    } catch (err) {
+      entry.status = "error";
+      entry.errors.push(err.code === 11000 ? `Key "${entry.key}" is already used by another scheme` : err.message);
+    }
+  }
+
+  const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0, possibleDuplicates: 0 };
+  for (const { status, duplicates } of rows) {
+    summary[status === "error" ? "failed" : status] += 1;
+    if (duplicates) summary.possibleDuplicates += 1;
+  }
+  return { dryRun, summary, rows };
+};
+
+/**
+ * Formats a date as YYYY-MM-DD
+ * @param {Date} [date] - Date
+ * @returns {string} Date string, or '' when missing
+ */
+const dateCell = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+/**
+ * Exports schemes in a format importSchemes() reads back
+ *
+ * @param {Array<Object>} schemes - Scheme documents
+ * @param {string} format - "csv" or "json"
+ * @returns {string} File content
+ */
+export const exportSchemes = (schemes, format) => {
+  if (format === "json") {
+    const items = schemes.map((scheme) => {
+      const data = scheme.toObject({ depopulate: true });
+      return Object.fromEntries(
+        [["key", scheme.key || slugify(scheme.title)], ...EDITABLE_FIELDS.map((field) => [field, data[field]])]
+          .filter(([, value]) => value !== undefined && value !== null),
+      );
+    });
+    return `${JSON.stringify(items, null, 2)}\n`;
+  }
+
+  const rows = schemes.map((scheme) => {
+    const eligibility = scheme.eligibility || {};
+    const benefit = scheme.benefit || {};
+    const list = (values) => (values || []).join(`${LIST_SEPARATOR} `);
+    const cells = {
+      key: scheme.key || slugify(scheme.title),
+      title: scheme.title,
+      description: scheme.description,
+      category: scheme.category,
+      url: scheme.url,
+      ministry: scheme.ministry,
+      minAge: eligibility.minAge,
+      maxAge: eligibility.maxAge,
+      maxIncome: eligibility.maxIncome,
+      states: list(eligibility.states),
+      genders: list(eligibility.genders),
+      socialCategories: list(eligibility.socialCategories),
+      educationLevels: list(eligibility.educationLevels),
+      occupations: list(eligibility.occupations),
+      benefitType: benefit.type,
+      benefitAmount: benefit.amount,
+      benefitDetails: benefit.details,
+      documents: list(scheme.documents),
+      applicationOpens: dateCell(scheme.applicationOpens),
+      applicationCloses: dateCell(scheme.applicationCloses),
+    };
+    return CSV_COLUMNS.map((column) => cells[column]);
+  });
+  return toCsv([CSV_COLUMNS, ...rows]);
+};
@@ -0,0 +1,95 @@
+/**
+ * Scheme Validation
+ *
+ * Request-level checks shared by the scheme routes and the bulk importer:
+ * which fields a client may set, how they are cleaned, and the checks that
+ * run before the Mongoose schema validators.
+ *
+ * @module services/schemeValidation
+ */
+
+/** Fields a client may set on a scheme */
+export const EDITABLE_FIELDS = [
+  "title", "description", "category", "url",
+  "eligibility", "benefit", "documents", "ministry", "applicationOpens", "applicationCloses",
+];
+
+/** Fields holding free text */
+const TEXT_FIELDS = ["description", "category", "url", "ministry"];
+
+const MIN_TITLE_LENGTH = 3;
+
+/**
+ * Picks the editable fields out of a request body, trimming strings and
+ * turning empty values into `undefined` (which unsets the field)
+ *
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Only include fields present in the body (PATCH)
+ * @returns {Object} Field values keyed by name
+ */
+export const pickFields = (body = {}, partial) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (partial && !(field in body)) continue;
+    const value = body[field];
+    fields[field] = typeof value === "string" ? value.trim() || undefined : value ?? undefined;
+  }
+  return fields;
+};
+
+/**
+ * Validates scheme fields
+ *
+ * @param {Object} fields - Result of pickFields()
+ * @param {boolean} partial - Missing fields are allowed (PATCH)
+ * @returns {string|null} Error message, or null if the fields are acceptable
+ */
+export const validateFields = (fields, partial) => {
+  if (!partial || "title" in fields) {
+    if (typeof fields.title !== "string") return "Title is required";
+    if (fields.title.length < MIN_TITLE_LENGTH) {
+      return `Title must be at least ${MIN_TITLE_LENGTH} characters`;
+    }
+  }
+  for (const field of TEXT_FIELDS) {
+    if (fields[field] !== undefined && typeof fields[field] !== "string") {
+      return `${field[0].toUpperCase()}${field.slice(1)} must be a string`;
+    }
+  }
+  for (const field of ["eligibility", "benefit"]) {
+    if (fields[field] != null && (typeof fields[field] !== "object" || Array.isArray(fields[field]))) {
+      return `${field[0].toUpperCase()}${field.slice(1)} must be an object`;
+    }
+  }
+  if (fields.documents != null
+    && (!Array.isArray(fields.documents) || fields.documents.some((doc) => typeof doc !== "string"))) {
+    return "Documents must be a list of strings";
+  }
+  if (fields.url) {
+    try {
+      const { protocol } = new URL(fields.url);
+      if (protocol !== "http:" && protocol !== "https:") return "URL must start with http:// or https://";
+    } catch {
+      return "URL is not valid";
+    }
+  }
+  return null;
+};
+
+/**
+ * Lists the messages of a Mongoose validation error
+ * @param {Error} err - Error thrown by validate(), save() or create()
+ * @returns {string[]} One message per invalid path; empty for other errors
+ */
+export const validationMessages = (err) => {
+  if (err?.name !== "ValidationError") return [];
+  return Object.values(err.errors).map((error) =>
+    (error.name === "CastError" ? `Invalid value for ${error.path}` : error.message));
+};
+
+/**
+ * Turns a Mongoose validation error into a single message for the client
+ * @param {Error} err - Error thrown by save() or create()
+ * @returns {string|null} First validation message, or null for other errors
+ */
+export const validationMessage = (err) => validationMessages(err)[0] || null;
@@ -0,0 +1,46 @@
+/**
+ * Security Events
+ *
+ * Records events admins should know about, such as login lockouts, and
+ * lists them for the Admin page. Recording never fails the request that
+ * caused the event.
+ *
+ * @module services/securityEvents
+ */
+
+import SecurityEvent from "../models/SecurityEvent.js";
+
+/**
+ * Records a security event and writes it to the server log
+ *
+ * @param {Object} event
+ * @param {string} event.type - One of SECURITY_EVENT_TYPES
+ * @param {string} [event.ip] - Client address
+ * @param {string} [event.email] - Email involved
+ * @param {string} [event.user] - Account involved
+ * @param {Object} [event.details] - Type-specific facts
+ * @returns {Promise<void>}
+ */
+export const recordSecurityEvent = async (event) => {
+  console.warn(`🔒 Security event ${event.type}:`, JSON.stringify({ ip: event.ip, email: event.email, ...event.details }));
+  try {
+    await SecurityEvent.create(event);
+  } catch (err) {
+    console.error("Security event error:", err);
+  }
+};
+
+/**
+ * Lists recent security events, newest first
+ *
+ * @param {Object} [options]
+ * @param {string} [options.type] - Only this type
+ * @param {number} [options.limit=100] - Most events to return
+ * @returns {Promise<Array<Object>>} Events with `user` populated to name and email
+ */
+export const listSecurityEvents = ({ type, limit = 100 } = {}) =>
+  SecurityEvent.find(type ? { type } : {})
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate("user", "name email")
+    .lean();
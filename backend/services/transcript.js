@@ -0,0 +1,230 @@
+/**
+ * Chat Transcripts
+ *
+ * Renders a conversation as Markdown, JSON or PDF so it can be handed to a
+ * student as a record of what the assistant told them. Every message keeps
+ * its timestamp, and bot messages list the schemes they cited.
+ *
+ * @module services/transcript
+ */
+
+import PDFDocument from "pdfkit";
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+  pdf: { extension: "pdf", contentType: "application/pdf" },
+};
+
+/**
+ * Optional TrueType/OpenType font for PDFs. The built-in Helvetica only
+ * covers Latin-1, so set this to a Unicode font (e.g. Noto Sans) when
+ * transcripts contain Indian scripts.
+ */
+const PDF_FONT_PATH = process.env.TRANSCRIPT_PDF_FONT;
+
+/** Characters Helvetica can draw beyond Latin-1 */
+const WIN_ANSI_EXTRAS = new Set("€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ");
+
+/**
+ * Formats a date for a transcript
+ *
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Kolkata"
+ * @returns {string} e.g. "19 Oct 2026, 14:05 GMT+5:30"
+ */
+const formatTimestamp = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-IN", {
+    timeZone,
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZoneName: "short",
+  }).format(date);
+
+/**
+ * Checks that a time zone name is usable for formatting
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True if Intl accepts it
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-IN", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Builds a download file name from the conversation title
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} e.g. "voxai-chat-scholarships-for-engineering-2026-10-19.md"
+ */
+export const transcriptFileName = (conversation, format) => {
+  const slug = conversation.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+  const date = new Date().toISOString().slice(0, 10);
+  return `voxai-chat-${slug ? `${slug}-` : ""}${date}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Collects the fields every format renders
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {Array<Object>} messages - Its messages, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.userName] - Name shown for the user's messages
+ * @param {string} [options.timeZone="UTC"] - Time zone for displayed times
+ * @returns {Object} Transcript data
+ */
+export const buildTranscript = (conversation, messages, { userName, timeZone = "UTC" } = {}) => ({
+  conversationId: String(conversation._id),
+  title: conversation.title,
+  exportedAt: new Date(),
+  timeZone,
+  userName: userName || "You",
+  messages: messages.map((message) => ({
+    id: String(message._id),
+    role: message.role,
+    text: message.text,
+    language: message.language || "en",
+    timestamp: message.createdAt,
+    sources: (message.sources || []).map((source) => ({
+      id: source.scheme ? String(source.scheme) : null,
+      title: source.title,
+      category: source.category || null,
+      url: source.url || null,
+    })),
+  })),
+});
+
+/**
+ * Name shown for a message's author
+ * @param {Object} transcript - Result of buildTranscript()
+ * @param {Object} message - Transcript message
+ * @returns {string} Speaker name
+ */
+const speaker = (transcript, message) => (message.role === "user" ? transcript.userName : "VoxAi");
+
+/**
+ * Describes one cited scheme on a single line
+ * @param {Object} source - Transcript source
+ * @returns {string} Title, category and link
+ */
+const describeSource = (source) =>
+  [source.title, source.category && `(${source.category})`, source.url && `- ${source.url}`]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Renders a transcript as Markdown
+ * @param {Object} transcript - Result of buildTranscript()
+ * @returns {string} Markdown document
+ */
+export const toMarkdown = (transcript) => {
+  const lines = [
+    `# ${transcript.title}`,
+    "",
+    `Exported from VoxAi on ${formatTimestamp(transcript.exportedAt, transcript.timeZone)}`,
+    "",
+  ];
+
+  for (const message of transcript.messages) {
+    lines.push(
+      "---",
+      "",
+      `**${speaker(transcript, message)}** · ${formatTimestamp(message.timestamp, transcript.timeZone)}`,
+      "",
+      message.text,
+      ""
+    );
+    if (message.sources.length > 0) {
+      lines.push("Schemes cited:", "");
+      for (const source of message.sources) {
+        const title = source.url ? `[${source.title}](${source.url})` : source.title;
+        lines.push(`- ${title}${source.category ? ` (${source.category})` : ""}`);
+      }
+      lines.push("");
+    }
+  }
+
+  return lines.join("\n");
+};
+
+/**
+ * Renders a transcript as pretty-printed JSON
+ * @param {Object} transcript - Result of buildTranscript()
+ * @returns {string} JSON document
+ */
+export const toJSON = (transcript) => JSON.stringify(transcript, null, 2);
+
+/**
+ * Replaces characters the built-in PDF font cannot draw
+ * @param {string} text - Text to draw
+ * @returns {string} Text safe for Helvetica
+ */
+const toWinAnsi = (text) =>
+  text
+    .replace(/₹/g, "Rs. ")
+    .replace(/[^\n\x20-\xff]/g, (char) => (WIN_ANSI_EXTRAS.has(char) ? char : "?"));
+
+/**
+ * Writes a transcript as PDF to a writable stream (e.g. the HTTP response)
+ *
+ * @param {Object} transcript - Result of buildTranscript()
+ * @param {import("stream").Writable} output - Destination
+ * @returns {void}
+ */
+export const writePdf = (transcript, output) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: transcript.title, Author: "VoxAi" } });
+  const clean = PDF_FONT_PATH ? (text) => text : toWinAnsi;
+  doc.pipe(output);
+
+  const regular = PDF_FONT_PATH || "Helvetica";
+  const bold = PDF_FONT_PATH || "Helvetica-Bold";
+
+  doc.font(bold).fontSize(18).fillColor("#111827").text(clean(transcript.title));
+  doc
+    .font(regular)
+    .fontSize(9)
+    .fillColor("#6b7280")
+    .text(`Exported from VoxAi on ${formatTimestamp(transcript.exportedAt, transcript.timeZone)}`);
+  doc.moveDown();
+
+  for (const message of transcript.messages) {
+    doc
+      .font(bold)
+      .fontSize(10)
+      .fillColor(message.role === "user" ? "#4f46e5" : "#111827")
+      .text(clean(speaker(transcript, message)), { continued: true })
+      .font(regular)
+      .fillColor("#6b7280")
+      .text(`  ${formatTimestamp(message.timestamp, transcript.timeZone)}`);
+
+    doc.font(regular).fontSize(11).fillColor("#111827").text(clean(message.text));
+
+    if (message.sources.length > 0) {
+      doc.moveDown(0.3).fontSize(9).fillColor("#374151").text("Schemes cited:");
+      for (const source of message.sources) {
+        doc
+          .fillColor("#4f46e5")
+          .text(`• ${clean(describeSource(source))}`, {
+            indent: 10,
+            ...(source.url && { link: source.url, underline: true }),
+          });
+      }
+    }
+    doc.moveDown();
+  }
+
+  doc.end();
+};
@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import RefreshToken from "../models/RefreshToken.js";
+import { hashToken, rotateRefreshToken, tokenConfig } from "../services/authTokens.js";
+
+const user = new mongoose.Types.ObjectId();
+
+/**
+ * Stubs the token store with one token the other tab has already exchanged
+ * @param {Object} t - Test context
+ * @param {number} usedMsAgo - When it was exchanged
+ * @returns {{created: Array<Object>, revoked: Array<Object>}} Tokens issued and families revoked
+ */
+const usedToken = (t, usedMsAgo) => {
+  const created = [];
+  const revoked = [];
+  const known = {
+    user,
+    family: "family-1",
+    tokenHash: hashToken("old-token"),
+    usedAt: new Date(Date.now() - usedMsAgo),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  };
+  t.mock.method(RefreshToken, "findOneAndUpdate", async () => null);
+  t.mock.method(RefreshToken, "findOne", async () => known);
+  t.mock.method(RefreshToken, "create", async (data) => created.push(data));
+  t.mock.method(RefreshToken, "updateMany", async (filter) => revoked.push(filter));
+  return { created, revoked };
+};
+
+test("a token exchanged moments ago by another tab gets a token of the same family", async (t) => {
+  const { created, revoked } = usedToken(t, 2000);
+
+  const result = await rotateRefreshToken("old-token");
+  assert.equal(result.userId, String(user));
+  assert.ok(result.token);
+  assert.equal(created[0].family, "family-1");
+  assert.deepEqual(revoked, []);
+});
+
+test("a token used again after the grace window revokes its family", async (t) => {
+  const { created, revoked } = usedToken(t, 60 * 1000);
+
+  assert.deepEqual(await rotateRefreshToken("old-token"), { error: "reused" });
+  assert.deepEqual(created, []);
+  assert.equal(revoked[0].family, "family-1");
+});
+
+test("the grace window is configurable and can be turned off", () => {
+  assert.equal(tokenConfig({}).reuseGraceMs, 10000);
+  assert.equal(tokenConfig({ REFRESH_REUSE_GRACE_SECONDS: "3" }).reuseGraceMs, 3000);
+  assert.equal(tokenConfig({ REFRESH_REUSE_GRACE_SECONDS: "0" }).reuseGraceMs, 0);
+});
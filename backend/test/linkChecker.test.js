@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import Scheme, { PUBLIC_FILTER } from "../models/Scheme.js";
+import { checkUrl, isPrivateAddress, runLinkCheck } from "../services/linkChecker.js";
+
+const options = { timeoutMs: 2000, maxRedirects: 3 };
+const requests = [];
+
+// Stand-in for government portals: a working page, a moved one, a dead one and one that refuses HEAD
+const stub = http.createServer((req, res) => {
+  requests.push(`${req.method} ${req.url}`);
+  if (req.url === "/moved") res.writeHead(301, { Location: "/ok" });
+  else if (req.url === "/gone") res.writeHead(404);
+  else if (req.url === "/no-head" && req.method === "HEAD") res.writeHead(405);
+  else res.writeHead(200);
+  res.end();
+});
+
+test.before(() => new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve)));
+test.after(() => stub.close());
+test.beforeEach(() => requests.splice(0));
+
+const stubUrl = (path) => `http://127.0.0.1:${stub.address().port}${path}`;
+
+test("working, moved and dead links", async () => {
+  const local = { ...options, allowPrivateAddresses: true };
+
+  assert.deepEqual(await checkUrl(stubUrl("/ok"), local), { status: "ok", httpStatus: 200, finalUrl: stubUrl("/ok") });
+  assert.deepEqual(await checkUrl(stubUrl("/moved"), local), { status: "redirected", httpStatus: 200, finalUrl: stubUrl("/ok") });
+  assert.deepEqual(await checkUrl(stubUrl("/gone"), local), {
+    status: "broken", httpStatus: 404, finalUrl: stubUrl("/gone"), error: "HTTP 404",
+  });
+  assert.equal((await checkUrl(stubUrl("/no-head"), local)).status, "ok");
+  assert.deepEqual(requests.slice(-2), ["HEAD /no-head", "GET /no-head"]);
+});
+
+test("links to private addresses are refused without a request", async () => {
+  assert.deepEqual(await checkUrl(stubUrl("/ok"), options), {
+    status: "broken", finalUrl: stubUrl("/ok"), error: "Address not allowed",
+  });
+
+  // A public-looking name that resolves to the cloud metadata address
+  const resolve = async () => [{ address: "169.254.169.254", family: 4 }];
+  const result = await checkUrl(`http://metadata.example:${stub.address().port}/ok`, { ...options, resolve });
+  assert.equal(result.error, "Address not allowed");
+  assert.deepEqual(requests, []);
+});
+
+test("private, loopback and link-local addresses are recognised", () => {
+  for (const address of ["127.0.0.1", "10.0.0.8", "172.20.1.1", "192.168.1.1", "169.254.169.254", "::1", "fe80::1", "fd00::1", "::ffff:127.0.0.1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["164.100.94.214", "2606:4700::6810:84e5"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("the scheduled check only looks at public schemes", async (t) => {
+  let query;
+  t.mock.method(Scheme, "find", (filter) => {
+    query = filter;
+    return { select: () => ({ lean: async () => [] }) };
+  });
+
+  await runLinkCheck({ config: { ...options, concurrency: 1, hostDelayMs: 0 } });
+  assert.deepEqual(query.status, PUBLIC_FILTER.status);
+  assert.equal(query.deletedAt, null);
+});
+
+test("only moderators see where a link leads and how it failed", () => {
+  const scheme = new Scheme({
+    title: "PM Kisan",
+    url: "https://pmkisan.gov.in",
+    linkHealth: { status: "broken", httpStatus: 500, finalUrl: "https://pmkisan.gov.in/x", error: "HTTP 500", failures: 2, checkedAt: new Date() },
+  });
+
+  assert.deepEqual(Object.keys(Scheme.forViewer(scheme, null).linkHealth), ["status", "checkedAt"]);
+  assert.deepEqual(Object.keys(Scheme.forViewer(scheme, { role: "user" }).linkHealth), ["status", "checkedAt"]);
+  assert.equal(Scheme.forViewer(scheme, { role: "moderator" }).linkHealth.finalUrl, "https://pmkisan.gov.in/x");
+});
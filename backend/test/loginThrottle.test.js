@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import authRoutes from "../routes/auth.js";
+import { throttleConfig } from "../services/loginThrottle/index.js";
+import createMemoryStore from "../services/loginThrottle/memoryStore.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("parallel guesses cannot get past the account limit", async (t) => {
+  let checked = 0;
+  t.mock.method(User, "findOne", () => ({ collation: async () => null }));
+  t.mock.method(SecurityEvent, "create", async (event) => event);
+  t.mock.method(console, "warn", () => {});
+  // A slow password check, so every request is in flight at once
+  t.mock.method(bcrypt, "compare", async () => {
+    checked += 1;
+    await sleep(50);
+    return false;
+  });
+
+  const app = express().use(express.json()).use("/api/auth", authRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const { accountLimit } = throttleConfig();
+  const login = () => fetch(`http://localhost:${server.address().port}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email: "victim@example.com", password: "guess" }),
+  });
+  const statuses = (await Promise.all(Array.from({ length: accountLimit + 1 }, login))).map((res) => res.status);
+
+  assert.ok(statuses.includes(429), `expected a 429 in ${statuses}`);
+  assert.ok(checked <= accountLimit, `${checked} passwords checked`);
+});
+
+test("a refused or refunded reservation is not counted as a failure", async () => {
+  const store = createMemoryStore();
+
+  await store.reserve("account:a", 60000);
+  const second = await store.reserve("account:a", 60000);
+  assert.equal(second.pending, 2);
+
+  await store.settle("account:a", { failed: false }, 60000);
+  const settled = await store.settle("account:a", { failed: true }, 60000);
+  assert.deepEqual(settled, { failures: 1, pending: 0, lockedUntil: null });
+});
+
+test("the throttle, the account lookup and the lockout record share one normalised email", async (t) => {
+  const lookups = [];
+  const events = [];
+  t.mock.method(User, "findOne", (filter) => {
+    lookups.push(filter.email);
+    return { collation: async () => null };
+  });
+  t.mock.method(SecurityEvent, "create", async (event) => events.push(event));
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(bcrypt, "compare", async () => false);
+
+  const app = express().use(express.json()).use("/api/auth", authRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const { accountLimit } = throttleConfig();
+  for (let i = 0; i < accountLimit; i += 1) {
+    await fetch(`http://localhost:${server.address().port}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: i % 2 ? " Mixed@Example.COM " : "mixed@example.com", password: "guess" }),
+    });
+  }
+
+  assert.deepEqual([...new Set(lookups)], ["mixed@example.com"]);
+  assert.equal(events.find((event) => event.details.scope === "account")?.email, "mixed@example.com");
+});
@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import User from "../models/User.js";
+import authRoutes from "../routes/auth.js";
+import { mailRequestConfig } from "../services/loginThrottle/index.js";
+
+test("verification and reset emails are limited per address, whatever its case", async (t) => {
+  t.mock.method(User, "findOne", () => ({ collation: async () => null }));
+
+  const app = express().use(express.json()).use("/api/auth", authRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const ask = (path, email) => fetch(`http://localhost:${server.address().port}/api/auth/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email }),
+  });
+
+  const { emailLimit } = mailRequestConfig();
+  const answers = [];
+  for (let i = 0; i < emailLimit; i += 1) {
+    const response = await ask(i % 2 ? "resend-verification" : "forgot-password", i % 2 ? "Target@Example.com " : "target@example.com");
+    answers.push([response.status, (await response.json()).msg]);
+  }
+  assert.equal(new Set(answers.map(String)).size, 1);
+  assert.equal(answers[0][0], 200);
+
+  const refused = await ask("forgot-password", "TARGET@example.com");
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers.get("retry-after")) > 0);
+
+  // Another address is still served
+  assert.equal((await ask("forgot-password", "someone@example.com")).status, 200);
+});
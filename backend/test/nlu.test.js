@@ -0,0 +1,31 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import corpus from "../services/nlu/corpus.js";
+import { train } from "../services/nlu/classifier.js";
+
+// A model trained before the corpus learned about jobs, saved where the server looks for it
+const modelPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nlu-")), "model.json");
+fs.writeFileSync(modelPath, JSON.stringify(train({ greeting: corpus.greeting, help: corpus.help })));
+process.env.NLU_MODEL_PATH = modelPath;
+const { classifyIntent } = await import("../services/nlu/index.js");
+
+test.after(() => fs.rmSync(path.dirname(modelPath), { recursive: true }));
+
+test("a model trained on another corpus is retrained", (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  assert.equal(classifyIntent("find me a job").intent, "jobs");
+  assert.match(console.warn.mock.calls[0].arguments[0], /out of date/);
+});
+
+test("Hindi, Gujarati and Hinglish job and course requests", () => {
+  assert.equal(classifyIntent("मुझे सरकारी नौकरी चाहिए", "hi").intent, "jobs");
+  assert.equal(classifyIntent("રોજગારની માહિતી જોઈએ છે", "gu").intent, "jobs");
+  assert.equal(classifyIntent("naukri dhundh rahi hoon", "hi-Latn").intent, "jobs");
+  assert.equal(classifyIntent("कौशल विकास प्रशिक्षण चाहिए", "hi").intent, "education");
+  assert.equal(classifyIntent("કમ્પ્યુટર કોર્સ કરવો છે", "gu").intent, "education");
+  assert.equal(classifyIntent("mujhe computer course karna hai", "hi-Latn").intent, "education");
+});
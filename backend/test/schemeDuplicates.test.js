@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import jwt from "jsonwebtoken";
+import Scheme from "../models/Scheme.js";
+import User from "../models/User.js";
+import schemeRoutes from "../routes/schemes.js";
+import { findDuplicates, schemeFeatures } from "../services/schemeDuplicates.js";
+
+const index = (...schemes) => schemes.map(schemeFeatures);
+
+test("titles naming different social categories are not duplicates", () => {
+  const existing = index({ _id: "1", title: "Post Matric Scholarship for SC Students" });
+
+  assert.deepEqual(findDuplicates({ title: "Post Matric Scholarship for ST Students" }, existing), []);
+  assert.deepEqual(findDuplicates({ title: "Post Matric Scholarship for Scheduled Tribes" }, existing), []);
+  assert.equal(findDuplicates({ title: "Post-Matric Scholarships for SC Students" }, existing).length, 1);
+});
+
+test("titles naming different states are not duplicates", () => {
+  const existing = index({ _id: "1", title: "Mukhyamantri Kanya Vivah Yojana Bihar" });
+
+  assert.deepEqual(findDuplicates({ title: "Mukhyamantri Kanya Vivah Yojana Jharkhand" }, existing), []);
+  assert.equal(findDuplicates({ title: "Mukhyamantri Kanya Vivah Yojna - Bihar" }, existing).length, 1);
+});
+
+// Just enough of MongoDB's query language for the filters the duplicate index builds
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (key === "$and") return condition.every((part) => matches(doc, part));
+  if (key === "$or") return condition.some((part) => matches(doc, part));
+  const value = doc[key] ?? null;
+  if (condition?.$in) return condition.$in.includes(value);
+  if (condition?.$regex) return new RegExp(condition.$regex, condition.$options).test(value || "");
+  return String(value) === String(condition);
+});
+
+test("the duplicate check on create leaves out other users' pending schemes", async (t) => {
+  process.env.JWT_SECRET = "test-secret";
+  const schemes = [
+    { _id: "a1", title: "Kisan Credit Card", status: "approved", deletedAt: null, createdBy: "admin" },
+    { _id: "p1", title: "Kisan Credit Card Scheme", status: "pending", deletedAt: null, createdBy: "other" },
+    { _id: "p2", title: "Kisan Credit Card Yojana", status: "pending", deletedAt: null, createdBy: "me" },
+  ];
+  const queries = [];
+  t.mock.method(User, "findById", (id) => ({ select: async () => ({ _id: id, role: "user" }) }));
+  t.mock.method(Scheme, "find", (query) => {
+    queries.push(query);
+    const found = schemes.filter((scheme) => matches(scheme, query));
+    return { select: () => ({ lean: async () => found }) };
+  });
+
+  const app = express().use(express.json()).use("/api/schemes", schemeRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const response = await fetch(`http://localhost:${server.address().port}/api/schemes`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-auth-token": jwt.sign({ id: "me" }, process.env.JWT_SECRET) },
+    body: JSON.stringify({ title: "Kisan Credit Card", category: "agriculture" }),
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 409);
+  assert.deepEqual(body.duplicates.map(({ scheme }) => scheme._id).sort(), ["a1", "p2"]);
+  assert.equal(queries.length, 1);
+});
+
+test("creating a scheme without a body is a validation error", async (t) => {
+  process.env.JWT_SECRET = "test-secret";
+  t.mock.method(User, "findById", (id) => ({ select: async () => ({ _id: id, role: "user" }) }));
+
+  const app = express().use(express.json()).use("/api/schemes", schemeRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const response = await fetch(`http://localhost:${server.address().port}/api/schemes`, {
+    method: "POST",
+    headers: { "x-auth-token": jwt.sign({ id: "me" }, process.env.JWT_SECRET) },
+  });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import SchemeRevision, { NOTE_MAX_LENGTH } from "../models/SchemeRevision.js";
+import { recordRevision } from "../services/schemeHistory.js";
+
+const scheme = { _id: new mongoose.Types.ObjectId(), title: "PM Kisan", status: "rejected" };
+
+test("a moderator's longest reason fits in a revision note", () => {
+  const revision = new SchemeRevision({
+    scheme: scheme._id, number: 1, action: "reject", snapshot: {}, note: "x".repeat(1000),
+  });
+  assert.equal(revision.validateSync(), undefined);
+});
+
+test("longer notes are cut instead of failing the revision", async (t) => {
+  const created = [];
+  t.mock.method(SchemeRevision, "findOne", () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }));
+  t.mock.method(SchemeRevision, "create", async (data) => {
+    created.push(data);
+    return data;
+  });
+
+  await recordRevision(scheme, { action: "merge", note: "y".repeat(NOTE_MAX_LENGTH + 200) });
+  assert.equal(created[0].note.length, NOTE_MAX_LENGTH);
+  assert.equal(created[0].number, 1);
+});
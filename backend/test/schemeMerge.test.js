@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Scheme from "../models/Scheme.js";
+import Message from "../models/Message.js";
+import Bookmark from "../models/Bookmark.js";
+import Application from "../models/Application.js";
+import { mergeSchemes } from "../services/schemeDuplicates.js";
+
+const id = () => new mongoose.Types.ObjectId();
+const same = (a, b) => String(a) === String(b);
+
+/**
+ * Keeps a model's documents in an array instead of MongoDB
+ * @param {Object} t - Test context
+ * @param {mongoose.Model} Model - Model to stub
+ * @param {Array<Object>} rows - Documents
+ */
+const inMemory = (t, Model, rows) => {
+  t.mock.method(Model, "find", async ({ scheme }) => rows.filter((row) => scheme.$in.some((value) => same(value, row.scheme))));
+  t.mock.method(Model, "findOne", async ({ user, scheme }) =>
+    rows.find((row) => same(row.user, user) && same(row.scheme, scheme)) || null);
+  t.mock.method(Model.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(Model.prototype, "deleteOne", async function () {
+    rows.splice(rows.indexOf(this), 1);
+  });
+};
+
+test("merging moves bookmarks and applications to the kept scheme", async (t) => {
+  const [admin, alice, bob] = [id(), id(), id()];
+  const target = new Scheme({ title: "PM Kisan" });
+  const duplicate = new Scheme({ title: "PM-KISAN Yojana" });
+  t.mock.method(Scheme.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(Message, "updateMany", async () => ({ modifiedCount: 0 }));
+
+  const day = (n) => new Date(Date.UTC(2026, 0, n));
+  const bookmarks = [
+    new Bookmark({ user: alice, scheme: target._id, note: "Ask about land records", createdAt: day(5) }),
+    new Bookmark({ user: alice, scheme: duplicate._id, note: "Deadline in March", createdAt: day(2) }),
+    new Bookmark({ user: bob, scheme: duplicate._id, note: "For father" }),
+  ];
+  const applications = [
+    new Application({ user: alice, scheme: target._id, status: "interested", history: [{ status: "interested", at: day(5) }] }),
+    new Application({
+      user: alice,
+      scheme: duplicate._id,
+      status: "applied",
+      history: [{ status: "interested", at: day(1) }, { status: "applied", at: day(7) }],
+    }),
+  ];
+  inMemory(t, Bookmark, bookmarks);
+  inMemory(t, Application, applications);
+
+  const result = await mergeSchemes(target, [duplicate], admin);
+
+  assert.equal(result.bookmarks, 2);
+  assert.equal(result.applications, 1);
+  assert.ok(bookmarks.every((bookmark) => same(bookmark.scheme, target._id)));
+  const alicesBookmark = bookmarks.find((bookmark) => same(bookmark.user, alice));
+  assert.equal(bookmarks.length, 2);
+  assert.equal(alicesBookmark.note, "Ask about land records\n\nDeadline in March");
+  assert.deepEqual(alicesBookmark.createdAt, day(2));
+
+  assert.equal(applications.length, 1);
+  assert.ok(same(applications[0].scheme, target._id));
+  assert.equal(applications[0].status, "applied");
+  assert.deepEqual(applications[0].history.map(({ status }) => status), ["interested", "interested", "applied"]);
+  assert.ok(same(duplicate.mergedInto, target._id));
+});
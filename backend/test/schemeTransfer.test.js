@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import Scheme from "../models/Scheme.js";
+import { exportSchemes, parseCsv, readRecords } from "../services/schemeTransfer.js";
+
+const risky = () => new Scheme({
+  title: '=HYPERLINK("http://evil.example","Click")',
+  description: "+1 for everyone",
+  ministry: "@SUM(A1:A9)",
+  category: "education",
+  documents: ["-2+3", "Aadhaar card"],
+  benefit: { amount: 5000 },
+});
+
+test("CSV export escapes cells that start like a formula", () => {
+  const [header, row] = parseCsv(exportSchemes([risky()], "csv"));
+  const cell = (column) => row[header.indexOf(column)];
+
+  assert.equal(cell("title"), `'=HYPERLINK("http://evil.example","Click")`);
+  assert.equal(cell("description"), "'+1 for everyone");
+  assert.equal(cell("ministry"), "'@SUM(A1:A9)");
+  assert.equal(cell("documents"), "'-2+3; Aadhaar card");
+  assert.equal(cell("category"), "education");
+  assert.equal(cell("benefitAmount"), "5000");
+});
+
+test("CSV import restores escaped cells", () => {
+  const { records, error } = readRecords(exportSchemes([risky()], "csv"), "csv");
+
+  assert.equal(error, null);
+  assert.equal(records[0].body.title, '=HYPERLINK("http://evil.example","Click")');
+  assert.equal(records[0].body.ministry, "@SUM(A1:A9)");
+  assert.deepEqual(records[0].body.documents, ["-2+3", "Aadhaar card"]);
+});
+
+test("CSV import keeps an apostrophe that does not escape a formula", () => {
+  const { records } = readRecords("title,description\n'Ujjwala' Yojana,it's free\n", "csv");
+
+  assert.equal(records[0].body.title, "'Ujjwala' Yojana");
+  assert.equal(records[0].body.description, "it's free");
+});
@@ -0,0 +1,41 @@
+/**
+ * Link Check Script
+ *
+ * Checks every public scheme's official link once, the same way the server's
+ * scheduled job does, and prints the broken ones. Settings come from the
+ * LINK_CHECK_* variables described in services/linkChecker.js.
+ *
+ * Usage: npm run check:links [-- --broken-only]
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Scheme from "../models/Scheme.js";
+import { runLinkCheck } from "../services/linkChecker.js";
+
+dotenv.config();
+
+const run = async () => {
+  const brokenOnly = process.argv.includes("--broken-only");
+
+  await connectDB();
+  const { checked, ok, redirected, broken } = await runLinkCheck({
+    filter: brokenOnly ? { "linkHealth.status": "broken" } : {},
+  });
+
+  const failing = await Scheme.find({ deletedAt: null, "linkHealth.status": "broken" })
+    .select("title url linkHealth")
+    .sort({ "linkHealth.failures": -1 });
+  for (const scheme of failing) {
+    const { error, failures } = scheme.linkHealth;
+    console.log(`✗ ${scheme.title}: ${scheme.url} - ${error} (${failures} ${failures === 1 ? "check" : "checks"} in a row)`);
+  }
+  console.log(`✅ ${checked} links checked: ${ok} ok, ${redirected} redirected, ${broken} broken`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(`❌ Error checking links: ${err.message}`);
+  process.exit(1);
+});
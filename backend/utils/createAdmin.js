@@ -0,0 +1,78 @@
+/**
+ * Create Admin Script
+ *
+ * Bootstraps the first admin. An existing account with the email is
+ * promoted; otherwise a new account is created with the password from
+ * ADMIN_PASSWORD (kept out of the shell history) or `--password`. Refuses
+ * to run when an admin already exists, unless `--force` is given; after
+ * that, admins can be added the same way with `--force`.
+ *
+ * Usage: ADMIN_PASSWORD=<password> npm run create:admin -- --email <email> [--name <name>] [--password <password>] [--force]
+ */
+
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const USAGE =
+  "Usage: ADMIN_PASSWORD=<password> npm run create:admin -- --email <email> [--name <name>] [--password <password>] [--force]";
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Reads the command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{email?: string, name?: string, password?: string, force: boolean}} Options
+ */
+const parseArgs = (args) => {
+  const options = { force: false };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === "--email") options.email = args[++i]?.trim();
+    else if (args[i] === "--name") options.name = args[++i]?.trim();
+    else if (args[i] === "--password") options.password = args[++i];
+    else if (args[i] === "--force") options.force = true;
+  }
+  return options;
+};
+
+const run = async () => {
+  const { email, name, password = process.env.ADMIN_PASSWORD, force } = parseArgs(process.argv.slice(2));
+  if (!email) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await connectDB();
+  const admins = await User.countDocuments({ role: "admin" });
+  if (admins && !force) {
+    throw new Error(`${admins} admin${admins === 1 ? " already exists" : "s already exist"}; use --force to add another`);
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (existing.role === "admin") {
+      console.log(`✅ ${email} is already an admin`);
+    } else {
+      existing.role = "admin";
+      await existing.save();
+      console.log(`✅ ${email} promoted to admin`);
+    }
+  } else {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`No account for ${email}; set ADMIN_PASSWORD (at least ${MIN_PASSWORD_LENGTH} characters) to create one`);
+    }
+    const hash = await bcrypt.hash(password, await bcrypt.genSalt(10));
+    await User.create({ name: name || email.split("@")[0], email, password: hash, role: "admin" });
+    console.log(`✅ Admin account created for ${email}`);
+  }
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error(`❌ Error creating admin: ${err.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
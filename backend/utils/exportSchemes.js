@@ -0,0 +1,38 @@
+/**
+ * Scheme Export Script
+ *
+ * Writes every scheme that is not deleted to a CSV or JSON file that
+ * utils/importSchemes.js reads back.
+ *
+ * Usage: npm run export:schemes -- <file.csv|file.json>
+ */
+
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Scheme, { PUBLIC_FILTER } from "../models/Scheme.js";
+import { FORMATS, exportSchemes } from "../services/schemeTransfer.js";
+
+dotenv.config();
+
+const run = async () => {
+  const file = process.argv[2];
+  const format = file && path.extname(file).slice(1).toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error("Usage: npm run export:schemes -- <file.csv|file.json>");
+    process.exit(1);
+  }
+
+  await connectDB();
+  const schemes = await Scheme.find(PUBLIC_FILTER).sort({ createdAt: 1 });
+  fs.writeFileSync(file, exportSchemes(schemes, format));
+  console.log(`✅ Exported ${schemes.length} schemes to ${file}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(`❌ Error exporting schemes: ${err.message}`);
+  process.exit(1);
+});
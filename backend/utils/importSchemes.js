@@ -0,0 +1,77 @@
+/**
+ * Scheme Import Script
+ *
+ * Imports schemes from a CSV or JSON file with the same validation and
+ * upsert-by-key rules as POST /api/schemes/import, and prints a per-row
+ * report. Exits with status 1 when any row failed.
+ *
+ * Usage: npm run import:schemes -- <file> [--dry-run] [--format csv|json] [--report <report.json>]
+ */
+
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import { readRecords, importSchemes } from "../services/schemeTransfer.js";
+
+dotenv.config();
+
+/**
+ * Reads the command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{file?: string, dryRun: boolean, format?: string, reportPath?: string}} Options
+ */
+const parseArgs = (args) => {
+  const options = { dryRun: false };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === "--dry-run") options.dryRun = true;
+    else if (args[i] === "--format") options.format = args[++i];
+    else if (args[i] === "--report") options.reportPath = args[++i];
+    else options.file = args[i];
+  }
+  return options;
+};
+
+const STATUS_ICONS = { created: "➕", updated: "✏️ ", unchanged: "＝", error: "✗" };
+
+const run = async () => {
+  const { file, dryRun, format, reportPath } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error("Usage: npm run import:schemes -- <file> [--dry-run] [--format csv|json] [--report <report.json>]");
+    process.exit(1);
+  }
+
+  const { records, warnings, error } = readRecords(
+    fs.readFileSync(file, "utf8"),
+    format || path.extname(file).slice(1).toLowerCase(),
+  );
+  if (error) throw new Error(error);
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+
+  await connectDB();
+  const report = await importSchemes(records, { dryRun });
+
+  for (const row of report.rows) {
+    const label = `Row ${row.row} ${row.key || row.title || ""}`.trim();
+    console.log(`${STATUS_ICONS[row.status]} ${label}: ${row.status}${row.errors.length ? ` - ${row.errors.join("; ")}` : ""}`);
+    for (const { scheme, score } of row.duplicates || []) {
+      console.log(`   ⚠️  looks like "${scheme.title}"${scheme.key ? ` (${scheme.key})` : ""}, ${Math.round(score * 100)}% similar`);
+    }
+  }
+  const { total, created, updated, unchanged, failed, possibleDuplicates } = report.summary;
+  console.log(`${dryRun ? "🔍 Dry run: " : "✅ "}${total} rows, ${created} created, ${updated} updated, ${unchanged} unchanged, ${failed} failed`);
+  if (possibleDuplicates) console.log(`⚠️  ${possibleDuplicates} new ${possibleDuplicates === 1 ? "scheme looks" : "schemes look"} like existing ones; review them under Admin → Duplicates`);
+
+  if (reportPath) {
+    fs.writeFileSync(reportPath, JSON.stringify({ ...report, warnings }, null, 2));
+    console.log(`💾 Report written to ${reportPath}`);
+  }
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+};
+
+run().catch((err) => {
+  console.error(`❌ Error importing schemes: ${err.message}`);
+  process.exit(1);
+});
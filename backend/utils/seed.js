@@ -1,29 +1,36 @@
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import connectDB from "../config/db.js";
-import Scheme from "../models/Scheme.js";
+import { importSchemes } from "../services/schemeTransfer.js";
 
 dotenv.config(); // <— must be at the very top
 
+// Upserted by key, so running the seed again does not duplicate or wipe anything
+const SAMPLE_SCHEMES = [
+  {
+    key: "pm-scholarship-scheme",
+    title: "PM Scholarship Scheme",
+    description: "Financial assistance for meritorious students.",
+    category: "Education",
+  },
+  {
+    key: "startup-india",
+    title: "Startup India",
+    description: "Support and funding for new startups.",
+    category: "Entrepreneurship",
+  },
+];
+
 const seedData = async () => {
   try {
     await connectDB();
-    await Scheme.deleteMany();
-
-    await Scheme.insertMany([
-      {
-        title: "PM Scholarship Scheme",
-        description: "Financial assistance for meritorious students.",
-        category: "Education",
-      },
-      {
-        title: "Startup India",
-        description: "Support and funding for new startups.",
-        category: "Entrepreneurship",
-      },
-    ]);
+    const { summary } = await importSchemes(
+      SAMPLE_SCHEMES.map((body, index) => ({ row: index + 1, key: body.key, body, errors: [] })),
+    );
+    if (summary.failed) throw new Error(`${summary.failed} sample schemes failed validation`);
 
-    console.log("✅ Sample data seeded successfully");
+    console.log(`✅ Sample data seeded: ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+    await mongoose.disconnect();
     process.exit();
   } catch (err) {
     console.error(`❌ Error seeding data: ${err.message}`);
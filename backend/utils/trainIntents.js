@@ -0,0 +1,60 @@
+/**
+ * Intent Classifier Training Script
+ *
+ * Trains the chatbot intent classifier from services/nlu/corpus.js,
+ * reports leave-one-out accuracy on the corpus, and writes the model
+ * to services/nlu/model.json (or the path given as the first argument).
+ *
+ * Usage: npm run train:nlu [-- <output-path>]
+ */
+
+import fs from "fs";
+import corpus from "../services/nlu/corpus.js";
+import { train, predict } from "../services/nlu/classifier.js";
+import { MODEL_PATH } from "../services/nlu/index.js";
+
+/**
+ * Holds out each example in turn and checks the model trained on the rest
+ * @returns {{correct: number, total: number, misses: Array<Object>}} Evaluation summary
+ */
+const leaveOneOut = () => {
+  let correct = 0;
+  let total = 0;
+  const misses = [];
+
+  for (const [intent, examples] of Object.entries(corpus)) {
+    examples.forEach((example, index) => {
+      const heldOut = {
+        ...corpus,
+        [intent]: examples.filter((_, i) => i !== index),
+      };
+      const [best] = predict(train(heldOut), example);
+      total += 1;
+      if (best?.intent === intent) {
+        correct += 1;
+      } else {
+        misses.push({ example, expected: intent, got: best?.intent || "none" });
+      }
+    });
+  }
+
+  return { correct, total, misses };
+};
+
+const outputPath = process.argv[2] || MODEL_PATH;
+
+try {
+  const { correct, total, misses } = leaveOneOut();
+  console.log(`📊 Leave-one-out accuracy: ${correct}/${total} (${((correct / total) * 100).toFixed(1)}%)`);
+  for (const miss of misses) {
+    console.log(`   ✗ "${miss.example}" expected ${miss.expected}, got ${miss.got}`);
+  }
+
+  const model = train(corpus);
+  fs.writeFileSync(outputPath, JSON.stringify(model));
+  console.log(`✅ Trained on ${model.examples} examples across ${Object.keys(model.intents).length} intents`);
+  console.log(`💾 Model written to ${outputPath}`);
+} catch (err) {
+  console.error(`❌ Error training intent classifier: ${err.message}`);
+  process.exit(1);
+}
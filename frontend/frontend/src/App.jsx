@@ -14,9 +14,18 @@ import ProtectedRoute from './components/ProtectedRoute';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Schemes from './pages/Schemes';
+import SchemeDetail from './pages/SchemeDetail';
+import Eligibility from './pages/Eligibility';
+import Moderation from './pages/Moderation';
+import Admin from './pages/Admin';
+import MyApplications from './pages/MyApplications';
+import Profile from './pages/Profile';
 import Chat from './pages/Chat';
-import { ROUTES } from './utils/constants';
+import { ROUTES, MODERATOR_ROLES } from './utils/constants';
 import './index.css';
 
 /**
@@ -34,6 +43,10 @@ function App() {
             <Route path={ROUTES.HOME} element={<Home />} />
             <Route path={ROUTES.LOGIN} element={<Login />} />
             <Route path={ROUTES.REGISTER} element={<Register />} />
+            <Route path={ROUTES.VERIFY_EMAIL} element={<VerifyEmail />} />
+            <Route path={ROUTES.FORGOT_PASSWORD} element={<ForgotPassword />} />
+            <Route path={ROUTES.RESET_PASSWORD} element={<ResetPassword />} />
+            <Route path={ROUTES.ELIGIBILITY} element={<Eligibility />} />
             <Route
               path={ROUTES.SCHEMES}
               element={
@@ -43,7 +56,47 @@ function App() {
               }
             />
             <Route
-              path={ROUTES.CHAT}
+              path={ROUTES.SCHEME_DETAIL}
+              element={
+                <ProtectedRoute>
+                  <SchemeDetail />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path={ROUTES.MY_APPLICATIONS}
+              element={
+                <ProtectedRoute>
+                  <MyApplications />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path={ROUTES.PROFILE}
+              element={
+                <ProtectedRoute>
+                  <Profile />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path={ROUTES.MODERATION}
+              element={
+                <ProtectedRoute roles={MODERATOR_ROLES}>
+                  <Moderation />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path={ROUTES.ADMIN}
+              element={
+                <ProtectedRoute roles={['admin']}>
+                  <Admin />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path={ROUTES.CHAT_CONVERSATION}
               element={
                 <ProtectedRoute>
                   <Chat />
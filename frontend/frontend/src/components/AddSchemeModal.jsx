@@ -1,35 +1,183 @@
 /**
  * Add Scheme Modal Component
  * 
- * Modal dialog for adding new government schemes.
- * Provides form fields for scheme details and validates input.
+ * Modal dialog for adding new government schemes, or editing an existing
+ * one when a `scheme` is passed.
+ * Provides form fields for scheme details and validates input. When a new
+ * scheme looks like one that already exists, the server's likely
+ * duplicates are shown and the user can add it anyway.
  * 
  * @module components/AddSchemeModal
  */
 
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { schemesAPI } from '../services/api';
 import { formatErrorMessage } from '../utils/helpers';
+import { ROUTES, SCHEME_OPTIONS } from '../utils/constants';
+
+/**
+ * Fields the server compares when looking for duplicates
+ */
+const DUPLICATE_FIELDS = ['title', 'url', 'description'];
+
+/**
+ * Shared classes for text inputs
+ */
+const INPUT_CLASS =
+  'w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition';
+
+/**
+ * Converts an API date to the value of a date input
+ * @param {string} [date] - ISO date
+ * @returns {string} yyyy-mm-dd, or ''
+ */
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Builds the form state for a scheme (empty when adding)
+ * Older schemes may lack the structured fields, so every one is optional.
+ *
+ * @param {Object} [scheme] - Scheme being edited
+ * @returns {Object} Form state
+ */
+const toFormData = (scheme) => {
+  const eligibility = scheme?.eligibility || {};
+  return {
+    title: scheme?.title || '',
+    description: scheme?.description || '',
+    category: scheme?.category || '',
+    url: scheme?.url || '',
+    ministry: scheme?.ministry || '',
+    minAge: eligibility.minAge ?? '',
+    maxAge: eligibility.maxAge ?? '',
+    maxIncome: eligibility.maxIncome ?? '',
+    states: eligibility.states || [],
+    genders: eligibility.genders || [],
+    socialCategories: eligibility.socialCategories || [],
+    educationLevels: eligibility.educationLevels || [],
+    occupations: (eligibility.occupations || []).join(', '),
+    benefitType: scheme?.benefit?.type || '',
+    benefitAmount: scheme?.benefit?.amount ?? '',
+    benefitDetails: scheme?.benefit?.details || '',
+    documents: (scheme?.documents || []).join('\n'),
+    applicationOpens: toDateInput(scheme?.applicationOpens),
+    applicationCloses: toDateInput(scheme?.applicationCloses),
+  };
+};
+
+/**
+ * Converts an optional number input to a number
+ * @param {string|number} value - Input value
+ * @returns {number|undefined} Number, or undefined when empty
+ */
+const toNumber = (value) => (String(value).trim() === '' ? undefined : Number(value));
+
+/**
+ * Splits a list input into trimmed, non-empty entries
+ * @param {string} value - Input value
+ * @param {RegExp} separator - Entry separator
+ * @returns {string[]} Entries
+ */
+const toList = (value, separator) => value.split(separator).map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Builds the API payload from the form state
+ * @param {Object} formData - Form state
+ * @returns {Object} Scheme data for create/update
+ */
+const toSchemeData = (formData) => ({
+  title: formData.title.trim(),
+  description: formData.description.trim() || undefined,
+  category: formData.category.trim() || undefined,
+  url: formData.url.trim() || undefined,
+  ministry: formData.ministry.trim() || undefined,
+  eligibility: {
+    minAge: toNumber(formData.minAge),
+    maxAge: toNumber(formData.maxAge),
+    maxIncome: toNumber(formData.maxIncome),
+    states: formData.states,
+    genders: formData.genders,
+    socialCategories: formData.socialCategories,
+    educationLevels: formData.educationLevels,
+    occupations: toList(formData.occupations, ','),
+  },
+  benefit: {
+    type: formData.benefitType || undefined,
+    amount: toNumber(formData.benefitAmount),
+    details: formData.benefitDetails.trim() || undefined,
+  },
+  documents: toList(formData.documents, /\n/),
+  applicationOpens: formData.applicationOpens || undefined,
+  applicationCloses: formData.applicationCloses || undefined,
+});
+
+/**
+ * Checks an optional whole-number input
+ * @param {string|number} value - Input value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} True if empty or a whole number from 0 to max
+ */
+const isValidWholeNumber = (value, max = Infinity) => {
+  if (String(value).trim() === '') return true;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 && number <= max;
+};
+
+/**
+ * Group of checkboxes for a multi-choice field
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.legend - Group label
+ * @param {string} props.name - Form field name
+ * @param {Array<{value: string, label: string}>} props.options - Choices
+ * @param {string[]} props.selected - Checked values
+ * @param {Function} props.onToggle - Receives the field name and toggled value
+ * @param {string} [props.hint] - Text shown next to the legend
+ * @param {string} [props.className] - Extra classes for the option container
+ * @returns {JSX.Element} Checkbox group
+ */
+function CheckboxGroup({ legend, name, options, selected, onToggle, hint, className = '' }) {
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-700 mb-2">
+        {legend}
+        {hint && <span className="ml-1 font-normal text-gray-500">{hint}</span>}
+      </legend>
+      <div className={`flex flex-wrap gap-x-4 gap-y-2 ${className}`}>
+        {options.map((option) => (
+          <label key={option.value} className="inline-flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={selected.includes(option.value)}
+              onChange={() => onToggle(name, option.value)}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
 
 /**
  * AddSchemeModal Component
- * Modal form for creating new schemes
+ * Modal form for creating new schemes and editing existing ones
  * 
  * @param {Object} props - Component props
+ * @param {Object} [props.scheme] - Scheme to edit; omit to add a new one
  * @param {Function} props.onClose - Function to call when modal is closed
- * @param {Function} props.onSuccess - Function to call when scheme is successfully added
+ * @param {Function} props.onSuccess - Receives the saved scheme when it is added or updated
  * @returns {JSX.Element} AddSchemeModal component
  */
-export default function AddSchemeModal({ onClose, onSuccess }) {
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    category: '',
-    url: '',
-  });
+export default function AddSchemeModal({ scheme, onClose, onSuccess }) {
+  const isEditing = Boolean(scheme);
+  const [formData, setFormData] = useState(() => toFormData(scheme));
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
+  const [duplicates, setDuplicates] = useState([]);
 
   /**
    * Handles input field changes
@@ -41,6 +189,8 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
     const { name, value } = e.target;
     setFormData({ ...formData, [name]: value });
     setError('');
+    // Changed details are checked for duplicates again
+    if (DUPLICATE_FIELDS.includes(name)) setDuplicates([]);
     
     // Clear validation errors for this field
     if (validationErrors[name]) {
@@ -48,6 +198,20 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
     }
   };
 
+  /**
+   * Checks or unchecks one value of a multi-choice field
+   * @param {string} name - Field name
+   * @param {string} value - Toggled value
+   */
+  const handleToggle = (name, value) => {
+    const current = formData[name];
+    setFormData({
+      ...formData,
+      [name]: current.includes(value) ? current.filter((item) => item !== value) : [...current, value],
+    });
+    setError('');
+  };
+
   /**
    * Validates form data before submission
    * @returns {boolean} True if form is valid
@@ -69,13 +233,40 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
       }
     }
 
+    if (!isValidWholeNumber(formData.minAge, SCHEME_OPTIONS.MAX_AGE)) {
+      errors.minAge = `Enter an age from 0 to ${SCHEME_OPTIONS.MAX_AGE}`;
+    }
+    if (!isValidWholeNumber(formData.maxAge, SCHEME_OPTIONS.MAX_AGE)) {
+      errors.maxAge = `Enter an age from 0 to ${SCHEME_OPTIONS.MAX_AGE}`;
+    } else if (
+      !errors.minAge &&
+      toNumber(formData.minAge) !== undefined &&
+      toNumber(formData.maxAge) !== undefined &&
+      toNumber(formData.maxAge) < toNumber(formData.minAge)
+    ) {
+      errors.maxAge = 'Maximum age must not be below the minimum age';
+    }
+    if (!isValidWholeNumber(formData.maxIncome)) {
+      errors.maxIncome = 'Enter the income ceiling in whole rupees';
+    }
+    if (!isValidWholeNumber(formData.benefitAmount)) {
+      errors.benefitAmount = 'Enter the amount in whole rupees';
+    }
+    if (
+      formData.applicationOpens &&
+      formData.applicationCloses &&
+      formData.applicationCloses < formData.applicationOpens
+    ) {
+      errors.applicationCloses = 'Applications cannot close before they open';
+    }
+
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
   /**
    * Handles form submission
-   * Validates form and creates new scheme
+   * Validates form and creates or updates the scheme
    * 
    * @param {Event} e - Form submit event
    */
@@ -92,29 +283,25 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
 
     try {
       // Prepare scheme data
-      const schemeData = {
-        title: formData.title.trim(),
-        description: formData.description.trim() || undefined,
-        category: formData.category.trim() || undefined,
-        url: formData.url.trim() || undefined,
-      };
-
-      await schemesAPI.create(schemeData);
+      const schemeData = toSchemeData(formData);
+
+      const saved = isEditing
+        ? await schemesAPI.update(scheme._id, schemeData)
+        : await schemesAPI.create(schemeData, { allowDuplicate: duplicates.length > 0 });
       
       // Reset form
-      setFormData({
-        title: '',
-        description: '',
-        category: '',
-        url: '',
-      });
+      setFormData(toFormData());
       
       // Call success callback
-      onSuccess();
+      onSuccess(saved);
     } catch (err) {
+      if (err.response?.status === 409 && err.response.data?.duplicates) {
+        setDuplicates(err.response.data.duplicates);
+        return;
+      }
       const errorMessage = formatErrorMessage(err);
       setError(errorMessage);
-      console.error('Error adding scheme:', err);
+      console.error(isEditing ? 'Error updating scheme:' : 'Error adding scheme:', err);
     } finally {
       setLoading(false);
     }
@@ -139,10 +326,12 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
       aria-modal="true"
       role="dialog"
     >
-      <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-bold text-gray-900">Add New Scheme</h2>
+          <h2 className="text-2xl font-bold text-gray-900">
+            {isEditing ? 'Edit Scheme' : 'Add New Scheme'}
+          </h2>
           <button
             onClick={onClose}
             className="text-gray-400 hover:text-gray-600 transition-colors"
@@ -166,6 +355,31 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
           </div>
         )}
 
+        {/* Likely Duplicates */}
+        {duplicates.length > 0 && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-300 text-yellow-800 rounded-lg text-sm" role="alert">
+            <p className="font-medium">
+              This looks like {duplicates.length === 1 ? 'a scheme that is' : 'schemes that are'} already listed:
+            </p>
+            <ul className="mt-2 space-y-1">
+              {duplicates.map(({ scheme: match, score }) => (
+                <li key={match._id}>
+                  <Link
+                    to={`${ROUTES.SCHEMES}/${match._id}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="underline hover:text-yellow-900"
+                  >
+                    {match.title}
+                  </Link>{' '}
+                  <span className="text-yellow-700">({Math.round(score * 100)}% similar)</span>
+                </li>
+              ))}
+            </ul>
+            <p className="mt-2">If yours is a different scheme, add it anyway.</p>
+          </div>
+        )}
+
         {/* Form */}
         <form onSubmit={handleSubmit} className="space-y-4" noValidate>
           <div>
@@ -247,6 +461,214 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
             )}
           </div>
 
+          <div>
+            <label htmlFor="ministry" className="block text-sm font-medium text-gray-700 mb-2">
+              Implementing ministry
+            </label>
+            <input
+              type="text"
+              id="ministry"
+              name="ministry"
+              value={formData.ministry}
+              onChange={handleChange}
+              maxLength={150}
+              className={`${INPUT_CLASS} border-gray-300`}
+              placeholder="e.g., Ministry of Education"
+            />
+          </div>
+
+          {/* Benefit */}
+          <fieldset className="border-t border-gray-200 pt-4 space-y-4">
+            <legend className="text-lg font-semibold text-gray-900">Benefit</legend>
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="benefitType" className="block text-sm font-medium text-gray-700 mb-2">
+                  Type
+                </label>
+                <select
+                  id="benefitType"
+                  name="benefitType"
+                  value={formData.benefitType}
+                  onChange={handleChange}
+                  className={`${INPUT_CLASS} border-gray-300`}
+                >
+                  <option value="">Not specified</option>
+                  {SCHEME_OPTIONS.BENEFIT_TYPES.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="benefitAmount" className="block text-sm font-medium text-gray-700 mb-2">
+                  Amount (₹)
+                </label>
+                <input
+                  type="number"
+                  id="benefitAmount"
+                  name="benefitAmount"
+                  min="0"
+                  step="1"
+                  value={formData.benefitAmount}
+                  onChange={handleChange}
+                  className={`${INPUT_CLASS} ${validationErrors.benefitAmount ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="e.g., 50000"
+                  aria-invalid={!!validationErrors.benefitAmount}
+                />
+                {validationErrors.benefitAmount && (
+                  <p className="mt-1 text-sm text-red-600">{validationErrors.benefitAmount}</p>
+                )}
+              </div>
+            </div>
+            <div>
+              <label htmlFor="benefitDetails" className="block text-sm font-medium text-gray-700 mb-2">
+                Details
+              </label>
+              <input
+                type="text"
+                id="benefitDetails"
+                name="benefitDetails"
+                value={formData.benefitDetails}
+                onChange={handleChange}
+                maxLength={300}
+                className={`${INPUT_CLASS} border-gray-300`}
+                placeholder="e.g., per year, paid directly to the bank account"
+              />
+            </div>
+          </fieldset>
+
+          {/* Eligibility */}
+          <fieldset className="border-t border-gray-200 pt-4 space-y-4">
+            <legend className="text-lg font-semibold text-gray-900">Eligibility</legend>
+            <p className="text-sm text-gray-500">Leave anything blank that does not restrict who can apply.</p>
+            <div className="grid gap-4 sm:grid-cols-3">
+              {[
+                { name: 'minAge', label: 'Minimum age', placeholder: 'e.g., 18' },
+                { name: 'maxAge', label: 'Maximum age', placeholder: 'e.g., 35' },
+                { name: 'maxIncome', label: 'Family income up to (₹/year)', placeholder: 'e.g., 250000' },
+              ].map((field) => (
+                <div key={field.name}>
+                  <label htmlFor={field.name} className="block text-sm font-medium text-gray-700 mb-2">
+                    {field.label}
+                  </label>
+                  <input
+                    type="number"
+                    id={field.name}
+                    name={field.name}
+                    min="0"
+                    step="1"
+                    value={formData[field.name]}
+                    onChange={handleChange}
+                    className={`${INPUT_CLASS} ${validationErrors[field.name] ? 'border-red-500' : 'border-gray-300'}`}
+                    placeholder={field.placeholder}
+                    aria-invalid={!!validationErrors[field.name]}
+                  />
+                  {validationErrors[field.name] && (
+                    <p className="mt-1 text-sm text-red-600">{validationErrors[field.name]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <CheckboxGroup
+              legend="States"
+              hint="(none selected = all of India)"
+              name="states"
+              options={SCHEME_OPTIONS.STATES}
+              selected={formData.states}
+              onToggle={handleToggle}
+              className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-3"
+            />
+            <CheckboxGroup
+              legend="Gender"
+              name="genders"
+              options={SCHEME_OPTIONS.GENDERS}
+              selected={formData.genders}
+              onToggle={handleToggle}
+            />
+            <CheckboxGroup
+              legend="Social category"
+              name="socialCategories"
+              options={SCHEME_OPTIONS.SOCIAL_CATEGORIES}
+              selected={formData.socialCategories}
+              onToggle={handleToggle}
+            />
+            <CheckboxGroup
+              legend="Education level"
+              name="educationLevels"
+              options={SCHEME_OPTIONS.EDUCATION_LEVELS}
+              selected={formData.educationLevels}
+              onToggle={handleToggle}
+            />
+
+            <div>
+              <label htmlFor="occupations" className="block text-sm font-medium text-gray-700 mb-2">
+                Occupations
+              </label>
+              <input
+                type="text"
+                id="occupations"
+                name="occupations"
+                value={formData.occupations}
+                onChange={handleChange}
+                className={`${INPUT_CLASS} border-gray-300`}
+                placeholder="Comma-separated, e.g., farmer, student, artisan"
+              />
+            </div>
+          </fieldset>
+
+          {/* Application */}
+          <fieldset className="border-t border-gray-200 pt-4 space-y-4">
+            <legend className="text-lg font-semibold text-gray-900">Application</legend>
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="applicationOpens" className="block text-sm font-medium text-gray-700 mb-2">
+                  Opens
+                </label>
+                <input
+                  type="date"
+                  id="applicationOpens"
+                  name="applicationOpens"
+                  value={formData.applicationOpens}
+                  onChange={handleChange}
+                  className={`${INPUT_CLASS} border-gray-300`}
+                />
+              </div>
+              <div>
+                <label htmlFor="applicationCloses" className="block text-sm font-medium text-gray-700 mb-2">
+                  Closes
+                </label>
+                <input
+                  type="date"
+                  id="applicationCloses"
+                  name="applicationCloses"
+                  value={formData.applicationCloses}
+                  onChange={handleChange}
+                  className={`${INPUT_CLASS} ${validationErrors.applicationCloses ? 'border-red-500' : 'border-gray-300'}`}
+                  aria-invalid={!!validationErrors.applicationCloses}
+                />
+                {validationErrors.applicationCloses && (
+                  <p className="mt-1 text-sm text-red-600">{validationErrors.applicationCloses}</p>
+                )}
+              </div>
+            </div>
+            <div>
+              <label htmlFor="documents" className="block text-sm font-medium text-gray-700 mb-2">
+                Required documents
+              </label>
+              <textarea
+                id="documents"
+                name="documents"
+                value={formData.documents}
+                onChange={handleChange}
+                rows="3"
+                className={`${INPUT_CLASS} border-gray-300`}
+                placeholder={'One per line, e.g.\nAadhaar card\nIncome certificate'}
+              />
+            </div>
+          </fieldset>
+
           {/* Action Buttons */}
           <div className="flex gap-3 pt-4">
             <button
@@ -262,7 +684,9 @@ export default function AddSchemeModal({ onClose, onSuccess }) {
               disabled={loading}
               className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
-              {loading ? 'Adding...' : 'Add Scheme'}
+              {loading
+                ? isEditing ? 'Saving...' : 'Adding...'
+                : isEditing ? 'Save Changes' : duplicates.length ? 'Add Anyway' : 'Add Scheme'}
             </button>
           </div>
         </form>
@@ -0,0 +1,34 @@
+/**
+ * Application Status Badge Component
+ *
+ * Small pill showing whether a scheme is open for applications, opening
+ * soon, or closed. Renders nothing for schemes without application dates.
+ *
+ * @module components/ApplicationStatusBadge
+ */
+
+import { applicationStatus } from '../utils/helpers';
+
+const STATUS_CLASSES = {
+  open: 'bg-green-100 text-green-800',
+  upcoming: 'bg-blue-100 text-blue-800',
+  closed: 'bg-gray-200 text-gray-700',
+};
+
+/**
+ * ApplicationStatusBadge Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme from the API
+ * @returns {JSX.Element|null} Badge, or null if the scheme has no dates
+ */
+export default function ApplicationStatusBadge({ scheme }) {
+  const status = applicationStatus(scheme);
+  if (!status) return null;
+
+  return (
+    <span className={`inline-block text-xs font-semibold px-3 py-1 rounded-full ${STATUS_CLASSES[status.status]}`}>
+      {status.label}
+    </span>
+  );
+}
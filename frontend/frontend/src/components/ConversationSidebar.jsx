@@ -0,0 +1,189 @@
+/**
+ * Conversation Sidebar Component
+ *
+ * Lists the user's chat threads and lets them switch, start, rename,
+ * archive and delete threads. Data lives in the Chat page; this component
+ * only renders it and reports actions.
+ *
+ * @module components/ConversationSidebar
+ */
+
+import { useState, useRef } from 'react';
+
+/**
+ * Conversation interface
+ * @typedef {Object} Conversation
+ * @property {string} id - Conversation ID
+ * @property {string} title - Conversation title
+ * @property {boolean} archived - True if archived
+ * @property {string} lastMessageAt - Time of the latest message
+ */
+
+/**
+ * ConversationSidebar Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Conversation>} props.conversations - Threads to list
+ * @param {string} [props.activeId] - Currently open thread
+ * @param {boolean} props.showArchived - True when listing archived threads
+ * @param {boolean} props.loading - True while the list is loading
+ * @param {Function} props.onToggleArchived - Switches between active and archived threads
+ * @param {Function} props.onSelect - Opens a thread, receives its ID
+ * @param {Function} props.onNew - Starts a new thread
+ * @param {Function} props.onRename - Receives a thread ID and the new title
+ * @param {Function} props.onArchive - Receives a thread ID and the new archived flag
+ * @param {Function} props.onDelete - Receives a thread ID
+ * @returns {JSX.Element} ConversationSidebar component
+ */
+export default function ConversationSidebar({
+  conversations,
+  activeId,
+  showArchived,
+  loading,
+  onToggleArchived,
+  onSelect,
+  onNew,
+  onRename,
+  onArchive,
+  onDelete,
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState('');
+  const cancelledRef = useRef(false);
+
+  /**
+   * Starts renaming a thread
+   * @param {Conversation} conversation - Thread to rename
+   */
+  const startEditing = (conversation) => {
+    cancelledRef.current = false;
+    setEditingId(conversation.id);
+    setDraft(conversation.title);
+  };
+
+  /**
+   * Saves the new title once, ignoring empty or unchanged titles.
+   * Enter and blur both end editing; Escape discards the draft.
+   * @param {Conversation} conversation - Thread being renamed
+   */
+  const finishEditing = (conversation) => {
+    if (cancelledRef.current) return;
+    cancelledRef.current = true;
+
+    const title = draft.trim();
+    setEditingId(null);
+    if (title && title !== conversation.title) {
+      onRename(conversation.id, title);
+    }
+  };
+
+  return (
+    <aside className="bg-white border-r border-gray-200 flex flex-col h-full w-full">
+      <div className="p-4 border-b border-gray-200">
+        <button
+          onClick={onNew}
+          className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 transition-colors"
+        >
+          + New chat
+        </button>
+      </div>
+
+      <nav className="flex-1 overflow-y-auto p-2 space-y-1" aria-label="Conversations">
+        {loading && <p className="px-3 py-2 text-sm text-gray-500">Loading...</p>}
+
+        {!loading && conversations.length === 0 && (
+          <p className="px-3 py-2 text-sm text-gray-500">
+            {showArchived ? 'No archived chats.' : 'No chats yet.'}
+          </p>
+        )}
+
+        {conversations.map((conversation) => {
+          const isActive = conversation.id === activeId;
+
+          if (editingId === conversation.id) {
+            return (
+              <form
+                key={conversation.id}
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  finishEditing(conversation);
+                }}
+              >
+                <input
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onBlur={() => finishEditing(conversation)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Escape') {
+                      cancelledRef.current = true;
+                      setEditingId(null);
+                    }
+                  }}
+                  maxLength={80}
+                  autoFocus
+                  className="w-full px-3 py-2 text-sm border border-indigo-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+                  aria-label="Conversation title"
+                />
+              </form>
+            );
+          }
+
+          return (
+            <div
+              key={conversation.id}
+              className={`group flex items-center rounded-lg ${
+                isActive ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <button
+                onClick={() => onSelect(conversation.id)}
+                className="flex-1 min-w-0 text-left px-3 py-2"
+                aria-current={isActive ? 'page' : undefined}
+              >
+                <p className="text-sm font-medium truncate">{conversation.title}</p>
+                <p className="text-xs text-gray-500">
+                  {new Date(conversation.lastMessageAt).toLocaleDateString()}
+                </p>
+              </button>
+              <div className="hidden group-hover:flex group-focus-within:flex items-center pr-1">
+                <button
+                  onClick={() => startEditing(conversation)}
+                  className="p-1 text-xs text-gray-500 hover:text-indigo-600"
+                  aria-label={`Rename ${conversation.title}`}
+                  title="Rename"
+                >
+                  ✎
+                </button>
+                <button
+                  onClick={() => onArchive(conversation.id, !conversation.archived)}
+                  className="p-1 text-xs text-gray-500 hover:text-indigo-600"
+                  aria-label={`${conversation.archived ? 'Unarchive' : 'Archive'} ${conversation.title}`}
+                  title={conversation.archived ? 'Unarchive' : 'Archive'}
+                >
+                  {conversation.archived ? '↺' : '⤓'}
+                </button>
+                <button
+                  onClick={() => onDelete(conversation.id)}
+                  className="p-1 text-xs text-gray-500 hover:text-red-600"
+                  aria-label={`Delete ${conversation.title}`}
+                  title="Delete"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </nav>
+
+      <div className="p-2 border-t border-gray-200">
+        <button
+          onClick={onToggleArchived}
+          className="w-full px-3 py-2 text-sm text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+        >
+          {showArchived ? '← Back to chats' : 'Archived chats'}
+        </button>
+      </div>
+    </aside>
+  );
+}
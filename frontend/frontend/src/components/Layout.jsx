@@ -9,7 +9,7 @@
 
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { ROUTES } from '../utils/constants';
+import { ROUTES, MODERATOR_ROLES } from '../utils/constants';
 
 /**
  * Layout Component
@@ -20,15 +20,15 @@ import { ROUTES } from '../utils/constants';
  * @returns {JSX.Element} Layout component
  */
 export default function Layout({ children }) {
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, hasRole } = useAuth();
   const navigate = useNavigate();
 
   /**
    * Handles user logout
    * Logs out user and redirects to login page
    */
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate(ROUTES.LOGIN);
   };
 
@@ -57,6 +57,34 @@ export default function Layout({ children }) {
                   >
                     Chat
                   </Link>
+                  <Link
+                    to={ROUTES.MY_APPLICATIONS}
+                    className="text-gray-700 hover:text-indigo-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                  >
+                    My Applications
+                  </Link>
+                  <Link
+                    to={ROUTES.PROFILE}
+                    className="text-gray-700 hover:text-indigo-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                  >
+                    Profile
+                  </Link>
+                  {hasRole(...MODERATOR_ROLES) && (
+                    <Link
+                      to={ROUTES.MODERATION}
+                      className="text-gray-700 hover:text-indigo-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                    >
+                      Moderation
+                    </Link>
+                  )}
+                  {hasRole('admin') && (
+                    <Link
+                      to={ROUTES.ADMIN}
+                      className="text-gray-700 hover:text-indigo-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                    >
+                      Admin
+                    </Link>
+                  )}
                 </div>
               )}
             </div>
@@ -0,0 +1,31 @@
+/**
+ * Link Health Badge Component
+ *
+ * Small warning pill for schemes whose official link failed at the last
+ * background check. Renders nothing for working or unchecked links.
+ *
+ * @module components/LinkHealthBadge
+ */
+
+import { formatDate } from '../utils/helpers';
+
+/**
+ * LinkHealthBadge Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme from the API
+ * @returns {JSX.Element|null} Badge, or null unless the link is broken
+ */
+export default function LinkHealthBadge({ scheme }) {
+  const health = scheme.linkHealth;
+  if (!scheme.url || health?.status !== 'broken') return null;
+
+  return (
+    <span
+      className="inline-block bg-red-100 text-red-800 text-xs font-semibold px-3 py-1 rounded-full"
+      title={`${health.error || 'Not reachable'} when checked on ${formatDate(health.checkedAt)}`}
+    >
+      Link may be broken
+    </span>
+  );
+}
@@ -2,12 +2,13 @@
  * Protected Route Component
  * 
  * Route guard that ensures only authenticated users can access protected routes.
- * Redirects unauthenticated users to login page.
+ * Redirects unauthenticated users to login page. Routes can also require a
+ * role; signed-in users without it see a "no access" message instead.
  * 
  * @module components/ProtectedRoute
  */
 
-import { Navigate } from 'react-router-dom';
+import { Link, Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { ROUTES } from '../utils/constants';
 
@@ -17,10 +18,11 @@ import { ROUTES } from '../utils/constants';
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child route component to render
- * @returns {JSX.Element} Protected route or redirect to login
+ * @param {string[]} [props.roles] - Roles allowed to see the route; any signed-in user if omitted
+ * @returns {JSX.Element} Protected route, redirect to login, or no-access message
  */
-export default function ProtectedRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+export default function ProtectedRoute({ children, roles }) {
+  const { isAuthenticated, loading, hasRole } = useAuth();
 
   // Show loading state while checking authentication
   if (loading) {
@@ -39,6 +41,21 @@ export default function ProtectedRoute({ children }) {
     return <Navigate to={ROUTES.LOGIN} replace />;
   }
 
+  // Signed in, but without a required role
+  if (roles && !hasRole(...roles)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">No access</h1>
+          <p className="text-gray-600 mb-4">You do not have permission to view this page.</p>
+          <Link to={ROUTES.HOME} className="text-indigo-600 hover:text-indigo-700 font-medium">
+            Go to the home page
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   // Render protected content
   return children;
 }
@@ -0,0 +1,31 @@
+/**
+ * Review Status Badge Component
+ *
+ * Small pill showing where a submitted scheme is in moderation. Renders
+ * nothing for approved schemes unless asked to, since those are the norm.
+ *
+ * @module components/ReviewStatusBadge
+ */
+
+import { REVIEW_STATUSES } from '../utils/constants';
+
+/**
+ * ReviewStatusBadge Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme from the API
+ * @param {boolean} [props.showApproved=false] - Also render a badge for approved schemes
+ * @returns {JSX.Element|null} Badge, or null for approved schemes
+ */
+export default function ReviewStatusBadge({ scheme, showApproved = false }) {
+  const key = scheme.status || 'approved';
+  if (key === 'approved' && !showApproved) return null;
+  const status = REVIEW_STATUSES[key];
+  if (!status) return null;
+
+  return (
+    <span className={`inline-block text-xs font-semibold px-3 py-1 rounded-full ${status.className}`}>
+      {status.label}
+    </span>
+  );
+}
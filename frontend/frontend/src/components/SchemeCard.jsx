@@ -0,0 +1,137 @@
+/**
+ * Scheme Card Component
+ *
+ * Summary card for one scheme in a list: category, application status,
+ * title linking to the detail page, benefit, description, eligibility
+ * chips and the official link, flagged when it failed the last check.
+ * When given a toggle handler, the card also has a bookmark button.
+ *
+ * @module components/SchemeCard
+ */
+
+import { Link } from 'react-router-dom';
+import ApplicationStatusBadge from './ApplicationStatusBadge';
+import LinkHealthBadge from './LinkHealthBadge';
+import { formatDate, formatRupees, optionLabel, describeEligibility } from '../utils/helpers';
+import { ROUTES, SCHEME_OPTIONS } from '../utils/constants';
+
+/**
+ * SchemeCard Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme from the API
+ * @param {boolean} [props.bookmarked] - Whether the user saved this scheme
+ * @param {Function} [props.onToggleBookmark] - Saves or unsaves the scheme; no button without it
+ * @returns {JSX.Element} Scheme card
+ */
+export default function SchemeCard({ scheme, bookmarked = false, onToggleBookmark }) {
+  const eligibility = describeEligibility(scheme.eligibility);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow p-6 flex flex-col">
+      {/* Category, Application Status and Link Health */}
+      <div className="flex flex-wrap gap-2 mb-3 empty:hidden">
+        {scheme.category && (
+          <span className="inline-block bg-indigo-100 text-indigo-800 text-xs font-semibold px-3 py-1 rounded-full">
+            {scheme.category}
+          </span>
+        )}
+        <ApplicationStatusBadge scheme={scheme} />
+        <LinkHealthBadge scheme={scheme} />
+      </div>
+
+      {/* Title and Bookmark */}
+      <div className="flex items-start justify-between gap-2 mb-2">
+        <h3 className="text-xl font-bold text-gray-900">
+          <Link
+            to={`${ROUTES.SCHEMES}/${scheme._id}`}
+            className="hover:text-indigo-700 transition-colors"
+          >
+            {scheme.title}
+          </Link>
+        </h3>
+        {onToggleBookmark && (
+          <button
+            type="button"
+            onClick={() => onToggleBookmark(scheme)}
+            aria-pressed={bookmarked}
+            aria-label={bookmarked ? `Remove ${scheme.title} from saved schemes` : `Save ${scheme.title}`}
+            title={bookmarked ? 'Saved' : 'Save'}
+            className={`shrink-0 p-1 rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+              bookmarked ? 'text-indigo-600 hover:text-indigo-700' : 'text-gray-400 hover:text-gray-600'
+            }`}
+          >
+            <svg className="w-6 h-6" fill={bookmarked ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+            </svg>
+          </button>
+        )}
+      </div>
+      {scheme.ministry && <p className="text-xs text-gray-500 mb-2">{scheme.ministry}</p>}
+
+      {/* Benefit */}
+      {(scheme.benefit?.type || scheme.benefit?.amount != null) && (
+        <p className="text-sm font-medium text-gray-800 mb-2">
+          {[
+            scheme.benefit.type && optionLabel(SCHEME_OPTIONS.BENEFIT_TYPES, scheme.benefit.type),
+            formatRupees(scheme.benefit.amount),
+          ]
+            .filter(Boolean)
+            .join(' · ')}
+        </p>
+      )}
+
+      {/* Description */}
+      {scheme.description && (
+        <p className="text-gray-600 text-sm mb-4 line-clamp-3 flex-grow">
+          {scheme.description}
+        </p>
+      )}
+
+      {/* Eligibility */}
+      {eligibility.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mb-4">
+          {eligibility.map((rule) => (
+            <li key={rule} className="bg-gray-100 text-gray-700 text-xs px-2 py-1 rounded">
+              {rule}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* URL Link */}
+      {scheme.url && (
+        <a
+          href={scheme.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-indigo-600 hover:text-indigo-700 font-medium text-sm inline-flex items-center mb-4 transition-colors"
+        >
+          Visit Official Link
+          <svg
+            className="w-4 h-4 ml-1"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"
+            />
+          </svg>
+        </a>
+      )}
+
+      {/* Created Date */}
+      {scheme.createdAt && (
+        <div className="mt-auto pt-4 border-t border-gray-200">
+          <p className="text-xs text-gray-500">
+            Added {formatDate(scheme.createdAt)}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+/**
+ * Scheme History Component
+ *
+ * Revision history of one scheme: every change with who made it and when,
+ * a field-by-field comparison of any two revisions, and (for the creator
+ * and admins) rolling the scheme's details back to an earlier revision.
+ *
+ * @module components/SchemeHistory
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { schemesAPI } from '../services/api';
+import { formatErrorMessage, formatDate, formatRupees, optionLabel } from '../utils/helpers';
+import { SCHEME_HISTORY, SCHEME_OPTIONS, REVIEW_STATUSES } from '../utils/constants';
+
+// Option lists used to label coded values in diffs
+const FIELD_OPTIONS = {
+  'eligibility.states': SCHEME_OPTIONS.STATES,
+  'eligibility.genders': SCHEME_OPTIONS.GENDERS,
+  'eligibility.socialCategories': SCHEME_OPTIONS.SOCIAL_CATEGORIES,
+  'eligibility.educationLevels': SCHEME_OPTIONS.EDUCATION_LEVELS,
+  'benefit.type': SCHEME_OPTIONS.BENEFIT_TYPES,
+};
+const RUPEE_FIELDS = ['benefit.amount', 'eligibility.maxIncome'];
+const DATE_FIELDS = ['applicationOpens', 'applicationCloses', 'deletedAt'];
+const DATE_TIME = { hour: 'numeric', minute: '2-digit' };
+
+/**
+ * Display name of a diff field
+ * @param {string} field - Dotted field path
+ * @returns {string} Label
+ */
+const fieldLabel = (field) => SCHEME_HISTORY.FIELDS[field] || field;
+
+/**
+ * Formats a field value from a revision for display
+ * @param {string} field - Dotted field path
+ * @param {*} value - Stored value
+ * @returns {string} Readable value, or an em dash when empty
+ */
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  const options = FIELD_OPTIONS[field];
+  if (Array.isArray(value)) {
+    return value.length ? value.map((item) => (options ? optionLabel(options, item) : item)).join(', ') : '—';
+  }
+  if (options) return optionLabel(options, value);
+  if (RUPEE_FIELDS.includes(field)) return formatRupees(value);
+  if (DATE_FIELDS.includes(field)) return formatDate(value);
+  if (field === 'status') return REVIEW_STATUSES[value]?.label || value;
+  return String(value);
+};
+
+/**
+ * Short description of a revision for the compare selects
+ * @param {Object} revision - Revision from the API
+ * @returns {string} e.g. "#3 · Edited · Oct 19, 2026"
+ */
+const revisionLabel = (revision) =>
+  `#${revision.number} · ${SCHEME_HISTORY.ACTIONS[revision.action] || revision.action} · ${formatDate(revision.createdAt)}`;
+
+/**
+ * SchemeHistory Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme from the API
+ * @param {boolean} props.canRollBack - Show rollback buttons (creator or admin)
+ * @param {Function} props.onRolledBack - Called with the rollback response ({ msg, scheme })
+ * @returns {JSX.Element} History tab content
+ */
+export default function SchemeHistory({ scheme, canRollBack, onRolledBack }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Fetches the comparison of two revisions; without arguments the latest
+   * revision is compared with the one before it
+   * @param {number} [from] - Older revision
+   * @param {number} [to] - Newer revision
+   */
+  const fetchDiff = useCallback(async (from, to) => {
+    try {
+      setDiffLoading(true);
+      setError('');
+      setDiff(await schemesAPI.getRevisionDiff(scheme._id, from, to));
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error comparing revisions:', err);
+    } finally {
+      setDiffLoading(false);
+    }
+  }, [scheme._id]);
+
+  /**
+   * Fetches the revision list and the latest changes
+   */
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await schemesAPI.getRevisions(scheme._id);
+      setRevisions(data);
+      if (data.length) await fetchDiff();
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      setRevisions([]);
+      console.error('Error fetching scheme history:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [scheme._id, fetchDiff]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  /**
+   * Changes one end of the comparison
+   * @param {'from'|'to'} end - Which select changed
+   * @param {string} value - Selected revision number
+   */
+  const handleCompareChange = (end, value) => {
+    const from = end === 'from' ? Number(value) : diff?.from?.number;
+    const to = end === 'to' ? Number(value) : diff?.to?.number;
+    fetchDiff(from, to);
+  };
+
+  /**
+   * Rolls the scheme back to a revision after confirmation
+   * @param {Object} revision - Revision to go back to
+   */
+  const handleRollback = async (revision) => {
+    if (!window.confirm(`Roll back "${scheme.title}" to revision #${revision.number}? This is saved as a new revision.`)) {
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      onRolledBack(await schemesAPI.rollback(scheme._id, revision.number));
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error rolling back scheme:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        <p className="mt-4 text-gray-600">Loading history...</p>
+      </div>
+    );
+  }
+
+  const latest = revisions[0]?.number;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!error && revisions.length === 0 && (
+        <p className="text-gray-500 italic">No changes recorded yet.</p>
+      )}
+
+      {/* Comparison */}
+      {diff && (
+        <section>
+          <div className="flex flex-wrap items-center gap-2 mb-3 text-sm text-gray-700">
+            <span className="font-semibold text-gray-900">Compare</span>
+            <select
+              value={diff.from?.number ?? ''}
+              onChange={(e) => handleCompareChange('from', e.target.value)}
+              disabled={diffLoading}
+              aria-label="Older revision"
+              className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {!diff.from && <option value="">Nothing (first revision)</option>}
+              {revisions.map((revision) => (
+                <option key={revision.number} value={revision.number}>{revisionLabel(revision)}</option>
+              ))}
+            </select>
+            <span>with</span>
+            <select
+              value={diff.to.number}
+              onChange={(e) => handleCompareChange('to', e.target.value)}
+              disabled={diffLoading}
+              aria-label="Newer revision"
+              className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {revisions.map((revision) => (
+                <option key={revision.number} value={revision.number}>{revisionLabel(revision)}</option>
+              ))}
+            </select>
+          </div>
+
+          {diff.changes.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">These revisions are identical.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className={`w-full text-sm text-left ${diffLoading ? 'opacity-50' : ''}`}>
+                <thead>
+                  <tr className="border-b border-gray-200 text-gray-900">
+                    <th className="py-2 pr-4 font-semibold">Field</th>
+                    <th className="py-2 pr-4 font-semibold">Before</th>
+                    <th className="py-2 font-semibold">After</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {diff.changes.map(({ field, before, after }) => (
+                    <tr key={field} className="align-top">
+                      <td className="py-2 pr-4 font-medium text-gray-900 whitespace-nowrap">{fieldLabel(field)}</td>
+                      <td className="py-2 pr-4 text-red-700 break-words">{formatValue(field, before)}</td>
+                      <td className="py-2 text-green-700 break-words">{formatValue(field, after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* Revisions */}
+      {revisions.length > 0 && (
+        <ol className="divide-y divide-gray-100 border-t border-gray-200">
+          {revisions.map((revision) => (
+            <li key={revision.number} className="py-3 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+              <div className="min-w-0 text-sm">
+                <p className="text-gray-900">
+                  <span className="font-semibold">#{revision.number} {SCHEME_HISTORY.ACTIONS[revision.action] || revision.action}</span>
+                  {revision.changedBy?.name && <> by {revision.changedBy.name}</>}
+                  <span className="text-gray-500"> · {formatDate(revision.createdAt, DATE_TIME)}</span>
+                </p>
+                {revision.note && <p className="text-gray-600">{revision.note}</p>}
+                {revision.number > 1 && revision.changedFields.length > 0 && (
+                  <p className="text-xs text-gray-500">{revision.changedFields.map(fieldLabel).join(', ')}</p>
+                )}
+              </div>
+              <div className="flex gap-2 shrink-0">
+                {revision.number > 1 && (
+                  <button
+                    onClick={() => fetchDiff(revision.number - 1, revision.number)}
+                    disabled={diffLoading}
+                    className="text-sm text-indigo-600 hover:text-indigo-700 font-medium disabled:opacity-50"
+                  >
+                    Changes
+                  </button>
+                )}
+                {canRollBack && revision.number !== latest && (
+                  <button
+                    onClick={() => handleRollback(revision)}
+                    disabled={busy}
+                    className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+                  >
+                    Roll back to this
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
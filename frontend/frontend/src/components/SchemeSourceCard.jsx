@@ -0,0 +1,55 @@
+/**
+ * Scheme Source Card Component
+ *
+ * Compact, clickable card for a scheme the chatbot cited in a reply.
+ * Opens the scheme's official link, or the Schemes page when it has none.
+ *
+ * @module components/SchemeSourceCard
+ */
+
+import { Link } from 'react-router-dom';
+import { ROUTES } from '../utils/constants';
+
+/**
+ * SchemeSourceCard Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.source - Scheme cited by the bot
+ * @param {string} props.source.id - Scheme ID
+ * @param {string} props.source.title - Scheme title
+ * @param {string} [props.source.category] - Scheme category
+ * @param {string} [props.source.url] - Official scheme URL
+ * @returns {JSX.Element} SchemeSourceCard component
+ */
+export default function SchemeSourceCard({ source }) {
+  const className =
+    'block bg-white border border-indigo-100 rounded-lg px-4 py-3 shadow-sm hover:shadow-md hover:border-indigo-300 transition';
+
+  const content = (
+    <>
+      {source.category && (
+        <span className="inline-block bg-indigo-100 text-indigo-800 text-xs font-semibold px-2 py-0.5 rounded-full mb-1">
+          {source.category}
+        </span>
+      )}
+      <p className="text-sm font-semibold text-gray-900">{source.title}</p>
+      <p className="text-xs text-indigo-600 mt-1">
+        {source.url ? 'Visit official link →' : 'View on Schemes page →'}
+      </p>
+    </>
+  );
+
+  if (source.url) {
+    return (
+      <a href={source.url} target="_blank" rel="noopener noreferrer" className={className}>
+        {content}
+      </a>
+    );
+  }
+
+  return (
+    <Link to={ROUTES.SCHEMES} className={className}>
+      {content}
+    </Link>
+  );
+}
@@ -3,6 +3,10 @@
  * 
  * Provides authentication state management and methods for the entire application.
  * Handles user login, registration, logout, and session management.
+ * The user's role (user, moderator or admin) comes from the signed token,
+ * falling back to the stored user for tokens issued before roles were signed.
+ * Access tokens are short-lived; the API service renews them with the
+ * refresh token cookie and reports the outcome through AUTH_EVENTS.
  * 
  * @module context/AuthContext
  */
@@ -10,9 +14,17 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { authAPI } from '../services/api';
 import { jwtDecode } from 'jwt-decode';
-import { STORAGE_KEYS } from '../utils/constants';
+import { STORAGE_KEYS, AUTH_EVENTS } from '../utils/constants';
 import { formatErrorMessage } from '../utils/helpers';
 
+/**
+ * Combines stored user data with the role signed into the token
+ * @param {Object} userData - User returned at login
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Object} User with `role`
+ */
+const withRole = (userData, decoded) => ({ ...userData, role: decoded.role || userData.role || 'user' });
+
 /**
  * Auth Context
  * Contains user state and authentication methods
@@ -48,10 +60,16 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Initialize authentication state on mount
-   * Checks for existing token and validates it
+   * Restores a stored session, refreshing the access token if it expired
    */
   useEffect(() => {
-    const initializeAuth = () => {
+    const clearSession = () => {
+      localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+      localStorage.removeItem(STORAGE_KEYS.USER_DATA);
+      setUser(null);
+    };
+
+    const initializeAuth = async () => {
       try {
         const token = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
         const userData = localStorage.getItem(STORAGE_KEYS.USER_DATA);
@@ -63,20 +81,22 @@ export const AuthProvider = ({ children }) => {
             const currentTime = Date.now() / 1000;
 
             if (decoded.exp < currentTime) {
-              // Token expired - clear storage
-              localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
-              localStorage.removeItem(STORAGE_KEYS.USER_DATA);
-              setUser(null);
+              // Token expired - the refresh token cookie may still be good
+              const freshToken = await authAPI.refresh().catch(() => null);
+              if (freshToken) {
+                const freshUser = JSON.parse(localStorage.getItem(STORAGE_KEYS.USER_DATA));
+                setUser(withRole(freshUser, jwtDecode(freshToken)));
+              } else {
+                clearSession();
+              }
             } else {
               // Token valid - restore user session
-              setUser(JSON.parse(userData));
+              setUser(withRole(JSON.parse(userData), decoded));
             }
           } catch (decodeError) {
             // Invalid token format - clear storage
             console.error('Token decode error:', decodeError);
-            localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
-            localStorage.removeItem(STORAGE_KEYS.USER_DATA);
-            setUser(null);
+            clearSession();
           }
         }
       } catch (error) {
@@ -90,11 +110,30 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  /**
+   * Follow sessions renewed or ended by the API service
+   */
+  useEffect(() => {
+    const handleRefreshed = (event) => {
+      const { token, user: userData } = event.detail;
+      setUser(withRole(userData, jwtDecode(token)));
+    };
+    const handleEnded = () => setUser(null);
+
+    window.addEventListener(AUTH_EVENTS.REFRESHED, handleRefreshed);
+    window.addEventListener(AUTH_EVENTS.ENDED, handleEnded);
+    return () => {
+      window.removeEventListener(AUTH_EVENTS.REFRESHED, handleRefreshed);
+      window.removeEventListener(AUTH_EVENTS.ENDED, handleEnded);
+    };
+  }, []);
+
   /**
    * Login user with email and password
    * @param {string} email - User's email address
    * @param {string} password - User's password
-   * @returns {Promise<{success: boolean, message?: string}>} Login result
+   * @returns {Promise<{success: boolean, message?: string, emailNotVerified?: boolean, retryAfter?: number}>}
+   *   Login result; `retryAfter` is the lockout left in seconds after too many failed attempts
    */
   const login = useCallback(async (email, password) => {
     try {
@@ -107,7 +146,7 @@ export const AuthProvider = ({ children }) => {
       localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, response.token);
       localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(response.user));
 
-      setUser(response.user);
+      setUser(withRole(response.user, jwtDecode(response.token)));
       setLoading(false);
       return { success: true };
     } catch (error) {
@@ -117,6 +156,8 @@ export const AuthProvider = ({ children }) => {
       return {
         success: false,
         message: errorMessage,
+        emailNotVerified: Boolean(error.response?.data?.emailNotVerified),
+        retryAfter: error.response?.data?.retryAfter,
       };
     }
   }, []);
@@ -151,15 +192,39 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Logout current user
-   * Clears token and user data from storage
+   * Ends the session on the server, then clears token and user data from storage
+   * @returns {Promise<void>}
    */
-  const logout = useCallback(() => {
+  const logout = useCallback(async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      // Signed out locally either way; the server session expires on its own
+      console.error('Logout error:', error);
+    }
     localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
     localStorage.removeItem(STORAGE_KEYS.USER_DATA);
     setUser(null);
     setError(null);
   }, []);
 
+  /**
+   * Applies account changes made on the Profile page to the session
+   * @param {Object} account - Account returned by authAPI.updateMe()
+   */
+  const updateUser = useCallback((account) => {
+    const userData = { id: account.id, name: account.name, email: account.email, role: account.role };
+    localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(userData));
+    setUser((current) => (current ? { ...current, ...userData, role: current.role } : current));
+  }, []);
+
+  /**
+   * Checks whether the signed-in user has one of the given roles
+   * @param {...string} roles - Allowed roles
+   * @returns {boolean} True if signed in with one of the roles
+   */
+  const hasRole = useCallback((...roles) => Boolean(user) && roles.includes(user.role), [user]);
+
   /**
    * Clear error state
    */
@@ -177,11 +242,14 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     isAuthenticated: !!user,
+    role: user?.role ?? null,
 
     // Methods
     login,
     register,
     logout,
+    updateUser,
+    hasRole,
     clearError,
   };
 
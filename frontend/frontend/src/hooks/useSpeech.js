@@ -0,0 +1,182 @@
+/**
+ * Speech Hooks
+ *
+ * Wrappers around the browser Web Speech API: speech recognition for voice
+ * input and speech synthesis for reading replies aloud. Both report
+ * `supported: false` when the browser lacks the API so callers can hide
+ * their controls.
+ *
+ * @module hooks/useSpeech
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Browser speech recognition constructor, if any (Chrome and Safari prefix it)
+ */
+const SpeechRecognitionAPI =
+  typeof window !== 'undefined' ? window.SpeechRecognition || window.webkitSpeechRecognition : undefined;
+
+/**
+ * Messages for recognition errors worth telling the user about
+ */
+const RECOGNITION_ERRORS = {
+  'not-allowed': 'Microphone access was blocked. Allow it in your browser settings to use voice input.',
+  'service-not-allowed': 'Voice input is not available in this browser.',
+  'audio-capture': 'No microphone was found.',
+  network: 'Voice input needs an internet connection.',
+};
+
+/**
+ * Speech-to-text for a single utterance
+ *
+ * Recognition stops by itself when the user stops speaking; `onFinal` then
+ * receives the whole transcript.
+ *
+ * @param {Object} options
+ * @param {string} options.lang - BCP 47 language tag, e.g. "en-IN"
+ * @param {(text: string) => void} options.onInterim - Receives the live transcript while speaking
+ * @param {(text: string) => void} options.onFinal - Receives the final transcript (not called if empty)
+ * @returns {{supported: boolean, listening: boolean, error: string, start: Function, stop: Function}}
+ */
+export const useSpeechRecognition = ({ lang, onInterim, onFinal }) => {
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState('');
+  const recognitionRef = useRef(null);
+  const callbacksRef = useRef({ onInterim, onFinal });
+
+  // Keep the latest callbacks without restarting recognition
+  useEffect(() => {
+    callbacksRef.current = { onInterim, onFinal };
+  });
+
+  /**
+   * Starts listening for one utterance
+   */
+  const start = useCallback(() => {
+    if (!SpeechRecognitionAPI || recognitionRef.current) return;
+
+    const recognition = new SpeechRecognitionAPI();
+    recognition.lang = lang;
+    recognition.interimResults = true;
+    recognition.continuous = false;
+    recognition.maxAlternatives = 1;
+
+    let finalText = '';
+
+    recognition.onresult = (event) => {
+      let interim = '';
+      finalText = '';
+      for (const result of event.results) {
+        if (result.isFinal) finalText += result[0].transcript;
+        else interim += result[0].transcript;
+      }
+      callbacksRef.current.onInterim(`${finalText}${interim}`.trim());
+    };
+
+    recognition.onerror = (event) => {
+      // "no-speech" and "aborted" just end the session quietly
+      if (RECOGNITION_ERRORS[event.error]) setError(RECOGNITION_ERRORS[event.error]);
+    };
+
+    recognition.onend = () => {
+      recognitionRef.current = null;
+      setListening(false);
+      if (finalText.trim()) callbacksRef.current.onFinal(finalText.trim());
+    };
+
+    setError('');
+    recognitionRef.current = recognition;
+    setListening(true);
+    recognition.start();
+  }, [lang]);
+
+  /**
+   * Stops listening; whatever was recognised so far is still delivered
+   */
+  const stop = useCallback(() => {
+    recognitionRef.current?.stop();
+  }, []);
+
+  // Release the microphone when the component unmounts
+  useEffect(() => () => recognitionRef.current?.abort(), []);
+
+  return { supported: Boolean(SpeechRecognitionAPI), listening, error, start, stop };
+};
+
+/**
+ * Text-to-speech
+ *
+ * @returns {{supported: boolean, speaking: boolean, speak: Function, cancel: Function}}
+ */
+export const useSpeechSynthesis = () => {
+  const supported = typeof window !== 'undefined' && 'speechSynthesis' in window;
+  const [speaking, setSpeaking] = useState(false);
+
+  /**
+   * Cancels anything being spoken
+   */
+  const cancel = useCallback(() => {
+    if (!supported) return;
+    window.speechSynthesis.cancel();
+    setSpeaking(false);
+  }, [supported]);
+
+  /**
+   * Speaks text, interrupting anything already being spoken
+   * @param {string} text - Text to read
+   * @param {string} [lang] - BCP 47 language tag
+   */
+  const speak = useCallback((text, lang) => {
+    if (!supported || !text) return;
+
+    window.speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    if (lang) utterance.lang = lang;
+    utterance.onend = () => setSpeaking(false);
+    utterance.onerror = () => setSpeaking(false);
+    setSpeaking(true);
+    window.speechSynthesis.speak(utterance);
+  }, [supported]);
+
+  // Stop talking when the component unmounts
+  useEffect(() => () => supported && window.speechSynthesis.cancel(), [supported]);
+
+  return { supported, speaking, speak, cancel };
+};
+
+/**
+ * Voice settings remembered per user on this device
+ *
+ * @param {string} [userId] - Signed-in user's ID
+ * @returns {[{readAloud: boolean}, Function]} Preferences and a function to merge in changes
+ */
+export const useVoicePreferences = (userId) => {
+  const key = `${STORAGE_KEYS.VOICE_PREFERENCES}:${userId || 'guest'}`;
+
+  /**
+   * Reads the stored preferences for `key`
+   * @returns {{readAloud: boolean}} Preferences
+   */
+  const read = useCallback(() => {
+    try {
+      return { readAloud: false, ...JSON.parse(localStorage.getItem(key) || '{}') };
+    } catch {
+      return { readAloud: false };
+    }
+  }, [key]);
+
+  const [state, setState] = useState(() => ({ key, preferences: read() }));
+
+  // Another user signed in: load their settings
+  const preferences = state.key === key ? state.preferences : read();
+
+  const update = useCallback((changes) => {
+    const next = { ...read(), ...changes };
+    localStorage.setItem(key, JSON.stringify(next));
+    setState({ key, preferences: next });
+  }, [key, read]);
+
+  return [preferences, update];
+};
@@ -0,0 +1,472 @@
+/**
+ * Admin Page
+ *
+ * Catalogue maintenance for admins:
+ *
+ * - Possible duplicates: pairs of schemes that look alike, with how similar
+ *   their titles, links and descriptions are. Merging keeps the chosen
+ *   scheme, fills in details it lacks from the duplicate, and makes links
+ *   and chat citations of the duplicate lead to it.
+ * - Link health: schemes whose official link failed (or now redirects) at
+ *   the last background check, with a button to check again.
+ * - Security events: recent login lockouts, to spot password guessing.
+ *
+ * @module pages/Admin
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { schemesAPI, adminAPI } from '../services/api';
+import ReviewStatusBadge from '../components/ReviewStatusBadge';
+import { formatErrorMessage, formatDate } from '../utils/helpers';
+import { ROUTES } from '../utils/constants';
+
+// Labels for the per-signal similarity of a duplicate pair
+const MATCH_LABELS = { title: 'Title', url: 'Link', description: 'Description' };
+
+/**
+ * Formats a 0-1 similarity as a percentage
+ * @param {number} value - Similarity
+ * @returns {string} e.g. "87%"
+ */
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * One side of a duplicate pair
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme summary from the duplicate report
+ * @param {boolean} props.busy - Disables the merge button
+ * @param {Function} props.onKeep - Keeps this scheme and merges the other into it
+ * @returns {JSX.Element} Scheme summary with a keep button
+ */
+function PairSide({ scheme, busy, onKeep }) {
+  return (
+    <div className="flex-1 min-w-0 border border-gray-200 rounded-lg p-4">
+      <div className="flex items-start justify-between gap-2">
+        <Link
+          to={`${ROUTES.SCHEMES}/${scheme._id}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="font-semibold text-gray-900 hover:text-indigo-600"
+        >
+          {scheme.title}
+        </Link>
+        <ReviewStatusBadge scheme={scheme} />
+      </div>
+      <p className="mt-1 text-sm text-gray-500 break-all">
+        {[scheme.category, scheme.key, scheme.url].filter(Boolean).join(' · ') || 'No category or link'}
+      </p>
+      <button
+        onClick={onKeep}
+        disabled={busy}
+        className="mt-3 px-3 py-1.5 border border-indigo-300 text-indigo-700 rounded-lg text-sm font-medium hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+      >
+        Keep this, merge the other
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Duplicate pairs with merge actions
+ *
+ * @returns {JSX.Element} Duplicates section
+ */
+function DuplicatesSection() {
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Fetches the duplicate report
+   */
+  const fetchDuplicates = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setPairs(await schemesAPI.getDuplicates());
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      setPairs([]);
+      console.error('Error fetching duplicates:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDuplicates();
+  }, [fetchDuplicates]);
+
+  /**
+   * Merges one scheme of a pair into the other after confirmation
+   * @param {Object} keep - Scheme that is kept
+   * @param {Object} duplicate - Scheme merged into it
+   */
+  const handleMerge = async (keep, duplicate) => {
+    if (!window.confirm(`Merge "${duplicate.title}" into "${keep.title}"? "${duplicate.title}" will be deleted.`)) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = await schemesAPI.merge(keep._id, [duplicate._id]);
+      setNotice(`${data.msg} into "${keep.title}".`);
+      await fetchDuplicates();
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error merging schemes:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Possible duplicates</h2>
+        <button
+          onClick={fetchDuplicates}
+          disabled={loading || busy}
+          className="text-sm text-indigo-600 hover:text-indigo-700 font-medium disabled:opacity-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {notice && (
+        <div className="mb-4 p-4 rounded-lg bg-green-50 border border-green-300 text-green-800" role="status">
+          <p>{notice}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+          <p className="mt-4 text-gray-600">Looking for duplicates...</p>
+        </div>
+      )}
+
+      {!loading && !error && pairs.length === 0 && (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <p className="text-gray-600 text-lg font-medium">No likely duplicates</p>
+        </div>
+      )}
+
+      {!loading && pairs.length > 0 && (
+        <ul className="space-y-4">
+          {pairs.map(({ schemes: [first, second], score, matches }) => (
+            <li key={`${first._id}-${second._id}`} className="bg-white rounded-lg shadow-md p-4">
+              <p className="text-sm text-gray-600 mb-3">
+                <span className="font-semibold text-gray-900">{percent(score)} similar</span>
+                {' · '}
+                {Object.entries(matches)
+                  .map(([signal, value]) => `${MATCH_LABELS[signal]} ${percent(value)}`)
+                  .join(' · ')}
+              </p>
+              <div className="flex flex-col sm:flex-row gap-4">
+                <PairSide scheme={first} busy={busy} onKeep={() => handleMerge(first, second)} />
+                <PairSide scheme={second} busy={busy} onKeep={() => handleMerge(second, first)} />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// Tabs of the link health report
+const LINK_TABS = [
+  { status: 'broken', label: 'Broken' },
+  { status: 'redirected', label: 'Redirected' },
+];
+
+/**
+ * Schemes whose official link failed or redirects, with a recheck button
+ *
+ * @returns {JSX.Element} Link health section
+ */
+function LinkHealthSection() {
+  const [status, setStatus] = useState('broken');
+  const [schemes, setSchemes] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [checkingId, setCheckingId] = useState(null);
+
+  /**
+   * Fetches the link report for the selected tab
+   */
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await schemesAPI.getLinkReport(status);
+      setSchemes(data.schemes);
+      setCounts(data.counts);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      setSchemes([]);
+      console.error('Error fetching link report:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  /**
+   * Checks one link again and updates its row
+   * @param {string} id - Scheme ID
+   */
+  const handleRecheck = async (id) => {
+    setCheckingId(id);
+    setError('');
+    try {
+      const updated = await schemesAPI.checkLink(id);
+      setSchemes((current) => current.map((scheme) => (scheme._id === id ? updated : scheme)));
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error checking link:', err);
+    } finally {
+      setCheckingId(null);
+    }
+  };
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Link health</h2>
+        {counts && (
+          <p className="text-sm text-gray-600">
+            {counts.ok} ok · {counts.redirected} redirected · {counts.broken} broken · {counts.unchecked} not checked yet
+          </p>
+        )}
+      </div>
+
+      <div className="flex gap-2 mb-4" role="tablist">
+        {LINK_TABS.map((tab) => (
+          <button
+            key={tab.status}
+            role="tab"
+            aria-selected={status === tab.status}
+            onClick={() => setStatus(tab.status)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium border transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+              status === tab.status
+                ? 'bg-indigo-600 border-indigo-600 text-white'
+                : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+          <p className="mt-4 text-gray-600">Loading link report...</p>
+        </div>
+      )}
+
+      {!loading && !error && schemes.length === 0 && (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <p className="text-gray-600 text-lg font-medium">
+            {status === 'broken' ? 'No broken links' : 'No redirected links'}
+          </p>
+        </div>
+      )}
+
+      {!loading && schemes.length > 0 && (
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+          {schemes.map((scheme) => {
+            const health = scheme.linkHealth || {};
+            return (
+              <li key={scheme._id} className="p-4 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div className="min-w-0">
+                  <Link
+                    to={`${ROUTES.SCHEMES}/${scheme._id}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-semibold text-gray-900 hover:text-indigo-600"
+                  >
+                    {scheme.title}
+                  </Link>
+                  <p className="text-sm text-gray-500 break-all">{scheme.url}</p>
+                  {health.status === 'broken' && (
+                    <p className="text-sm text-red-700">
+                      {health.error}
+                      {health.failures > 1 && ` · failed ${health.failures} checks in a row`}
+                    </p>
+                  )}
+                  {health.finalUrl && health.finalUrl !== scheme.url && (
+                    <p className="text-sm text-gray-600 break-all">Ends up at {health.finalUrl}</p>
+                  )}
+                  {health.checkedAt && <p className="text-xs text-gray-500">Checked {formatDate(health.checkedAt)}</p>}
+                </div>
+                <button
+                  onClick={() => handleRecheck(scheme._id)}
+                  disabled={checkingId !== null}
+                  className="shrink-0 px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+                >
+                  {checkingId === scheme._id ? 'Checking...' : 'Check again'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// What was locked out by a login lockout event
+const LOCKOUT_SCOPES = { ip: 'IP address', account: 'Account' };
+
+/**
+ * Formats a lockout length
+ * @param {number} ms - Lockout in milliseconds
+ * @returns {string} e.g. "30 s" or "16 min"
+ */
+const formatLockout = (ms) => (ms < 60000 ? `${Math.round(ms / 1000)} s` : `${Math.round(ms / 60000)} min`);
+
+/**
+ * Recent login lockouts
+ *
+ * @returns {JSX.Element} Security events section
+ */
+function SecurityEventsSection() {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetches recent security events
+   */
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await adminAPI.getSecurityEvents({ type: 'login_lockout' });
+      setEvents(data.events);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      setEvents([]);
+      console.error('Error fetching security events:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Login lockouts</h2>
+        <button
+          onClick={fetchEvents}
+          disabled={loading}
+          className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+          <p className="mt-4 text-gray-600">Loading security events...</p>
+        </div>
+      )}
+
+      {!loading && !error && events.length === 0 && (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <p className="text-gray-600 text-lg font-medium">No lockouts in the last 90 days</p>
+        </div>
+      )}
+
+      {!loading && events.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="px-4 py-2 font-medium">When</th>
+                <th className="px-4 py-2 font-medium">Locked</th>
+                <th className="px-4 py-2 font-medium">Email</th>
+                <th className="px-4 py-2 font-medium">IP address</th>
+                <th className="px-4 py-2 font-medium">Failures</th>
+                <th className="px-4 py-2 font-medium">For</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {events.map((event) => (
+                <tr key={event._id}>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-700">
+                    {formatDate(event.createdAt, { hour: '2-digit', minute: '2-digit' })}
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">{LOCKOUT_SCOPES[event.details?.scope] || event.details?.scope}</td>
+                  <td className="px-4 py-2 text-gray-900 break-all">
+                    {event.email || '—'}
+                    {event.user && <span className="block text-xs text-gray-500">{event.user.name}</span>}
+                  </td>
+                  <td className="px-4 py-2 text-gray-700 break-all">{event.ip}</td>
+                  <td className="px-4 py-2 text-gray-700">{event.details?.failures}</td>
+                  <td className="px-4 py-2 text-gray-700">
+                    {event.details?.lockedForMs ? formatLockout(event.details.lockedForMs) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Admin Component
+ *
+ * @returns {JSX.Element} Admin page
+ */
+export default function Admin() {
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-5xl mx-auto space-y-10">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Admin</h1>
+          <p className="text-gray-600">Keep the scheme catalogue clean and watch for password guessing.</p>
+        </div>
+        <DuplicatesSection />
+        <LinkHealthSection />
+        <SecurityEventsSection />
+      </div>
+    </div>
+  );
+}
@@ -4,15 +4,21 @@
  * AI-powered chatbot interface for user interaction.
  * Provides NLP-based chat interface to answer user queries about
  * schemes, scholarships, jobs, and educational resources.
+ * Conversations are kept as separate threads; the open thread is part
+ * of the URL (`/chat/:conversationId`).
  * 
  * @module pages/Chat
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { chatAPI } from '../services/api';
+import { useParams, useNavigate } from 'react-router-dom';
+import { chatAPI, conversationsAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
-import { formatErrorMessage } from '../utils/helpers';
-import { PERFORMANCE_THRESHOLDS } from '../utils/constants';
+import { formatErrorMessage, textDirection } from '../utils/helpers';
+import { PERFORMANCE_THRESHOLDS, ROUTES, VOICE_CONFIG } from '../utils/constants';
+import { useSpeechRecognition, useSpeechSynthesis, useVoicePreferences } from '../hooks/useSpeech';
+import SchemeSourceCard from '../components/SchemeSourceCard';
+import ConversationSidebar from '../components/ConversationSidebar';
 
 /**
  * Message interface
@@ -21,8 +27,68 @@ import { PERFORMANCE_THRESHOLDS } from '../utils/constants';
  * @property {string} text - Message text
  * @property {boolean} isUser - True if message is from user
  * @property {Date} timestamp - Message timestamp
+ * @property {string} [language] - BCP 47 language of the text, e.g. "hi"
+ * @property {Array<Object>} [sources] - Schemes cited by the bot
+ * @property {boolean} [stopped] - True if the user stopped the reply mid-stream
  */
 
+/**
+ * Number of stored messages fetched per history page
+ */
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Transcript formats offered by the Export menu
+ */
+const EXPORT_OPTIONS = [
+  { format: 'markdown', label: 'Markdown (.md)' },
+  { format: 'pdf', label: 'PDF (.pdf)' },
+  { format: 'json', label: 'JSON (.json)' },
+];
+
+/**
+ * Builds the URL of a conversation
+ * @param {string} id - Conversation ID
+ * @returns {string} Chat URL for the conversation
+ */
+const conversationPath = (id) => `${ROUTES.CHAT}/${id}`;
+
+/**
+ * Appends dictated text to whatever was typed before dictation started
+ * @param {string} typed - Input text before the microphone was switched on
+ * @param {string} spoken - Recognised speech
+ * @returns {string} Combined input
+ */
+const appendSpeech = (typed, spoken) => [typed.trim(), spoken].filter(Boolean).join(' ');
+
+/**
+ * Builds the greeting shown when there is no stored conversation
+ *
+ * @param {string} [name] - User's display name
+ * @returns {Message} Welcome message
+ */
+const createWelcomeMessage = (name) => ({
+  id: 'welcome',
+  text: `Hello${name ? `, ${name}` : ''}! I'm VoxAi, your AI-powered assistant. I can help you find information about government schemes, scholarships, job opportunities, and educational resources. How can I assist you today?`,
+  isUser: false,
+  timestamp: new Date(),
+});
+
+/**
+ * Converts a stored history entry from the API into a chat message
+ *
+ * @param {Object} entry - History entry returned by chatAPI.getHistory
+ * @returns {Message} Chat message
+ */
+const toChatMessage = (entry) => ({
+  id: entry.id,
+  text: entry.text,
+  isUser: entry.role === 'user',
+  timestamp: new Date(entry.timestamp),
+  language: entry.language,
+  sources: entry.sources || [],
+});
+
 /**
  * Chat Component
  * NLP-based chatbot interface for user queries
@@ -34,9 +100,39 @@ export default function Chat() {
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [historyLoading, setHistoryLoading] = useState(true);
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [conversationsLoading, setConversationsLoading] = useState(true);
+  const [showArchived, setShowArchived] = useState(false);
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const skipScrollRef = useRef(false);
+  const streamControllerRef = useRef(null);
+  const skipHistoryLoadRef = useRef(null);
+  const sendMessageRef = useRef(null);
+  const typedBeforeSpeechRef = useRef('');
   const { user } = useAuth();
+  const { conversationId } = useParams();
+  const navigate = useNavigate();
+  const [voicePreferences, setVoicePreferences] = useVoicePreferences(user?.id);
+  const { supported: canSpeak, speak, cancel: cancelSpeech } = useSpeechSynthesis();
+  const {
+    supported: canListen,
+    listening,
+    error: voiceError,
+    start: startListening,
+    stop: stopListening,
+  } = useSpeechRecognition({
+    lang: VOICE_CONFIG.LANGUAGE,
+    onInterim: (spoken) => setInput(appendSpeech(typedBeforeSpeechRef.current, spoken)),
+    // The user stopped speaking: send what they said
+    onFinal: (spoken) => sendMessageRef.current(appendSpeech(typedBeforeSpeechRef.current, spoken)),
+  });
+  const activeConversation = conversations.find((conversation) => conversation.id === conversationId);
 
   /**
    * Scrolls to bottom of messages
@@ -46,24 +142,113 @@ export default function Chat() {
   }, []);
 
   /**
-   * Scrolls to bottom when messages change
+   * Scrolls to bottom when new messages arrive
+   * Skipped while older history pages are being prepended
    */
   useEffect(() => {
+    if (skipScrollRef.current) {
+      skipScrollRef.current = false;
+      return;
+    }
     scrollToBottom();
   }, [messages, scrollToBottom]);
 
   /**
-   * Initialize chat with welcome message
+   * Loads the sidebar's thread list
+   */
+  const loadConversations = useCallback(async () => {
+    try {
+      setConversationsLoading(true);
+      setConversations(await conversationsAPI.list(showArchived));
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error loading conversations:', err);
+    } finally {
+      setConversationsLoading(false);
+    }
+  }, [showArchived]);
+
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  /**
+   * Initialize chat from the open thread's stored history
+   * Without a thread in the URL, opens the most recent one; falls back to
+   * the welcome message when nothing has been stored yet
    */
   useEffect(() => {
-    const welcomeMessage = {
-      id: 'welcome',
-      text: `Hello${user?.name ? `, ${user.name}` : ''}! I'm VoxAi, your AI-powered assistant. I can help you find information about government schemes, scholarships, job opportunities, and educational resources. How can I assist you today?`,
-      isUser: false,
-      timestamp: new Date(),
+    // Thread created by handleSubmit: its messages are already on screen
+    if (conversationId && conversationId === skipHistoryLoadRef.current) {
+      skipHistoryLoadRef.current = null;
+      return;
+    }
+
+    // Switching threads cancels a reply still streaming into the old one
+    streamControllerRef.current?.abort();
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      try {
+        setHistoryLoading(true);
+        setHistoryCursor(null);
+        setError('');
+
+        if (!conversationId) {
+          const [latest] = await conversationsAPI.list();
+          if (cancelled) return;
+          if (latest) {
+            navigate(conversationPath(latest.id), { replace: true });
+            return;
+          }
+          setMessages([createWelcomeMessage(user?.name)]);
+          return;
+        }
+
+        const data = await chatAPI.getHistory(HISTORY_PAGE_SIZE, null, conversationId);
+        if (cancelled) return;
+
+        const history = (data.messages || []).map(toChatMessage);
+        setMessages(history.length > 0 ? history : [createWelcomeMessage(user?.name)]);
+        setHistoryCursor(data.hasMore ? data.nextCursor : null);
+      } catch (err) {
+        if (cancelled) return;
+        setMessages([createWelcomeMessage(user?.name)]);
+        setError(formatErrorMessage(err));
+        console.error('Error loading chat history:', err);
+        if (err.response?.status === 404) {
+          navigate(ROUTES.CHAT, { replace: true });
+        }
+      } finally {
+        if (!cancelled) setHistoryLoading(false);
+      }
     };
-    setMessages([welcomeMessage]);
-  }, [user?.name]);
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId, navigate, user?.name]);
+
+  /**
+   * Loads the next page of older messages and prepends it
+   */
+  const handleLoadEarlier = async () => {
+    if (!historyCursor || historyLoading) return;
+
+    try {
+      setHistoryLoading(true);
+      const data = await chatAPI.getHistory(HISTORY_PAGE_SIZE, historyCursor, conversationId);
+      skipScrollRef.current = true;
+      setMessages((prev) => [...(data.messages || []).map(toChatMessage), ...prev]);
+      setHistoryCursor(data.hasMore ? data.nextCursor : null);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error loading earlier messages:', err);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
 
   /**
    * Handles input field changes
@@ -76,21 +261,19 @@ export default function Chat() {
   };
 
   /**
-   * Handles form submission
-   * Sends user message to chatbot API
+   * Sends a user message to the chatbot API
+   * Used by the form and by voice input
    * 
-   * @param {Event} e - Form submit event
+   * @param {string} text - Message to send
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!input.trim() || loading) {
+  const sendMessage = async (text) => {
+    if (!text.trim() || loading) {
       return;
     }
 
     const userMessage = {
       id: Date.now().toString(),
-      text: input.trim(),
+      text: text.trim(),
       isUser: true,
       timestamp: new Date(),
     };
@@ -101,11 +284,51 @@ export default function Chat() {
     setLoading(true);
     setError('');
 
+    const botMessageId = `pending-${Date.now()}`;
+    const startTime = Date.now();
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+
+    /**
+     * Applies changes to the in-progress bot message
+     * @param {Function} update - Receives the message and returns the new one
+     */
+    const updateBotMessage = (update) => {
+      setMessages((prev) => prev.map((msg) => (msg.id === botMessageId ? update(msg) : msg)));
+    };
+
     try {
-      const startTime = Date.now();
-      
-      // Send message to chatbot API
-      const response = await chatAPI.sendMessage(userMessage.text, user?.id);
+      let targetId = conversationId;
+      if (!targetId) {
+        // First message on a fresh page: start a thread and move to its URL
+        const created = await conversationsAPI.create();
+        targetId = created.id;
+        skipHistoryLoadRef.current = targetId;
+        navigate(conversationPath(targetId), { replace: true });
+      }
+
+      let response;
+      let streamedText = '';
+
+      try {
+        // Stream the reply so text appears as it is generated
+        response = await chatAPI.streamMessage(userMessage.text, {
+          conversationId: targetId,
+          signal: controller.signal,
+          onChunk: (chunk) => {
+            streamedText += chunk;
+            setMessages((prev) =>
+              prev.some((msg) => msg.id === botMessageId)
+                ? prev.map((msg) => (msg.id === botMessageId ? { ...msg, text: msg.text + chunk } : msg))
+                : [...prev, { id: botMessageId, text: chunk, isUser: false, timestamp: new Date(), sources: [] }]
+            );
+          },
+        });
+      } catch (streamErr) {
+        if (!streamErr.streamUnavailable) throw streamErr;
+        // Streaming unsupported: fall back to the regular endpoint
+        response = await chatAPI.sendMessage(userMessage.text, user?.id, targetId);
+      }
 
       const responseTime = Date.now() - startTime;
 
@@ -115,14 +338,49 @@ export default function Chat() {
       }
 
       const botMessage = {
-        id: (Date.now() + 1).toString(),
+        id: response.messageId || (Date.now() + 1).toString(),
         text: response.message || response.response || 'I apologize, but I couldn\'t process your request. Please try again.',
         isUser: false,
-        timestamp: new Date(),
+        timestamp: new Date(response.timestamp || Date.now()),
+        language: response.language,
+        sources: response.sources || [],
       };
 
-      setMessages((prev) => [...prev, botMessage]);
+      // Streamed replies already hold the text; fill in the final ID, language and sources.
+      // The reply is in the language detected for the user's message, so tag that too.
+      setMessages((prev) => {
+        const updated = prev.map((msg) => {
+          if (msg.id === userMessage.id) return { ...msg, language: botMessage.language };
+          if (msg.id === botMessageId) {
+            return {
+              ...msg,
+              id: botMessage.id,
+              timestamp: botMessage.timestamp,
+              language: botMessage.language,
+              sources: botMessage.sources,
+            };
+          }
+          return msg;
+        });
+        return prev.some((msg) => msg.id === botMessageId) ? updated : [...updated, botMessage];
+      });
+
+      if (voicePreferences.readAloud) {
+        speak(
+          streamedText || botMessage.text,
+          VOICE_CONFIG.SPEECH_LANGUAGES[botMessage.language] || VOICE_CONFIG.LANGUAGE
+        );
+      }
+
+      // Pick up the auto-generated title and new ordering
+      loadConversations();
     } catch (err) {
+      if (err.name === 'AbortError') {
+        // Stopped by the user: keep whatever text already arrived
+        updateBotMessage((msg) => ({ ...msg, id: `stopped-${Date.now()}`, stopped: true }));
+        return;
+      }
+
       const errorMessage = formatErrorMessage(err);
       setError(errorMessage);
 
@@ -133,14 +391,61 @@ export default function Chat() {
         timestamp: new Date(),
       };
 
-      setMessages((prev) => [...prev, errorBotMessage]);
+      // Replace any partial streamed text with the error notice
+      setMessages((prev) => [...prev.filter((msg) => msg.id !== botMessageId), errorBotMessage]);
       console.error('Chat error:', err);
     } finally {
+      streamControllerRef.current = null;
       setLoading(false);
       inputRef.current?.focus();
     }
   };
 
+  // Voice input calls the latest sendMessage, which sees current state
+  useEffect(() => {
+    sendMessageRef.current = sendMessage;
+  });
+
+  /**
+   * Handles form submission
+   * 
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    sendMessage(input);
+  };
+
+  /**
+   * Starts or stops dictation
+   * Dictated text is appended to anything already typed
+   */
+  const handleMicClick = () => {
+    if (listening) {
+      stopListening();
+      return;
+    }
+    cancelSpeech();
+    typedBeforeSpeechRef.current = input;
+    setError('');
+    startListening();
+  };
+
+  /**
+   * Turns reading replies aloud on or off for this user
+   */
+  const handleToggleReadAloud = () => {
+    if (voicePreferences.readAloud) cancelSpeech();
+    setVoicePreferences({ readAloud: !voicePreferences.readAloud });
+  };
+
+  /**
+   * Stops the reply that is currently streaming
+   */
+  const handleStop = () => {
+    streamControllerRef.current?.abort();
+  };
+
   /**
    * Handles Enter key press (without Shift)
    * Submits form if Enter is pressed, allows new line with Shift+Enter
@@ -155,121 +460,359 @@ export default function Chat() {
   };
 
   /**
-   * Clears chat history
+   * Clears the open thread
+   * Deletes its stored messages on the server before resetting the view
    */
-  const handleClearChat = () => {
-    if (window.confirm('Are you sure you want to clear the chat history?')) {
-      const welcomeMessage = {
-        id: 'welcome',
-        text: `Hello${user?.name ? `, ${user.name}` : ''}! I'm VoxAi, your AI-powered assistant. How can I assist you today?`,
-        isUser: false,
-        timestamp: new Date(),
-      };
-      setMessages([welcomeMessage]);
+  const handleClearChat = async () => {
+    if (!window.confirm('Are you sure you want to clear this conversation?')) {
+      return;
+    }
+
+    try {
+      if (conversationId) await chatAPI.clearHistory(conversationId);
+      setMessages([createWelcomeMessage(user?.name)]);
+      setHistoryCursor(null);
       setError('');
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error clearing chat history:', err);
+    }
+  };
+
+  /**
+   * Downloads the open thread as a transcript file
+   * @param {string} format - Transcript format
+   */
+  const handleExport = async (format) => {
+    setExportMenuOpen(false);
+    if (!conversationId) return;
+
+    try {
+      setExporting(true);
+      const { blob, fileName } = await chatAPI.exportConversation(conversationId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error exporting conversation:', err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Opens a thread from the sidebar
+   * @param {string} id - Conversation ID
+   */
+  const handleSelectConversation = (id) => {
+    setSidebarOpen(false);
+    if (id !== conversationId) navigate(conversationPath(id));
+  };
+
+  /**
+   * Starts a new, empty thread
+   */
+  const handleNewConversation = async () => {
+    try {
+      const created = await conversationsAPI.create();
+      setShowArchived(false);
+      setConversations((prev) => [created, ...prev]);
+      setSidebarOpen(false);
+      navigate(conversationPath(created.id));
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error creating conversation:', err);
+    }
+  };
+
+  /**
+   * Renames a thread
+   * @param {string} id - Conversation ID
+   * @param {string} title - New title
+   */
+  const handleRenameConversation = async (id, title) => {
+    try {
+      const updated = await conversationsAPI.update(id, { title });
+      setConversations((prev) => prev.map((conversation) => (conversation.id === id ? updated : conversation)));
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error renaming conversation:', err);
+    }
+  };
+
+  /**
+   * Archives or restores a thread, moving it out of the current list
+   * @param {string} id - Conversation ID
+   * @param {boolean} archived - New archived flag
+   */
+  const handleArchiveConversation = async (id, archived) => {
+    try {
+      await conversationsAPI.update(id, { archived });
+      setConversations((prev) => prev.filter((conversation) => conversation.id !== id));
+      if (archived && id === conversationId) navigate(ROUTES.CHAT);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error archiving conversation:', err);
+    }
+  };
+
+  /**
+   * Permanently deletes a thread and its messages
+   * @param {string} id - Conversation ID
+   */
+  const handleDeleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation and all of its messages? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await conversationsAPI.remove(id);
+      setConversations((prev) => prev.filter((conversation) => conversation.id !== id));
+      if (id === conversationId) navigate(ROUTES.CHAT);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error deleting conversation:', err);
     }
   };
 
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
-      <div className="max-w-4xl mx-auto w-full flex flex-col h-screen">
-        {/* Header */}
-        <div className="bg-white shadow-md px-6 py-4 flex justify-between items-center">
-          <div>
-            <h1 className="text-2xl font-bold text-gray-900">VoxAi Chat</h1>
-            <p className="text-sm text-gray-600">AI-Powered Information Assistant</p>
+      <div className="max-w-6xl mx-auto w-full flex h-screen">
+        {/* Thread Sidebar (overlay on small screens) */}
+        <div className={`${sidebarOpen ? 'fixed inset-0 z-20 flex' : 'hidden'} md:static md:flex md:flex-shrink-0`}>
+          <div className="w-64 h-full">
+            <ConversationSidebar
+              conversations={conversations}
+              activeId={conversationId}
+              showArchived={showArchived}
+              loading={conversationsLoading}
+              onToggleArchived={() => setShowArchived((prev) => !prev)}
+              onSelect={handleSelectConversation}
+              onNew={handleNewConversation}
+              onRename={handleRenameConversation}
+              onArchive={handleArchiveConversation}
+              onDelete={handleDeleteConversation}
+            />
           </div>
-          <button
-            onClick={handleClearChat}
-            className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
-            aria-label="Clear chat"
-          >
-            Clear Chat
-          </button>
+          {sidebarOpen && (
+            <div className="flex-1 bg-black/30 md:hidden" onClick={() => setSidebarOpen(false)} aria-hidden="true" />
+          )}
         </div>
 
-        {/* Messages Area */}
-        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
-          {messages.map((message) => (
-            <div
-              key={message.id}
-              className={`flex ${message.isUser ? 'justify-end' : 'justify-start'}`}
-            >
-              <div
-                className={`max-w-[80%] rounded-lg px-4 py-2 ${
-                  message.isUser
-                    ? 'bg-indigo-600 text-white'
-                    : 'bg-white text-gray-900 shadow-md'
-                }`}
+        <div className="flex-1 min-w-0 flex flex-col">
+          {/* Header */}
+          <div className="bg-white shadow-md px-6 py-4 flex justify-between items-center">
+            <div className="flex items-center gap-3 min-w-0">
+              <button
+                onClick={() => setSidebarOpen(true)}
+                className="md:hidden px-2 py-1 text-gray-700 hover:bg-gray-100 rounded-lg"
+                aria-label="Show conversations"
               >
-                <p className="text-sm whitespace-pre-wrap break-words">
-                  {message.text}
+                ☰
+              </button>
+              <div className="min-w-0">
+                <h1 className="text-2xl font-bold text-gray-900">VoxAi Chat</h1>
+                <p className="text-sm text-gray-600 truncate">
+                  {activeConversation?.title || 'AI-Powered Information Assistant'}
                 </p>
-                <p
-                  className={`text-xs mt-1 ${
-                    message.isUser ? 'text-indigo-200' : 'text-gray-500'
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              {canSpeak && (
+                <button
+                  onClick={handleToggleReadAloud}
+                  className={`px-3 py-2 text-sm rounded-lg transition-colors ${
+                    voicePreferences.readAloud
+                      ? 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+                      : 'text-gray-700 hover:text-gray-900 hover:bg-gray-100'
                   }`}
+                  aria-pressed={voicePreferences.readAloud}
+                  title="Read replies aloud"
                 >
-                  {message.timestamp.toLocaleTimeString()}
-                </p>
+                  {voicePreferences.readAloud ? '🔊 Read aloud' : '🔈 Read aloud'}
+                </button>
+              )}
+              <div className="relative">
+                <button
+                  onClick={() => setExportMenuOpen((prev) => !prev)}
+                  disabled={!conversationId || exporting}
+                  className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  aria-haspopup="menu"
+                  aria-expanded={exportMenuOpen}
+                >
+                  {exporting ? 'Exporting...' : 'Export'}
+                </button>
+                {exportMenuOpen && (
+                  <div
+                    className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded-lg shadow-lg z-10 py-1"
+                    role="menu"
+                  >
+                    {EXPORT_OPTIONS.map(({ format, label }) => (
+                      <button
+                        key={format}
+                        onClick={() => handleExport(format)}
+                        className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                        role="menuitem"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
+              <button
+                onClick={handleClearChat}
+                className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+                aria-label="Clear chat"
+              >
+                Clear Chat
+              </button>
             </div>
-          ))}
-
-          {/* Loading Indicator */}
-          {loading && (
-            <div className="flex justify-start">
-              <div className="bg-white text-gray-900 shadow-md rounded-lg px-4 py-2">
-                <div className="flex items-center space-x-2">
-                  <div className="flex space-x-1">
-                    <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0ms' }}></div>
-                    <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '150ms' }}></div>
-                    <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '300ms' }}></div>
+          </div>
+
+          {/* Messages Area */}
+          <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+            {/* Older History */}
+            {historyCursor && (
+              <div className="text-center">
+                <button
+                  onClick={handleLoadEarlier}
+                  disabled={historyLoading}
+                  className="text-sm text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+                >
+                  {historyLoading ? 'Loading...' : 'Load earlier messages'}
+                </button>
+              </div>
+            )}
+
+            {messages.map((message) => (
+              <div
+                key={message.id}
+                className={`flex ${message.isUser ? 'justify-end' : 'justify-start'}`}
+              >
+                <div
+                  className={`max-w-[80%] rounded-lg px-4 py-2 ${
+                    message.isUser
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-white text-gray-900 shadow-md'
+                  }`}
+                >
+                  <p
+                    lang={message.language}
+                    dir={textDirection(message.language)}
+                    className="text-sm whitespace-pre-wrap break-words"
+                  >
+                    {message.text}
+                  </p>
+                  <p
+                    className={`text-xs mt-1 ${
+                      message.isUser ? 'text-indigo-200' : 'text-gray-500'
+                    }`}
+                  >
+                    {message.timestamp.toLocaleTimeString()}
+                    {message.stopped && ' · stopped'}
+                  </p>
+                  {message.sources?.length > 0 && (
+                    <div className="mt-3 grid gap-2 sm:grid-cols-2">
+                      {message.sources.map((source) => (
+                        <SchemeSourceCard key={source.id} source={source} />
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+
+            {/* Loading Indicator (until the first streamed text arrives) */}
+            {loading && messages[messages.length - 1]?.isUser && (
+              <div className="flex justify-start">
+                <div className="bg-white text-gray-900 shadow-md rounded-lg px-4 py-2">
+                  <div className="flex items-center space-x-2">
+                    <div className="flex space-x-1">
+                      <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0ms' }}></div>
+                      <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '150ms' }}></div>
+                      <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '300ms' }}></div>
+                    </div>
+                    <span className="text-xs text-gray-500">VoxAi is typing...</span>
                   </div>
-                  <span className="text-xs text-gray-500">VoxAi is typing...</span>
                 </div>
               </div>
-            </div>
-          )}
+            )}
 
-          <div ref={messagesEndRef} />
-        </div>
+            <div ref={messagesEndRef} />
+          </div>
 
-        {/* Error Message */}
-        {error && (
-          <div className="px-6 py-2">
-            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm">
-              {error}
+          {/* Error Message */}
+          {(error || voiceError) && (
+            <div className="px-6 py-2">
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm">
+                {error || voiceError}
+              </div>
             </div>
+          )}
+
+          {/* Input Area */}
+          <div className="bg-white border-t border-gray-200 px-6 py-4">
+            <form onSubmit={handleSubmit} className="flex gap-2">
+              {canListen && (
+                <button
+                  type="button"
+                  onClick={handleMicClick}
+                  disabled={loading}
+                  className={`px-3 py-2 rounded-lg border transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed ${
+                    listening
+                      ? 'bg-red-50 border-red-300 text-red-600 animate-pulse'
+                      : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+                  }`}
+                  aria-label={listening ? 'Stop voice input' : 'Start voice input'}
+                  aria-pressed={listening}
+                  title={listening ? 'Listening... click to stop' : 'Speak your message'}
+                >
+                  🎤
+                </button>
+              )}
+              <textarea
+                ref={inputRef}
+                value={input}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                placeholder={listening ? 'Listening...' : 'Type your message here... (Press Enter to send, Shift+Enter for new line)'}
+                rows={1}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none resize-none transition"
+                disabled={loading}
+                readOnly={listening}
+                aria-label="Chat input"
+              />
+              {loading ? (
+                <button
+                  type="button"
+                  onClick={handleStop}
+                  className="px-6 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition-colors"
+                  aria-label="Stop response"
+                >
+                  Stop
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={!input.trim()}
+                  className="px-6 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  aria-label="Send message"
+                >
+                  Send
+                </button>
+              )}
+            </form>
+            <p className="mt-2 text-xs text-gray-500 text-center">
+              Ask me about government schemes, scholarships, jobs, courses, or any other information you need!
+            </p>
           </div>
-        )}
-
-        {/* Input Area */}
-        <div className="bg-white border-t border-gray-200 px-6 py-4">
-          <form onSubmit={handleSubmit} className="flex gap-2">
-            <textarea
-              ref={inputRef}
-              value={input}
-              onChange={handleChange}
-              onKeyDown={handleKeyDown}
-              placeholder="Type your message here... (Press Enter to send, Shift+Enter for new line)"
-              rows={1}
-              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none resize-none transition"
-              disabled={loading}
-              aria-label="Chat input"
-            />
-            <button
-              type="submit"
-              disabled={loading || !input.trim()}
-              className="px-6 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-              aria-label="Send message"
-            >
-              Send
-            </button>
-          </form>
-          <p className="mt-2 text-xs text-gray-500 text-center">
-            Ask me about government schemes, scholarships, jobs, courses, or any other information you need!
-          </p>
         </div>
       </div>
     </div>
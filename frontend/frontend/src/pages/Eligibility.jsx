@@ -0,0 +1,420 @@
+/**
+ * Eligibility Checker Page
+ *
+ * Multi-step questionnaire that asks for the details schemes restrict on
+ * (age, state, income, category, education) and then lists the schemes the
+ * user qualifies for, might qualify for, and does not qualify for, with the
+ * reason behind every unmet criterion. Every question can be skipped.
+ * Signed-in users start from their saved answers and can save new ones.
+ *
+ * @module pages/Eligibility
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { schemesAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import ApplicationStatusBadge from '../components/ApplicationStatusBadge';
+import { formatErrorMessage } from '../utils/helpers';
+import { ROUTES, SCHEME_OPTIONS } from '../utils/constants';
+
+const INPUT_CLASS =
+  'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition';
+
+const EMPTY_ANSWERS = {
+  age: '',
+  gender: '',
+  state: '',
+  income: '',
+  socialCategory: '',
+  education: '',
+  occupation: '',
+};
+
+/** Questionnaire steps and the answers each one collects */
+const STEPS = [
+  { title: 'About you', fields: ['age', 'gender'] },
+  { title: 'Where you live', fields: ['state'] },
+  { title: 'Income and category', fields: ['income', 'socialCategory'] },
+  { title: 'Education and work', fields: ['education', 'occupation'] },
+];
+
+/** Result sections, in display order */
+const SECTIONS = [
+  {
+    key: 'eligible',
+    title: 'You are eligible',
+    empty: 'No schemes match all of your answers yet.',
+    className: 'border-green-300 bg-green-50',
+  },
+  {
+    key: 'partial',
+    title: 'You may be eligible',
+    hint: 'Answer the skipped questions to be sure.',
+    className: 'border-yellow-300 bg-yellow-50',
+  },
+  {
+    key: 'ineligible',
+    title: 'Not eligible',
+    className: 'border-gray-200 bg-white',
+  },
+];
+
+/**
+ * Turns the form answers into the profile the API expects
+ * @param {Object} answers - Form state
+ * @returns {Object} Profile with empty answers left out
+ */
+const toProfile = (answers) =>
+  Object.fromEntries(
+    Object.entries(answers)
+      .map(([field, value]) => [field, String(value).trim()])
+      .filter(([, value]) => value !== '')
+  );
+
+/**
+ * Checks the answers of one step
+ * @param {Object} answers - Form state
+ * @param {string[]} fields - Fields on the step
+ * @returns {Object} Error messages keyed by field
+ */
+const validateStep = (answers, fields) => {
+  const errors = {};
+  const isWholeNumber = (value) => /^\d+$/.test(String(value).trim());
+
+  if (fields.includes('age') && answers.age !== '') {
+    if (!isWholeNumber(answers.age) || Number(answers.age) > SCHEME_OPTIONS.MAX_AGE) {
+      errors.age = `Enter an age from 0 to ${SCHEME_OPTIONS.MAX_AGE}`;
+    }
+  }
+  if (fields.includes('income') && answers.income !== '' && !isWholeNumber(answers.income)) {
+    errors.income = 'Enter your yearly family income in whole rupees';
+  }
+  return errors;
+};
+
+/**
+ * One scheme in the results, with the criteria it was judged on
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.result - `{ scheme, met, unmet, unknown }` from the API
+ * @returns {JSX.Element} Result card
+ */
+function ResultCard({ result }) {
+  const { scheme, met, unmet, unknown } = result;
+
+  return (
+    <li className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <Link
+          to={`${ROUTES.SCHEMES}/${scheme._id}`}
+          className="font-semibold text-gray-900 hover:text-indigo-700 transition-colors"
+        >
+          {scheme.title}
+        </Link>
+        <ApplicationStatusBadge scheme={scheme} />
+      </div>
+
+      {met.length === 0 && unmet.length === 0 && unknown.length === 0 && (
+        <p className="text-sm text-gray-600">Open to everyone.</p>
+      )}
+      <ul className="space-y-1 text-sm">
+        {unmet.map((item) => (
+          <li key={item.criterion} className="text-red-700">
+            ✗ {item.reason}
+          </li>
+        ))}
+        {unknown.map((item) => (
+          <li key={item.criterion} className="text-yellow-800">
+            ? {item.reason}
+          </li>
+        ))}
+        {met.map((item) => (
+          <li key={item.criterion} className="text-green-700">
+            ✓ {item.reason}
+          </li>
+        ))}
+      </ul>
+    </li>
+  );
+}
+
+/**
+ * Eligibility Component
+ *
+ * @returns {JSX.Element} Eligibility checker page component
+ */
+export default function Eligibility() {
+  const { isAuthenticated } = useAuth();
+  const [answers, setAnswers] = useState(EMPTY_ANSWERS);
+  const [step, setStep] = useState(0);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [save, setSave] = useState(true);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Start from the saved profile, if the user has one
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    let cancelled = false;
+    schemesAPI
+      .checkEligibility()
+      .then((data) => {
+        if (cancelled) return;
+        setAnswers({ ...EMPTY_ANSWERS, ...data.profile });
+        setNotice('We filled in your saved answers. Change anything that is out of date.');
+      })
+      .catch(() => {
+        // No saved profile yet: start with an empty form
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  /**
+   * Handles input changes
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setAnswers({ ...answers, [name]: value });
+    if (fieldErrors[name]) setFieldErrors({ ...fieldErrors, [name]: '' });
+  };
+
+  /**
+   * Validates the current step and moves on, checking eligibility after the last one
+   * @param {Event} e - Form submit event
+   */
+  const handleNext = async (e) => {
+    e.preventDefault();
+    const errors = validateStep(answers, STEPS[step].fields);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    if (step < STEPS.length - 1) {
+      setStep(step + 1);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const data = await schemesAPI.checkEligibility(toProfile(answers), isAuthenticated && save);
+      setResults(data);
+      setNotice(data.saved ? 'Your answers were saved for next time.' : '');
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error checking eligibility:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Goes back to the questionnaire, keeping the answers
+   */
+  const handleEdit = () => {
+    setResults(null);
+    setNotice('');
+    setStep(0);
+  };
+
+  /**
+   * Renders one question
+   * @param {string} field - Answer name
+   * @returns {JSX.Element} Labelled input
+   */
+  const renderField = (field) => {
+    const select = (options, anyLabel) => (
+      <select id={field} name={field} value={answers[field]} onChange={handleChange} className={INPUT_CLASS}>
+        <option value="">{anyLabel}</option>
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    );
+
+    const questions = {
+      age: {
+        label: 'How old are you?',
+        input: (
+          <input
+            type="number"
+            id="age"
+            name="age"
+            min="0"
+            max={SCHEME_OPTIONS.MAX_AGE}
+            value={answers.age}
+            onChange={handleChange}
+            className={INPUT_CLASS}
+            placeholder="e.g., 19"
+          />
+        ),
+      },
+      gender: { label: 'Gender', input: select(SCHEME_OPTIONS.GENDERS, 'Prefer not to say') },
+      state: {
+        label: 'Which state or union territory do you live in?',
+        input: select(SCHEME_OPTIONS.STATES, 'Select a state'),
+      },
+      income: {
+        label: 'Annual family income (₹)',
+        input: (
+          <input
+            type="number"
+            id="income"
+            name="income"
+            min="0"
+            step="1"
+            value={answers.income}
+            onChange={handleChange}
+            className={INPUT_CLASS}
+            placeholder="e.g., 250000"
+          />
+        ),
+      },
+      socialCategory: {
+        label: 'Social category',
+        input: select(SCHEME_OPTIONS.SOCIAL_CATEGORIES, 'Prefer not to say'),
+      },
+      education: {
+        label: 'What are you studying now, or your highest education?',
+        input: select(SCHEME_OPTIONS.EDUCATION_LEVELS, 'Select a level'),
+      },
+      occupation: {
+        label: 'Occupation',
+        input: (
+          <input
+            type="text"
+            id="occupation"
+            name="occupation"
+            maxLength={60}
+            value={answers.occupation}
+            onChange={handleChange}
+            className={INPUT_CLASS}
+            placeholder="e.g., student, farmer, artisan"
+          />
+        ),
+      },
+    };
+
+    return (
+      <div key={field}>
+        <label htmlFor={field} className="block text-sm font-medium text-gray-700 mb-2">
+          {questions[field].label}
+        </label>
+        {questions[field].input}
+        {fieldErrors[field] && <p className="mt-1 text-sm text-red-600">{fieldErrors[field]}</p>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-4xl font-bold text-gray-900 mb-2">Am I eligible?</h1>
+        <p className="text-gray-600 mb-6">
+          Answer a few questions to see which schemes you qualify for. Skip anything you would rather not share.
+        </p>
+
+        {notice && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-300 text-green-800 rounded-lg" role="status">
+            {notice}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">{error}</div>
+        )}
+
+        {!results ? (
+          <form onSubmit={handleNext} className="bg-white rounded-lg shadow-md p-6 space-y-6">
+            {/* Progress */}
+            <div>
+              <div className="flex justify-between text-sm text-gray-600 mb-2">
+                <span className="font-medium text-gray-900">{STEPS[step].title}</span>
+                <span>
+                  Step {step + 1} of {STEPS.length}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-600 transition-all"
+                  style={{ width: `${((step + 1) / STEPS.length) * 100}%` }}
+                />
+              </div>
+            </div>
+
+            {STEPS[step].fields.map(renderField)}
+
+            {isAuthenticated && step === STEPS.length - 1 && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={save}
+                  onChange={(e) => setSave(e.target.checked)}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Save my answers for next time
+              </label>
+            )}
+
+            <div className="flex justify-between gap-3 pt-2">
+              <button
+                type="button"
+                onClick={() => setStep(step - 1)}
+                disabled={step === 0 || loading}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="px-6 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Checking...' : step === STEPS.length - 1 ? 'Check eligibility' : 'Next'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-8">
+            <button
+              onClick={handleEdit}
+              className="text-sm text-indigo-600 hover:text-indigo-700 font-medium"
+            >
+              ← Change my answers
+            </button>
+
+            {SECTIONS.map((section) => {
+              const items = results[section.key];
+              if (items.length === 0 && !section.empty) return null;
+              return (
+                <section key={section.key} className={`rounded-lg border p-6 ${section.className}`}>
+                  <h2 className="text-xl font-bold text-gray-900">
+                    {section.title} ({items.length})
+                  </h2>
+                  {section.hint && <p className="text-sm text-gray-600 mt-1">{section.hint}</p>}
+                  {items.length === 0 ? (
+                    <p className="mt-3 text-gray-600">{section.empty}</p>
+                  ) : (
+                    <ul className="mt-4 space-y-3">
+                      {items.map((result) => (
+                        <ResultCard key={result.scheme._id} result={result} />
+                      ))}
+                    </ul>
+                  )}
+                </section>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * Forgot Password Page
+ * 
+ * Asks for the account email and mails a password reset link. The answer
+ * is the same whether or not an account exists for the address.
+ * 
+ * @module pages/ForgotPassword
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { ROUTES } from '../utils/constants';
+import { isValidEmail, formatErrorMessage } from '../utils/helpers';
+
+/**
+ * Forgot Password Component
+ * 
+ * @returns {JSX.Element} Forgot password page component
+ */
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Requests the reset email
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!email) {
+      setError('Email is required');
+      return;
+    }
+    if (!isValidEmail(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const data = await authAPI.forgotPassword(email.trim());
+      setSuccess(data.msg);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-xl p-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Forgot Password</h1>
+          <p className="text-gray-600">We will email you a link to choose a new password</p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+            {success}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+              Email <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setError('');
+              }}
+              required
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+              placeholder="Enter your email"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-indigo-600 text-white py-3 rounded-lg font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {loading ? 'Sending...' : 'Send reset link'}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <Link to={ROUTES.LOGIN} className="text-indigo-600 hover:text-indigo-700 font-medium transition-colors">
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -67,6 +67,13 @@ export default function Home() {
           </div>
         )}
 
+        <p className="mt-6 text-gray-600">
+          Not sure which schemes you qualify for?{' '}
+          <Link to={ROUTES.ELIGIBILITY} className="text-indigo-600 hover:text-indigo-700 font-medium">
+            Check your eligibility →
+          </Link>
+        </p>
+
         {/* Features Section */}
         <div className="mt-16 grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="bg-white rounded-lg shadow-md p-6">
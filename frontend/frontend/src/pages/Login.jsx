@@ -3,15 +3,28 @@
  * 
  * User authentication page that allows existing users to login.
  * Handles email/password authentication and redirects authenticated users.
+ * Accounts with an unverified email can ask for a new verification link.
+ * After too many failed attempts the form shows how long to wait.
  * 
  * @module pages/Login
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
 import { ROUTES } from '../utils/constants';
-import { isValidEmail, validatePassword } from '../utils/helpers';
+import { isValidEmail, validatePassword, formatErrorMessage } from '../utils/helpers';
+
+/**
+ * Formats the remaining lockout
+ * @param {number} seconds - Seconds left
+ * @returns {string} E.g. "45 seconds" or "2:05 minutes"
+ */
+const formatWait = (seconds) =>
+  seconds < 60
+    ? `${seconds} second${seconds === 1 ? '' : 's'}`
+    : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} minutes`;
 
 /**
  * Login Component
@@ -24,9 +37,20 @@ export default function Login() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
+  const [unverified, setUnverified] = useState(false);
+  const [notice, setNotice] = useState('');
+  // Seconds until login may be tried again after too many failures
+  const [waitSeconds, setWaitSeconds] = useState(0);
   const { login } = useAuth();
   const navigate = useNavigate();
 
+  // Count the lockout down once a second
+  useEffect(() => {
+    if (waitSeconds <= 0) return undefined;
+    const timer = setTimeout(() => setWaitSeconds((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [waitSeconds]);
+
   /**
    * Handles input field changes
    * Clears errors when user types
@@ -37,6 +61,8 @@ export default function Login() {
     const { name, value } = e.target;
     setFormData({ ...formData, [name]: value });
     setError('');
+    setUnverified(false);
+    setNotice('');
     
     // Clear validation errors for this field
     if (validationErrors[name]) {
@@ -92,8 +118,11 @@ export default function Login() {
 
       if (result.success) {
         navigate(ROUTES.SCHEMES);
+      } else if (result.retryAfter) {
+        setWaitSeconds(result.retryAfter);
       } else {
         setError(result.message || 'Login failed. Please try again.');
+        setUnverified(Boolean(result.emailNotVerified));
       }
     } catch (err) {
       setError('An unexpected error occurred. Please try again.');
@@ -103,6 +132,20 @@ export default function Login() {
     }
   };
 
+  /**
+   * Sends a new verification email to the address in the form
+   */
+  const handleResendVerification = async () => {
+    try {
+      const data = await authAPI.resendVerification(formData.email.trim());
+      setNotice(data.msg);
+      setUnverified(false);
+      setError('');
+    } catch (err) {
+      setError(formatErrorMessage(err));
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 px-4">
       <div className="max-w-md w-full bg-white rounded-lg shadow-xl p-8">
@@ -114,6 +157,27 @@ export default function Login() {
         {error && (
           <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
             {error}
+            {unverified && (
+              <button
+                type="button"
+                onClick={handleResendVerification}
+                className="block mt-2 text-sm font-medium underline hover:no-underline"
+              >
+                Send a new verification email
+              </button>
+            )}
+          </div>
+        )}
+
+        {waitSeconds > 0 && (
+          <div className="mb-4 p-3 bg-amber-100 border border-amber-400 text-amber-800 rounded-lg" role="status">
+            Too many failed login attempts. Try again in {formatWait(waitSeconds)}.
+          </div>
+        )}
+
+        {notice && (
+          <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+            {notice}
           </div>
         )}
 
@@ -166,11 +230,16 @@ export default function Login() {
                 {validationErrors.password}
               </p>
             )}
+            <div className="mt-2 text-right">
+              <Link to={ROUTES.FORGOT_PASSWORD} className="text-sm text-indigo-600 hover:text-indigo-700 transition-colors">
+                Forgot password?
+              </Link>
+            </div>
           </div>
 
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || waitSeconds > 0}
             className="w-full bg-indigo-600 text-white py-3 rounded-lg font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
             {loading ? 'Logging in...' : 'Login'}
@@ -0,0 +1,297 @@
+/**
+ * Moderation Page
+ *
+ * Review queue for moderators and admins. Lists submitted schemes by
+ * status, oldest submission first, and lets the reviewer approve a scheme,
+ * reject it, or send it back for changes. Rejecting and requesting changes
+ * need a reason, which the submitter sees on their scheme.
+ *
+ * @module pages/Moderation
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { schemesAPI } from '../services/api';
+import ReviewStatusBadge from '../components/ReviewStatusBadge';
+import { formatErrorMessage, formatDate, truncateText } from '../utils/helpers';
+import { ROUTES, REVIEW_STATUSES } from '../utils/constants';
+
+// Tabs in the order a reviewer works through them
+const TABS = ['pending', 'changes_requested', 'rejected', 'approved'];
+
+// Decisions that need a reason, with the wording for the reason form
+const REASON_ACTIONS = {
+  reject: { label: 'Reject', placeholder: 'Why is this scheme being rejected?' },
+  requestChanges: { label: 'Request changes', placeholder: 'What should the submitter change?' },
+};
+
+/**
+ * One submission with its review actions
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme from the moderation queue
+ * @param {Function} props.onReviewed - Called with the API's message after a decision
+ * @returns {JSX.Element} Queue card
+ */
+function QueueCard({ scheme, onReviewed }) {
+  const [action, setAction] = useState(null);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Sends a decision to the API
+   * @param {string} name - approve, reject or requestChanges
+   */
+  const review = async (name) => {
+    if (name !== 'approve' && !reason.trim()) {
+      setError('Please give a reason.');
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = name === 'approve'
+        ? await schemesAPI.approve(scheme._id)
+        : await schemesAPI[name](scheme._id, reason.trim());
+      onReviewed(data.msg);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error reviewing scheme:', err);
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Opens or closes the reason form for a decision
+   * @param {string} name - reject or requestChanges
+   */
+  const toggleReason = (name) => {
+    setAction((current) => (current === name ? null : name));
+    setError('');
+  };
+
+  return (
+    <li className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <Link
+            to={`${ROUTES.SCHEMES}/${scheme._id}`}
+            className="text-xl font-semibold text-gray-900 hover:text-indigo-600"
+          >
+            {scheme.title}
+          </Link>
+          <p className="mt-1 text-sm text-gray-500">
+            {scheme.createdBy ? `${scheme.createdBy.name} (${scheme.createdBy.email})` : 'Unknown submitter'}
+            {' · '}
+            Submitted {formatDate(scheme.submittedAt || scheme.createdAt)}
+          </p>
+        </div>
+        <ReviewStatusBadge scheme={scheme} showApproved />
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-2 text-sm text-gray-600">
+        {scheme.category && (
+          <span className="bg-indigo-100 text-indigo-800 text-xs font-semibold px-3 py-1 rounded-full">
+            {scheme.category}
+          </span>
+        )}
+        {scheme.url && (
+          <a href={scheme.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline break-all">
+            {scheme.url}
+          </a>
+        )}
+      </div>
+
+      {scheme.description ? (
+        <p className="mt-3 text-gray-700">{truncateText(scheme.description, 300)}</p>
+      ) : (
+        <p className="mt-3 text-gray-500 italic">No description.</p>
+      )}
+
+      {scheme.reviewNote && (
+        <p className="mt-3 text-sm text-gray-700">
+          <span className="font-medium">Note{scheme.reviewedBy?.name ? ` from ${scheme.reviewedBy.name}` : ''}:</span>{' '}
+          {scheme.reviewNote}
+        </p>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {action && (
+        <div className="mt-4">
+          <label htmlFor={`reason-${scheme._id}`} className="block text-sm font-medium text-gray-700 mb-1">
+            Reason (shown to the submitter)
+          </label>
+          <textarea
+            id={`reason-${scheme._id}`}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={3}
+            maxLength={1000}
+            placeholder={REASON_ACTIONS[action].placeholder}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+          />
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        {scheme.status !== 'approved' && (
+          <button
+            onClick={() => review('approve')}
+            disabled={busy}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50"
+          >
+            Approve
+          </button>
+        )}
+        {Object.entries(REASON_ACTIONS).map(([name, { label }]) =>
+          action === name ? (
+            <button
+              key={name}
+              onClick={() => review(name)}
+              disabled={busy}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
+            >
+              Confirm: {label.toLowerCase()}
+            </button>
+          ) : (
+            <button
+              key={name}
+              onClick={() => toggleReason(name)}
+              disabled={busy}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {label}
+            </button>
+          )
+        )}
+        {action && (
+          <button
+            onClick={() => toggleReason(action)}
+            disabled={busy}
+            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Moderation Component
+ *
+ * @returns {JSX.Element} Moderation queue page
+ */
+export default function Moderation() {
+  const [status, setStatus] = useState('pending');
+  const [schemes, setSchemes] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  /**
+   * Fetches the schemes in the selected status
+   */
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await schemesAPI.getModerationQueue(status);
+      setSchemes(data.schemes);
+      setCounts(data.counts);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      setSchemes([]);
+      console.error('Error fetching moderation queue:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  /**
+   * Shows the outcome of a decision and reloads the queue
+   * @param {string} message - Message from the API
+   */
+  const handleReviewed = (message) => {
+    setNotice(message);
+    fetchQueue();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Moderation</h1>
+        <p className="text-gray-600 mb-6">Review schemes submitted by users before they are listed publicly.</p>
+
+        {/* Status Tabs */}
+        <div className="flex flex-wrap gap-2 mb-6" role="tablist">
+          {TABS.map((tab) => (
+            <button
+              key={tab}
+              role="tab"
+              aria-selected={status === tab}
+              onClick={() => {
+                setStatus(tab);
+                setNotice('');
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium border transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+                status === tab
+                  ? 'bg-indigo-600 border-indigo-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {REVIEW_STATUSES[tab].label}
+              {counts[tab] !== undefined && <span className="ml-2 opacity-75">{counts[tab]}</span>}
+            </button>
+          ))}
+        </div>
+
+        {notice && (
+          <div className="mb-6 p-4 rounded-lg bg-green-50 border border-green-300 text-green-800" role="status">
+            <p>{notice}</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            <p>{error}</p>
+            <button onClick={fetchQueue} className="mt-2 text-sm underline hover:text-red-800">
+              Try again
+            </button>
+          </div>
+        )}
+
+        {loading && (
+          <div className="text-center py-12">
+            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            <p className="mt-4 text-gray-600">Loading submissions...</p>
+          </div>
+        )}
+
+        {!loading && !error && schemes.length === 0 && (
+          <div className="text-center py-12 bg-white rounded-lg shadow">
+            <p className="text-gray-600 text-lg font-medium">Nothing here</p>
+            <p className="text-gray-500 mt-2">No schemes are {REVIEW_STATUSES[status].label.toLowerCase()}.</p>
+          </div>
+        )}
+
+        {!loading && schemes.length > 0 && (
+          <ul className="space-y-4">
+            {schemes.map((scheme) => (
+              <QueueCard key={scheme._id} scheme={scheme} onReviewed={handleReviewed} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
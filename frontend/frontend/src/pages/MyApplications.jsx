@@ -0,0 +1,389 @@
+/**
+ * My Applications Page
+ *
+ * The user's own tracker for schemes they are applying to, laid out as a
+ * board with one column per stage. Cards can be dragged to another column
+ * or moved with their stage menu; each card keeps the time it reached every
+ * stage. Below the board are the user's saved schemes with private notes,
+ * from where a scheme can be added to the board.
+ *
+ * @module pages/MyApplications
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { bookmarksAPI, applicationsAPI } from '../services/api';
+import ApplicationStatusBadge from '../components/ApplicationStatusBadge';
+import { formatErrorMessage, formatDate } from '../utils/helpers';
+import { ROUTES, TRACKER_STATUSES } from '../utils/constants';
+
+const STATUSES = Object.keys(TRACKER_STATUSES);
+const DATE_TIME = { hour: 'numeric', minute: '2-digit' };
+
+/**
+ * Link to a scheme, with a hint when it is no longer listed
+ * @param {Object} props - Component props
+ * @param {Object} props.scheme - Scheme summary from the API
+ * @returns {JSX.Element} Scheme title link
+ */
+function SchemeLink({ scheme }) {
+  return (
+    <>
+      <Link to={`${ROUTES.SCHEMES}/${scheme._id}`} className="font-semibold text-gray-900 hover:text-indigo-600">
+        {scheme.title}
+      </Link>
+      {scheme.deletedAt && !scheme.mergedInto && (
+        <span className="block text-xs text-gray-500">No longer listed</span>
+      )}
+    </>
+  );
+}
+
+/**
+ * One application on the board
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.application - Application from the API
+ * @param {boolean} props.busy - Disables the controls
+ * @param {Function} props.onMove - Called with the new status
+ * @param {Function} props.onRemove - Stops tracking the application
+ * @returns {JSX.Element} Board card
+ */
+function ApplicationCard({ application, busy, onMove, onRemove }) {
+  const { scheme, status, history } = application;
+  const since = history[history.length - 1]?.at;
+
+  return (
+    <li
+      draggable={!busy}
+      onDragStart={(e) => {
+        e.dataTransfer.setData('text/plain', scheme._id);
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      className="bg-white rounded-lg shadow p-3 text-sm cursor-grab active:cursor-grabbing"
+    >
+      <SchemeLink scheme={scheme} />
+      <div className="mt-2 flex flex-wrap gap-2 empty:hidden">
+        <ApplicationStatusBadge scheme={scheme} />
+      </div>
+      {since && <p className="mt-2 text-xs text-gray-500">Since {formatDate(since, DATE_TIME)}</p>}
+
+      <select
+        value={status}
+        onChange={(e) => onMove(e.target.value)}
+        disabled={busy}
+        aria-label={`Stage of ${scheme.title}`}
+        className="mt-2 w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {STATUSES.map((value) => (
+          <option key={value} value={value}>{TRACKER_STATUSES[value].label}</option>
+        ))}
+      </select>
+
+      <details className="mt-2 text-xs text-gray-600">
+        <summary className="cursor-pointer text-indigo-600 hover:text-indigo-700">History</summary>
+        <ol className="mt-1 space-y-1">
+          {history.map((change) => (
+            <li key={`${change.status}-${change.at}`}>
+              {TRACKER_STATUSES[change.status]?.label || change.status} · {formatDate(change.at, DATE_TIME)}
+            </li>
+          ))}
+        </ol>
+      </details>
+
+      <button
+        onClick={onRemove}
+        disabled={busy}
+        className="mt-2 text-xs text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+      >
+        Stop tracking
+      </button>
+    </li>
+  );
+}
+
+/**
+ * One saved scheme with its note
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.bookmark - Bookmark from the API
+ * @param {boolean} props.tracked - The scheme is already on the board
+ * @param {boolean} props.busy - Disables the controls
+ * @param {Function} props.onSaveNote - Called with the new note
+ * @param {Function} props.onTrack - Adds the scheme to the board
+ * @param {Function} props.onRemove - Unsaves the scheme
+ * @returns {JSX.Element} Saved scheme row
+ */
+function SavedScheme({ bookmark, tracked, busy, onSaveNote, onTrack, onRemove }) {
+  const [note, setNote] = useState(bookmark.note || '');
+  const changed = note.trim() !== (bookmark.note || '');
+
+  return (
+    <li className="p-4 flex flex-col gap-3">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+        <div className="min-w-0">
+          <SchemeLink scheme={bookmark.scheme} />
+          <p className="text-xs text-gray-500">Saved {formatDate(bookmark.createdAt)}</p>
+        </div>
+        <div className="flex gap-2 shrink-0">
+          {!tracked && (
+            <button
+              onClick={onTrack}
+              disabled={busy}
+              className="px-3 py-1.5 border border-indigo-300 text-indigo-700 rounded-lg text-sm font-medium hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              Track application
+            </button>
+          )}
+          <button
+            onClick={onRemove}
+            disabled={busy}
+            className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            Remove
+          </button>
+        </div>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSaveNote(note.trim());
+        }}
+        className="flex flex-col sm:flex-row gap-2"
+      >
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          rows={2}
+          maxLength={1000}
+          placeholder="Private note, e.g. which documents you still need"
+          aria-label={`Note for ${bookmark.scheme.title}`}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          type="submit"
+          disabled={busy || !changed}
+          className="self-start px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+        >
+          Save note
+        </button>
+      </form>
+    </li>
+  );
+}
+
+/**
+ * MyApplications Component
+ *
+ * @returns {JSX.Element} My Applications page
+ */
+export default function MyApplications() {
+  const [applications, setApplications] = useState([]);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  /**
+   * Fetches the board and the saved schemes
+   */
+  const fetchAll = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [applicationList, bookmarkList] = await Promise.all([applicationsAPI.getAll(), bookmarksAPI.getAll()]);
+      setApplications(applicationList);
+      setBookmarks(bookmarkList);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error fetching applications:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  /**
+   * Runs a change for one scheme, showing errors and disabling its controls
+   * @param {string} schemeId - Scheme being changed
+   * @param {Function} change - Async change
+   */
+  const run = async (schemeId, change) => {
+    setBusyId(schemeId);
+    setError('');
+    try {
+      await change();
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error updating applications:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Moves an application to a stage, or starts tracking it there
+   * @param {string} schemeId - Scheme ID
+   * @param {string} status - New stage
+   */
+  const handleMove = (schemeId, status) =>
+    run(schemeId, async () => {
+      const updated = await applicationsAPI.setStatus(schemeId, status);
+      setApplications((current) => [updated, ...current.filter((item) => item.scheme._id !== schemeId)]);
+    });
+
+  /**
+   * Stops tracking an application after confirmation
+   * @param {Object} application - Application to remove
+   */
+  const handleRemoveApplication = (application) => {
+    if (!window.confirm(`Stop tracking "${application.scheme.title}"? Its history will be lost.`)) return;
+    run(application.scheme._id, async () => {
+      await applicationsAPI.remove(application.scheme._id);
+      setApplications((current) => current.filter((item) => item._id !== application._id));
+    });
+  };
+
+  /**
+   * Saves the note of a saved scheme
+   * @param {string} schemeId - Scheme ID
+   * @param {string} note - New note; empty removes it
+   */
+  const handleSaveNote = (schemeId, note) =>
+    run(schemeId, async () => {
+      const updated = await bookmarksAPI.save(schemeId, note);
+      setBookmarks((current) => current.map((item) => (item.scheme._id === schemeId ? updated : item)));
+    });
+
+  /**
+   * Unsaves a scheme
+   * @param {string} schemeId - Scheme ID
+   */
+  const handleRemoveBookmark = (schemeId) =>
+    run(schemeId, async () => {
+      await bookmarksAPI.remove(schemeId);
+      setBookmarks((current) => current.filter((item) => item.scheme._id !== schemeId));
+    });
+
+  /**
+   * Moves the dragged card into a column
+   * @param {DragEvent} e - Drop event
+   * @param {string} status - Column's stage
+   */
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const schemeId = e.dataTransfer.getData('text/plain');
+    const application = applications.find((item) => item.scheme._id === schemeId);
+    if (application && application.status !== status) handleMove(schemeId, status);
+  };
+
+  const trackedIds = new Set(applications.map((application) => application.scheme._id));
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-7xl mx-auto space-y-10">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">My Applications</h1>
+          <p className="text-gray-600">
+            Keep track of where each application stands. Only you can see this page.
+          </p>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            <p>{error}</p>
+          </div>
+        )}
+
+        {loading && (
+          <div className="text-center py-12">
+            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            <p className="mt-4 text-gray-600">Loading your applications...</p>
+          </div>
+        )}
+
+        {!loading && (
+          <>
+            {/* Board */}
+            <section>
+              {applications.length === 0 && (
+                <p className="mb-4 text-gray-600">
+                  Nothing tracked yet. Save schemes from the <Link to={ROUTES.SCHEMES} className="text-indigo-600 hover:text-indigo-700 font-medium">schemes list</Link> and
+                  choose &quot;Track application&quot; below.
+                </p>
+              )}
+              <div className="flex gap-4 overflow-x-auto pb-4">
+                {STATUSES.map((status) => {
+                  const column = applications.filter((application) => application.status === status);
+                  return (
+                    <div
+                      key={status}
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        setDropTarget(status);
+                      }}
+                      onDragLeave={() => setDropTarget((current) => (current === status ? null : current))}
+                      onDrop={(e) => handleDrop(e, status)}
+                      className={`w-64 shrink-0 rounded-lg p-3 transition-colors ${
+                        dropTarget === status ? 'bg-indigo-50 ring-2 ring-indigo-300' : 'bg-gray-100'
+                      }`}
+                    >
+                      <h2 className="flex items-center justify-between mb-3">
+                        <span className={`text-xs font-semibold px-3 py-1 rounded-full ${TRACKER_STATUSES[status].className}`}>
+                          {TRACKER_STATUSES[status].label}
+                        </span>
+                        <span className="text-sm text-gray-500">{column.length}</span>
+                      </h2>
+                      <ul className="space-y-3 min-h-[4rem]">
+                        {column.map((application) => (
+                          <ApplicationCard
+                            key={application._id}
+                            application={application}
+                            busy={busyId === application.scheme._id}
+                            onMove={(next) => handleMove(application.scheme._id, next)}
+                            onRemove={() => handleRemoveApplication(application)}
+                          />
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+
+            {/* Saved Schemes */}
+            <section>
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Saved schemes</h2>
+              {bookmarks.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-lg shadow">
+                  <p className="text-gray-600 text-lg font-medium">No saved schemes</p>
+                  <p className="text-gray-500 mt-2">Use the bookmark button on a scheme to save it here.</p>
+                </div>
+              ) : (
+                <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+                  {bookmarks.map((bookmark) => (
+                    <SavedScheme
+                      key={bookmark._id}
+                      bookmark={bookmark}
+                      tracked={trackedIds.has(bookmark.scheme._id)}
+                      busy={busyId === bookmark.scheme._id}
+                      onSaveNote={(note) => handleSaveNote(bookmark.scheme._id, note)}
+                      onTrack={() => handleMove(bookmark.scheme._id, 'interested')}
+                      onRemove={() => handleRemoveBookmark(bookmark.scheme._id)}
+                    />
+                  ))}
+                </ul>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,486 @@
+/**
+ * Profile Page
+ *
+ * Lets signed-in users edit their name, interests and personal details (the
+ * same profile the eligibility checker uses), change their password and
+ * delete their account.
+ *
+ * @module pages/Profile
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { ROUTES, SCHEME_OPTIONS, SUCCESS_MESSAGES } from '../utils/constants';
+import { validateName, validatePassword, parseInterests, formatErrorMessage } from '../utils/helpers';
+
+const INPUT_CLASS =
+  'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition';
+
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-2';
+
+const EMPTY_DETAILS = {
+  name: '',
+  interests: '',
+  dateOfBirth: '',
+  age: '',
+  gender: '',
+  state: '',
+  income: '',
+  socialCategory: '',
+  education: '',
+  occupation: '',
+};
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+/** Profile fields sent to the API, in form order */
+const PROFILE_FIELDS = ['dateOfBirth', 'age', 'gender', 'state', 'income', 'socialCategory', 'education', 'occupation'];
+
+/**
+ * Turns an account from the API into form values
+ * @param {Object} account - Result of authAPI.getMe()
+ * @returns {Object} Form values (strings)
+ */
+const toDetails = (account) => {
+  const profile = account.profile || {};
+  const details = { ...EMPTY_DETAILS, name: account.name, interests: (account.interests || []).join(', ') };
+  for (const field of PROFILE_FIELDS) {
+    if (profile[field] !== undefined && profile[field] !== null) details[field] = String(profile[field]);
+  }
+  if (profile.dateOfBirth) details.dateOfBirth = profile.dateOfBirth.slice(0, 10);
+  return details;
+};
+
+/**
+ * Builds the profile to save, leaving out empty answers
+ * @param {Object} details - Form values
+ * @returns {Object} Profile for authAPI.updateMe()
+ */
+const toProfile = (details) => {
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    const value = details[field].trim();
+    if (value) profile[field] = value;
+  }
+  // The age follows from the date of birth
+  if (profile.dateOfBirth) delete profile.age;
+  return profile;
+};
+
+/**
+ * Profile Component
+ *
+ * @returns {JSX.Element} Profile page component
+ */
+export default function Profile() {
+  const { user, updateUser, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState('');
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [detailsStatus, setDetailsStatus] = useState({ saving: false, error: '', notice: '' });
+
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [passwordStatus, setPasswordStatus] = useState({ saving: false, error: '', notice: '' });
+
+  const [deletePassword, setDeletePassword] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [deleteStatus, setDeleteStatus] = useState({ deleting: false, error: '' });
+
+  useEffect(() => {
+    authAPI
+      .getMe()
+      .then((account) => {
+        setEmail(account.email);
+        setDetails(toDetails(account));
+      })
+      .catch((err) => setLoadError(formatErrorMessage(err)))
+      .finally(() => setLoading(false));
+  }, []);
+
+  /**
+   * Handles changes to the details form
+   * @param {Event} e - Change event
+   */
+  const handleDetailsChange = (e) => {
+    setDetails({ ...details, [e.target.name]: e.target.value });
+    setDetailsStatus({ saving: false, error: '', notice: '' });
+  };
+
+  /**
+   * Saves name, interests and profile
+   * @param {Event} e - Form submit event
+   */
+  const handleDetailsSubmit = async (e) => {
+    e.preventDefault();
+    const nameValidation = validateName(details.name);
+    if (!nameValidation.isValid) {
+      setDetailsStatus({ saving: false, error: nameValidation.message, notice: '' });
+      return;
+    }
+
+    setDetailsStatus({ saving: true, error: '', notice: '' });
+    try {
+      const account = await authAPI.updateMe({
+        name: details.name.trim(),
+        interests: parseInterests(details.interests),
+        profile: toProfile(details),
+      });
+      setDetails(toDetails(account));
+      updateUser(account);
+      setDetailsStatus({ saving: false, error: '', notice: SUCCESS_MESSAGES.PROFILE_UPDATED });
+    } catch (err) {
+      setDetailsStatus({ saving: false, error: formatErrorMessage(err), notice: '' });
+    }
+  };
+
+  /**
+   * Handles changes to the password form
+   * @param {Event} e - Change event
+   */
+  const handlePasswordChange = (e) => {
+    setPasswords({ ...passwords, [e.target.name]: e.target.value });
+    setPasswordStatus({ saving: false, error: '', notice: '' });
+  };
+
+  /**
+   * Changes the password
+   * @param {Event} e - Form submit event
+   */
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    const passwordValidation = validatePassword(passwords.newPassword);
+    let error = '';
+    if (!passwords.currentPassword) error = 'Enter your current password';
+    else if (!passwordValidation.isValid) error = passwordValidation.message;
+    else if (passwords.newPassword !== passwords.confirmPassword) error = 'New passwords do not match';
+    if (error) {
+      setPasswordStatus({ saving: false, error, notice: '' });
+      return;
+    }
+
+    setPasswordStatus({ saving: true, error: '', notice: '' });
+    try {
+      const data = await authAPI.changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords(EMPTY_PASSWORDS);
+      setPasswordStatus({ saving: false, error: '', notice: data.msg });
+    } catch (err) {
+      setPasswordStatus({ saving: false, error: formatErrorMessage(err), notice: '' });
+    }
+  };
+
+  /**
+   * Deletes the account and signs out
+   * @param {Event} e - Form submit event
+   */
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!deletePassword) {
+      setDeleteStatus({ deleting: false, error: 'Enter your password to confirm' });
+      return;
+    }
+
+    setDeleteStatus({ deleting: true, error: '' });
+    try {
+      await authAPI.deleteAccount(deletePassword);
+      await logout();
+      navigate(ROUTES.HOME);
+    } catch (err) {
+      setDeleteStatus({ deleting: false, error: formatErrorMessage(err) });
+    }
+  };
+
+  /**
+   * Renders a select for one profile field
+   * @param {string} name - Field name
+   * @param {Array<{value: string, label: string}>} options - Choices
+   * @param {string} placeholder - Empty option label
+   * @returns {JSX.Element} Select element
+   */
+  const select = (name, options, placeholder) => (
+    <select id={name} name={name} value={details[name]} onChange={handleDetailsChange} className={INPUT_CLASS}>
+      <option value="">{placeholder}</option>
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8 px-4">
+        <div className="max-w-3xl mx-auto p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">{loadError}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto space-y-8">
+        <div>
+          <h1 className="text-4xl font-bold text-gray-900 mb-2">Your Profile</h1>
+          <p className="text-gray-600">
+            {email}
+            {user?.role && user.role !== 'user' && <span className="ml-2 text-sm text-indigo-700">({user.role})</span>}
+          </p>
+        </div>
+
+        {/* Details */}
+        <form onSubmit={handleDetailsSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-6" noValidate>
+          <h2 className="text-xl font-semibold text-gray-900">Details</h2>
+
+          {detailsStatus.error && (
+            <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">{detailsStatus.error}</div>
+          )}
+          {detailsStatus.notice && (
+            <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg" role="status">
+              {detailsStatus.notice}
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="name" className={LABEL_CLASS}>
+              Full Name <span className="text-red-500">*</span>
+            </label>
+            <input type="text" id="name" name="name" value={details.name} onChange={handleDetailsChange} className={INPUT_CLASS} />
+          </div>
+
+          <div>
+            <label htmlFor="interests" className={LABEL_CLASS}>
+              Interests
+            </label>
+            <input
+              type="text"
+              id="interests"
+              name="interests"
+              value={details.interests}
+              onChange={handleDetailsChange}
+              className={INPUT_CLASS}
+              placeholder="e.g., Education, Healthcare, Agriculture"
+            />
+            <p className="mt-1 text-xs text-gray-500">Separate multiple interests with commas</p>
+          </div>
+
+          <p className="text-sm text-gray-600">
+            The details below are used by the eligibility checker. All of them are optional.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="dateOfBirth" className={LABEL_CLASS}>
+                Date of birth
+              </label>
+              <input
+                type="date"
+                id="dateOfBirth"
+                name="dateOfBirth"
+                value={details.dateOfBirth}
+                max={new Date().toISOString().slice(0, 10)}
+                onChange={handleDetailsChange}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div>
+              <label htmlFor="age" className={LABEL_CLASS}>
+                Age
+              </label>
+              <input
+                type="number"
+                id="age"
+                name="age"
+                min="0"
+                max={SCHEME_OPTIONS.MAX_AGE}
+                value={details.age}
+                onChange={handleDetailsChange}
+                disabled={Boolean(details.dateOfBirth)}
+                title={details.dateOfBirth ? 'Worked out from your date of birth' : undefined}
+                className={`${INPUT_CLASS} disabled:bg-gray-100`}
+              />
+            </div>
+            <div>
+              <label htmlFor="gender" className={LABEL_CLASS}>
+                Gender
+              </label>
+              {select('gender', SCHEME_OPTIONS.GENDERS, 'Prefer not to say')}
+            </div>
+            <div>
+              <label htmlFor="state" className={LABEL_CLASS}>
+                State
+              </label>
+              {select('state', SCHEME_OPTIONS.STATES, 'Select a state')}
+            </div>
+            <div>
+              <label htmlFor="income" className={LABEL_CLASS}>
+                Annual family income (₹)
+              </label>
+              <input
+                type="number"
+                id="income"
+                name="income"
+                min="0"
+                step="1"
+                value={details.income}
+                onChange={handleDetailsChange}
+                className={INPUT_CLASS}
+                placeholder="e.g., 250000"
+              />
+            </div>
+            <div>
+              <label htmlFor="socialCategory" className={LABEL_CLASS}>
+                Social category
+              </label>
+              {select('socialCategory', SCHEME_OPTIONS.SOCIAL_CATEGORIES, 'Prefer not to say')}
+            </div>
+            <div>
+              <label htmlFor="education" className={LABEL_CLASS}>
+                Education
+              </label>
+              {select('education', SCHEME_OPTIONS.EDUCATION_LEVELS, 'Select a level')}
+            </div>
+            <div>
+              <label htmlFor="occupation" className={LABEL_CLASS}>
+                Occupation
+              </label>
+              <input
+                type="text"
+                id="occupation"
+                name="occupation"
+                maxLength={60}
+                value={details.occupation}
+                onChange={handleDetailsChange}
+                className={INPUT_CLASS}
+                placeholder="e.g., student, farmer, artisan"
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={detailsStatus.saving}
+            className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {detailsStatus.saving ? 'Saving...' : 'Save details'}
+          </button>
+        </form>
+
+        {/* Password */}
+        <form onSubmit={handlePasswordSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-4" noValidate>
+          <h2 className="text-xl font-semibold text-gray-900">Change Password</h2>
+
+          {passwordStatus.error && (
+            <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">{passwordStatus.error}</div>
+          )}
+          {passwordStatus.notice && (
+            <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg" role="status">
+              {passwordStatus.notice}
+            </div>
+          )}
+
+          {[
+            ['currentPassword', 'Current password', 'current-password'],
+            ['newPassword', 'New password', 'new-password'],
+            ['confirmPassword', 'Confirm new password', 'new-password'],
+          ].map(([name, label, autoComplete]) => (
+            <div key={name}>
+              <label htmlFor={name} className={LABEL_CLASS}>
+                {label}
+              </label>
+              <input
+                type="password"
+                id={name}
+                name={name}
+                value={passwords[name]}
+                onChange={handlePasswordChange}
+                autoComplete={autoComplete}
+                className={INPUT_CLASS}
+              />
+            </div>
+          ))}
+
+          <button
+            type="submit"
+            disabled={passwordStatus.saving}
+            className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {passwordStatus.saving ? 'Saving...' : 'Change password'}
+          </button>
+        </form>
+
+        {/* Delete account */}
+        <div className="bg-white rounded-lg shadow-md p-6 border border-red-200">
+          <h2 className="text-xl font-semibold text-red-700 mb-2">Delete Account</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Deletes your account, saved schemes, application tracker and chat history. This cannot be undone.
+            Schemes you added stay listed.
+          </p>
+
+          {!confirmingDelete ? (
+            <button
+              type="button"
+              onClick={() => setConfirmingDelete(true)}
+              className="bg-red-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-red-700 transition-colors"
+            >
+              Delete my account
+            </button>
+          ) : (
+            <form onSubmit={handleDelete} className="space-y-4" noValidate>
+              {deleteStatus.error && (
+                <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">{deleteStatus.error}</div>
+              )}
+              <div>
+                <label htmlFor="deletePassword" className={LABEL_CLASS}>
+                  Enter your password to confirm
+                </label>
+                <input
+                  type="password"
+                  id="deletePassword"
+                  value={deletePassword}
+                  onChange={(e) => {
+                    setDeletePassword(e.target.value);
+                    setDeleteStatus({ deleting: false, error: '' });
+                  }}
+                  autoComplete="current-password"
+                  className={INPUT_CLASS}
+                />
+              </div>
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={deleteStatus.deleting}
+                  className="bg-red-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {deleteStatus.deleting ? 'Deleting...' : 'Delete permanently'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setConfirmingDelete(false);
+                    setDeletePassword('');
+                    setDeleteStatus({ deleting: false, error: '' });
+                  }}
+                  className="px-6 py-2 rounded-lg font-medium text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -122,7 +122,7 @@ export default function Register() {
         setSuccess(SUCCESS_MESSAGES.REGISTER_SUCCESS);
         setTimeout(() => {
           navigate(ROUTES.LOGIN);
-        }, 2000);
+        }, 4000);
       } else {
         setError(result.message || 'Registration failed. Please try again.');
       }
@@ -0,0 +1,147 @@
+/**
+ * Reset Password Page
+ * 
+ * Opened from the link in the password reset email. Sets a new password
+ * with the token in the query string; every signed-in session of the
+ * account ends.
+ * 
+ * @module pages/ResetPassword
+ */
+
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { ROUTES } from '../utils/constants';
+import { validatePassword, formatErrorMessage } from '../utils/helpers';
+
+/**
+ * Reset Password Component
+ * 
+ * @returns {JSX.Element} Reset password page component
+ */
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Ask for a new one.');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Handles input field changes
+   * @param {Event} e - Change event
+   */
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    if (token) setError('');
+  };
+
+  /**
+   * Validates the form and sets the new password
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const passwordValidation = validatePassword(formData.password);
+    if (!passwordValidation.isValid) {
+      setError(passwordValidation.message);
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const data = await authAPI.resetPassword(token, formData.password);
+      setSuccess(data.msg);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-xl p-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Choose a New Password</h1>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {success ? (
+          <div className="text-center">
+            <div className="mb-6 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+              {success}
+            </div>
+            <Link
+              to={ROUTES.LOGIN}
+              className="inline-block bg-indigo-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-indigo-700 transition-colors"
+            >
+              Go to login
+            </Link>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                New Password <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                autoComplete="new-password"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+                placeholder="Enter a new password"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                Confirm Password <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                autoComplete="new-password"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+                placeholder="Enter it again"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading || !token}
+              className="w-full bg-indigo-600 text-white py-3 rounded-lg font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {loading ? 'Saving...' : 'Set new password'}
+            </button>
+
+            <p className="text-center text-sm text-gray-600">
+              Link expired?{' '}
+              <Link to={ROUTES.FORGOT_PASSWORD} className="text-indigo-600 hover:text-indigo-700 font-medium">
+                Ask for a new one
+              </Link>
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,402 @@
+/**
+ * Scheme Detail Page
+ *
+ * Shows one government scheme in full. The scheme's creator and admins
+ * can edit it (reusing AddSchemeModal) or delete it; a deleted scheme can
+ * be restored from this page until the user navigates away. Schemes that
+ * are not approved yet show their review status and the moderator's reason.
+ * The creator, moderators and admins also get a History tab listing every
+ * change, where the creator and admins can roll back to an earlier revision.
+ *
+ * @module pages/SchemeDetail
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { schemesAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import AddSchemeModal from '../components/AddSchemeModal';
+import ApplicationStatusBadge from '../components/ApplicationStatusBadge';
+import ReviewStatusBadge from '../components/ReviewStatusBadge';
+import LinkHealthBadge from '../components/LinkHealthBadge';
+import SchemeHistory from '../components/SchemeHistory';
+import {
+  formatErrorMessage,
+  formatDate,
+  formatRupees,
+  optionLabel,
+  canModifyScheme,
+  canModerate,
+  describeEligibility,
+} from '../utils/helpers';
+import { ROUTES, SUCCESS_MESSAGES, SCHEME_OPTIONS } from '../utils/constants';
+
+// What the review status means for the person looking at the scheme
+const REVIEW_MESSAGES = {
+  pending: 'This scheme is waiting for a moderator and is not listed publicly yet.',
+  changes_requested: 'A moderator asked for changes. Edit the scheme to send it back for review.',
+  rejected: 'A moderator rejected this scheme. It is not listed publicly.',
+};
+
+const TABS = [
+  { id: 'details', label: 'Details' },
+  { id: 'history', label: 'History' },
+];
+
+/**
+ * SchemeDetail Component
+ *
+ * @returns {JSX.Element} Scheme detail page component
+ */
+export default function SchemeDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [scheme, setScheme] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [deleted, setDeleted] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [showEditModal, setShowEditModal] = useState(false);
+  const [tab, setTab] = useState('details');
+
+  /**
+   * Fetches the scheme from the API
+   */
+  const fetchScheme = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await schemesAPI.getById(id);
+      // A merged duplicate resolves to the scheme it was merged into
+      if (data._id !== id) navigate(`${ROUTES.SCHEMES}/${data._id}`, { replace: true });
+      setScheme(data);
+      setDeleted(false);
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'This scheme does not exist or was deleted.' : formatErrorMessage(err));
+      setScheme(null);
+      console.error('Error fetching scheme:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    fetchScheme();
+  }, [fetchScheme]);
+
+  /**
+   * Handles a successful edit
+   * @param {Object} updated - Scheme returned by the API
+   */
+  const handleSchemeUpdated = (updated) => {
+    setShowEditModal(false);
+    setScheme(updated);
+    setNotice(updated.status === 'pending' ? SUCCESS_MESSAGES.SCHEME_RESUBMITTED : SUCCESS_MESSAGES.SCHEME_UPDATED);
+  };
+
+  /**
+   * Soft-deletes the scheme after confirmation
+   */
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${scheme.title}"? You can restore it afterwards.`)) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = await schemesAPI.remove(scheme._id);
+      setScheme(data.scheme);
+      setDeleted(true);
+      setNotice(SUCCESS_MESSAGES.SCHEME_DELETED);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error deleting scheme:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Restores the scheme that was just deleted
+   */
+  const handleRestore = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const data = await schemesAPI.restore(scheme._id);
+      setScheme(data.scheme);
+      setDeleted(false);
+      setNotice(SUCCESS_MESSAGES.SCHEME_RESTORED);
+    } catch (err) {
+      setError(formatErrorMessage(err));
+      console.error('Error restoring scheme:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Handles a rollback from the History tab
+   * @param {{msg: string, scheme: Object}} data - Rollback response
+   */
+  const handleRolledBack = (data) => {
+    setScheme(data.scheme);
+    setNotice(data.scheme.status === 'pending' ? SUCCESS_MESSAGES.SCHEME_RESUBMITTED : `${data.msg}.`);
+  };
+
+  const canModify = canModifyScheme(scheme, user);
+  const showHistory = (canModify || canModerate(user)) && !deleted;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <Link
+          to={ROUTES.SCHEMES}
+          className="text-sm text-indigo-600 hover:text-indigo-700 font-medium"
+        >
+          ← All schemes
+        </Link>
+
+        {/* Loading State */}
+        {loading && (
+          <div className="text-center py-12">
+            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            <p className="mt-4 text-gray-600">Loading scheme...</p>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="mt-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            <p>{error}</p>
+            {!scheme && (
+              <button onClick={fetchScheme} className="mt-2 text-sm underline hover:text-red-800">
+                Try again
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Success / Deleted Notice */}
+        {notice && (
+          <div
+            className={`mt-6 p-4 rounded-lg flex items-center justify-between gap-4 ${
+              deleted
+                ? 'bg-yellow-50 border border-yellow-300 text-yellow-800'
+                : 'bg-green-50 border border-green-300 text-green-800'
+            }`}
+            role="status"
+          >
+            <p>{notice}</p>
+            {deleted && (
+              <button
+                onClick={handleRestore}
+                disabled={busy}
+                className="px-4 py-2 bg-white border border-yellow-400 rounded-lg text-sm font-medium hover:bg-yellow-100 disabled:opacity-50"
+              >
+                Undo
+              </button>
+            )}
+          </div>
+        )}
+
+        {!loading && scheme && (
+          <article className={`mt-6 bg-white rounded-lg shadow-md p-8 ${deleted ? 'opacity-60' : ''}`}>
+            <div className="flex items-start justify-between gap-4 mb-4">
+              <div>
+                <div className="flex flex-wrap gap-2 mb-3 empty:hidden">
+                  {scheme.category && (
+                    <span className="inline-block bg-indigo-100 text-indigo-800 text-xs font-semibold px-3 py-1 rounded-full">
+                      {scheme.category}
+                    </span>
+                  )}
+                  <ApplicationStatusBadge scheme={scheme} />
+                  <ReviewStatusBadge scheme={scheme} />
+                  <LinkHealthBadge scheme={scheme} />
+                </div>
+                <h1 className="text-3xl font-bold text-gray-900">{scheme.title}</h1>
+                {scheme.ministry && <p className="mt-1 text-sm text-gray-500">{scheme.ministry}</p>}
+              </div>
+
+              {canModify && !deleted && (
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() => setShowEditModal(true)}
+                    disabled={busy}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    disabled={busy}
+                    className="px-4 py-2 border border-red-300 text-red-700 rounded-lg text-sm font-medium hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {REVIEW_MESSAGES[scheme.status] && (
+              <div className="mb-6 p-4 rounded-lg bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm" role="status">
+                <p>{REVIEW_MESSAGES[scheme.status]}</p>
+                {scheme.reviewNote && (
+                  <p className="mt-2">
+                    <span className="font-semibold">Moderator's note:</span> {scheme.reviewNote}
+                  </p>
+                )}
+                {canModerate(user) && (
+                  <Link to={ROUTES.MODERATION} className="mt-2 inline-block font-medium underline hover:text-yellow-900">
+                    Open the moderation queue
+                  </Link>
+                )}
+              </div>
+            )}
+
+            {showHistory && (
+              <div className="flex gap-2 mb-6 border-b border-gray-200" role="tablist">
+                {TABS.map(({ id: tabId, label }) => (
+                  <button
+                    key={tabId}
+                    role="tab"
+                    aria-selected={tab === tabId}
+                    onClick={() => setTab(tabId)}
+                    className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+                      tab === tabId
+                        ? 'border-indigo-600 text-indigo-700'
+                        : 'border-transparent text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {showHistory && tab === 'history' ? (
+              <SchemeHistory
+                key={scheme.updatedAt}
+                scheme={scheme}
+                canRollBack={canModify}
+                onRolledBack={handleRolledBack}
+              />
+            ) : (
+              <>
+                {scheme.description ? (
+                  <p className="text-gray-700 whitespace-pre-wrap mb-6">{scheme.description}</p>
+                ) : (
+                  <p className="text-gray-500 italic mb-6">No description yet.</p>
+                )}
+
+                <dl className="grid gap-6 sm:grid-cols-2 mb-6">
+                  <div>
+                    <dt className="text-sm font-semibold text-gray-900 mb-1">Benefit</dt>
+                    <dd className="text-sm text-gray-700">
+                      {scheme.benefit?.type || scheme.benefit?.amount != null || scheme.benefit?.details ? (
+                        <>
+                          {[
+                            scheme.benefit.type && optionLabel(SCHEME_OPTIONS.BENEFIT_TYPES, scheme.benefit.type),
+                            formatRupees(scheme.benefit.amount),
+                          ]
+                            .filter(Boolean)
+                            .join(' · ')}
+                          {scheme.benefit.details && <span className="block text-gray-600">{scheme.benefit.details}</span>}
+                        </>
+                      ) : (
+                        <span className="text-gray-500 italic">Not specified</span>
+                      )}
+                    </dd>
+                  </div>
+
+                  <div>
+                    <dt className="text-sm font-semibold text-gray-900 mb-1">Applications</dt>
+                    <dd className="text-sm text-gray-700">
+                      {scheme.applicationOpens || scheme.applicationCloses ? (
+                        <>
+                          {scheme.applicationOpens && <span className="block">Open {formatDate(scheme.applicationOpens)}</span>}
+                          {scheme.applicationCloses && (
+                            <span className="block">Close {formatDate(scheme.applicationCloses)}</span>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-gray-500 italic">No fixed dates</span>
+                      )}
+                    </dd>
+                  </div>
+
+                  <div>
+                    <dt className="text-sm font-semibold text-gray-900 mb-1">Who can apply</dt>
+                    <dd className="text-sm text-gray-700">
+                      {describeEligibility(scheme.eligibility).length > 0 ? (
+                        <ul className="list-disc list-inside space-y-1">
+                          {describeEligibility(scheme.eligibility).map((rule) => (
+                            <li key={rule}>{rule}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-gray-500 italic">No restrictions listed</span>
+                      )}
+                    </dd>
+                  </div>
+
+                  <div>
+                    <dt className="text-sm font-semibold text-gray-900 mb-1">Documents needed</dt>
+                    <dd className="text-sm text-gray-700">
+                      {scheme.documents?.length > 0 ? (
+                        <ul className="list-disc list-inside space-y-1">
+                          {scheme.documents.map((doc) => (
+                            <li key={doc}>{doc}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-gray-500 italic">Not specified</span>
+                      )}
+                    </dd>
+                  </div>
+                </dl>
+
+                {scheme.url && (
+                  <a
+                    href={scheme.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-indigo-600 hover:text-indigo-700 font-medium inline-flex items-center mb-6"
+                  >
+                    Visit Official Link
+                    <svg className="w-4 h-4 ml-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"
+                      />
+                    </svg>
+                  </a>
+                )}
+
+                <div className="pt-4 border-t border-gray-200 text-xs text-gray-500 space-y-1">
+                  {scheme.createdAt && <p>Added {formatDate(scheme.createdAt)}</p>}
+                  {scheme.updatedAt && <p>Last updated {formatDate(scheme.updatedAt)}</p>}
+                  {scheme.url && scheme.linkHealth?.checkedAt && (
+                    <p>Link checked {formatDate(scheme.linkHealth.checkedAt)}</p>
+                  )}
+                </div>
+              </>
+            )}
+          </article>
+        )}
+
+        {/* Edit Scheme Modal */}
+        {showEditModal && (
+          <AddSchemeModal
+            scheme={scheme}
+            onClose={() => setShowEditModal(false)}
+            onSuccess={handleSchemeUpdated}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
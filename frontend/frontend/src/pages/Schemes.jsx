@@ -1,64 +1,340 @@
 /**
  * Schemes Page
- * 
- * Displays all available government schemes in a grid layout.
- * Allows authenticated users to add new schemes.
- * 
+ *
+ * Searchable, filterable list of government schemes. Results are fetched a
+ * page at a time from the server and more are loaded as the user scrolls.
+ * The search text, filters and sort order live in the URL query string, so
+ * a filtered list can be bookmarked, shared and navigated with Back.
+ * Authenticated users can add new schemes; each card links to the scheme's
+ * detail page, where it can be edited or deleted. New schemes wait for a
+ * moderator, so the user's submissions that are not approved yet are
+ * listed separately with their review status. The bookmark button on each
+ * card saves the scheme to the user's list on the My Applications page.
+ *
  * @module pages/Schemes
  */
 
-import { useState, useEffect, useCallback } from 'react';
-import { schemesAPI } from '../services/api';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { schemesAPI, bookmarksAPI } from '../services/api';
 import AddSchemeModal from '../components/AddSchemeModal';
-import { formatErrorMessage, formatDate } from '../utils/helpers';
+import SchemeCard from '../components/SchemeCard';
+import ReviewStatusBadge from '../components/ReviewStatusBadge';
+import { formatErrorMessage, formatDate, optionLabel } from '../utils/helpers';
+import { ROUTES, SCHEME_OPTIONS, SCHEME_SEARCH, SUCCESS_MESSAGES } from '../utils/constants';
+
+/**
+ * Reads the search state from the URL query string
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {{q: string, categories: string[], state: string, closingWithin: string, sort: string}} Filters
+ */
+const readFilters = (searchParams) => ({
+  q: searchParams.get('q') || '',
+  categories: (searchParams.get('category') || '').split(',').filter(Boolean),
+  state: searchParams.get('state') || '',
+  closingWithin: searchParams.get('closingWithin') || '',
+  sort: searchParams.get('sort') || '',
+});
+
+/**
+ * Formats a date as yyyy-mm-dd in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string for the API
+ */
+const toDateParam = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Builds the API query for one page of results
+ * @param {Object} filters - Result of readFilters()
+ * @param {number} page - Page number
+ * @returns {Object} Query parameters for schemesAPI.getAll()
+ */
+const toApiParams = (filters, page) => {
+  const params = { page, limit: SCHEME_SEARCH.PAGE_SIZE };
+  if (filters.q) params.q = filters.q;
+  if (filters.categories.length) params.category = filters.categories.join(',');
+  if (filters.state) params.state = filters.state;
+  if (filters.sort && (filters.sort !== 'relevance' || filters.q)) params.sort = filters.sort;
+
+  const days = Number(filters.closingWithin);
+  if (days > 0) {
+    const today = new Date();
+    params.deadlineFrom = toDateParam(today);
+    params.deadlineTo = toDateParam(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days));
+  }
+  return params;
+};
+
+/**
+ * Toggle chip for a filter
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - Chip text
+ * @param {boolean} props.active - Whether the filter is applied
+ * @param {Function} props.onClick - Toggles the filter
+ * @returns {JSX.Element} Filter chip
+ */
+function FilterChip({ label, active, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      className={`px-3 py-1 rounded-full text-sm font-medium border transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+        active
+          ? 'bg-indigo-600 border-indigo-600 text-white hover:bg-indigo-700'
+          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+      }`}
+    >
+      {label}
+      {active && <span className="ml-1" aria-hidden="true">×</span>}
+    </button>
+  );
+}
 
 /**
  * Schemes Component
- * Lists all schemes and provides functionality to add new ones
- * 
+ * Lists schemes with search, filters and infinite scroll, and provides
+ * functionality to add new ones
+ *
  * @returns {JSX.Element} Schemes page component
  */
 export default function Schemes() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+
   const [schemes, setSchemes] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState('');
+  const [categories, setCategories] = useState([]);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [submissions, setSubmissions] = useState([]);
+  const [notice, setNotice] = useState('');
+  const [bookmarkedIds, setBookmarkedIds] = useState(() => new Set());
+  const [bookmarkError, setBookmarkError] = useState('');
+
+  // Search box text; pushed to the URL after the user stops typing
+  const [query, setQuery] = useState(filters.q);
+  const [urlQuery, setUrlQuery] = useState(filters.q);
+  if (filters.q !== urlQuery) {
+    // The URL changed underneath us (Back button, cleared filters)
+    setUrlQuery(filters.q);
+    setQuery(filters.q);
+  }
+
+  const searchTimer = useRef(null);
+  const requestId = useRef(0);
+  const sentinel = useRef(null);
+
+  /**
+   * Changes some query string parameters, dropping empty ones
+   * Typing in the search box replaces the history entry instead of adding one
+   * @param {Object} changes - Parameter values keyed by name
+   */
+  const updateParams = useCallback(
+    (changes) => {
+      setSearchParams(
+        (current) => {
+          const next = new URLSearchParams(current);
+          Object.entries(changes).forEach(([key, value]) => {
+            if (value) next.set(key, value);
+            else next.delete(key);
+          });
+          return next;
+        },
+        { replace: Object.keys(changes).length === 1 && 'q' in changes }
+      );
+    },
+    [setSearchParams]
+  );
+
+  /**
+   * Fetches one page of schemes; page 1 replaces the list
+   * Responses for an outdated search are ignored
+   * @param {number} pageToLoad - Page number
+   */
+  const fetchSchemes = useCallback(
+    async (pageToLoad = 1) => {
+      const id = ++requestId.current;
+      try {
+        if (pageToLoad === 1) setLoading(true);
+        else setLoadingMore(true);
+        setError('');
+
+        const data = await schemesAPI.getAll(toApiParams(filters, pageToLoad));
+        if (id !== requestId.current) return;
+
+        setSchemes((current) => (pageToLoad === 1 ? data.schemes : [...current, ...data.schemes]));
+        setTotal(data.total);
+        setPage(data.page);
+        setHasMore(data.hasMore);
+      } catch (err) {
+        if (id !== requestId.current) return;
+        setError(formatErrorMessage(err));
+        if (pageToLoad === 1) setSchemes([]);
+        console.error('Error fetching schemes:', err);
+      } finally {
+        if (id === requestId.current) {
+          setLoading(false);
+          setLoadingMore(false);
+        }
+      }
+    },
+    [filters]
+  );
+
+  /**
+   * Starts over from page 1 whenever the search or filters change
+   */
+  useEffect(() => {
+    fetchSchemes(1);
+  }, [fetchSchemes]);
+
+  /**
+   * Loads the category chips once
+   */
+  useEffect(() => {
+    schemesAPI
+      .getCategories()
+      .then(setCategories)
+      .catch((err) => console.error('Error fetching categories:', err));
+  }, []);
 
   /**
-   * Fetches all schemes from the API
-   * Public endpoint - no authentication required
+   * Fetches the user's own schemes that are not approved yet
    */
-  const fetchSchemes = useCallback(async () => {
+  const fetchSubmissions = useCallback(async () => {
     try {
-      setLoading(true);
-      setError('');
-      const data = await schemesAPI.getAll();
-      setSchemes(Array.isArray(data) ? data : []);
+      const mine = await schemesAPI.getMine();
+      setSubmissions(mine.filter((scheme) => scheme.status && scheme.status !== 'approved'));
     } catch (err) {
-      const errorMessage = formatErrorMessage(err);
-      setError(errorMessage);
-      setSchemes([]);
-      console.error('Error fetching schemes:', err);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching submissions:', err);
     }
   }, []);
 
+  useEffect(() => {
+    fetchSubmissions();
+  }, [fetchSubmissions]);
+
   /**
-   * Fetches schemes on component mount
+   * Loads which schemes the user saved, for the bookmark buttons
    */
   useEffect(() => {
-    fetchSchemes();
-  }, [fetchSchemes]);
+    bookmarksAPI
+      .getAll()
+      .then((bookmarks) => setBookmarkedIds(new Set(bookmarks.map((bookmark) => bookmark.scheme._id))))
+      .catch((err) => console.error('Error fetching bookmarks:', err));
+  }, []);
+
+  /**
+   * Loads the next page when the end of the list scrolls into view
+   */
+  useEffect(() => {
+    const node = sentinel.current;
+    if (!node || !hasMore || loading || loadingMore || error) return undefined;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) fetchSchemes(page + 1);
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [fetchSchemes, hasMore, loading, loadingMore, error, page]);
+
+  useEffect(() => () => clearTimeout(searchTimer.current), []);
+
+  /**
+   * Updates the search box and searches once typing pauses
+   * @param {Event} e - Input change event
+   */
+  const handleQueryChange = (e) => {
+    const value = e.target.value;
+    setQuery(value);
+    clearTimeout(searchTimer.current);
+    searchTimer.current = setTimeout(() => updateParams({ q: value.trim() }), SCHEME_SEARCH.DEBOUNCE_MS);
+  };
+
+  /**
+   * Searches immediately on Enter
+   * @param {Event} e - Form submit event
+   */
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    clearTimeout(searchTimer.current);
+    updateParams({ q: query.trim() });
+  };
+
+  /**
+   * Adds or removes a category filter
+   * @param {string} category - Category name
+   */
+  const toggleCategory = (category) => {
+    const selected = filters.categories.includes(category)
+      ? filters.categories.filter((item) => item !== category)
+      : [...filters.categories, category];
+    updateParams({ category: selected.join(',') });
+  };
+
+  /**
+   * Clears the search and every filter, keeping the sort order
+   */
+  const clearFilters = () => {
+    clearTimeout(searchTimer.current);
+    updateParams({ q: '', category: '', state: '', closingWithin: '' });
+  };
+
+  /**
+   * Saves or unsaves a scheme. The button changes right away and changes
+   * back if the request fails.
+   * @param {Object} scheme - Scheme on the card
+   */
+  const handleToggleBookmark = async (scheme) => {
+    const saved = bookmarkedIds.has(scheme._id);
+    const update = (add) =>
+      setBookmarkedIds((current) => {
+        const next = new Set(current);
+        if (add) next.add(scheme._id);
+        else next.delete(scheme._id);
+        return next;
+      });
+
+    update(!saved);
+    setBookmarkError('');
+    try {
+      if (saved) await bookmarksAPI.remove(scheme._id);
+      else await bookmarksAPI.save(scheme._id);
+    } catch (err) {
+      update(saved);
+      setBookmarkError(formatErrorMessage(err));
+      console.error('Error saving bookmark:', err);
+    }
+  };
 
   /**
    * Handles successful scheme addition
-   * Closes modal and refreshes schemes list
+   * Closes modal and refreshes the list the new scheme appears in
+   * @param {Object} scheme - Scheme returned by the API
    */
-  const handleSchemeAdded = useCallback(() => {
-    setShowAddModal(false);
-    fetchSchemes();
-  }, [fetchSchemes]);
+  const handleSchemeAdded = useCallback(
+    (scheme) => {
+      setShowAddModal(false);
+      if (scheme.status === 'pending') {
+        setNotice(SUCCESS_MESSAGES.SCHEME_SUBMITTED);
+        fetchSubmissions();
+      } else {
+        setNotice(SUCCESS_MESSAGES.SCHEME_CREATED);
+        fetchSchemes(1);
+      }
+    },
+    [fetchSchemes, fetchSubmissions]
+  );
 
   /**
    * Handles modal close
@@ -67,6 +343,11 @@ export default function Schemes() {
     setShowAddModal(false);
   };
 
+  const hasFilters = Boolean(filters.q || filters.categories.length || filters.state || filters.closingWithin);
+  // Without a search term there is nothing to rank by relevance
+  const sortValue =
+    filters.sort && (filters.sort !== 'relevance' || filters.q) ? filters.sort : filters.q ? 'relevance' : 'newest';
+
   return (
     <div className="min-h-screen bg-gray-50 py-8 px-4">
       <div className="max-w-6xl mx-auto">
@@ -85,13 +366,150 @@ export default function Schemes() {
           </button>
         </div>
 
+        {/* Success Notice */}
+        {notice && (
+          <div
+            className="mb-6 p-4 rounded-lg flex items-center justify-between gap-4 bg-green-50 border border-green-300 text-green-800"
+            role="status"
+          >
+            <p>{notice}</p>
+            <button onClick={() => setNotice('')} className="text-sm underline hover:text-green-900">
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {bookmarkError && (
+          <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg" role="alert">
+            <p>{bookmarkError}</p>
+          </div>
+        )}
+
+        {/* The user's submissions awaiting or failing review */}
+        {submissions.length > 0 && (
+          <section className="bg-white rounded-lg shadow-md p-4 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Your submissions</h2>
+            <ul className="divide-y divide-gray-100">
+              {submissions.map((scheme) => (
+                <li key={scheme._id} className="py-3 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                  <div>
+                    <Link
+                      to={`${ROUTES.SCHEMES}/${scheme._id}`}
+                      className="font-medium text-gray-900 hover:text-indigo-600"
+                    >
+                      {scheme.title}
+                    </Link>
+                    <p className="text-xs text-gray-500">
+                      Submitted {formatDate(scheme.submittedAt || scheme.createdAt)}
+                    </p>
+                    {scheme.reviewNote && (
+                      <p className="mt-1 text-sm text-gray-700">
+                        <span className="font-medium">Moderator's note:</span> {scheme.reviewNote}
+                      </p>
+                    )}
+                  </div>
+                  <ReviewStatusBadge scheme={scheme} />
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Search and Filters */}
+        <div className="bg-white rounded-lg shadow-md p-4 mb-6 space-y-4">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <form onSubmit={handleSearchSubmit} className="flex-grow" role="search">
+              <label htmlFor="scheme-search" className="sr-only">
+                Search schemes
+              </label>
+              <input
+                type="search"
+                id="scheme-search"
+                value={query}
+                onChange={handleQueryChange}
+                placeholder="Search by title or description, e.g. farmer loan"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+              />
+            </form>
+            <select
+              aria-label="Filter by state"
+              value={filters.state}
+              onChange={(e) => updateParams({ state: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+            >
+              <option value="">All states</option>
+              {SCHEME_OPTIONS.STATES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <select
+              aria-label="Sort schemes"
+              value={sortValue}
+              onChange={(e) => updateParams({ sort: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+            >
+              {SCHEME_SEARCH.SORTS.filter((option) => option.value !== 'relevance' || filters.q).map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {categories.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-500 mr-1">Category:</span>
+              {categories.map(({ category }) => (
+                <FilterChip
+                  key={category}
+                  label={category}
+                  active={filters.categories.includes(category)}
+                  onClick={() => toggleCategory(category)}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-gray-500 mr-1">Closes within:</span>
+            {SCHEME_SEARCH.DEADLINE_WINDOWS.map((days) => (
+              <FilterChip
+                key={days}
+                label={`${days} days`}
+                active={filters.closingWithin === String(days)}
+                onClick={() =>
+                  updateParams({ closingWithin: filters.closingWithin === String(days) ? '' : String(days) })
+                }
+              />
+            ))}
+            {filters.state && (
+              <FilterChip
+                label={optionLabel(SCHEME_OPTIONS.STATES, filters.state)}
+                active
+                onClick={() => updateParams({ state: '' })}
+              />
+            )}
+          </div>
+
+          {hasFilters && (
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>{loading ? 'Searching...' : `${total} ${total === 1 ? 'scheme' : 'schemes'} found`}</span>
+              <button onClick={clearFilters} className="text-indigo-600 hover:text-indigo-700 font-medium">
+                Clear filters
+              </button>
+            </div>
+          )}
+        </div>
+
         {/* Error Message */}
         {error && (
           <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
             <p className="font-medium">Error loading schemes:</p>
             <p>{error}</p>
             <button
-              onClick={fetchSchemes}
+              onClick={() => fetchSchemes(schemes.length ? page + 1 : 1)}
               className="mt-2 text-sm underline hover:text-red-800"
             >
               Try again
@@ -123,72 +541,40 @@ export default function Schemes() {
                 d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
               />
             </svg>
-            <p className="mt-4 text-gray-600 text-lg font-medium">No schemes available yet</p>
-            <p className="text-gray-500 mt-2">Be the first to add one!</p>
+            {hasFilters ? (
+              <>
+                <p className="mt-4 text-gray-600 text-lg font-medium">No schemes match your search</p>
+                <p className="text-gray-500 mt-2">Try different words or remove some filters.</p>
+              </>
+            ) : (
+              <>
+                <p className="mt-4 text-gray-600 text-lg font-medium">No schemes available yet</p>
+                <p className="text-gray-500 mt-2">Be the first to add one!</p>
+              </>
+            )}
           </div>
         )}
 
         {/* Schemes Grid */}
-        {!loading && !error && schemes.length > 0 && (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {schemes.map((scheme) => (
-              <div
-                key={scheme._id}
-                className="bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow p-6 flex flex-col"
-              >
-                {/* Category Badge */}
-                {scheme.category && (
-                  <span className="inline-block bg-indigo-100 text-indigo-800 text-xs font-semibold px-3 py-1 rounded-full mb-3 self-start">
-                    {scheme.category}
-                  </span>
-                )}
-
-                {/* Title */}
-                <h3 className="text-xl font-bold text-gray-900 mb-2">{scheme.title}</h3>
-
-                {/* Description */}
-                {scheme.description && (
-                  <p className="text-gray-600 text-sm mb-4 line-clamp-3 flex-grow">
-                    {scheme.description}
-                  </p>
-                )}
-
-                {/* URL Link */}
-                {scheme.url && (
-                  <a
-                    href={scheme.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-indigo-600 hover:text-indigo-700 font-medium text-sm inline-flex items-center mb-4 transition-colors"
-                  >
-                    Visit Official Link
-                    <svg
-                      className="w-4 h-4 ml-1"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"
-                      />
-                    </svg>
-                  </a>
-                )}
-
-                {/* Created Date */}
-                {scheme.createdAt && (
-                  <div className="mt-auto pt-4 border-t border-gray-200">
-                    <p className="text-xs text-gray-500">
-                      Added {formatDate(scheme.createdAt)}
-                    </p>
-                  </div>
-                )}
-              </div>
-            ))}
-          </div>
+        {!loading && schemes.length > 0 && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {schemes.map((scheme) => (
+                <SchemeCard
+                  key={scheme._id}
+                  scheme={scheme}
+                  bookmarked={bookmarkedIds.has(scheme._id)}
+                  onToggleBookmark={handleToggleBookmark}
+                />
+              ))}
+            </div>
+
+            {/* Infinite scroll: reaching this element loads the next page */}
+            <div ref={sentinel} className="py-8 text-center text-sm text-gray-500">
+              {loadingMore && 'Loading more schemes...'}
+              {!hasMore && !loadingMore && total > SCHEME_SEARCH.PAGE_SIZE && `All ${total} schemes shown`}
+            </div>
+          </>
         )}
 
         {/* Add Scheme Modal */}
@@ -0,0 +1,133 @@
+/**
+ * Verify Email Page
+ * 
+ * Opened from the link in the verification email. Confirms the address with
+ * the token in the query string; if the link is no longer valid, the user
+ * can ask for a new one.
+ * 
+ * @module pages/VerifyEmail
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { ROUTES } from '../utils/constants';
+import { isValidEmail, formatErrorMessage } from '../utils/helpers';
+
+/**
+ * Verify Email Component
+ * 
+ * @returns {JSX.Element} Verify email page component
+ */
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed'); // verifying | verified | failed
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const [email, setEmail] = useState('');
+  const [resendMessage, setResendMessage] = useState('');
+  const [resending, setResending] = useState(false);
+  // The token works once, so it must not be sent twice (e.g. by StrictMode)
+  const submittedToken = useRef(null);
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) return;
+    submittedToken.current = token;
+
+    authAPI
+      .verifyEmail(token)
+      .then((data) => {
+        setStatus('verified');
+        setMessage(data.msg);
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setMessage(formatErrorMessage(err));
+      });
+  }, [token]);
+
+  /**
+   * Asks for a new verification email
+   * @param {Event} e - Form submit event
+   */
+  const handleResend = async (e) => {
+    e.preventDefault();
+    if (!isValidEmail(email)) {
+      setResendMessage('Please enter a valid email address');
+      return;
+    }
+
+    setResending(true);
+    try {
+      const data = await authAPI.resendVerification(email.trim());
+      setResendMessage(data.msg);
+    } catch (err) {
+      setResendMessage(formatErrorMessage(err));
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-xl p-8">
+        <div className="text-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Verify Email</h1>
+        </div>
+
+        {status === 'verifying' && (
+          <div className="text-center">
+            <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+            <p className="mt-4 text-gray-600">Verifying your email address...</p>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="text-center">
+            <div className="mb-6 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+              {message}
+            </div>
+            <Link
+              to={ROUTES.LOGIN}
+              className="inline-block bg-indigo-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-indigo-700 transition-colors"
+            >
+              Go to login
+            </Link>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <div className="mb-6 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+              {message}
+            </div>
+            <form onSubmit={handleResend} className="space-y-4" noValidate>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Send a new link to
+              </label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setResendMessage('');
+                }}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+                placeholder="Enter your email"
+              />
+              {resendMessage && <p className="text-sm text-gray-700">{resendMessage}</p>}
+              <button
+                type="submit"
+                disabled={resending}
+                className="w-full bg-indigo-600 text-white py-3 rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {resending ? 'Sending...' : 'Send new link'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
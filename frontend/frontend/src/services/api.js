@@ -8,7 +8,7 @@
  */
 
 import axios from 'axios';
-import { API_CONFIG, STORAGE_KEYS, ERROR_MESSAGES } from '../utils/constants';
+import { API_CONFIG, STORAGE_KEYS, AUTH_EVENTS, ERROR_MESSAGES } from '../utils/constants';
 import { formatErrorMessage } from '../utils/helpers';
 
 /**
@@ -39,21 +39,89 @@ api.interceptors.request.use(
   }
 );
 
+/**
+ * Clears the stored session and tells AuthContext it has ended
+ * Used when the session cannot be refreshed; ProtectedRoute then sends the
+ * user to the login page without a full page reload
+ */
+const handleUnauthorized = () => {
+  localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+  localStorage.removeItem(STORAGE_KEYS.USER_DATA);
+  window.dispatchEvent(new Event(AUTH_EVENTS.ENDED));
+};
+
+/**
+ * Refresh in flight, shared by every request that failed with 401 while it
+ * runs so the refresh token (single use) is only spent once
+ * @type {Promise<string>|null}
+ */
+let refreshing = null;
+
+/**
+ * Gets a new access token with the refresh token cookie
+ * Stores the new session and announces it to AuthContext
+ * @returns {Promise<string>} - New access token
+ * @throws {Error} - If the session is over
+ */
+const refreshAccessToken = () => {
+  refreshing ??= api
+    .post('/auth/refresh', null, { withCredentials: true, skipAuthRefresh: true })
+    .then(({ data }) => {
+      localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, data.token);
+      localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(data.user));
+      window.dispatchEvent(new CustomEvent(AUTH_EVENTS.REFRESHED, { detail: data }));
+      return data.token;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+/**
+ * Gets an access token to retry a request that failed with 401
+ * Another tab sharing this session may have refreshed already and stored a
+ * new token; that one is used rather than spending the refresh token again
+ * @param {string|undefined} sent - Access token the failed request carried
+ * @returns {Promise<string>} - Access token to retry with
+ * @throws {Error} - If the session is over
+ */
+const renewAccessToken = async (sent) => {
+  const stored = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+  if (stored && stored !== sent) return stored;
+  try {
+    return await refreshAccessToken();
+  } catch (error) {
+    // The other tab may have won a refresh that ours lost
+    const latest = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+    if (latest && latest !== sent) return latest;
+    throw error;
+  }
+};
+
 /**
  * Response interceptor: Handles global error responses
- * Manages token expiration and network errors
+ * On 401 a signed-in user's request waits for a token refresh and is sent
+ * again once; the session only ends if the refresh fails
  */
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const { config } = error;
+
     // Handle 401 Unauthorized - token expired or invalid
-    if (error.response?.status === 401) {
-      localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
-      localStorage.removeItem(STORAGE_KEYS.USER_DATA);
-      // Redirect to login if not already there
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
+    if (error.response?.status === 401 && !config?.skipAuthRefresh) {
+      if (!config._retried && localStorage.getItem(STORAGE_KEYS.USER_DATA)) {
+        try {
+          const token = await renewAccessToken(config.headers['x-auth-token']);
+          config._retried = true;
+          config.headers['x-auth-token'] = token;
+          return api(config);
+        } catch {
+          // Fall through to end the session
+        }
       }
+      handleUnauthorized();
     }
     
     // Enhance error object with user-friendly message
@@ -64,7 +132,8 @@ api.interceptors.response.use(
 
 /**
  * Authentication API endpoints
- * Handles user registration and login
+ * Handles user registration, login, the refresh token session, email
+ * verification, password resets and the signed-in user's account
  */
 export const authAPI = {
   /**
@@ -96,12 +165,123 @@ export const authAPI = {
    */
   login: async (credentials) => {
     try {
-      const response = await api.post('/auth/login', credentials);
+      const response = await api.post('/auth/login', credentials, { withCredentials: true, skipAuthRefresh: true });
       return response.data;
     } catch (error) {
       throw error;
     }
   },
+
+  /**
+   * Exchange the refresh token cookie for a new access token
+   * Concurrent calls share one refresh; the new session is stored
+   * @returns {Promise<string>} - New access token
+   * @throws {Error} - If the session is over (401)
+   */
+  refresh: () => refreshAccessToken(),
+
+  /**
+   * End the session on the server and clear the refresh token cookie
+   * @returns {Promise<Object>} - Confirmation message
+   * @throws {Error} - If the request fails
+   */
+  logout: async () => {
+    const response = await api.post('/auth/logout', null, { withCredentials: true, skipAuthRefresh: true });
+    return response.data;
+  },
+
+  /**
+   * Confirm an email address with the token from the verification email
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object>} - Confirmation message
+   * @throws {Error} - If the link is invalid, used or expired (400)
+   */
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify', { token });
+    return response.data;
+  },
+
+  /**
+   * Ask for a new verification email
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} - Message (the same whether or not the account exists)
+   * @throws {Error} - If the request fails
+   */
+  resendVerification: async (email) => {
+    const response = await api.post('/auth/resend-verification', { email });
+    return response.data;
+  },
+
+  /**
+   * Ask for a password reset email
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} - Message (the same whether or not the account exists)
+   * @throws {Error} - If the request fails
+   */
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  /**
+   * Set a new password with the token from the reset email
+   * @param {string} token - Token from the link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} - Confirmation message
+   * @throws {Error} - If the password is rejected or the link is invalid, used or expired (400)
+   */
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  /**
+   * Get the signed-in user's account and saved profile
+   * Requires authentication
+   * @returns {Promise<Object>} - id, name, email, role, interests, emailVerified and profile
+   * @throws {Error} - If fetch fails
+   */
+  getMe: async () => {
+    const response = await api.get('/auth/me');
+    return response.data;
+  },
+
+  /**
+   * Update the signed-in user's name, interests or profile
+   * Requires authentication
+   * @param {Object} changes - Any of name, interests (array) and profile (replaces the saved one)
+   * @returns {Promise<Object>} - Updated account
+   * @throws {Error} - If validation fails (400)
+   */
+  updateMe: async (changes) => {
+    const response = await api.patch('/auth/me', changes);
+    return response.data;
+  },
+
+  /**
+   * Change the signed-in user's password; other devices are signed out
+   * Requires authentication
+   * @param {string} currentPassword - Password now
+   * @param {string} newPassword - Password to set
+   * @returns {Promise<Object>} - Confirmation message
+   * @throws {Error} - If the current password is wrong or the new one is rejected (400)
+   */
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.post('/auth/me/password', { currentPassword, newPassword }, { withCredentials: true });
+    return response.data;
+  },
+
+  /**
+   * Delete the signed-in user's account and everything saved with it
+   * Requires authentication
+   * @param {string} password - Current password, as confirmation
+   * @returns {Promise<Object>} - Confirmation message
+   * @throws {Error} - If the password is wrong (400)
+   */
+  deleteAccount: async (password) => {
+    const response = await api.delete('/auth/me', { data: { password }, withCredentials: true });
+    return response.data;
+  },
 };
 
 /**
@@ -110,18 +290,33 @@ export const authAPI = {
  */
 export const schemesAPI = {
   /**
-   * Get all schemes
+   * Search schemes, one page at a time
    * Public endpoint - no authentication required
-   * @returns {Promise<Array>} - Array of scheme objects
+   * @param {Object} [params] - Query parameters
+   * @param {string} [params.q] - Search text
+   * @param {string} [params.category] - Comma-separated categories
+   * @param {string} [params.state] - State code
+   * @param {string} [params.deadlineFrom] - Closing on or after (yyyy-mm-dd)
+   * @param {string} [params.deadlineTo] - Closing on or before (yyyy-mm-dd)
+   * @param {string} [params.sort] - newest, oldest, title, deadline or relevance
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Page size
+   * @returns {Promise<{schemes: Array, total: number, page: number, totalPages: number, hasMore: boolean}>}
+   *   - One page of schemes plus totals
    * @throws {Error} - If fetch fails
    */
-  getAll: async () => {
-    try {
-      const response = await api.get('/schemes');
-      return response.data;
-    } catch (error) {
-      throw error;
-    }
+  getAll: async (params = {}) => {
+    const response = await api.get('/schemes', { params });
+    return response.data;
+  },
+
+  /**
+   * List the categories in use, most used first
+   * @returns {Promise<Array<{category: string, count: number}>>} - Categories with scheme counts
+   */
+  getCategories: async () => {
+    const response = await api.get('/schemes/categories');
+    return response.data;
   },
 
   /**
@@ -132,16 +327,212 @@ export const schemesAPI = {
    * @param {string} [schemeData.description] - Scheme description
    * @param {string} [schemeData.category] - Scheme category
    * @param {string} [schemeData.url] - Scheme URL
-   * @returns {Promise<Object>} - Created scheme object
-   * @throws {Error} - If creation fails
+   * @param {Object} [options]
+   * @param {boolean} [options.allowDuplicate=false] - Save even if it looks like an existing scheme
+   * @returns {Promise<Object>} - Created scheme object; `status` is 'pending'
+   *   until a moderator approves it
+   * @throws {Error} - If creation fails; a 409 response carries `duplicates`,
+   *   each { scheme, score, matches }
    */
-  create: async (schemeData) => {
-    try {
-      const response = await api.post('/schemes', schemeData);
-      return response.data;
-    } catch (error) {
-      throw error;
-    }
+  create: async (schemeData, { allowDuplicate = false } = {}) => {
+    const response = await api.post('/schemes', { ...schemeData, allowDuplicate });
+    return response.data;
+  },
+
+  /**
+   * Get one scheme
+   * Public endpoint - deleted schemes are not found, and schemes awaiting
+   * review only by their submitter and moderators
+   * @param {string} id - Scheme ID
+   * @returns {Promise<Object>} - Scheme object; for a merged duplicate, the scheme it was merged into
+   */
+  getById: async (id) => {
+    const response = await api.get(`/schemes/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Replace a scheme's details (creator or admin only)
+   * Optional fields that are left out are cleared
+   * @param {string} id - Scheme ID
+   * @param {Object} schemeData - Same fields as create()
+   * @returns {Promise<Object>} - Updated scheme
+   */
+  update: async (id, schemeData) => {
+    const response = await api.put(`/schemes/${id}`, schemeData);
+    return response.data;
+  },
+
+  /**
+   * Soft-delete a scheme (creator or admin only)
+   * @param {string} id - Scheme ID
+   * @returns {Promise<{msg: string, scheme: Object}>} - Deleted scheme
+   */
+  remove: async (id) => {
+    const response = await api.delete(`/schemes/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Restore a deleted scheme (creator or admin only)
+   * @param {string} id - Scheme ID
+   * @returns {Promise<{msg: string, scheme: Object}>} - Restored scheme
+   */
+  restore: async (id) => {
+    const response = await api.post(`/schemes/${id}/restore`);
+    return response.data;
+  },
+
+  /**
+   * List deleted schemes the user can restore
+   * @returns {Promise<Array>} - Deleted schemes, most recent first
+   */
+  getDeleted: async () => {
+    const response = await api.get('/schemes/deleted');
+    return response.data;
+  },
+
+  /**
+   * List pairs of schemes that look like duplicates (admin only)
+   * @returns {Promise<Array<{schemes: Array, score: number, matches: Object}>>} - Most similar first
+   */
+  getDuplicates: async () => {
+    const response = await api.get('/schemes/duplicates');
+    return response.data;
+  },
+
+  /**
+   * Merge duplicates into a scheme (admin only)
+   * The duplicates are deleted; links, chat citations, bookmarks and
+   * applications lead to the kept scheme
+   * @param {string} id - Scheme that is kept
+   * @param {string[]} duplicateIds - Schemes merged into it
+   * @returns {Promise<{msg: string, scheme: Object, merged: string[], references: number,
+   *   bookmarks: number, applications: number}>} - Merge result
+   */
+  merge: async (id, duplicateIds) => {
+    const response = await api.post(`/schemes/${id}/merge`, { duplicateIds });
+    return response.data;
+  },
+
+  /**
+   * List schemes whose official link failed or redirects at the last check (admin only)
+   * @param {string} [status='broken'] - broken or redirected
+   * @returns {Promise<{schemes: Array, counts: Object}>} - Schemes with `linkHealth`, and the
+   *   number of ok, redirected, broken and unchecked links
+   */
+  getLinkReport: async (status = 'broken') => {
+    const response = await api.get('/schemes/link-report', { params: { status } });
+    return response.data;
+  },
+
+  /**
+   * Check one scheme's official link now (admin only)
+   * @param {string} id - Scheme ID
+   * @returns {Promise<Object>} - Scheme with its updated `linkHealth`
+   */
+  checkLink: async (id) => {
+    const response = await api.post(`/schemes/${id}/check-link`);
+    return response.data;
+  },
+
+  /**
+   * List a scheme's revisions, newest first (creator, moderators and admins)
+   * @param {string} id - Scheme ID
+   * @returns {Promise<Array>} - Revisions with number, action, note, changedBy (name),
+   *   createdAt and changedFields
+   */
+  getRevisions: async (id) => {
+    const response = await api.get(`/schemes/${id}/revisions`);
+    return response.data;
+  },
+
+  /**
+   * Compare two revisions of a scheme field by field
+   * @param {string} id - Scheme ID
+   * @param {number} [from] - Older revision (default: the one before `to`)
+   * @param {number} [to] - Newer revision (default: the latest)
+   * @returns {Promise<{from: Object|null, to: Object, changes: Array}>} - Each change is { field, before, after }
+   */
+  getRevisionDiff: async (id, from, to) => {
+    const response = await api.get(`/schemes/${id}/revisions/diff`, { params: { from, to } });
+    return response.data;
+  },
+
+  /**
+   * Restore a scheme's details to an earlier revision (creator or admin)
+   * @param {string} id - Scheme ID
+   * @param {number} number - Revision to go back to
+   * @returns {Promise<{msg: string, scheme: Object}>} - Updated scheme
+   */
+  rollback: async (id, number) => {
+    const response = await api.post(`/schemes/${id}/revisions/${number}/rollback`);
+    return response.data;
+  },
+
+  /**
+   * Check which schemes a profile qualifies for
+   * Public endpoint - signed-in users may omit the profile to use their saved one
+   * @param {Object} [profile] - age, state, income, gender, socialCategory, education, occupation
+   * @param {boolean} [save=false] - Store the profile on the signed-in user
+   * @returns {Promise<{profile: Object, saved: boolean, eligible: Array, partial: Array, ineligible: Array}>}
+   *   - Each list holds { scheme, met, unmet, unknown }
+   */
+  checkEligibility: async (profile, save = false) => {
+    const response = await api.post('/schemes/eligibility', { profile, save });
+    return response.data;
+  },
+
+  /**
+   * List the schemes the signed-in user submitted, with their review status
+   * @returns {Promise<Array>} - The user's schemes, newest first
+   */
+  getMine: async () => {
+    const response = await api.get('/schemes/mine');
+    return response.data;
+  },
+
+  /**
+   * List submissions in one moderation status (moderators and admins only)
+   * @param {string} [status='pending'] - pending, changes_requested, rejected or approved
+   * @returns {Promise<{schemes: Array, counts: Object}>} - Schemes, oldest submission first,
+   *   and the number of schemes in each status
+   */
+  getModerationQueue: async (status = 'pending') => {
+    const response = await api.get('/schemes/moderation', { params: { status } });
+    return response.data;
+  },
+
+  /**
+   * Approve a submission so it is listed publicly (moderators and admins only)
+   * @param {string} id - Scheme ID
+   * @returns {Promise<{msg: string, scheme: Object}>} - Approved scheme
+   */
+  approve: async (id) => {
+    const response = await api.post(`/schemes/${id}/approve`);
+    return response.data;
+  },
+
+  /**
+   * Reject a submission (moderators and admins only)
+   * @param {string} id - Scheme ID
+   * @param {string} reason - Shown to the submitter
+   * @returns {Promise<{msg: string, scheme: Object}>} - Rejected scheme
+   */
+  reject: async (id, reason) => {
+    const response = await api.post(`/schemes/${id}/reject`, { reason });
+    return response.data;
+  },
+
+  /**
+   * Send a submission back to its submitter for changes (moderators and admins only)
+   * @param {string} id - Scheme ID
+   * @param {string} reason - What needs to change, shown to the submitter
+   * @returns {Promise<{msg: string, scheme: Object}>} - Updated scheme
+   */
+  requestChanges: async (id, reason) => {
+    const response = await api.post(`/schemes/${id}/request-changes`, { reason });
+    return response.data;
   },
 };
 
@@ -155,12 +546,13 @@ export const chatAPI = {
    * Protected endpoint - requires authentication
    * @param {string} message - User's message/query
    * @param {string} [userId] - Optional user ID for personalization
+   * @param {string} [conversationId] - Conversation to post to; defaults to the most recent one
    * @returns {Promise<Object>} - Chatbot response
    * @throws {Error} - If request fails
    */
-  sendMessage: async (message, userId = null) => {
+  sendMessage: async (message, userId = null, conversationId = null) => {
     try {
-      const response = await api.post('/chat', { message, userId });
+      const response = await api.post('/chat', { message, userId, ...(conversationId && { conversationId }) });
       return response.data;
     } catch (error) {
       throw error;
@@ -168,20 +560,355 @@ export const chatAPI = {
   },
 
   /**
-   * Get chat history for a user
+   * Send a message and stream the reply as Server-Sent Events
+   * Protected endpoint - requires authentication
+   *
+   * Uses fetch because axios cannot read a response body incrementally.
+   * Errors thrown before any reply text arrives carry `streamUnavailable: true`
+   * when the browser or server cannot stream, so callers can fall back to
+   * sendMessage().
+   *
+   * @param {string} message - User's message/query
+   * @param {Object} handlers
+   * @param {(text: string) => void} handlers.onChunk - Receives each piece of reply text
+   * @param {AbortSignal} [handlers.signal] - Aborts the stream (stop button)
+   * @param {string} [handlers.conversationId] - Conversation to post to; defaults to the most recent one
+   * @returns {Promise<Object>} - Metadata from the final `done` event
+   * @throws {Error} - If the request or stream fails
+   */
+  streamMessage: async (message, { onChunk, signal, conversationId = null }) => {
+    const unavailable = (reason) => Object.assign(new Error(reason), { streamUnavailable: true });
+
+    if (typeof window.fetch !== 'function' || typeof window.TextDecoderStream !== 'function') {
+      throw unavailable('Streaming is not supported by this browser');
+    }
+
+    const post = (token) => fetch(`${API_CONFIG.BASE_URL}/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(token && { 'x-auth-token': token }),
+      },
+      body: JSON.stringify({ message, ...(conversationId && { conversationId }) }),
+      signal,
+    });
+
+    const sent = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+    let response = await post(sent);
+
+    // Same as the axios interceptor: renew the access token once and retry
+    if (response.status === 401 && localStorage.getItem(STORAGE_KEYS.USER_DATA)) {
+      const token = await renewAccessToken(sent).catch(() => null);
+      if (token) response = await post(token);
+    }
+
+    if (!response.ok) {
+      if (response.status === 401) handleUnauthorized();
+      if (response.status === 404 || response.status === 405) {
+        throw unavailable('Streaming endpoint is not available');
+      }
+      // Mirror the axios error shape so formatErrorMessage() works
+      const data = await response.json().catch(() => ({}));
+      const error = Object.assign(new Error(data.msg || response.statusText), {
+        response: { status: response.status, data },
+      });
+      error.userMessage = formatErrorMessage(error);
+      throw error;
+    }
+
+    if (!response.body || !response.headers.get('content-type')?.includes('text/event-stream')) {
+      throw unavailable('Server did not return an event stream');
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let metadata = null;
+
+    // Events are separated by a blank line; each has `event:` and `data:` fields
+    const handleEvent = (block) => {
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (!data) return;
+
+      const payload = JSON.parse(data);
+      if (event === 'chunk') onChunk(payload.text);
+      else if (event === 'done') metadata = payload;
+      else if (event === 'error') throw new Error(payload.msg);
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        handleEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+
+    if (!metadata) {
+      throw new Error('The reply stream ended unexpectedly');
+    }
+    return metadata;
+  },
+
+  /**
+   * Get chat history for the authenticated user
    * Protected endpoint - requires authentication
    * @param {number} [limit=50] - Maximum number of messages to retrieve
-   * @returns {Promise<Array>} - Array of chat messages
+   * @param {string} [before] - Cursor from a previous page's `nextCursor`
+   * @param {string} [conversationId] - Only load this conversation
+   * @returns {Promise<{messages: Array, hasMore: boolean, nextCursor: string|null}>} - History page, oldest message first
    * @throws {Error} - If request fails
    */
-  getHistory: async (limit = 50) => {
+  getHistory: async (limit = 50, before = null, conversationId = null) => {
     try {
-      const response = await api.get(`/chat/history?limit=${limit}`);
+      const response = await api.get('/chat/history', {
+        params: { limit, ...(before && { before }), ...(conversationId && { conversationId }) },
+      });
       return response.data;
     } catch (error) {
       throw error;
     }
   },
+
+  /**
+   * Download a conversation transcript
+   * Protected endpoint - requires authentication
+   * @param {string} conversationId - Conversation to export
+   * @param {'markdown'|'json'|'pdf'} format - Transcript format
+   * @returns {Promise<{blob: Blob, fileName: string}>} - File contents and suggested name
+   * @throws {Error} - If request fails
+   */
+  exportConversation: async (conversationId, format) => {
+    let response;
+    try {
+      response = await api.get('/chat/export', {
+        params: {
+          conversationId,
+          format,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        },
+        responseType: 'blob',
+      });
+    } catch (error) {
+      // Error bodies arrive as a Blob too; decode them so `msg` is readable
+      if (error.response?.data instanceof Blob) {
+        error.response.data = await error.response.data
+          .text()
+          .then(JSON.parse)
+          .catch(() => ({}));
+      }
+      throw error;
+    }
+    const disposition = response.headers['content-disposition'] || '';
+    const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || `voxai-chat.${format === 'markdown' ? 'md' : format}`;
+    return { blob: response.data, fileName };
+  },
+
+  /**
+   * Permanently delete the authenticated user's chat history
+   * Protected endpoint - requires authentication
+   * @param {string} [conversationId] - Only clear this conversation's messages
+   * @returns {Promise<Object>} - Deletion summary
+   * @throws {Error} - If request fails
+   */
+  clearHistory: async (conversationId = null) => {
+    const response = await api.delete('/chat/history', {
+      params: conversationId ? { conversationId } : {},
+    });
+    return response.data;
+  },
+};
+
+/**
+ * Conversation API endpoints
+ * Manage the user's chat threads
+ */
+export const conversationsAPI = {
+  /**
+   * List conversations, most recently active first
+   * Protected endpoint - requires authentication
+   * @param {boolean} [archived=false] - List archived conversations instead
+   * @returns {Promise<Array<Object>>} - Conversations
+   * @throws {Error} - If request fails
+   */
+  list: async (archived = false) => {
+    const response = await api.get('/conversations', { params: { archived } });
+    return response.data.conversations;
+  },
+
+  /**
+   * Start a new conversation
+   * Protected endpoint - requires authentication
+   * @param {string} [title] - Title; defaults to the first message
+   * @returns {Promise<Object>} - Created conversation
+   * @throws {Error} - If request fails
+   */
+  create: async (title) => {
+    const response = await api.post('/conversations', title ? { title } : {});
+    return response.data;
+  },
+
+  /**
+   * Rename, archive or unarchive a conversation
+   * Protected endpoint - requires authentication
+   * @param {string} id - Conversation ID
+   * @param {{title?: string, archived?: boolean}} changes - Fields to update
+   * @returns {Promise<Object>} - Updated conversation
+   * @throws {Error} - If request fails
+   */
+  update: async (id, changes) => {
+    const response = await api.patch(`/conversations/${id}`, changes);
+    return response.data;
+  },
+
+  /**
+   * Permanently delete a conversation and its messages
+   * Protected endpoint - requires authentication
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object>} - Deletion summary
+   * @throws {Error} - If request fails
+   */
+  remove: async (id) => {
+    const response = await api.delete(`/conversations/${id}`);
+    return response.data;
+  },
+};
+
+/**
+ * Bookmark API endpoints
+ * The signed-in user's saved schemes with private notes
+ */
+export const bookmarksAPI = {
+  /**
+   * List saved schemes, newest first
+   * Protected endpoint - requires authentication
+   * @returns {Promise<Array>} - Bookmarks with scheme, note, createdAt
+   * @throws {Error} - If request fails
+   */
+  getAll: async () => {
+    const response = await api.get('/bookmarks');
+    return response.data;
+  },
+
+  /**
+   * Get the bookmark of one scheme
+   * Protected endpoint - requires authentication
+   * @param {string} schemeId - Scheme ID
+   * @returns {Promise<Object>} - Bookmark (404 if the scheme is not saved)
+   * @throws {Error} - If request fails
+   */
+  get: async (schemeId) => {
+    const response = await api.get(`/bookmarks/${schemeId}`);
+    return response.data;
+  },
+
+  /**
+   * Save a scheme, or change the note of a saved one
+   * Protected endpoint - requires authentication
+   * @param {string} schemeId - Scheme ID
+   * @param {string} [note] - Private note; '' removes it, undefined keeps it
+   * @returns {Promise<Object>} - Bookmark with its scheme
+   * @throws {Error} - If request fails
+   */
+  save: async (schemeId, note) => {
+    const response = await api.put(`/bookmarks/${schemeId}`, note === undefined ? {} : { note });
+    return response.data;
+  },
+
+  /**
+   * Remove a saved scheme and its note
+   * Protected endpoint - requires authentication
+   * @param {string} schemeId - Scheme ID
+   * @returns {Promise<Object>} - Confirmation message
+   * @throws {Error} - If request fails
+   */
+  remove: async (schemeId) => {
+    const response = await api.delete(`/bookmarks/${schemeId}`);
+    return response.data;
+  },
+};
+
+/**
+ * Application tracker API endpoints
+ * The signed-in user's application tracker
+ */
+export const applicationsAPI = {
+  /**
+   * List tracked applications, most recently moved first
+   * Protected endpoint - requires authentication
+   * @returns {Promise<Array>} - Applications with scheme, status and history ({ status, at })
+   * @throws {Error} - If request fails
+   */
+  getAll: async () => {
+    const response = await api.get('/applications');
+    return response.data;
+  },
+
+  /**
+   * Get the application to one scheme
+   * Protected endpoint - requires authentication
+   * @param {string} schemeId - Scheme ID
+   * @returns {Promise<Object>} - Application (404 if the scheme is not tracked)
+   * @throws {Error} - If request fails
+   */
+  get: async (schemeId) => {
+    const response = await api.get(`/applications/${schemeId}`);
+    return response.data;
+  },
+
+  /**
+   * Start tracking an application or move it to another status
+   * Protected endpoint - requires authentication
+   * @param {string} schemeId - Scheme ID
+   * @param {string} status - One of the TRACKER_STATUSES keys
+   * @returns {Promise<Object>} - Application with its scheme
+   * @throws {Error} - If request fails
+   */
+  setStatus: async (schemeId, status) => {
+    const response = await api.put(`/applications/${schemeId}`, { status });
+    return response.data;
+  },
+
+  /**
+   * Stop tracking an application
+   * Protected endpoint - requires authentication
+   * @param {string} schemeId - Scheme ID
+   * @returns {Promise<Object>} - Confirmation message
+   * @throws {Error} - If request fails
+   */
+  remove: async (schemeId) => {
+    const response = await api.delete(`/applications/${schemeId}`);
+    return response.data;
+  },
+};
+
+/**
+ * Admin API endpoints
+ * Security monitoring for admins
+ */
+export const adminAPI = {
+  /**
+   * List recent security events (such as login lockouts), newest first
+   * Protected endpoint - requires admin role
+   * @param {Object} [params] - Query parameters
+   * @param {string} [params.type] - Only events of this type
+   * @param {number} [params.limit=100] - Most events to return
+   * @returns {Promise<{events: Array}>} - Events with type, ip, email, user, details and createdAt
+   * @throws {Error} - If request fails
+   */
+  getSecurityEvents: async (params = {}) => {
+    const response = await api.get('/admin/security-events', { params });
+    return response.data;
+  },
 };
 
 /**
@@ -21,6 +21,30 @@ export const API_CONFIG = {
 export const STORAGE_KEYS = {
   AUTH_TOKEN: 'token',
   USER_DATA: 'user',
+  VOICE_PREFERENCES: 'voicePreferences', // Suffixed with the user ID
+};
+
+/**
+ * Window events fired by the API service when the session changes outside
+ * AuthContext (a silent token refresh, or a refresh that failed)
+ */
+export const AUTH_EVENTS = {
+  REFRESHED: 'auth:refreshed', // detail: { token, user }
+  ENDED: 'auth:ended',
+};
+
+/**
+ * Voice Input and Read-Aloud
+ */
+export const VOICE_CONFIG = {
+  LANGUAGE: 'en-IN', // Speech recognition and synthesis language
+  // Read-aloud voice for each reply language; Hinglish is read by an Indian English voice
+  SPEECH_LANGUAGES: {
+    en: 'en-IN',
+    hi: 'hi-IN',
+    gu: 'gu-IN',
+    'hi-Latn': 'en-IN',
+  },
 };
 
 /**
@@ -40,8 +64,13 @@ export const ERROR_MESSAGES = {
  */
 export const SUCCESS_MESSAGES = {
   LOGIN_SUCCESS: 'Welcome back!',
-  REGISTER_SUCCESS: 'Registration successful! Redirecting to login...',
+  REGISTER_SUCCESS: 'Registration successful! Check your email for a link to verify your address, then log in.',
   SCHEME_CREATED: 'Scheme added successfully!',
+  SCHEME_SUBMITTED: 'Thanks! Your scheme will be listed once a moderator approves it.',
+  SCHEME_RESUBMITTED: 'Changes saved. The scheme is back in the review queue.',
+  SCHEME_UPDATED: 'Scheme updated successfully!',
+  SCHEME_DELETED: 'Scheme deleted.',
+  SCHEME_RESTORED: 'Scheme restored.',
   PROFILE_UPDATED: 'Profile updated successfully!',
 };
 
@@ -63,10 +92,188 @@ export const ROUTES = {
   HOME: '/',
   LOGIN: '/login',
   REGISTER: '/register',
+  VERIFY_EMAIL: '/verify-email', // ?token= from the verification email
+  FORGOT_PASSWORD: '/forgot-password',
+  RESET_PASSWORD: '/reset-password', // ?token= from the reset email
   SCHEMES: '/schemes',
+  SCHEME_DETAIL: '/schemes/:id',
+  ELIGIBILITY: '/eligibility',
   CHAT: '/chat',
+  CHAT_CONVERSATION: '/chat/:conversationId?', // Also matches /chat
+  MODERATION: '/moderation',
   PROFILE: '/profile',
   ADMIN: '/admin',
+  MY_APPLICATIONS: '/my-applications',
+};
+
+/**
+ * Scheme search on the Schemes page
+ * Sort values match GET /api/schemes
+ */
+export const SCHEME_SEARCH = {
+  PAGE_SIZE: 20,
+  DEBOUNCE_MS: 400,
+  SORTS: [
+    { value: 'newest', label: 'Newest first' },
+    { value: 'oldest', label: 'Oldest first' },
+    { value: 'title', label: 'Title (A–Z)' },
+    { value: 'deadline', label: 'Closing soonest' },
+    { value: 'relevance', label: 'Best match' }, // Only offered while searching
+  ],
+  // "Closes within" filter chips, in days from today
+  DEADLINE_WINDOWS: [7, 30, 90],
+};
+
+/**
+ * Moderation statuses of submitted schemes
+ * Values match the backend Scheme model; schemes without a status are approved
+ */
+export const REVIEW_STATUSES = {
+  pending: { label: 'Pending review', className: 'bg-yellow-100 text-yellow-800' },
+  changes_requested: { label: 'Changes requested', className: 'bg-orange-100 text-orange-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+};
+
+/**
+ * Stages of the personal application tracker, in board order
+ * Keys match APPLICATION_STATUSES in the backend Application model
+ */
+export const TRACKER_STATUSES = {
+  interested: { label: 'Interested', className: 'bg-gray-100 text-gray-800' },
+  gathering_documents: { label: 'Gathering documents', className: 'bg-blue-100 text-blue-800' },
+  applied: { label: 'Applied', className: 'bg-indigo-100 text-indigo-800' },
+  under_review: { label: 'Under review', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+};
+
+/** Roles that can open the moderation queue */
+export const MODERATOR_ROLES = ['moderator', 'admin'];
+
+/**
+ * Scheme revision history labels
+ * ACTIONS match REVISION_ACTIONS in the backend SchemeRevision model;
+ * FIELDS name the (dotted) fields listed in revision diffs
+ */
+export const SCHEME_HISTORY = {
+  ACTIONS: {
+    baseline: 'Before history was recorded',
+    create: 'Created',
+    update: 'Edited',
+    import: 'Imported',
+    rollback: 'Rolled back',
+    merge: 'Merged duplicates',
+    delete: 'Deleted',
+    restore: 'Restored',
+    approve: 'Approved',
+    reject: 'Rejected',
+    request_changes: 'Changes requested',
+  },
+  FIELDS: {
+    title: 'Title',
+    description: 'Description',
+    category: 'Category',
+    url: 'Official link',
+    'eligibility.minAge': 'Minimum age',
+    'eligibility.maxAge': 'Maximum age',
+    'eligibility.maxIncome': 'Income ceiling',
+    'eligibility.states': 'States',
+    'eligibility.genders': 'Genders',
+    'eligibility.socialCategories': 'Social categories',
+    'eligibility.educationLevels': 'Education levels',
+    'eligibility.occupations': 'Occupations',
+    'benefit.type': 'Benefit type',
+    'benefit.amount': 'Benefit amount',
+    'benefit.details': 'Benefit details',
+    documents: 'Documents',
+    ministry: 'Ministry',
+    applicationOpens: 'Applications open',
+    applicationCloses: 'Applications close',
+    key: 'Key',
+    status: 'Review status',
+    reviewNote: "Moderator's note",
+    deletedAt: 'Deleted',
+    mergedInto: 'Merged into',
+  },
+};
+
+/**
+ * Scheme field options
+ * Codes match the backend Scheme model (models/Scheme.js)
+ */
+export const SCHEME_OPTIONS = {
+  STATES: [
+    { value: 'andhra-pradesh', label: 'Andhra Pradesh' },
+    { value: 'arunachal-pradesh', label: 'Arunachal Pradesh' },
+    { value: 'assam', label: 'Assam' },
+    { value: 'bihar', label: 'Bihar' },
+    { value: 'chhattisgarh', label: 'Chhattisgarh' },
+    { value: 'goa', label: 'Goa' },
+    { value: 'gujarat', label: 'Gujarat' },
+    { value: 'haryana', label: 'Haryana' },
+    { value: 'himachal-pradesh', label: 'Himachal Pradesh' },
+    { value: 'jharkhand', label: 'Jharkhand' },
+    { value: 'karnataka', label: 'Karnataka' },
+    { value: 'kerala', label: 'Kerala' },
+    { value: 'madhya-pradesh', label: 'Madhya Pradesh' },
+    { value: 'maharashtra', label: 'Maharashtra' },
+    { value: 'manipur', label: 'Manipur' },
+    { value: 'meghalaya', label: 'Meghalaya' },
+    { value: 'mizoram', label: 'Mizoram' },
+    { value: 'nagaland', label: 'Nagaland' },
+    { value: 'odisha', label: 'Odisha' },
+    { value: 'punjab', label: 'Punjab' },
+    { value: 'rajasthan', label: 'Rajasthan' },
+    { value: 'sikkim', label: 'Sikkim' },
+    { value: 'tamil-nadu', label: 'Tamil Nadu' },
+    { value: 'telangana', label: 'Telangana' },
+    { value: 'tripura', label: 'Tripura' },
+    { value: 'uttar-pradesh', label: 'Uttar Pradesh' },
+    { value: 'uttarakhand', label: 'Uttarakhand' },
+    { value: 'west-bengal', label: 'West Bengal' },
+    { value: 'andaman-nicobar', label: 'Andaman and Nicobar' },
+    { value: 'chandigarh', label: 'Chandigarh' },
+    { value: 'dadra-nagar-haveli-daman-diu', label: 'Dadra and Nagar Haveli and Daman and Diu' },
+    { value: 'delhi', label: 'Delhi' },
+    { value: 'jammu-kashmir', label: 'Jammu and Kashmir' },
+    { value: 'ladakh', label: 'Ladakh' },
+    { value: 'lakshadweep', label: 'Lakshadweep' },
+    { value: 'puducherry', label: 'Puducherry' },
+  ],
+  GENDERS: [
+    { value: 'female', label: 'Female' },
+    { value: 'male', label: 'Male' },
+    { value: 'transgender', label: 'Transgender' },
+  ],
+  SOCIAL_CATEGORIES: [
+    { value: 'general', label: 'General' },
+    { value: 'obc', label: 'OBC' },
+    { value: 'sc', label: 'SC' },
+    { value: 'st', label: 'ST' },
+    { value: 'ews', label: 'EWS' },
+    { value: 'minority', label: 'Minority' },
+  ],
+  EDUCATION_LEVELS: [
+    { value: '10th', label: 'Class 10' },
+    { value: '12th', label: 'Class 12' },
+    { value: 'diploma', label: 'Diploma / ITI' },
+    { value: 'undergraduate', label: 'Undergraduate' },
+    { value: 'postgraduate', label: 'Postgraduate' },
+    { value: 'phd', label: 'PhD' },
+  ],
+  BENEFIT_TYPES: [
+    { value: 'scholarship', label: 'Scholarship' },
+    { value: 'cash-transfer', label: 'Cash transfer' },
+    { value: 'loan', label: 'Loan' },
+    { value: 'subsidy', label: 'Subsidy' },
+    { value: 'insurance', label: 'Insurance' },
+    { value: 'pension', label: 'Pension' },
+    { value: 'training', label: 'Training' },
+    { value: 'employment', label: 'Employment' },
+    { value: 'other', label: 'Other' },
+  ],
+  MAX_AGE: 120,
 };
 
 /**
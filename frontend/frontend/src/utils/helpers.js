@@ -5,7 +5,7 @@
  * like validation, formatting, and error handling.
  */
 
-import { VALIDATION_RULES } from './constants';
+import { VALIDATION_RULES, SCHEME_OPTIONS, MODERATOR_ROLES } from './constants';
 
 /**
  * Validates an email address
@@ -167,3 +167,106 @@ export const debounce = (func, wait) => {
   };
 };
 
+/**
+ * Primary languages written right to left
+ */
+const RTL_LANGUAGES = new Set(['ar', 'fa', 'he', 'ps', 'sd', 'ur', 'yi']);
+
+/**
+ * Returns the text direction for a language tag
+ * @param {string} [language] - BCP 47 tag, e.g. "hi" or "hi-Latn"
+ * @returns {'ltr'|'rtl'} - Value for the `dir` attribute
+ */
+export const textDirection = (language) => {
+  if (!language) return 'ltr';
+  const [primary, script] = language.split('-');
+  if (script === 'Latn') return 'ltr';
+  return RTL_LANGUAGES.has(primary.toLowerCase()) ? 'rtl' : 'ltr';
+};
+
+/**
+ * Checks whether a user may edit or delete a scheme
+ * Mirrors the server rule: the scheme's creator or an admin
+ * @param {Object} scheme - Scheme from the API
+ * @param {Object|null} user - Signed-in user
+ * @returns {boolean} - True if edit and delete actions should be shown
+ */
+export const canModifyScheme = (scheme, user) => {
+  if (!scheme || !user) return false;
+  if (user.role === 'admin') return true;
+  return Boolean(scheme.createdBy) && String(scheme.createdBy) === String(user.id);
+};
+
+/**
+ * Checks whether a user may review submitted schemes
+ * Mirrors the server rule: moderators and admins
+ * @param {Object|null} user - Signed-in user
+ * @returns {boolean} - True if the moderation queue should be shown
+ */
+export const canModerate = (user) => MODERATOR_ROLES.includes(user?.role);
+
+/**
+ * Formats a rupee amount, e.g. 250000 -> "₹2,50,000"
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - Formatted amount, or '' if missing
+ */
+export const formatRupees = (amount) => {
+  if (amount === null || amount === undefined || Number.isNaN(Number(amount))) return '';
+  return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }).format(amount);
+};
+
+/**
+ * Looks up the display label of an option code
+ * @param {Array<{value: string, label: string}>} options - One of the SCHEME_OPTIONS lists
+ * @param {string} value - Option code
+ * @returns {string} - Label, or the code itself if unknown
+ */
+export const optionLabel = (options, value) =>
+  options.find((option) => option.value === value)?.label || value;
+
+/**
+ * Works out whether a scheme is accepting applications
+ * @param {Object} scheme - Scheme from the API
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{status: 'open'|'upcoming'|'closed', label: string}|null} - Status, or null if the scheme has no dates
+ */
+export const applicationStatus = (scheme, now = new Date()) => {
+  const opens = scheme.applicationOpens ? new Date(scheme.applicationOpens) : null;
+  const closes = scheme.applicationCloses ? new Date(scheme.applicationCloses) : null;
+  if (!opens && !closes) return null;
+
+  if (opens && now < opens) return { status: 'upcoming', label: `Opens ${formatDate(opens)}` };
+  // Applications stay open for the whole closing day
+  if (closes && now > new Date(closes.getTime() + 24 * 60 * 60 * 1000 - 1)) {
+    return { status: 'closed', label: `Closed ${formatDate(closes)}` };
+  }
+  return { status: 'open', label: closes ? `Apply by ${formatDate(closes)}` : 'Open now' };
+};
+
+/**
+ * Summarises a scheme's eligibility rules as short phrases for display
+ * @param {Object} [eligibility] - Scheme eligibility object
+ * @returns {string[]} - e.g. ["Age 18–35", "Income up to ₹2,50,000", "Gujarat"]
+ */
+export const describeEligibility = (eligibility = {}) => {
+  const rules = [];
+  const { minAge, maxAge, maxIncome } = eligibility;
+
+  if (minAge != null && maxAge != null) rules.push(`Age ${minAge}–${maxAge}`);
+  else if (minAge != null) rules.push(`Age ${minAge}+`);
+  else if (maxAge != null) rules.push(`Age up to ${maxAge}`);
+  if (maxIncome != null) rules.push(`Income up to ${formatRupees(maxIncome)}`);
+
+  const lists = [
+    [eligibility.states, SCHEME_OPTIONS.STATES],
+    [eligibility.genders, SCHEME_OPTIONS.GENDERS],
+    [eligibility.socialCategories, SCHEME_OPTIONS.SOCIAL_CATEGORIES],
+    [eligibility.educationLevels, SCHEME_OPTIONS.EDUCATION_LEVELS],
+  ];
+  for (const [values, options] of lists) {
+    if (values?.length) rules.push(values.map((value) => optionLabel(options, value)).join(', '));
+  }
+  if (eligibility.occupations?.length) rules.push(eligibility.occupations.join(', '));
+
+  return rules;
+};